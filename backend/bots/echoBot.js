@@ -0,0 +1,80 @@
+/**
+ * Przykładowy bot w procesie:
+ * - "!echo tekst" - powtarza tekst
+ * - "!remind 10m tekst" - przypomnienie w pokoju po czasie (s / m / h, najwyżej 24 h)
+ * - wita użytkowników wchodzących do pokoju
+ * Przypomnienia to timery tej instancji - giną przy restarcie serwera.
+ */
+
+const UNITS = { s: 1, m: 60, h: 3600 };
+const MAX_DELAY = 24 * 3600; // s
+const MAX_PENDING_PER_USER = 5;
+
+const timers = new Map(); // userId -> Set(timeout)
+
+const schedule = (userId, delay, callback) => {
+  const pending = timers.get(userId) || new Set();
+  if (pending.size >= MAX_PENDING_PER_USER) return false;
+
+  const timeout = setTimeout(() => {
+    pending.delete(timeout);
+    if (pending.size === 0) timers.delete(userId);
+    callback();
+  }, delay * 1000);
+
+  pending.add(timeout);
+  timers.set(userId, pending);
+  return true;
+};
+
+const handleMessage = async ({ roomId, message }, api) => {
+  const [command, ...rest] = message.message.trim().split(/\s+/);
+  const author = message.displayName || message.username;
+
+  if (command === '!echo' && rest.length > 0) {
+    await api.post(roomId, rest.join(' '));
+    return;
+  }
+
+  if (command === '!remind') {
+    const match = (rest[0] || '').match(/^(\d+)([smh])$/);
+    const delay = match ? Number(match[1]) * UNITS[match[2]] : 0;
+    const text = rest.slice(1).join(' ');
+
+    if (!match || delay < 1 || delay > MAX_DELAY || !text) {
+      await api.post(roomId, 'Użycie: !remind <liczba><s|m|h> <tekst>, np. !remind 10m stand-up (najwyżej 24h)');
+      return;
+    }
+
+    const scheduled = schedule(message.userId, delay, () => {
+      api.post(roomId, `⏰ @${message.username}: ${text}`)
+        .catch(error => console.error('Error posting reminder:', error));
+    });
+    await api.post(roomId, scheduled
+      ? `Przypomnę za ${rest[0]}, ${author}`
+      : `${author}, masz już ${MAX_PENDING_PER_USER} zaplanowanych przypomnień`);
+  }
+};
+
+module.exports = {
+  name: 'echo',
+  displayName: 'EchoBot',
+  description: '!echo <tekst>, !remind <czas> <tekst>; wita nowe osoby',
+  rooms: ['*'],
+  events: ['message', 'join'],
+
+  async handle(event, payload, api) {
+    if (event === 'message') {
+      await handleMessage(payload, api);
+    } else if (event === 'join') {
+      await api.post(payload.roomId, `👋 Cześć ${payload.user.username}! Wpisz !echo albo !remind, żeby mnie wypróbować.`);
+    }
+  },
+
+  stop() {
+    for (const pending of timers.values()) {
+      pending.forEach(clearTimeout);
+    }
+    timers.clear();
+  }
+};
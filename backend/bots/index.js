@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const chatService = require('../services/chatService');
+const webhookService = require('../services/webhookService');
+const echoBot = require('./echoBot');
+const { createWebhookBot } = require('./webhookBot');
+
+/**
+ * Boty czatu. Bot to moduł { name, displayName, description, rooms, events, handle(event, payload, api) }:
+ * - events: podzbiór BOT_EVENTS - message { roomId, message }, join / leave { roomId, user }
+ * - rooms: lista pokoi albo ['*'] = wszystkie publiczne (prywatne tylko z nazwy, rozmowy prywatne nigdy)
+ * - api.post(roomId, text) - wiadomość przez chatService.sendMessage z flagą bot
+ * Boty w procesie (jak echoBot) są dopisane do BUILTIN_BOTS, zewnętrzne (webhook) pochodzą
+ * z config/bots.json albo pliku z BOTS_CONFIG. Zdarzenie obsługuje instancja, na której
+ * się wydarzyło, więc przy kilku serwerach bot nie dostaje go wielokrotnie.
+ */
+
+const BOT_EVENTS = ['message', 'join', 'leave'];
+const BUILTIN_BOTS = [echoBot];
+
+const bots = new Map();
+let io = null;
+
+const botUserId = (name) => `bot:${name}`;
+
+const registerBot = (bot) => {
+  if (!/^[a-z0-9-]{2,32}$/.test(bot.name || '') || typeof bot.handle !== 'function') {
+    console.error('Invalid bot definition:', bot.name);
+    return null;
+  }
+  if (bots.has(bot.name)) {
+    console.error(`Bot ${bot.name} is already registered`);
+    return null;
+  }
+
+  // Domyślne wartości po rozwinięciu - pole podane jako undefined (np. z config/bots.json) ich nie nadpisuje
+  const registered = {
+    ...bot,
+    id: botUserId(bot.name),
+    displayName: bot.displayName || bot.name,
+    description: bot.description || '',
+    rooms: Array.isArray(bot.rooms) && bot.rooms.length > 0 ? bot.rooms.filter(room => typeof room === 'string') : ['*'],
+    events: (Array.isArray(bot.events) ? bot.events : BOT_EVENTS).filter(event => BOT_EVENTS.includes(event))
+  };
+  bots.set(bot.name, registered);
+  return registered;
+};
+
+const loadWebhookBots = () => {
+  const file = process.env.BOTS_CONFIG
+    ? path.resolve(process.env.BOTS_CONFIG)
+    : path.join(__dirname, '..', 'config', 'bots.json');
+
+  try {
+    const { webhooks = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return webhooks.map(createWebhookBot).filter(Boolean);
+  } catch (error) {
+    console.error('Error loading bots config:', error);
+    return [];
+  }
+};
+
+// Wiadomość bota - zapis, rozgłoszenie w pokoju; botom już nie jest przekazywana (bez pętli)
+const createApi = (bot) => ({
+  post: async (roomId, text) => {
+    const message = await chatService.sendMessage(roomId, bot.id, bot.displayName, text, { bot: true });
+    if (!message || message.error) {
+      console.error(`Bot ${bot.name} could not post to ${roomId}:`, message && message.reason);
+      return null;
+    }
+
+    io.to(roomId).emit('new-message', message);
+    await webhookService.publish('new-message', roomId, { message });
+    return message;
+  }
+});
+
+const isSubscribed = async (bot, event, roomId) => {
+  if (!bot.events.includes(event)) return false;
+  if (bot.rooms.includes(roomId)) return true;
+  return bot.rooms.includes('*') && (await chatService.getRoomVisibility(roomId)) === 'public';
+};
+
+// Zdarzenie pokoju -> subskrybujące boty, równolegle - wolny webhook nie opóźnia pozostałych botów.
+// Bez await po stronie wywołującego: boty nie opóźniają też wysyłania wiadomości.
+const dispatch = async (event, payload) => {
+  if (!io || bots.size === 0 || chatService.isDirectRoom(payload.roomId)) return;
+  if (event === 'message' && payload.message.bot) return;
+
+  const handleEvent = async (bot) => {
+    try {
+      if (await isSubscribed(bot, event, payload.roomId)) {
+        await bot.handle(event, payload, bot.api);
+      }
+    } catch (error) {
+      console.error(`Bot ${bot.name} failed on ${event}:`, error);
+    }
+  };
+  await Promise.allSettled([...bots.values()].map(handleEvent));
+};
+
+const start = (socketIo) => {
+  io = socketIo;
+
+  for (const bot of [...BUILTIN_BOTS, ...loadWebhookBots()]) {
+    const registered = registerBot(bot);
+    if (registered) registered.api = createApi(registered);
+  }
+  console.log(`Bots started: ${[...bots.keys()].join(', ') || 'none'}`);
+};
+
+const stop = () => {
+  for (const bot of bots.values()) {
+    if (typeof bot.stop === 'function') bot.stop();
+  }
+};
+
+const listBots = () => [...bots.values()].map(({ name, displayName, description, kind, rooms, events }) => ({
+  name,
+  displayName,
+  description,
+  kind: kind || 'builtin',
+  rooms,
+  events
+}));
+
+module.exports = {
+  BOT_EVENTS,
+  start,
+  stop,
+  dispatch,
+  listBots
+};
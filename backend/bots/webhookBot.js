@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+/**
+ * Bot zewnętrzny - zdarzenia wysyłane POST-em (JSON) na adres bota:
+ *   { bot, event, roomId, message? , user?, timestamp }
+ * z nagłówkiem X-Bot-Signature: sha256=<HMAC-SHA256(secret, body)>.
+ * Odpowiedź JSON { text } albo { messages: [...] } trafia do pokoju jako wiadomość bota.
+ */
+
+const TIMEOUT = 5000; // ms
+const MAX_REPLIES = 5;
+
+const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Odpowiedź bota -> lista tekstów do wysłania
+const parseReplies = (data) => {
+  if (!data || typeof data !== 'object') return [];
+  const replies = Array.isArray(data.messages) ? data.messages : [data.text];
+  return replies.filter(text => typeof text === 'string' && text.trim()).slice(0, MAX_REPLIES);
+};
+
+// config: { name, displayName?, description?, url, secret, rooms?, events? }
+const createWebhookBot = (config) => {
+  if (!config || !config.name || !/^https?:\/\//.test(config.url || '') || !config.secret) {
+    console.error('Invalid webhook bot config:', config && config.name);
+    return null;
+  }
+
+  return {
+    name: config.name,
+    displayName: config.displayName || config.name,
+    description: config.description || '',
+    kind: 'webhook',
+    rooms: config.rooms,
+    events: config.events,
+
+    async handle(event, payload, api) {
+      const body = JSON.stringify({ bot: config.name, event, ...payload, timestamp: Date.now() });
+
+      const response = await fetch(config.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Bot-Signature': sign(config.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT)
+      });
+
+      if (!response.ok) {
+        console.error(`Webhook bot ${config.name} responded with ${response.status}`);
+        return;
+      }
+      if (!(response.headers.get('content-type') || '').includes('application/json')) return;
+
+      for (const text of parseReplies(await response.json())) {
+        await api.post(payload.roomId, text);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createWebhookBot,
+  sign
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  name: 'help',
+  usage: '/help [komenda]',
+  description: 'Lista komend albo opis jednej komendy',
+  permission: 'member',
+
+  async execute({ roomId, user, args, registry }) {
+    if (args.length > 0) {
+      const command = registry.getCommand(args[0].replace(/^\//, '').toLowerCase());
+      if (!command) return { error: `Nieznana komenda ${args[0]}` };
+
+      const note = command.permission === 'moderator' ? ' (moderatorzy)' : '';
+      return { reply: `${command.usage} - ${command.description}${note}` };
+    }
+
+    const commands = await registry.listCommands(roomId, user);
+    return {
+      reply: `Dostępne komendy: ${commands.map(command => command.usage).join(', ')}. Szczegóły: /help <komenda>`
+    };
+  }
+};
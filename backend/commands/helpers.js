@@ -0,0 +1,52 @@
+const chatService = require('../services/chatService');
+const authService = require('../services/authService');
+const { notifyNewMessage, emitMessageRejected, emitModeration } = require('../socket/notifications');
+
+/**
+ * Wspólne akcje komend czatu
+ */
+
+// Błędy akcji moderacji (chatService) -> komunikat dla wywołującego
+const MODERATION_ERRORS = {
+  invalid: 'Nieprawidłowe argumenty komendy',
+  forbidden: 'Nie możesz moderować tego użytkownika',
+  not_found: 'Nie znaleziono użytkownika',
+  failed: 'Nie udało się wykonać akcji moderacji'
+};
+
+// Wiadomość wysłana przez komendę - ta sama ścieżka co send-message
+const postMessage = async ({ io, socket, user, roomId }, text, options = {}) => {
+  const message = await chatService.sendMessage(roomId, user.userId, user.username, text, options);
+  if (!message) return { error: 'Nie udało się wysłać wiadomości' };
+  if (message.error) {
+    emitMessageRejected(socket, roomId, message);
+    return {};
+  }
+
+  io.to(roomId).emit('new-message', message);
+  await notifyNewMessage(io, message);
+  return {};
+};
+
+// Komunikat dla całego pokoju (zmiana pseudonimu, tematu...)
+const announce = ({ io, roomId }, message) => {
+  io.to(roomId).emit('room-notice', { roomId, message, timestamp: Date.now() });
+};
+
+// Wynik akcji chatService (kick / mute) -> rozgłoszenie albo błąd
+const applyModeration = ({ io }, result) => {
+  if (result.error) return { error: MODERATION_ERRORS[result.error] };
+
+  emitModeration(io, result.entry);
+  return {};
+};
+
+// Użytkownik z argumentu komendy ("ala" albo "@ala")
+const findUser = async (name) => await authService.findUserByUsername(name);
+
+module.exports = {
+  postMessage,
+  announce,
+  applyModeration,
+  findUser
+};
@@ -0,0 +1,85 @@
+const chatService = require('../services/chatService');
+
+const me = require('./me');
+const nick = require('./nick');
+const topic = require('./topic');
+const invite = require('./invite');
+const kick = require('./kick');
+const mute = require('./mute');
+const roll = require('./roll');
+const help = require('./help');
+
+/**
+ * Komendy czatu ("/nazwa argumenty") wpisywane w polu wiadomości.
+ * Komenda to moduł { name, usage, description, permission, execute(context) }:
+ * - permission: 'member' (każdy w pokoju) albo 'moderator' (chatService.canModerate)
+ * - execute dostaje { io, socket, user, roomId, args, rawArgs, registry } i zwraca
+ *   { reply } (odpowiedź tylko dla wywołującego), { error } albo nic;
+ *   wspólne akcje (wysłanie wiadomości, komunikat, moderacja) są w helpers.js
+ * Nowa komenda = nowy moduł dopisany do COMMANDS.
+ * "//tekst" wysyła zwykłą wiadomość zaczynającą się od "/".
+ */
+
+const COMMANDS = [me, nick, topic, invite, kick, mute, roll, help];
+const commandsByName = new Map(COMMANDS.map(command => [command.name, command]));
+
+const isCommand = (text) => typeof text === 'string' && /^\/[^/\s]/.test(text.trim());
+
+// "//tekst" -> "/tekst"
+const unescapeText = (text) => (typeof text === 'string' && text.startsWith('//') ? text.slice(1) : text);
+
+const parseCommand = (text) => {
+  const [, name, rest] = text.trim().match(/^\/(\S+)\s*([\s\S]*)$/);
+  const rawArgs = rest.trim();
+  return {
+    name: name.toLowerCase(),
+    rawArgs,
+    args: rawArgs ? rawArgs.split(/\s+/) : []
+  };
+};
+
+const getCommand = (name) => commandsByName.get(name) || null;
+
+const canUse = async (command, roomId, user) => (
+  command.permission !== 'moderator' || await chatService.canModerate(roomId, user)
+);
+
+// Komendy dostępne dla użytkownika w pokoju (help, podpowiedzi w UI)
+const listCommands = async (roomId, user) => {
+  const available = [];
+  for (const command of COMMANDS) {
+    if (await canUse(command, roomId, user)) {
+      const { name, usage, description, permission } = command;
+      available.push({ name, usage, description, permission });
+    }
+  }
+  return available;
+};
+
+// context: { io, socket, user, roomId }; wynik: { reply } | { error } | {}
+const executeCommand = async (context, text) => {
+  const { name, args, rawArgs } = parseCommand(text);
+  const command = getCommand(name);
+
+  if (!command) return { command: name, error: `Nieznana komenda /${name} - wpisz /help` };
+  if (!(await canUse(command, context.roomId, context.user))) {
+    return { command: name, error: `Komenda /${name} jest tylko dla moderatorów` };
+  }
+
+  const result = await command.execute({
+    ...context,
+    args,
+    rawArgs,
+    registry: { getCommand, listCommands }
+  });
+  return { command: name, ...result };
+};
+
+module.exports = {
+  COMMANDS,
+  isCommand,
+  unescapeText,
+  parseCommand,
+  listCommands,
+  executeCommand
+};
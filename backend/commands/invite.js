@@ -0,0 +1,32 @@
+const chatService = require('../services/chatService');
+const { userChannel } = require('../socket/notifications');
+const { findUser } = require('./helpers');
+
+module.exports = {
+  name: 'invite',
+  usage: '/invite <użytkownik>',
+  description: 'Zaprasza użytkownika do pokoju (w pokoju prywatnym dodaje go do członków)',
+  permission: 'member',
+
+  async execute({ io, roomId, user, args }) {
+    if (args.length !== 1) return { error: `Użycie: ${this.usage}` };
+    if (chatService.isDirectRoom(roomId)) return { error: 'Do rozmowy prywatnej nie można zapraszać' };
+
+    const target = await findUser(args[0]);
+    if (!target) return { error: `Nie znaleziono użytkownika ${args[0]}` };
+    if (target.id === user.userId) return { error: 'Nie możesz zaprosić samego siebie' };
+
+    // Członkostwo otwiera pokój prywatny / na hasło; ban i tak blokuje wejście
+    await chatService.addRoomMember(roomId, target.id);
+
+    const room = await chatService.getRoomInfo(roomId);
+    io.to(userChannel(target.id)).emit('room-invite', {
+      roomId,
+      roomName: room ? room.name : roomId,
+      fromUserId: user.userId,
+      fromUsername: user.username
+    });
+
+    return { reply: `Zaproszono ${target.username}` };
+  }
+};
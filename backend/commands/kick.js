@@ -0,0 +1,20 @@
+const chatService = require('../services/chatService');
+const { applyModeration, findUser } = require('./helpers');
+
+module.exports = {
+  name: 'kick',
+  usage: '/kick <użytkownik> [powód]',
+  description: 'Wyrzuca użytkownika z pokoju (może wrócić)',
+  permission: 'moderator',
+
+  async execute(context) {
+    const { roomId, user, args } = context;
+    if (args.length < 1) return { error: `Użycie: ${this.usage}` };
+
+    const target = await findUser(args[0]);
+    if (!target) return { error: `Nie znaleziono użytkownika ${args[0]}` };
+
+    const result = await chatService.kickUser(roomId, user, target.id, { reason: args.slice(1).join(' ') });
+    return applyModeration(context, result);
+  }
+};
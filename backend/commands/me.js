@@ -0,0 +1,13 @@
+const { postMessage } = require('./helpers');
+
+module.exports = {
+  name: 'me',
+  usage: '/me <czynność>',
+  description: 'Wiadomość w trzeciej osobie, np. "/me macha na powitanie"',
+  permission: 'member',
+
+  async execute(context) {
+    if (!context.rawArgs) return { error: `Użycie: ${this.usage}` };
+    return await postMessage(context, context.rawArgs, { type: 'action' });
+  }
+};
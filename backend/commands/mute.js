@@ -0,0 +1,26 @@
+const chatService = require('../services/chatService');
+const { applyModeration, findUser } = require('./helpers');
+
+module.exports = {
+  name: 'mute',
+  usage: '/mute <użytkownik> <minuty> [powód]',
+  description: 'Wycisza użytkownika w pokoju na podaną liczbę minut',
+  permission: 'moderator',
+
+  async execute(context) {
+    const { roomId, user, args } = context;
+    const minutes = Number(args[1]);
+    if (args.length < 2 || !Number.isInteger(minutes) || minutes < 1) {
+      return { error: `Użycie: ${this.usage}` };
+    }
+
+    const target = await findUser(args[0]);
+    if (!target) return { error: `Nie znaleziono użytkownika ${args[0]}` };
+
+    const result = await chatService.muteUser(roomId, user, target.id, {
+      duration: minutes * 60,
+      reason: args.slice(2).join(' ')
+    });
+    return applyModeration(context, result);
+  }
+};
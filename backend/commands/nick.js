@@ -0,0 +1,53 @@
+const chatService = require('../services/chatService');
+const authService = require('../services/authService');
+const { announce } = require('./helpers');
+
+const MAX_NICK_LENGTH = 30;
+
+// Odrzucenie przez filtry treści -> komunikat
+const NICK_REJECTIONS = {
+  profanity: 'Pseudonim zawiera niedozwolone słowa',
+  links_blocked: 'Pseudonim nie może być linkiem'
+};
+
+module.exports = {
+  name: 'nick',
+  usage: '/nick [pseudonim]',
+  description: 'Pseudonim w tym pokoju; bez argumentu przywraca nazwę konta',
+  permission: 'member',
+
+  async execute(context) {
+    const { roomId, user, rawArgs } = context;
+    let nickname = rawArgs.replace(/\s+/g, ' ');
+
+    if ([...nickname].length > MAX_NICK_LENGTH) {
+      return { error: `Pseudonim może mieć najwyżej ${MAX_NICK_LENGTH} znaków` };
+    }
+
+    if (nickname) {
+      // Te same filtry co wiadomości pokoju (bez limitu powtórzeń - pseudonim to nie wiadomość);
+      // oflagowany pseudonim jest odrzucany, bo nie trafiłby do przeglądu moderatorów
+      const filtered = await chatService.filterText(roomId, user.userId, nickname, { isEdit: true });
+      const rejection = filtered.rejected || filtered.flags[0];
+      if (rejection) {
+        return { error: NICK_REJECTIONS[rejection.reason] || 'Ten pseudonim jest niedozwolony' };
+      }
+      nickname = filtered.text;
+
+      // Podszywanie się: cudza nazwa konta (bez wielkości liter, także z "@")
+      const owner = await authService.findUserByUsername(nickname);
+      if (owner && owner.id !== user.userId) {
+        return { error: 'Ten pseudonim to nazwa konta innego użytkownika' };
+      }
+    }
+
+    const previous = (await chatService.getNickname(roomId, user.userId)) || user.username;
+    await chatService.setNickname(roomId, user.userId, nickname);
+
+    const current = nickname || user.username;
+    if (current !== previous) {
+      announce(context, `${previous} jest teraz znany jako ${current}`);
+    }
+    return {};
+  }
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { postMessage } = require('./helpers');
+
+const MAX_DICE = 20;
+const MAX_SIDES = 1000;
+
+module.exports = {
+  name: 'roll',
+  usage: '/roll [NdM]',
+  description: `Rzut kośćmi, np. "/roll 2d6" (domyślnie 1d6, najwyżej ${MAX_DICE}d${MAX_SIDES})`,
+  permission: 'member',
+
+  async execute(context) {
+    const match = (context.args[0] || '1d6').toLowerCase().match(/^(\d*)d(\d+)$/);
+    const count = match ? Number(match[1] || 1) : 0;
+    const sides = match ? Number(match[2]) : 0;
+
+    if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) {
+      return { error: `Użycie: ${this.usage}` };
+    }
+
+    // Losowanie po stronie serwera - wynik jest taki sam dla wszystkich
+    const rolls = Array.from({ length: count }, () => crypto.randomInt(1, sides + 1));
+    const total = rolls.reduce((sum, value) => sum + value, 0);
+    const text = count === 1
+      ? `🎲 rzuca ${count}d${sides}: ${total}`
+      : `🎲 rzuca ${count}d${sides}: ${rolls.join(' + ')} = ${total}`;
+
+    return await postMessage(context, text, { type: 'action' });
+  }
+};
@@ -0,0 +1,37 @@
+const chatService = require('../services/chatService');
+const { announce } = require('./helpers');
+
+const MAX_TOPIC_LENGTH = 200;
+
+module.exports = {
+  name: 'topic',
+  usage: '/topic [temat]',
+  description: 'Pokazuje temat pokoju; z argumentem ustawia go (moderator), "-" usuwa',
+  permission: 'member',
+
+  async execute(context) {
+    const { io, roomId, user, rawArgs } = context;
+
+    if (!rawArgs) {
+      const room = await chatService.getRoomInfo(roomId);
+      return { reply: room && room.topic ? `Temat: ${room.topic}` : 'Ten pokój nie ma tematu' };
+    }
+
+    // Odczyt dla każdego, zmiana tylko dla moderatorów
+    if (!(await chatService.canModerate(roomId, user))) {
+      return { error: 'Temat pokoju może zmienić tylko moderator' };
+    }
+    if ([...rawArgs].length > MAX_TOPIC_LENGTH) {
+      return { error: `Temat może mieć najwyżej ${MAX_TOPIC_LENGTH} znaków` };
+    }
+
+    const topic = rawArgs === '-' ? '' : rawArgs;
+    if (!(await chatService.setRoomTopic(roomId, topic))) {
+      return { error: 'Nie udało się zmienić tematu' };
+    }
+
+    io.to(roomId).emit('room-info', { id: roomId, topic });
+    announce(context, topic ? `${user.username} zmienił(a) temat na: ${topic}` : `${user.username} usunął/usunęła temat`);
+    return {};
+  }
+};
@@ -1,23 +1,27 @@
 const redis = require('redis');
 
-// Redis Client Configuration
-const redisClient = redis.createClient({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
+// Wszystkie instancje serwera muszą wskazywać ten sam Redis (REDIS_HOST/REDIS_PORT)
+const createRedisClient = () => redis.createClient({
+  socket: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: Number(process.env.REDIS_PORT) || 6379,
+  },
   // password: process.env.REDIS_PASSWORD, // jeśli wymagane
 });
 
+// Redis Client Configuration
+const redisClient = createRedisClient();
+
 // Cache Client (oddzielna instancja dla cache)
-const cacheClient = redis.createClient({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-});
+const cacheClient = createRedisClient();
 
 // Pub/Sub Client (oddzielna instancja dla messaging)
-const pubSubClient = redis.createClient({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-});
+const pubSubClient = createRedisClient();
+
+// Socket.io Redis adapter - osobne połączenia do publikowania i subskrypcji,
+// bo klient w trybie SUBSCRIBE nie może wykonywać innych komend
+const adapterPubClient = createRedisClient();
+const adapterSubClient = createRedisClient();
 
 // Error handling
 redisClient.on('error', (err) => {
@@ -32,6 +36,14 @@ pubSubClient.on('error', (err) => {
   console.error('PubSub Client Error:', err);
 });
 
+adapterPubClient.on('error', (err) => {
+  console.error('Adapter Pub Client Error:', err);
+});
+
+adapterSubClient.on('error', (err) => {
+  console.error('Adapter Sub Client Error:', err);
+});
+
 // Connection handlers
 redisClient.on('connect', () => {
   console.log('Redis Client Connected');
@@ -51,6 +63,8 @@ const connectRedis = async () => {
     await redisClient.connect();
     await cacheClient.connect();
     await pubSubClient.connect();
+    await adapterPubClient.connect();
+    await adapterSubClient.connect();
     console.log('All Redis clients connected successfully');
   } catch (error) {
     console.error('Redis connection failed:', error);
@@ -62,5 +76,7 @@ module.exports = {
   redisClient,
   cacheClient,
   pubSubClient,
+  adapterPubClient,
+  adapterSubClient,
   connectRedis
 };
\ No newline at end of file
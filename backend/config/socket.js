@@ -0,0 +1,30 @@
+const os = require('os');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { adapterPubClient, adapterSubClient } = require('./redis');
+
+/**
+ * Skalowanie na wiele serwerów
+ * Redis adapter rozsyła każde io.to(room).emit / socket.to(room).emit
+ * do socketów podłączonych do wszystkich instancji. Każdy pakiet niesie
+ * identyfikator węzła nadawcy, więc węzeł nie dostaje z powrotem własnych emisji.
+ */
+
+// Identyfikator tej instancji serwera (logi, /health, kanał chat:broadcast)
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}:${process.pid}`;
+
+// Kanał dla zewnętrznych nadawców (skrypty, redis-cli) - patrz server.js
+const BROADCAST_CHANNEL = 'chat:broadcast';
+
+// Wywołać po connectRedis() - adapter od razu subskrybuje kanały
+const attachRedisAdapter = (io) => {
+  io.adapter(createAdapter(adapterPubClient, adapterSubClient, {
+    key: 'chat:socket.io'
+  }));
+  console.log(`Socket.io Redis adapter attached (node: ${NODE_ID})`);
+};
+
+module.exports = {
+  NODE_ID,
+  BROADCAST_CHANNEL,
+  attachRedisAdapter
+};
@@ -0,0 +1,46 @@
+const whitespace = require('./whitespace');
+const markdown = require('./markdown');
+const maxLength = require('./maxLength');
+const links = require('./links');
+const profanity = require('./profanity');
+const repeat = require('./repeat');
+
+/**
+ * Potok filtrów treści wiadomości (chatService.sendMessage / editMessage).
+ * Filtr to moduł { name, apply(text, context) } zwracający akcję:
+ * - pass - bez zmian
+ * - mask - tekst zamieniony (text), np. wulgaryzmy kropkami (k••••)
+ * - flag - wiadomość przechodzi, ale trafia do przeglądu moderatorów (reason)
+ * - reject - wiadomość odrzucona (reason), kolejne filtry się nie wykonują
+ * Nowy filtr = nowy moduł dopisany do FILTERS (kolejność ma znaczenie).
+ */
+
+const FILTERS = [whitespace, markdown, maxLength, links, profanity, repeat];
+
+// context: { roomId, userId, isEdit, isIntegration, policy }
+// Wynik: { text, flags } albo { rejected: { filter, reason } }
+const runFilters = async (text, context) => {
+  let current = text;
+  const flags = [];
+
+  for (const filter of FILTERS) {
+    const result = await filter.apply(current, context);
+
+    if (result.action === 'reject') {
+      return { rejected: { filter: filter.name, reason: result.reason } };
+    }
+    if (result.action === 'mask') {
+      current = result.text;
+    }
+    if (result.action === 'flag') {
+      flags.push({ filter: filter.name, reason: result.reason });
+    }
+  }
+
+  return { text: current, flags };
+};
+
+module.exports = {
+  FILTERS,
+  runFilters
+};
@@ -0,0 +1,15 @@
+/**
+ * Linki w wiadomości - blokowane tylko w pokojach z filterLinks = 'block'.
+ * Wykrywa adresy z protokołem, www. i gołe domeny (example.com/...).
+ */
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|pl|io|eu|info|biz|xyz|ru|de|uk|gg|ly|me|tv|co)(?:\/\S*)?\b/i;
+
+module.exports = {
+  name: 'links',
+
+  async apply(text, { policy }) {
+    if (policy.links !== 'block') return { action: 'pass' };
+    return LINK_PATTERN.test(text) ? { action: 'reject', reason: 'links_blocked' } : { action: 'pass' };
+  }
+};
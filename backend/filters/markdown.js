@@ -0,0 +1,44 @@
+/**
+ * Markdown - wiadomości są renderowane z podzbioru Markdown (pogrubienie, kursywa,
+ * `kod`, bloki ``` z językiem, [linki](https://...), cytaty "> "). Serwer pilnuje,
+ * żeby zapisany tekst mieścił się w tym podzbiorze:
+ * - niezamknięty blok kodu jest domykany
+ * - język bloku kodu to krótki identyfikator (inaczej usuwany)
+ * - link z innym protokołem niż http(s) / mailto zostaje samym tekstem ([x](javascript:...) -> x)
+ * Klient i tak renderuje tylko ten podzbiór i sprawdza protokół linków ponownie.
+ */
+
+const FENCE = /^```(.*)$/;
+const LANGUAGE = /^[a-z0-9+#-]{1,20}$/i;
+const MARKDOWN_LINK = /\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))*)\)/g;
+const SAFE_URL = /^(?:https?:\/\/|mailto:)/i;
+
+// Linki tylko poza kodem - w `kodzie` i blokach ``` to zwykły tekst
+const sanitizeLinks = (line) => line
+  .split(/(`+[^`]*`+)/)
+  .map((part, i) => (i % 2 === 1 ? part : part.replace(MARKDOWN_LINK, (link, label, url) => (
+    SAFE_URL.test(url) ? link : label
+  ))))
+  .join('');
+
+module.exports = {
+  name: 'markdown',
+
+  async apply(text) {
+    let inCode = false;
+
+    const lines = text.split('\n').map(line => {
+      const fence = line.match(FENCE);
+      if (fence) {
+        const language = fence[1].trim();
+        inCode = !inCode;
+        return inCode && LANGUAGE.test(language) ? `\`\`\`${language}` : '```';
+      }
+      return inCode ? line : sanitizeLinks(line);
+    });
+    if (inCode) lines.push('```');
+
+    const normalized = lines.join('\n');
+    return normalized === text ? { action: 'pass' } : { action: 'mask', text: normalized };
+  }
+};
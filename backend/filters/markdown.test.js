@@ -0,0 +1,43 @@
+const markdown = require('./markdown');
+
+const sanitize = async (text) => {
+  const result = await markdown.apply(text);
+  return result.action === 'mask' ? result.text : text;
+};
+
+describe('markdown filter', () => {
+  it('passes supported markdown unchanged', async () => {
+    const text = '**gruby** *kursywa* `kod` [strona](https://example.com) [mail](mailto:a@example.com)\n> cytat';
+
+    expect(await markdown.apply(text)).toEqual({ action: 'pass' });
+  });
+
+  it.each([
+    ['[kliknij](javascript:alert(1))', 'kliknij'],
+    ['[kliknij](JaVaScRiPt:alert(1))', 'kliknij'],
+    ['[x](data:text/html;base64,PHNjcmlwdD4=)', 'x'],
+    ['[x](vbscript:msgbox)', 'x'],
+    ['[x](//evil.example.com)', 'x'],
+    ['przed [a](javascript:void(0)) po', 'przed a po']
+  ])('replaces %s with its label', async (text, expected) => {
+    expect(await sanitize(text)).toBe(expected);
+  });
+
+  it('keeps mixed-case safe schemes', async () => {
+    expect(await markdown.apply('[a](HTTPS://Example.com) [b](MailTo:a@example.com)')).toEqual({ action: 'pass' });
+  });
+
+  it('leaves links inside code alone', async () => {
+    expect(await markdown.apply('`[a](javascript:x)`')).toEqual({ action: 'pass' });
+    expect(await markdown.apply('```\n[a](javascript:x)\n```')).toEqual({ action: 'pass' });
+  });
+
+  it('closes an unclosed code block', async () => {
+    expect(await sanitize('```js\nconst a = 1;')).toBe('```js\nconst a = 1;\n```');
+  });
+
+  it('drops invalid code block languages', async () => {
+    expect(await sanitize('```<script>\nx\n```')).toBe('```\nx\n```');
+    expect(await sanitize('``` python \nx\n```')).toBe('```python\nx\n```');
+  });
+});
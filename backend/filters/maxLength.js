@@ -0,0 +1,17 @@
+/**
+ * Maksymalna długość wiadomości (po normalizacji białych znaków).
+ */
+
+const MAX_LENGTH = Number(process.env.MESSAGE_MAX_LENGTH) || 500;
+
+module.exports = {
+  name: 'maxLength',
+  MAX_LENGTH,
+
+  async apply(text) {
+    // Długość w znakach, nie w jednostkach UTF-16 (emoji = 1)
+    return [...text].length > MAX_LENGTH
+      ? { action: 'reject', reason: 'too_long' }
+      : { action: 'pass' };
+  }
+};
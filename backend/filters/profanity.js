@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Wulgaryzmy z listy rdzeni (config/profanity.json albo plik z PROFANITY_LIST).
+ * Rdzeń pasuje do początku słowa, więc obejmuje odmianę ("kurw" -> kurwa, kurwy,
+ * kurwami); rdzeń z '*' pasuje też w środku słowa (przedrostki: wy-, za-, s-).
+ * Porównanie bez wielkości liter, polskich znaków i z typowym "leet" (0 -> o, 3 -> e...).
+ * Zwykłe słowa, które zaczynają się jak rdzeń (szmatka, shiitake), są na liście "allow"
+ * (też początki słów). Litery rozdzielone kropkami, myślnikami itp. ("k.u.r.w.a") są sklejane.
+ * Akcja zależy od pokoju (filterProfanity): mask (domyślnie) | reject | flag | off.
+ */
+
+// Nie '*' - gwiazdki w dwóch zamaskowanych słowach klient czytałby jako **pogrubienie**
+const MASK = '•';
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const normalize = (word) => word
+  .toLowerCase()
+  .replace(/ł/g, 'l')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .replace(/[013457@$]/g, char => LEET[char])
+  .replace(/(.)\1+/g, '$1$1'); // "kuuuurwa" -> "kuurwa"
+
+// Słowo, także z separatorami między literami: "k.u.r.w.a", "k-u-r-w-a", "k_u_r_w_a"
+const WORD = /[\p{L}\p{N}@$]+(?:[._*'`|,·-]+[\p{L}\p{N}@$]+)*/gu;
+const SEPARATORS = /[._*'`|,·-]+/g;
+
+const loadList = () => {
+  const file = process.env.PROFANITY_LIST
+    ? path.resolve(process.env.PROFANITY_LIST)
+    : path.join(__dirname, '..', 'config', 'profanity.json');
+
+  try {
+    const { words, allow = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      words: words.map(word => ({
+        stem: normalize(word.replace(/^\*/, '')),
+        anywhere: word.startsWith('*')
+      })),
+      allow: allow.map(normalize)
+    };
+  } catch (error) {
+    console.error('Error loading profanity list:', error);
+    return { words: [], allow: [] };
+  }
+};
+
+const { words: WORDS, allow: ALLOWED } = loadList();
+
+// Dopasowanie dla pojedynczego słowa; powtórzone litery sprawdzamy też zwinięte do jednej
+const isProfaneWord = (word) => {
+  const normalized = normalize(word);
+  const variants = [normalized, normalized.replace(/(.)\1/g, '$1')];
+  if (variants.some(variant => ALLOWED.some(allowed => variant.startsWith(allowed)))) return false;
+
+  return variants.some(variant => WORDS.some(({ stem, anywhere }) => (
+    anywhere ? variant.includes(stem) : variant.startsWith(stem)
+  )));
+};
+
+// Słowo z separatorami: sklejone ("k.u.r.w.a" -> kurwa) albo którakolwiek z części ("np.kurwa")
+const isProfane = (word) => {
+  const parts = word.split(SEPARATORS).filter(Boolean);
+  return isProfaneWord(parts.join('')) || (parts.length > 1 && parts.some(isProfaneWord));
+};
+
+module.exports = {
+  name: 'profanity',
+  isProfane,
+
+  async apply(text, { policy }) {
+    const mode = policy.profanity;
+    if (mode === 'off') return { action: 'pass' };
+
+    let found = false;
+    const masked = text.replace(WORD, (word) => {
+      if (!isProfane(word)) return word;
+      found = true;
+      return word[0] + MASK.repeat([...word].length - 1);
+    });
+
+    if (!found) return { action: 'pass' };
+    if (mode === 'reject') return { action: 'reject', reason: 'profanity' };
+    if (mode === 'flag') return { action: 'flag', reason: 'profanity' };
+    return { action: 'mask', text: masked, reason: 'profanity' };
+  }
+};
@@ -0,0 +1,40 @@
+const profanity = require('./profanity');
+
+const apply = (text, mode = 'mask') => profanity.apply(text, { policy: { profanity: mode } });
+
+describe('profanity filter', () => {
+  it.each(['kurwa', 'KURWY', 'wypierdalaj', 'zajebisty', 'chujowy', 'Szmata', 'kuuuurwa', 'p1zda', 'sh1t'])(
+    'detects %s',
+    (word) => {
+      expect(profanity.isProfane(word)).toBe(true);
+    }
+  );
+
+  it.each(['szmatka', 'szmatki', 'Shiitake', 'shitake', 'huśtawka', 'skarb'])('allows %s', (word) => {
+    expect(profanity.isProfane(word)).toBe(false);
+  });
+
+  it('joins letters split by punctuation', () => {
+    expect(profanity.isProfane('k.u.r.w.a')).toBe(true);
+    expect(profanity.isProfane('k-u-r-w-a')).toBe(true);
+    expect(profanity.isProfane('k_u_r_w_a')).toBe(true);
+    expect(profanity.isProfane('np.kurwa')).toBe(true);
+    expect(profanity.isProfane('e-mail')).toBe(false);
+    expect(profanity.isProfane('m.in')).toBe(false);
+  });
+
+  it('masks each profane word keeping its first letter', async () => {
+    expect(await apply('No kurwa, k.u.r.w.a! A szmatka zostaje.')).toEqual({
+      action: 'mask',
+      text: 'No k••••, k••••••••! A szmatka zostaje.',
+      reason: 'profanity'
+    });
+  });
+
+  it('applies the room policy', async () => {
+    expect(await apply('kurwa', 'reject')).toEqual({ action: 'reject', reason: 'profanity' });
+    expect(await apply('kurwa', 'flag')).toEqual({ action: 'flag', reason: 'profanity' });
+    expect(await apply('kurwa', 'off')).toEqual({ action: 'pass' });
+    expect(await apply('zwykła wiadomość')).toEqual({ action: 'pass' });
+  });
+});
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const redisService = require('../services/redisService');
+
+/**
+ * Spam: ta sama treść wysłana po raz kolejny w krótkim czasie.
+ * - chat:filter:recent:{roomId}:{userId} (List z TTL) - skróty ostatnich wiadomości
+ * MAX_REPEATS identycznych wiadomości w REPEAT_WINDOW s przechodzi, następna jest odrzucana.
+ * Przy edycji nie sprawdzamy (edycja nie dodaje nowej wiadomości), wiadomości integracji
+ * (webhooki przychodzące) też nie - powtarzalne komunikaty CI ogranicza HOOK_RATE_LIMIT.
+ */
+
+const MAX_REPEATS = 2;
+const REPEAT_WINDOW = 60;
+const HISTORY_SIZE = 10;
+
+const recentKey = (roomId, userId) => `chat:filter:recent:${roomId}:${userId}`;
+
+module.exports = {
+  name: 'repeat',
+
+  async apply(text, { roomId, userId, isEdit, isIntegration }) {
+    if (isEdit || isIntegration) return { action: 'pass' };
+
+    const key = recentKey(roomId, userId);
+    const digest = crypto.createHash('sha1').update(text.toLowerCase()).digest('hex');
+
+    const recent = await redisService.getList(key, 0, HISTORY_SIZE - 1);
+    if (recent.filter(item => item === digest).length >= MAX_REPEATS) {
+      return { action: 'reject', reason: 'repeated' };
+    }
+
+    await redisService.push(key, digest);
+    await redisService.trimList(key, 0, HISTORY_SIZE - 1);
+    await redisService.setTTL(key, REPEAT_WINDOW);
+    return { action: 'pass' };
+  }
+};
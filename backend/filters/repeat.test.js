@@ -0,0 +1,44 @@
+const redisService = require('../services/redisService');
+const repeat = require('./repeat');
+
+const context = { roomId: 'general', userId: 'u1', isEdit: false };
+
+describe('repeat filter', () => {
+  let recent;
+
+  beforeEach(() => {
+    recent = [];
+    jest.spyOn(redisService, 'getList').mockImplementation(async () => [...recent]);
+    jest.spyOn(redisService, 'push').mockImplementation(async (key, value) => {
+      recent.unshift(value);
+      return recent.length;
+    });
+    jest.spyOn(redisService, 'trimList').mockResolvedValue(true);
+    jest.spyOn(redisService, 'setTTL').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects the third identical message', async () => {
+    expect(await repeat.apply('Hej', context)).toEqual({ action: 'pass' });
+    expect(await repeat.apply('hej', context)).toEqual({ action: 'pass' });
+    expect(await repeat.apply('HEJ', context)).toEqual({ action: 'reject', reason: 'repeated' });
+    expect(await repeat.apply('Co słychać?', context)).toEqual({ action: 'pass' });
+  });
+
+  it('does not check edits', async () => {
+    recent = ['x', 'x'];
+
+    expect(await repeat.apply('Hej', { ...context, isEdit: true })).toEqual({ action: 'pass' });
+    expect(redisService.getList).not.toHaveBeenCalled();
+  });
+
+  it('does not check integration messages', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await repeat.apply('Deploy OK', { ...context, isIntegration: true })).toEqual({ action: 'pass' });
+    }
+    expect(redisService.push).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Normalizacja białych znaków: bez znaków sterujących i niewidocznych
+ * (zero-width), spacje/tabulatory zwinięte do jednej spacji, najwyżej jedna
+ * pusta linia z rzędu. Łącznik ZWJ (U+200D) zostaje między emoji - skleja sekwencje
+ * jak 👨‍👩‍👧 - a poza nimi jest usuwany (np. wstawiony w środek słowa). Pusta po normalizacji wiadomość jest odrzucana.
+ * W blokach kodu (```) wcięcia mają znaczenie - tam tylko końcowe spacje linii.
+ */
+
+const INVISIBLE = /[\u0000-\u0008\u000B-\u001F\u007F\u200B\u200C\u200E\u200F\u2028-\u202E\u2060\uFEFF]/g;
+// ZWJ, przed którym nie ma emoji (także z modyfikatorem koloru skóry / VS16) albo po którym emoji nie następuje
+const STRAY_ZWJ = /(?<![\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F])\u200D|\u200D(?!\p{Extended_Pictographic})/gu;
+const FENCE = /^\s*```/;
+
+module.exports = {
+  name: 'whitespace',
+
+  async apply(text) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(INVISIBLE, '').replace(STRAY_ZWJ, '').split('\n');
+    const output = [];
+    let inCode = false;
+    let blankRun = 0;
+
+    for (const line of lines) {
+      if (FENCE.test(line)) {
+        inCode = !inCode;
+        blankRun = 0;
+        output.push(line.trim());
+      } else if (inCode) {
+        output.push(line.replace(/[ \t\u00A0]+$/, ''));
+      } else {
+        const prose = line.replace(/[ \t\u00A0]+/g, ' ').trim();
+        blankRun = prose ? 0 : blankRun + 1;
+        if (blankRun < 2) output.push(prose);
+      }
+    }
+
+    const normalized = output.join('\n').replace(/^\n+|\n+$/g, '');
+
+    if (!normalized) return { action: 'reject', reason: 'empty' };
+    return normalized === text ? { action: 'pass' } : { action: 'mask', text: normalized };
+  }
+};
@@ -0,0 +1,43 @@
+const whitespace = require('./whitespace');
+
+const normalize = async (text) => {
+  const result = await whitespace.apply(text);
+  return result.action === 'mask' ? result.text : result;
+};
+
+describe('whitespace filter', () => {
+  it('passes already normalized text', async () => {
+    expect(await whitespace.apply('Cześć,\nco słychać?')).toEqual({ action: 'pass' });
+  });
+
+  it('collapses spaces and blank lines', async () => {
+    expect(await normalize('  ala \t ma   kota  \r\n\r\n\r\n\r\nkoniec  ')).toBe('ala ma kota\n\nkoniec');
+  });
+
+  it('removes control and zero-width characters', async () => {
+    expect(await normalize('ku\u200Brwa\u0007\uFEFF')).toBe('kurwa');
+    expect(await normalize('a\u202Eb\u2060c\u200Cd')).toBe('abcd');
+  });
+
+  it('keeps ZWJ inside emoji sequences', async () => {
+    const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+    const handshake = '\u{1FAF1}\u{1F3FB}\u200D\u{1FAF2}\u{1F3FF}';
+    const rainbow = '\u{1F3F3}\uFE0F\u200D\u{1F308}';
+
+    expect(await whitespace.apply(`${family} ${handshake} ${rainbow}`)).toEqual({ action: 'pass' });
+  });
+
+  it('removes stray ZWJ outside emoji', async () => {
+    expect(await normalize('ku\u200Drwa')).toBe('kurwa');
+    expect(await normalize('\u{1F44D}\u200D ok \u200D\u{1F44D}')).toBe('\u{1F44D} ok \u{1F44D}');
+  });
+
+  it('keeps indentation in code blocks', async () => {
+    expect(await normalize('kod:\n  ```js  \nif (a) {\n    return 1;   \n}\n```'))
+      .toBe('kod:\n```js\nif (a) {\n    return 1;\n}\n```');
+  });
+
+  it('rejects text that is empty after normalization', async () => {
+    expect(await whitespace.apply(' \n\u200B\t\u200D ')).toEqual({ action: 'reject', reason: 'empty' });
+  });
+});
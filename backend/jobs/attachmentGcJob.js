@@ -0,0 +1,51 @@
+const attachmentService = require('../services/attachmentService');
+
+/**
+ * Attachment GC Job - zwalnia załączniki nieprzejęte przez wiadomość w PENDING_TTL
+ * i kasuje z dysku pliki, do których nie odwołuje się już żaden załącznik
+ * (chat:attachment:orphans). Przejęcia są atomowe (Lua), więc przy kilku instancjach
+ * każdy plik sprząta jedna.
+ */
+
+class AttachmentGcJob {
+  constructor() {
+    this.INTERVAL = 60 * 1000; // co minutę
+    this.BATCH_SIZE = 100;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), this.INTERVAL);
+    console.log(`Attachment GC started (every ${this.INTERVAL / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const released = await attachmentService.releaseStale(this.BATCH_SIZE);
+      const removed = await attachmentService.removeOrphans(this.BATCH_SIZE);
+
+      if (released > 0 || removed > 0) {
+        console.log(`Attachment GC: released ${released} unclaimed uploads, removed ${removed} files`);
+      }
+    } catch (error) {
+      console.error('Attachment GC failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new AttachmentGcJob();
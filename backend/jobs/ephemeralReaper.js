@@ -0,0 +1,84 @@
+const chatService = require('../services/chatService');
+const webhookService = require('../services/webhookService');
+
+/**
+ * Ephemeral Reaper - co 2 s usuwa wygasłe wiadomości znikające (message-deleted z expired: true)
+ * i pokoje znikające po bezczynności (room-deleted, sockety opuszczają pokój).
+ * Wpisy przejmowane są atomowo (chatService.claimExpired*), więc reaper może działać
+ * na każdej instancji serwera jednocześnie; usuwanie jest idempotentne.
+ */
+
+class EphemeralReaper {
+  constructor() {
+    this.INTERVAL = 2 * 1000; // co 2 s
+    this.BATCH_SIZE = 50;
+    this.timer = null;
+    this.running = false;
+    this.io = null;
+  }
+
+  start(io) {
+    if (this.timer) return;
+
+    this.io = io;
+    this.timer = setInterval(() => this.run(), this.INTERVAL);
+    console.log(`Ephemeral reaper started (every ${this.INTERVAL / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async expireMessage({ roomId, messageId }) {
+    if (!(await chatService.purgeMessage(roomId, messageId))) return false;
+
+    this.io.to(roomId).emit('message-deleted', { roomId, messageId, expired: true, deletedAt: Date.now() });
+    return true;
+  }
+
+  // Integracje pokoju (webhooki wychodzące, tokeny przychodzące) znikają razem z nim
+  async expireRoom(roomId) {
+    if (!(await chatService.isRoomExpired(roomId))) return false;
+
+    for (const webhook of await webhookService.listWebhooks(roomId)) {
+      await webhookService.deleteWebhook(webhook);
+    }
+    for (const hook of await webhookService.listHooks(roomId)) {
+      await webhookService.revokeHook(roomId, hook.token);
+    }
+    if (!(await chatService.deleteRoom(roomId))) return false;
+
+    this.io.to(roomId).emit('room-deleted', { roomId, reason: 'expired' });
+    this.io.in(roomId).socketsLeave(roomId);
+    return true;
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      for (const entry of await chatService.claimExpiredMessages(this.BATCH_SIZE)) {
+        await this.expireMessage(entry);
+      }
+
+      let rooms = 0;
+      for (const roomId of await chatService.claimExpiredRooms(this.BATCH_SIZE)) {
+        if (await this.expireRoom(roomId)) rooms++;
+      }
+
+      if (rooms > 0) {
+        console.log(`Ephemeral reaper: removed ${rooms} inactive rooms`);
+      }
+    } catch (error) {
+      console.error('Ephemeral reaper failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new EphemeralReaper();
@@ -0,0 +1,56 @@
+const chatService = require('../services/chatService');
+
+/**
+ * Presence Sweeper - okresowo usuwa z chat:users:presence użytkowników,
+ * którzy przestali wysyłać heartbeat (np. po awarii serwera lub utracie sieci),
+ * i rozgłasza zmiany statusu (online / away / offline) do wszystkich klientów.
+ * Przy okazji odnawia heartbeat instancji i sprząta liczniki połączeń instancji,
+ * które padły (chatService.reconcileDeadNodes) - ich użytkownicy opuszczają pokoje.
+ */
+
+class PresenceSweeper {
+  constructor() {
+    this.INTERVAL = 15 * 1000; // co 15 sekund
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(io) {
+    if (this.timer) return;
+
+    this.io = io;
+    this.timer = setInterval(() => this.sweep(), this.INTERVAL);
+    console.log(`Presence sweeper started (every ${this.INTERVAL / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async sweep() {
+    // Nie nakładaj przebiegów, jeśli Redis odpowiada wolniej niż interwał
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await chatService.heartbeatNode();
+      for (const { roomId, userId, username } of await chatService.reconcileDeadNodes()) {
+        this.io.to(roomId).emit('user-left', { userId, username, message: `${username} opuścił pokój` });
+      }
+      
+      const changes = await chatService.sweepPresence();
+      for (const change of changes) {
+        this.io.emit('user-status-changed', change);
+      }
+    } catch (error) {
+      console.error('Presence sweep failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new PresenceSweeper();
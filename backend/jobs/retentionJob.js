@@ -0,0 +1,57 @@
+const chatService = require('../services/chatService');
+
+/**
+ * Retention Job - okresowo egzekwuje politykę przechowywania wiadomości
+ * (retentionCount / retentionMaxAge z hasha pokoju) we wszystkich pokojach
+ * z chat:rooms:all i rozmowach prywatnych z chat:dm:all. Limit liczby jest pilnowany też przy każdym wysłaniu,
+ * tutaj przede wszystkim usuwane są wiadomości starsze niż retentionMaxAge.
+ */
+
+class RetentionJob {
+  constructor() {
+    this.INTERVAL = 60 * 1000; // co minutę
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), this.INTERVAL);
+    console.log(`Retention job started (every ${this.INTERVAL / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const roomIds = [
+        ...await chatService.getAllRoomIds(),
+        ...await chatService.getAllDirectRoomIds()
+      ];
+      let removed = 0;
+
+      for (const roomId of roomIds) {
+        removed += await chatService.enforceRetention(roomId);
+      }
+
+      if (removed > 0) {
+        console.log(`Retention: removed ${removed} messages across ${roomIds.length} rooms`);
+      }
+    } catch (error) {
+      console.error('Retention job failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new RetentionJob();
@@ -0,0 +1,90 @@
+const chatService = require('../services/chatService');
+const scheduleService = require('../services/scheduleService');
+const { notifyNewMessage, emitScheduledResult } = require('../socket/notifications');
+
+/**
+ * Scheduled Message Job - co sekundę przejmuje należne wiadomości z chat:scheduled:queue
+ * i wysyła je zwykłą ścieżką (chatService.sendMessage + new-message + powiadomienia).
+ * Przejęcie jest atomowe, więc job może działać na każdej instancji serwera jednocześnie.
+ * Przy wysyłce ponownie sprawdzane są dostęp do pokoju i wyciszenie / ban autora.
+ */
+
+class ScheduledMessageJob {
+  constructor() {
+    this.INTERVAL = 1000; // co 1 s
+    this.BATCH_SIZE = 20;
+    this.timer = null;
+    this.running = false;
+    this.io = null;
+  }
+
+  start(io) {
+    if (this.timer) return;
+
+    this.io = io;
+    this.timer = setInterval(() => this.run(), this.INTERVAL);
+    console.log(`Scheduled message job started (every ${this.INTERVAL / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Powód, dla którego autor nie może już pisać w pokoju, albo null
+  async checkAuthor({ roomId, userId }) {
+    if (!chatService.isDirectRoom(roomId) && !(await chatService.getRoomInfo(roomId))) return 'room_not_found';
+    if (!(await chatService.canAccessRoom(roomId, userId))) return 'forbidden';
+
+    const restriction = await chatService.checkCanPost(roomId, userId);
+    return restriction ? restriction.error : null;
+  }
+
+  // Wynik: 'sent' | 'failed' | 'retry' (błąd zapisu - wróci po dzierżawie) | 'skipped'
+  async send(id) {
+    const scheduled = await scheduleService.getScheduled(id);
+    if (!scheduled) {
+      await scheduleService.discard(id);
+      return 'skipped';
+    }
+
+    const reason = await this.checkAuthor(scheduled);
+    const message = reason
+      ? null
+      : await chatService.sendMessage(scheduled.roomId, scheduled.userId, scheduled.username, scheduled.message);
+    if (!reason && !message) return 'retry';
+
+    await scheduleService.remove(scheduled);
+
+    if (reason || message.error) {
+      emitScheduledResult(this.io, scheduled, { status: 'failed', reason: reason || message.reason });
+      return 'failed';
+    }
+
+    this.io.to(scheduled.roomId).emit('new-message', message);
+    await notifyNewMessage(this.io, message);
+    emitScheduledResult(this.io, scheduled, { status: 'sent', messageId: message.id });
+    return 'sent';
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const ids = await scheduleService.claimDue(this.BATCH_SIZE);
+      // Po kolei - wiadomości jednego autora zostają w kolejności terminów
+      for (const id of ids) {
+        await this.send(id);
+      }
+    } catch (error) {
+      console.error('Scheduled message job failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new ScheduledMessageJob();
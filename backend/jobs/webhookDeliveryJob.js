@@ -0,0 +1,51 @@
+const webhookService = require('../services/webhookService');
+
+/**
+ * Webhook Delivery Job - co kilka sekund przejmuje należne dostawy z kolejki
+ * chat:webhooks:queue i wysyła je (webhookService.deliver). Przejęcie jest atomowe,
+ * więc job może działać na każdej instancji serwera jednocześnie.
+ */
+
+class WebhookDeliveryJob {
+  constructor() {
+    this.INTERVAL = 2 * 1000; // co 2 s
+    this.BATCH_SIZE = 20;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), this.INTERVAL);
+    console.log(`Webhook delivery job started (every ${this.INTERVAL / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const ids = await webhookService.claimDue(this.BATCH_SIZE);
+      const results = await Promise.all(ids.map(id => webhookService.deliver(id)));
+
+      const dead = results.filter(result => result === 'dead').length;
+      if (dead > 0) {
+        console.log(`Webhooks: ${dead} deliveries moved to dead letter`);
+      }
+    } catch (error) {
+      console.error('Webhook delivery job failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new WebhookDeliveryJob();
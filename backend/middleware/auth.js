@@ -0,0 +1,58 @@
+const authService = require('../services/authService');
+
+/**
+ * Middleware uwierzytelniania - token JWT z nagłówka "Authorization: Bearer <token>"
+ * Po weryfikacji tożsamość użytkownika jest dostępna jako req.user (rola odczytana z konta)
+ */
+
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  const user = await authService.authenticateToken(token);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Wymaga roli administratora (ADMIN_USERNAMES) - używać po authenticate
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin privileges required'
+    });
+  }
+  next();
+};
+
+// Socket.io handshake - klient przekazuje token w io(url, { auth: { token } })
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  const user = token ? await authService.authenticateToken(token) : null;
+
+  if (!user) {
+    return next(new Error('Unauthorized'));
+  }
+
+  socket.data.user = user;
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  authenticateSocket
+};
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const chatService = require('../services/chatService');
+const { authenticate } = require('../middleware/auth');
+
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.-]{2,20}$/u;
+const MIN_PASSWORD_LENGTH = 6;
+
+const validateCredentials = (username, password) => {
+  if (!username || !password) {
+    return 'Username and password are required';
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username must be 2-20 letters, digits, "_", "." or "-"';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+const startSession = async (user) => {
+  const token = authService.generateToken(user);
+
+  // Sesja w Redis (STRING z TTL) - ta sama struktura co w demo /api/chat/demo/session
+  await chatService.createUserSession(user.id, {
+    id: user.id,
+    username: user.username,
+    loggedInAt: Date.now()
+  });
+
+  return { token, user };
+};
+
+// Register
+router.post('/register', async (req, res) => {
+  try {
+    const username = (req.body.username || '').trim();
+    const { password } = req.body;
+
+    const validationError = validateCredentials(username, password);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (await authService.isUsernameTaken(username)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username already taken'
+      });
+    }
+
+    const user = await authService.register(username, password);
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'Username already taken'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await startSession(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Login
+router.post('/login', async (req, res) => {
+  try {
+    const username = (req.body.username || '').trim();
+    const { password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username and password are required'
+      });
+    }
+
+    const user = await authService.login(username, password);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await startSession(user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Current user
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await authService.getUser(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const chatService = require('../services/chatService');
+const searchService = require('../services/searchService');
+const { requireAdmin } = require('../middleware/auth');
+const { notifyNewMessage, emitModeration } = require('../socket/notifications');
+const commands = require('../commands');
+const bots = require('../bots');
+const webhookService = require('../services/webhookService');
+const attachmentService = require('../services/attachmentService');
+const scheduleService = require('../services/scheduleService');
+const { MAX_LENGTH } = require('../filters/maxLength');
+const multer = require('multer');
+
+// Błędy operacji na wiadomościach (chatService) -> odpowiedź HTTP
+const MESSAGE_ERRORS = {
+  invalid: { status: 400, error: 'Message text is required' },
+  not_found: { status: 404, error: 'Message not found' },
+  deleted: { status: 410, error: 'Message has been deleted' },
+  forbidden: { status: 403, error: 'Not allowed to modify this message' },
+  failed: { status: 500, error: 'Failed to send message' },
+  muted: { status: 403, error: 'You are muted in this room' },
+  banned: { status: 403, error: 'You are banned from this room' },
+  rejected: { status: 422, error: 'Message rejected by content filter' }
+};
+
+// result - wynik chatService; przy odrzuceniu przez filtr dokładamy filter i reason
+const sendMessageError = (res, code, result = {}) => {
+  const { status, error } = MESSAGE_ERRORS[code];
+  const details = code === 'rejected' ? { filter: result.filter, reason: result.reason } : {};
+  return res.status(status).json({ success: false, error, ...details });
+};
+
+// Widoczność pokoju + hasło (pokój na hasło) - komunikat błędu albo null
+const MIN_ROOM_PASSWORD_LENGTH = 4;
+const validateRoomAccess = (visibility, password) => {
+  if (!chatService.ROOM_VISIBILITIES.includes(visibility)) {
+    return `visibility must be one of: ${chatService.ROOM_VISIBILITIES.join(', ')}`;
+  }
+  if (visibility === 'password' && (typeof password !== 'string' || password.length < MIN_ROOM_PASSWORD_LENGTH)) {
+    return `Password must be at least ${MIN_ROOM_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Błędy dołączenia / zaproszeń (chatService.authorizeJoin, redeemInvite) -> odpowiedź HTTP
+const INVITE_ERRORS = {
+  invalid: { status: 400, error: 'Invites are not available for this room' },
+  invalid_invite: { status: 404, error: 'Invite is invalid or has expired' },
+  not_found: { status: 404, error: 'Invite not found' },
+  forbidden: { status: 403, error: 'Not allowed to manage this invite' },
+  failed: { status: 500, error: 'Failed to process invite' }
+};
+
+// Rozmowy prywatne (dm:...) - tylko uczestnicy, pokoje prywatne / na hasło - tylko członkowie
+router.param('roomId', async (req, res, next, roomId) => {
+  try {
+    if (!(await chatService.canAccessRoom(roomId, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access to this room is not allowed'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // ======= ROOM OPERATIONS =======
 
@@ -9,12 +74,19 @@ router.get('/rooms', async (req, res) => {
   try {
     // Pobierz wszystkie roomId z Redis Set
     const roomIds = await chatService.getAllRoomIds();
+    const unread = await chatService.getUnreadCounts(req.user.userId, roomIds);
     const rooms = [];
     
     for (const roomId of roomIds) {
       const roomInfo = await chatService.getRoomInfo(roomId);
+      // Pokoje prywatne widzą tylko członkowie (pokoje na hasło są widoczne dla wszystkich)
+      if (roomInfo && roomInfo.visibility === 'private'
+        && !(await chatService.isRoomMember(roomId, req.user.userId))) {
+        continue;
+      }
       if (roomInfo) {
-        rooms.push(roomInfo);
+        // Stan odczytu zależy od użytkownika - doklejany poza cache pokoju
+        rooms.push({ ...roomInfo, ...unread[roomId] });
       }
     }
     
@@ -58,7 +130,7 @@ router.get('/rooms/:roomId', async (req, res) => {
 // Create room
 router.post('/rooms', async (req, res) => {
   try {
-    const { roomId, name, createdBy } = req.body;
+    const { roomId, name, visibility = 'public', password, ttl } = req.body;
     
     if (!roomId || !name) {
       return res.status(400).json({
@@ -67,7 +139,40 @@ router.post('/rooms', async (req, res) => {
       });
     }
     
-    const room = await chatService.createRoom(roomId, name, createdBy || 'anonymous');
+    // Bez ":" - także zarezerwowany prefiks rozmów prywatnych "dm:"
+    if (!chatService.isValidRoomId(roomId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Room ID may contain only letters, digits, "_" and "-" (max 64 characters)'
+      });
+    }
+    
+    const accessError = validateRoomAccess(visibility, password);
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        error: accessError
+      });
+    }
+    
+    // Pokój znikający - ttl = sekundy bezczynności do usunięcia
+    if (ttl !== undefined && ttl !== null
+      && !chatService.isValidDuration(ttl, chatService.ROOM_TTL_MIN, chatService.ROOM_TTL_MAX)) {
+      return res.status(400).json({
+        success: false,
+        error: `ttl must be an integer between ${chatService.ROOM_TTL_MIN} and ${chatService.ROOM_TTL_MAX} seconds`
+      });
+    }
+    
+    if (await chatService.getRoomInfo(roomId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Room already exists'
+      });
+    }
+    
+    const room = await chatService.createRoom(roomId, name, req.user.userId, { visibility, password, inactivityTtl: ttl });
+    await webhookService.publish('room-created', roomId, { room: await chatService.getRoomInfo(roomId) });
     
     res.status(201).json({
       success: true,
@@ -81,19 +186,53 @@ router.post('/rooms', async (req, res) => {
   }
 });
 
-// ======= MESSAGE OPERATIONS =======
+// Get room retention policy
+router.get('/rooms/:roomId/retention', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const policy = await chatService.getRetentionPolicy(roomId);
+    
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-// Get messages for room
-router.get('/rooms/:roomId/messages', async (req, res) => {
+// Update room retention policy (admin)
+// maxCount - liczba wiadomości, maxAge - wiek w sekundach (0 = bez limitu)
+router.put('/rooms/:roomId/retention', requireAdmin, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { limit = 50 } = req.query;
+    const { maxCount, maxAge } = req.body;
+    
+    const isValid = (value, min) => value === undefined || (Number.isInteger(value) && value >= min);
+    if ((maxCount === undefined && maxAge === undefined) || !isValid(maxCount, 1) || !isValid(maxAge, 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxCount must be an integer >= 1 and maxAge an integer >= 0'
+      });
+    }
+    
+    const roomInfo = await chatService.getRoomInfo(roomId);
+    if (!roomInfo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
     
-    const messages = await chatService.getMessages(roomId, parseInt(limit));
+    const policy = await chatService.setRetentionPolicy(roomId, { maxCount, maxAge });
     
     res.json({
       success: true,
-      data: messages
+      data: policy,
+      redisCommand: `HSET chat:room:${roomId} retentionCount ${policy.maxCount} retentionMaxAge ${policy.maxAge}`
     });
   } catch (error) {
     res.status(500).json({
@@ -103,31 +242,63 @@ router.get('/rooms/:roomId/messages', async (req, res) => {
   }
 });
 
-// Send message (REST endpoint - głównie do testów)
-router.post('/rooms/:roomId/messages', async (req, res) => {
+// Get room rate limit (messages per window seconds)
+router.get('/rooms/:roomId/rate-limit', async (req, res) => {
+  try {
+    const policy = await chatService.getRateLimitPolicy(req.params.roomId);
+    
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update room rate limit (moderator) - body: { messages, window (s) }
+router.put('/rooms/:roomId/rate-limit', async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { userId, username, message } = req.body;
+    const { messages, window } = req.body;
     
-    if (!userId || !username || !message) {
+    const isValid = (value, min, max) => value === undefined
+      || (Number.isInteger(value) && value >= min && value <= max);
+    if ((messages === undefined && window === undefined) || !isValid(messages, 1, 1000) || !isValid(window, 1, 3600)) {
       return res.status(400).json({
         success: false,
-        error: 'All fields are required'
+        error: 'messages must be an integer 1-1000 and window an integer 1-3600 (seconds)'
+      });
+    }
+    
+    if (!(await chatService.getRoomInfo(roomId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
       });
     }
     
-    const messageObj = await chatService.sendMessage(roomId, userId, username, message);
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can change the rate limit'
+      });
+    }
     
-    if (!messageObj) {
+    const policy = await chatService.setRateLimitPolicy(roomId, { messages, window });
+    if (!policy) {
       return res.status(500).json({
         success: false,
-        error: 'Failed to send message'
+        error: 'Failed to update rate limit'
       });
     }
     
-    res.status(201).json({
+    res.json({
       success: true,
-      data: messageObj
+      data: policy
     });
   } catch (error) {
     res.status(500).json({
@@ -137,17 +308,14 @@ router.post('/rooms/:roomId/messages', async (req, res) => {
   }
 });
 
-// ======= USER OPERATIONS =======
-
-// Get user stats
-router.get('/users/:userId/stats', async (req, res) => {
+// Get room content filters
+router.get('/rooms/:roomId/filters', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const stats = await chatService.getUserStats(userId);
+    const policy = await chatService.getFilterPolicy(req.params.roomId);
     
     res.json({
       success: true,
-      data: stats
+      data: policy
     });
   } catch (error) {
     res.status(500).json({
@@ -157,22 +325,48 @@ router.get('/users/:userId/stats', async (req, res) => {
   }
 });
 
-// Get user profile
-router.get('/users/:userId', async (req, res) => {
+// Update room content filters (moderator) - body: { links: allow|block, profanity: mask|reject|flag|off }
+router.put('/rooms/:roomId/filters', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const profile = await chatService.getUserProfile(userId);
+    const { roomId } = req.params;
+    const { links, profanity } = req.body;
     
-    if (!profile || !profile.id) {
+    const isValid = (value, allowed) => value === undefined || allowed.includes(value);
+    if ((links === undefined && profanity === undefined)
+      || !isValid(links, chatService.LINK_FILTER_MODES)
+      || !isValid(profanity, chatService.PROFANITY_FILTER_MODES)) {
+      return res.status(400).json({
+        success: false,
+        error: `links must be one of: ${chatService.LINK_FILTER_MODES.join(', ')}; `
+          + `profanity one of: ${chatService.PROFANITY_FILTER_MODES.join(', ')}`
+      });
+    }
+    
+    if (!(await chatService.getRoomInfo(roomId))) {
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: 'Room not found'
+      });
+    }
+    
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can change content filters'
+      });
+    }
+    
+    const policy = await chatService.setFilterPolicy(roomId, { links, profanity });
+    if (!policy) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update content filters'
       });
     }
     
     res.json({
       success: true,
-      data: profile
+      data: policy
     });
   } catch (error) {
     res.status(500).json({
@@ -182,27 +376,95 @@ router.get('/users/:userId', async (req, res) => {
   }
 });
 
-// Create/Update user profile
-router.put('/users/:userId', async (req, res) => {
+// Flagged messages (moderatorzy) - wiadomości oznaczone przez filtry, od najnowszych
+router.get('/rooms/:roomId/flagged', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const profileData = req.body;
+    const { roomId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
     
-    profileData.id = userId;
-    profileData.updatedAt = Date.now();
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can review flagged messages'
+      });
+    }
     
-    const success = await chatService.createUserProfile(userId, profileData);
+    res.json({
+      success: true,
+      data: await chatService.getFlaggedMessages(roomId, limit)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Slash commands available to the current user in the room (autocomplete, /help)
+router.get('/rooms/:roomId/commands', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await commands.listCommands(req.params.roomId, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= ROOM ACCESS & INVITES =======
+
+// Change room visibility (moderator) - body: { visibility, password }
+router.put('/rooms/:roomId/access', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { visibility, password } = req.body;
     
-    if (!success) {
+    if (chatService.isDirectRoom(roomId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Direct message conversations are always private'
+      });
+    }
+    
+    const accessError = validateRoomAccess(visibility, password);
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        error: accessError
+      });
+    }
+    
+    if (!(await chatService.getRoomInfo(roomId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can change access'
+      });
+    }
+    
+    // Zmieniający zostaje członkiem - nie odetnie sobie dostępu
+    await chatService.addRoomMember(roomId, req.user.userId);
+    if (!(await chatService.setRoomAccess(roomId, { visibility, password }))) {
       return res.status(500).json({
         success: false,
-        error: 'Failed to update profile'
+        error: 'Failed to update room access'
       });
     }
     
     res.json({
       success: true,
-      data: profileData
+      data: await chatService.getRoomInfo(roomId)
     });
   } catch (error) {
     res.status(500).json({
@@ -212,14 +474,53 @@ router.put('/users/:userId', async (req, res) => {
   }
 });
 
-// Get online users
-router.get('/users/online', async (req, res) => {
+// Create invite (członek pokoju) - body: { expiresIn (s), maxUses (0 = bez limitu) }
+router.post('/rooms/:roomId/invites', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { expiresIn, maxUses } = req.body;
+    
+    const isValid = (value, min) => value === undefined || (Number.isInteger(value) && value >= min);
+    if (!isValid(expiresIn, 60) || !isValid(maxUses, 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresIn must be an integer >= 60 and maxUses an integer >= 0'
+      });
+    }
+    
+    if (!(await chatService.getRoomInfo(roomId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    const result = await chatService.createInvite(roomId, req.user, { expiresIn, maxUses });
+    if (result.error) {
+      const { status, error } = INVITE_ERRORS[result.error];
+      return res.status(status).json({ success: false, error });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.invite
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List active invites
+router.get('/rooms/:roomId/invites', async (req, res) => {
   try {
-    const onlineUsers = await chatService.getOnlineUsers();
+    const invites = await chatService.listInvites(req.params.roomId);
     
     res.json({
       success: true,
-      data: onlineUsers
+      data: invites
     });
   } catch (error) {
     res.status(500).json({
@@ -229,17 +530,42 @@ router.get('/users/online', async (req, res) => {
   }
 });
 
-// ======= STATISTICS =======
+// Revoke invite (wystawiający albo moderator)
+router.delete('/rooms/:roomId/invites/:token', async (req, res) => {
+  try {
+    const { roomId, token } = req.params;
+    const result = await chatService.revokeInvite(roomId, token, req.user);
+    
+    if (result.error) {
+      const { status, error } = INVITE_ERRORS[result.error];
+      return res.status(status).json({ success: false, error });
+    }
+    
+    res.json({
+      success: true,
+      redisCommand: `DEL ${chatService.inviteKey(token)}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-// Get top users
-router.get('/stats/top-users', async (req, res) => {
+// Accept invite - użytkownik zostaje członkiem pokoju, potem zwykły join-room
+router.post('/invites/:token/accept', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
-    const topUsers = await chatService.getTopUsers(parseInt(limit));
+    const result = await chatService.redeemInvite(req.params.token, req.user.userId);
+    
+    if (result.error) {
+      const { status, error } = INVITE_ERRORS[result.error];
+      return res.status(status).json({ success: false, error });
+    }
     
     res.json({
       success: true,
-      data: topUsers
+      data: await chatService.getRoomInfo(result.roomId)
     });
   } catch (error) {
     res.status(500).json({
@@ -249,15 +575,45 @@ router.get('/stats/top-users', async (req, res) => {
   }
 });
 
-// Get leaderboard
-router.get('/stats/leaderboard', async (req, res) => {
+// ======= MODERATION =======
+
+const MODERATION_ERRORS = {
+  invalid: { status: 400, error: 'Invalid moderation request (duration in seconds, up to 30 days)' },
+  forbidden: { status: 403, error: 'Not allowed to moderate this user' },
+  not_found: { status: 404, error: 'User not found' },
+  failed: { status: 500, error: 'Failed to apply moderation action' }
+};
+
+// akcja w ścieżce -> chatService; body: { userId, duration (s), reason }
+const MODERATION_ACTIONS = {
+  kick: (roomId, user, body) => chatService.kickUser(roomId, user, body.userId, body),
+  mute: (roomId, user, body) => chatService.muteUser(roomId, user, body.userId, body),
+  unmute: (roomId, user, body) => chatService.unmuteUser(roomId, user, body.userId),
+  ban: (roomId, user, body) => chatService.banUser(roomId, user, body.userId, body),
+  unban: (roomId, user, body) => chatService.unbanUser(roomId, user, body.userId)
+};
+
+const sendModerationResult = (req, res, result) => {
+  if (result.error) {
+    const { status, error } = MODERATION_ERRORS[result.error];
+    return res.status(status).json({ success: false, error });
+  }
+  
+  emitModeration(req.app.get('io'), result.entry);
+  res.json({
+    success: true,
+    data: result.entry
+  });
+};
+
+// Moderation state - role, aktywne wyciszenia i bany
+router.get('/rooms/:roomId/moderation', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
-    const leaderboard = await chatService.getLeaderboard(parseInt(limit));
+    const state = await chatService.getModerationState(req.params.roomId);
     
     res.json({
       success: true,
-      data: leaderboard
+      data: state
     });
   } catch (error) {
     res.status(500).json({
@@ -267,7 +623,1405 @@ router.get('/stats/leaderboard', async (req, res) => {
   }
 });
 
-// ======= CRUD DEMONSTRATIONS =======
+// Moderation log (moderatorzy) - od najnowszych
+router.get('/rooms/:roomId/moderation/log', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can read the moderation log'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await chatService.getModerationLog(roomId, limit)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Kick / mute / unmute / ban / unban (body: { userId, duration, reason })
+router.post('/rooms/:roomId/moderation/:action', async (req, res) => {
+  try {
+    const { roomId, action } = req.params;
+    
+    if (!MODERATION_ACTIONS[action]) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown moderation action (${Object.keys(MODERATION_ACTIONS).join(', ')})`
+      });
+    }
+    
+    const result = await MODERATION_ACTIONS[action](roomId, req.user, req.body);
+    sendModerationResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Set room role (właściciel) - body: { role: 'moderator' | 'member' }
+router.put('/rooms/:roomId/roles/:userId', async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const result = await chatService.setRoomRole(roomId, req.user, userId, req.body.role);
+    sendModerationResult(req, res, result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= WEBHOOKS =======
+
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Walidacja subskrypcji - komunikat błędu albo null; partial - pola opcjonalne (zmiana)
+const validateWebhook = ({ url, events, secret }, { partial = false } = {}) => {
+  if ((url !== undefined || !partial) && !isHttpUrl(url)) {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (events !== undefined
+    && (!Array.isArray(events) || events.some(event => !webhookService.EVENTS.includes(event)))) {
+    return `events must be an array of: ${webhookService.EVENTS.join(', ')}`;
+  }
+  if (secret !== undefined && secret !== null
+    && (typeof secret !== 'string' || secret.length < MIN_WEBHOOK_SECRET_LENGTH)) {
+    return `secret must be at least ${MIN_WEBHOOK_SECRET_LENGTH} characters`;
+  }
+  return null;
+};
+
+const WEBHOOK_URL_ERRORS = {
+  invalid_url: 'url must be an absolute http(s) URL',
+  unresolvable: 'url host cannot be resolved',
+  blocked_address: 'url must point to a public address (not loopback, private or link-local)'
+};
+
+// Subskrypcje pokoju zarządza moderator, globalne ('*') - admin
+const canManageWebhooks = async (roomId, user) => (
+  roomId === '*' ? user.role === 'admin' : await chatService.canModerate(roomId, user)
+);
+
+// Subskrypcja z :webhookId, o ile użytkownik może nią zarządzać (inaczej odpowiedź 404 / 403)
+const loadWebhook = async (req, res) => {
+  const webhook = await webhookService.getWebhook(req.params.webhookId);
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+    return null;
+  }
+  if (!(await canManageWebhooks(webhook.roomId, req.user))) {
+    res.status(403).json({
+      success: false,
+      error: 'Only room moderators can manage webhooks'
+    });
+    return null;
+  }
+  return webhook;
+};
+
+const listWebhooks = async (req, res, roomId) => {
+  try {
+    if (!(await canManageWebhooks(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can manage webhooks'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await webhookService.listWebhooks(roomId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Odpowiedź zawiera sekret - jedyny moment, w którym jest widoczny
+const createWebhook = async (req, res, roomId) => {
+  try {
+    const { url, events, secret } = req.body;
+    
+    const validationError = validateWebhook({ url, events, secret });
+    const urlError = !validationError && await webhookService.checkUrl(url);
+    if (validationError || urlError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError || WEBHOOK_URL_ERRORS[urlError]
+      });
+    }
+    
+    if (roomId !== '*' && (chatService.isDirectRoom(roomId) || !(await chatService.getRoomInfo(roomId)))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    if (!(await canManageWebhooks(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can manage webhooks'
+      });
+    }
+    
+    const result = await webhookService.createWebhook(roomId, req.user, { url, events, secret });
+    if (result.error) {
+      return res.status(result.error === 'limit' ? 409 : 500).json({
+        success: false,
+        error: result.error === 'limit'
+          ? `A room can have at most ${webhookService.MAX_WEBHOOKS_PER_ROOM} webhooks`
+          : 'Failed to create webhook'
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Room webhooks (moderator)
+router.get('/rooms/:roomId/webhooks', (req, res) => listWebhooks(req, res, req.params.roomId));
+
+// Subscribe room events - body: { url, events?, secret? }
+router.post('/rooms/:roomId/webhooks', (req, res) => createWebhook(req, res, req.params.roomId));
+
+// Global webhooks - events from all rooms, including room-created (admin)
+router.get('/webhooks', requireAdmin, (req, res) => listWebhooks(req, res, '*'));
+
+router.post('/webhooks', requireAdmin, (req, res) => createWebhook(req, res, '*'));
+
+// Dead-letter deliveries across all webhooks (admin)
+router.get('/webhooks/dead-letters', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), webhookService.DEAD_LETTER_LIMIT);
+    
+    res.json({
+      success: true,
+      data: await webhookService.listDeadLetters(limit)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update webhook - body: { url?, events?, active? }
+router.put('/webhooks/:webhookId', async (req, res) => {
+  try {
+    const { url, events, active } = req.body;
+    
+    const validationError = validateWebhook({ url, events }, { partial: true });
+    if (validationError || (active !== undefined && typeof active !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        error: validationError || 'active must be a boolean'
+      });
+    }
+    
+    if (!(await loadWebhook(req, res))) return;
+    
+    const urlError = url !== undefined && await webhookService.checkUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        error: WEBHOOK_URL_ERRORS[urlError]
+      });
+    }
+    
+    const webhook = await webhookService.updateWebhook(req.params.webhookId, { url, events, active });
+    if (!webhook) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/webhooks/:webhookId', async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+    
+    await webhookService.deleteWebhook(webhook);
+    
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Recent deliveries - ?status=pending|failed|delivered|dead&limit=50
+router.get('/webhooks/:webhookId/deliveries', async (req, res) => {
+  try {
+    if (!(await loadWebhook(req, res))) return;
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), webhookService.DELIVERY_LOG_LIMIT);
+    
+    res.json({
+      success: true,
+      data: await webhookService.listDeliveries(req.params.webhookId, { status: req.query.status, limit })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replay one delivery (also from the dead-letter list)
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    if (!(await loadWebhook(req, res))) return;
+    
+    const delivery = await webhookService.getDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== req.params.webhookId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await webhookService.replayDelivery(delivery.id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replay all failed and dead-lettered deliveries of the webhook
+router.post('/webhooks/:webhookId/replay', async (req, res) => {
+  try {
+    if (!(await loadWebhook(req, res))) return;
+    
+    res.json({
+      success: true,
+      replayed: await webhookService.replayFailed(req.params.webhookId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= INCOMING WEBHOOKS =======
+
+// Incoming webhook tokens of the room (moderator)
+router.get('/rooms/:roomId/hooks', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can manage incoming webhooks'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await webhookService.listHooks(roomId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create incoming webhook - body: { name, avatar? (http(s) image URL) }
+router.post('/rooms/:roomId/hooks', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { name, avatar } = req.body;
+    
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 40
+      || (avatar !== undefined && avatar !== null && !isHttpUrl(avatar))) {
+      return res.status(400).json({
+        success: false,
+        error: 'name (1-40 characters) is required; avatar must be an http(s) URL'
+      });
+    }
+    
+    if (chatService.isDirectRoom(roomId) || !(await chatService.getRoomInfo(roomId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can manage incoming webhooks'
+      });
+    }
+    
+    const result = await webhookService.createHook(roomId, req.user, { name: name.trim(), avatar });
+    if (result.error) {
+      return res.status(result.error === 'limit' ? 409 : 500).json({
+        success: false,
+        error: result.error === 'limit'
+          ? `A room can have at most ${webhookService.MAX_HOOKS_PER_ROOM} incoming webhooks`
+          : 'Failed to create incoming webhook'
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: { ...result.hook, url: `/api/hooks/${result.hook.token}` }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke incoming webhook token
+router.delete('/rooms/:roomId/hooks/:token', async (req, res) => {
+  try {
+    const { roomId, token } = req.params;
+    
+    if (!(await chatService.canModerate(roomId, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only room moderators can manage incoming webhooks'
+      });
+    }
+    
+    if (!(await webhookService.revokeHook(roomId, token))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incoming webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Incoming webhook revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= ATTACHMENTS =======
+
+// Pliki w pamięci - zapis na dysk dopiero po sprawdzeniu typu i skrótu (attachmentService.store)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentService.MAX_SIZE, files: attachmentService.MAX_PER_MESSAGE }
+}).array('files', attachmentService.MAX_PER_MESSAGE);
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, error: `File too large (max ${attachmentService.MAX_SIZE / 1024 / 1024} MB)` },
+  LIMIT_FILE_COUNT: { status: 400, error: `At most ${attachmentService.MAX_PER_MESSAGE} files per message` },
+  LIMIT_UNEXPECTED_FILE: { status: 400, error: `At most ${attachmentService.MAX_PER_MESSAGE} files in the "files" field` },
+  invalid_type: { status: 415, error: `Allowed file types: ${attachmentService.ALLOWED_TYPES.join(', ')}` },
+  invalid_image: { status: 415, error: 'Image content does not match its type' },
+  failed: { status: 500, error: 'Failed to store file' }
+};
+
+// Upload files (multipart, field "files") - returns attachment IDs to send with a message
+router.post('/rooms/:roomId/attachments', (req, res) => {
+  upload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        const known = UPLOAD_ERRORS[uploadError.code];
+        return res.status(known ? known.status : 400).json({
+          success: false,
+          error: known ? known.error : uploadError.message
+        });
+      }
+      
+      const { roomId } = req.params;
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No files uploaded (multipart field "files")'
+        });
+      }
+      
+      const restriction = await chatService.checkCanPost(roomId, req.user.userId);
+      if (restriction) {
+        return sendMessageError(res, restriction.error);
+      }
+      
+      const limited = await attachmentService.consumeUploadRate(req.user.userId, req.files.length);
+      if (limited) {
+        res.set('Retry-After', String(limited.retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many uploads',
+          retryAfter: limited.retryAfter
+        });
+      }
+      
+      const attachments = [];
+      for (const file of req.files) {
+        const result = await attachmentService.store(file, roomId, req.user);
+        if (result.error) {
+          const { status, error } = UPLOAD_ERRORS[result.error];
+          return res.status(status).json({
+            success: false,
+            error: `${file.originalname}: ${error}`
+          });
+        }
+        attachments.push(result.attachment);
+      }
+      
+      res.status(201).json({
+        success: true,
+        data: attachments
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+});
+
+// Plik wysłany w wiadomości widzi każdy z dostępem do pokoju, jeszcze niewysłany - tylko autor
+const sendAttachmentFile = async (req, res, { thumbnail = false } = {}) => {
+  try {
+    const attachment = await attachmentService.getAttachment(req.params.attachmentId);
+    const allowed = attachment && (attachment.claimedAt
+      ? await chatService.canAccessRoom(attachment.roomId, req.user.userId)
+      : attachment.uploadedBy === req.user.userId);
+    const filePath = allowed && (!thumbnail || attachment.thumbnail)
+      && await attachmentService.resolveFile(attachment, { thumbnail });
+    
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+    
+    // Treść adresowana skrótem - może być długo w cache; nosniff + CSP, żeby plik nie był wykonywany
+    res.set({
+      'Content-Type': thumbnail ? 'image/webp' : attachment.mimeType,
+      'Content-Disposition': `${attachmentService.isImage(attachment.mimeType) ? 'inline' : 'attachment'}; `
+        + `filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'",
+      'Cache-Control': 'private, max-age=86400, immutable'
+    });
+    res.sendFile(filePath);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+router.get('/attachments/:attachmentId', (req, res) => sendAttachmentFile(req, res));
+
+router.get('/attachments/:attachmentId/thumbnail', (req, res) => sendAttachmentFile(req, res, { thumbnail: true }));
+
+// ======= MESSAGE OPERATIONS =======
+
+// Get messages for room (paginacja kursorem: ?before=<messageId>&limit=)
+router.get('/rooms/:roomId/messages', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    
+    if (before && !chatService.isMessageId(before)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor - "before" must be a message id'
+      });
+    }
+    
+    const messages = await chatService.getMessages(roomId, limit, before || null);
+    const hasMore = messages.length === limit;
+    
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        limit,
+        before: before || null,
+        nextCursor: hasMore ? messages[0].id : null,
+        hasMore
+      },
+      redisCommand: `XREVRANGE ${chatService.messagesKey(roomId)} ${before ? `(${before}` : '+'} - COUNT ${limit}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Send message (REST endpoint - głównie do testów); parentId = odpowiedź w wątku
+router.post('/rooms/:roomId/messages', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { message, parentId, attachments, expiresIn } = req.body;
+    const { userId, username } = req.user;
+    
+    if (!message && !(Array.isArray(attachments) && attachments.length > 0 && !parentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required'
+      });
+    }
+    
+    if (expiresIn !== undefined && expiresIn !== null
+      && !chatService.isValidDuration(expiresIn, chatService.MESSAGE_EXPIRY_MIN, chatService.MESSAGE_EXPIRY_MAX)) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresIn must be an integer between ${chatService.MESSAGE_EXPIRY_MIN} and ${chatService.MESSAGE_EXPIRY_MAX} seconds`
+      });
+    }
+    
+    const restriction = await chatService.checkCanPost(roomId, userId);
+    if (restriction) {
+      return sendMessageError(res, restriction.error);
+    }
+    
+    const limited = await chatService.consumeMessageRate(roomId, req.user);
+    if (limited) {
+      if (limited.entry) {
+        emitModeration(req.app.get('io'), limited.entry);
+      }
+      res.set('Retry-After', String(limited.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many messages',
+        retryAfter: limited.retryAfter
+      });
+    }
+    
+    if (parentId) {
+      const result = await chatService.sendReply(roomId, parentId, userId, username, message);
+      if (result.error) {
+        return sendMessageError(res, result.error, result);
+      }
+      
+      req.app.get('io').to(roomId).emit('thread-reply', {
+        roomId,
+        parentId,
+        message: result.message,
+        replyCount: result.replyCount
+      });
+      await notifyNewMessage(req.app.get('io'), result.message);
+      
+      return res.status(201).json({
+        success: true,
+        data: result.message,
+        replyCount: result.replyCount
+      });
+    }
+    
+    const messageObj = await chatService.sendMessage(roomId, userId, username, message, { attachments, expiresIn });
+    
+    if (!messageObj) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send message'
+      });
+    }
+    if (messageObj.error) {
+      return sendMessageError(res, messageObj.error, messageObj);
+    }
+    
+    await notifyNewMessage(req.app.get('io'), messageObj);
+    
+    res.status(201).json({
+      success: true,
+      data: messageObj
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Edit message (tylko autor)
+router.patch('/rooms/:roomId/messages/:messageId', async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const result = await chatService.editMessage(roomId, messageId, req.user, req.body.message);
+    
+    if (result.error) {
+      return sendMessageError(res, result.error, result);
+    }
+    
+    req.app.get('io').to(roomId).emit('message-updated', result.message);
+    
+    res.json({
+      success: true,
+      data: result.message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete message (autor albo moderator) - soft delete z tombstone
+router.delete('/rooms/:roomId/messages/:messageId', async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const result = await chatService.deleteMessage(roomId, messageId, req.user);
+    
+    if (result.error) {
+      return sendMessageError(res, result.error);
+    }
+    
+    const { deletedAt, deletedBy } = result.message;
+    req.app.get('io').to(roomId).emit('message-deleted', { roomId, messageId, deletedAt, deletedBy });
+    
+    res.json({
+      success: true,
+      data: result.message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Message edit history (autor albo moderator)
+router.get('/rooms/:roomId/messages/:messageId/history', async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const result = await chatService.getMessageHistory(roomId, messageId, req.user);
+    
+    if (result.error) {
+      return sendMessageError(res, result.error);
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Read receipts - dokąd doczytał każdy użytkownik pokoju
+router.get('/rooms/:roomId/read', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const receipts = await chatService.getReadReceipts(roomId);
+    
+    res.json({
+      success: true,
+      data: receipts,
+      redisCommand: `HGETALL ${chatService.roomReadKey(roomId)}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Mark read up to message (body: { messageId })
+router.post('/rooms/:roomId/read', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { messageId } = req.body;
+    
+    if (!chatService.isMessageId(messageId)) {
+      return res.status(400).json({
+        success: false,
+        error: '"messageId" must be a message id'
+      });
+    }
+    
+    const result = await chatService.markRead(roomId, req.user, messageId);
+    
+    if (result.error) {
+      return sendMessageError(res, result.error);
+    }
+    
+    if (result.receipt) {
+      req.app.get('io').to(roomId).emit('read-receipt', result.receipt);
+    }
+    
+    res.json({
+      success: true,
+      data: result.receipt,
+      advanced: Boolean(result.receipt)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Thread - wiadomość nadrzędna i odpowiedzi (?before=<replyId>&limit=)
+router.get('/rooms/:roomId/messages/:messageId/thread', async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    
+    if (before && !chatService.isMessageId(before)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor - "before" must be a message id'
+      });
+    }
+    
+    const result = await chatService.getThread(roomId, messageId, limit, before || null);
+    
+    if (result.error) {
+      return sendMessageError(res, result.error);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        parent: result.parent,
+        replies: result.replies
+      },
+      pagination: {
+        limit,
+        before: before || null,
+        nextCursor: result.hasMore ? result.replies[0].id : null,
+        hasMore: result.hasMore
+      },
+      redisCommand: `XREVRANGE ${chatService.threadKey(roomId, messageId)} ${before ? `(${before}` : '+'} - COUNT ${limit}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= SCHEDULED MESSAGES =======
+
+// Błędy zaplanowanych wiadomości (scheduleService) -> odpowiedź HTTP
+const SCHEDULE_ERRORS = {
+  not_found: { status: 404, error: 'Scheduled message not found' },
+  forbidden: { status: 403, error: 'Not allowed to modify this scheduled message' },
+  not_pending: { status: 409, error: 'Scheduled message is already being sent' },
+  limit: { status: 409, error: `You can have at most ${scheduleService.MAX_PER_USER} scheduled messages` },
+  failed: { status: 500, error: 'Failed to save scheduled message' }
+};
+
+const sendScheduleError = (res, code) => {
+  const { status, error } = SCHEDULE_ERRORS[code];
+  return res.status(status).json({ success: false, error });
+};
+
+// Treść zaplanowanej wiadomości - komunikat błędu albo null (filtry treści działają przy wysyłce)
+const validateScheduledText = (message) => {
+  if (typeof message !== 'string' || !message.trim()) return 'Message is required';
+  if ([...message].length > MAX_LENGTH) return `Message must be at most ${MAX_LENGTH} characters`;
+  if (commands.isCommand(message)) return 'Commands cannot be scheduled';
+  return null;
+};
+
+const INVALID_SEND_AT = 'sendAt must be a date (ISO or ms) between 10 seconds and 30 days from now';
+
+// My pending scheduled messages in all rooms
+router.get('/scheduled', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await scheduleService.listScheduled(req.user.userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// My pending scheduled messages in the room
+router.get('/rooms/:roomId/scheduled', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await scheduleService.listScheduled(req.user.userId, req.params.roomId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Schedule message - body: { message, sendAt (ISO albo ms) }
+router.post('/rooms/:roomId/scheduled', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const invalid = validateScheduledText(req.body.message);
+    const sendAt = scheduleService.parseSendAt(req.body.sendAt);
+    
+    if (invalid || !sendAt) {
+      return res.status(400).json({
+        success: false,
+        error: invalid || INVALID_SEND_AT
+      });
+    }
+    
+    if (!chatService.isDirectRoom(roomId) && !(await chatService.getRoomInfo(roomId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    const restriction = await chatService.checkCanPost(roomId, req.user.userId);
+    if (restriction) {
+      return sendMessageError(res, restriction.error);
+    }
+    
+    const result = await scheduleService.schedule(roomId, req.user, {
+      message: commands.unescapeText(req.body.message.trim()),
+      sendAt
+    });
+    if (result.error) {
+      return sendScheduleError(res, result.error);
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.scheduled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Edit pending scheduled message (tylko autor) - body: { message?, sendAt? }
+router.patch('/scheduled/:scheduledId', async (req, res) => {
+  try {
+    const { message, sendAt } = req.body;
+    const updates = {};
+    
+    if (message !== undefined) {
+      const invalid = validateScheduledText(message);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: invalid
+        });
+      }
+      updates.message = commands.unescapeText(message.trim());
+    }
+    if (sendAt !== undefined) {
+      updates.sendAt = scheduleService.parseSendAt(sendAt);
+      if (!updates.sendAt) {
+        return res.status(400).json({
+          success: false,
+          error: INVALID_SEND_AT
+        });
+      }
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update - provide message and/or sendAt'
+      });
+    }
+    
+    const result = await scheduleService.updateScheduled(req.params.scheduledId, req.user.userId, updates);
+    if (result.error) {
+      return sendScheduleError(res, result.error);
+    }
+    
+    res.json({
+      success: true,
+      data: result.scheduled
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cancel pending scheduled message (tylko autor)
+router.delete('/scheduled/:scheduledId', async (req, res) => {
+  try {
+    const result = await scheduleService.cancelScheduled(req.params.scheduledId, req.user.userId);
+    if (result.error) {
+      return sendScheduleError(res, result.error);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= SEARCH =======
+
+// Timestamp w ms albo data ISO (np. 2024-05-01) -> ms; null gdy brak, NaN gdy błędna
+const parseTimeParam = (value) => {
+  if (value === undefined || value === '') return null;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+};
+
+// Full-text search (?q=&roomId=&userId=&from=&to=&limit=) - ranking TF-IDF, zakresy do wyróżnienia
+router.get('/search', async (req, res) => {
+  try {
+    const { q, roomId, userId } = req.query;
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query "q" is required'
+      });
+    }
+    
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        success: false,
+        error: '"from" and "to" must be timestamps in ms or ISO dates'
+      });
+    }
+    
+    const { terms, total, results } = await searchService.search(q, {
+      roomId: roomId || null,
+      userId: userId || null,
+      from,
+      to,
+      limit,
+      canAccess: (id) => chatService.canAccessRoom(id, req.user.userId)
+    });
+    
+    // Nazwy pokoi do listy wyników
+    const roomNames = {};
+    for (const id of new Set(results.map(r => r.roomId))) {
+      const info = await chatService.getRoomInfo(id);
+      roomNames[id] = info ? info.name : id;
+    }
+    
+    res.json({
+      success: true,
+      data: results.map(r => ({ ...r, roomName: roomNames[r.roomId] })),
+      terms,
+      total,
+      redisCommand: `ZINTERSTORE <tmp> ${terms.length} ${terms.map(t => searchService.termKey(t)).join(' ')} WEIGHTS <idf...>`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= BOTS =======
+
+// Registered bots (in-process and webhook)
+router.get('/bots', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: bots.listBots()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= DIRECT MESSAGES =======
+
+// List my conversations (od ostatnio aktywnej) z licznikami nieprzeczytanych
+router.get('/dm', async (req, res) => {
+  try {
+    const conversations = await chatService.listDirectRooms(req.user.userId);
+    
+    res.json({
+      success: true,
+      data: conversations,
+      redisCommand: `ZREVRANGE ${chatService.directListKey(req.user.userId)} 0 -1 WITHSCORES`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Open conversation with user (body: { userId }) - tworzy ją przy pierwszym otwarciu
+router.post('/dm', async (req, res) => {
+  try {
+    const result = await chatService.openDirectRoom(req.user, req.body.userId);
+    
+    if (result.error === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: 'A different user\'s id is required'
+      });
+    }
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    if (result.error) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to open conversation'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result.conversation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Mark conversation as read
+router.post('/dm/:roomId/read', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    
+    if (!chatService.isDirectRoom(roomId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not a direct message conversation'
+      });
+    }
+    
+    await chatService.markDirectRoomRead(req.user.userId, roomId);
+    
+    res.json({
+      success: true,
+      redisCommand: `HDEL ${chatService.directUnreadKey(req.user.userId)} ${roomId}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= USER OPERATIONS =======
+
+// Get online users
+// ?userIds=a,b - status konkretnych użytkowników (także offline)
+router.get('/users/online', async (req, res) => {
+  try {
+    const { userIds } = req.query;
+    const users = userIds
+      ? await chatService.getUsersPresence(userIds.split(',').filter(Boolean))
+      : await chatService.getOnlineUsers();
+    
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Mentions inbox (tylko własna skrzynka)
+router.get('/users/:userId/mentions', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    
+    if (userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot read another user\'s mentions'
+      });
+    }
+    
+    const { mentions, unreadCount } = await chatService.getMentions(userId, limit);
+    
+    res.json({
+      success: true,
+      data: mentions,
+      unreadCount,
+      redisCommand: `LRANGE ${chatService.mentionsKey(userId)} 0 ${limit - 1}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Mark mentions as read (body: { until } - domyślnie teraz)
+router.post('/users/:userId/mentions/read', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const until = req.body.until === undefined ? Date.now() : Number(req.body.until);
+    
+    if (userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot modify another user\'s mentions'
+      });
+    }
+    
+    if (!Number.isFinite(until) || until <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: '"until" must be a timestamp in milliseconds'
+      });
+    }
+    
+    const lastRead = await chatService.markMentionsRead(userId, until);
+    
+    res.json({
+      success: true,
+      data: { lastRead },
+      redisCommand: `SET ${chatService.mentionsReadKey(userId)} ${lastRead}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get user stats
+router.get('/users/:userId/stats', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const stats = await chatService.getUserStats(userId);
+    
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get user profile
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const profile = await chatService.getUserProfile(userId);
+    
+    if (!profile || !profile.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create/Update user profile
+router.put('/users/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const profileData = req.body;
+    
+    if (userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot update another user\'s profile'
+      });
+    }
+    
+    profileData.id = userId;
+    profileData.updatedAt = Date.now();
+    
+    const success = await chatService.createUserProfile(userId, profileData);
+    
+    if (!success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update profile'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: profileData
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= STATISTICS =======
+
+// Get top users
+router.get('/stats/top-users', async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    const topUsers = await chatService.getTopUsers(parseInt(limit));
+    
+    res.json({
+      success: true,
+      data: topUsers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get leaderboard
+router.get('/stats/leaderboard', async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    const leaderboard = await chatService.getLeaderboard(parseInt(limit));
+    
+    res.json({
+      success: true,
+      data: leaderboard
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ======= CRUD DEMONSTRATIONS =======
+// Demo i debug zapisują klucze czatu z pominięciem uprawnień (np. członkowie pokoju) - tylko admin
+router.use(['/demo', '/debug'], requireAdmin);
+
 
 // String CRUD
 router.post('/demo/session', async (req, res) => {
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const chatService = require('../services/chatService');
+const webhookService = require('../services/webhookService');
+const { notifyNewMessage } = require('../socket/notifications');
+
+/**
+ * Webhooki przychodzące - skrypty CI / monitoringu piszą do pokoju jednym żądaniem:
+ *   curl -X POST -H 'Content-Type: application/json' \
+ *     -d '{"text":"Deploy OK","attachments":[{"title":"v1.2","color":"#36a64f"}]}' \
+ *     http://localhost:5000/api/hooks/<token>
+ * Token (z POST /api/chat/rooms/:roomId/hooks) zastępuje logowanie, więc bez authenticate.
+ */
+
+// Post a message as the integration - body: { text, attachments? }
+router.post('/:token', async (req, res) => {
+  try {
+    const hook = await webhookService.getHook(req.params.token);
+    if (!hook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown or revoked webhook token'
+      });
+    }
+    
+    const limited = await webhookService.consumeHookRate(hook.token);
+    if (limited) {
+      res.set('Retry-After', String(limited.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many messages',
+        retryAfter: limited.retryAfter
+      });
+    }
+    
+    const payload = webhookService.parseHookPayload(req.body || {});
+    if (payload.error) {
+      return res.status(400).json({
+        success: false,
+        error: payload.error
+      });
+    }
+    
+    const integration = { id: hook.id, name: hook.name };
+    if (hook.avatar) integration.avatar = hook.avatar;
+    
+    const message = await chatService.sendMessage(hook.roomId, `hook:${hook.id}`, hook.name, payload.text, {
+      integration,
+      cards: payload.cards
+    });
+    if (!message) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send message'
+      });
+    }
+    if (message.error) {
+      return res.status(422).json({
+        success: false,
+        error: 'Message rejected by content filters',
+        filter: message.filter,
+        reason: message.reason
+      });
+    }
+    
+    const io = req.app.get('io');
+    io.to(hook.roomId).emit('new-message', message);
+    await notifyNewMessage(io, message);
+    
+    res.status(201).json({
+      success: true,
+      data: { id: message.id, roomId: message.roomId }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+require('dotenv').config();
+const { redisClient, cacheClient } = require('../config/redis');
+const redisService = require('../services/redisService');
+const chatService = require('../services/chatService');
+const searchService = require('../services/searchService');
+
+/**
+ * Przebudowa indeksu wyszukiwania z aktualnych strumieni wiadomości.
+ * Nowe wiadomości są indeksowane przy wysłaniu - skrypt jest potrzebny dla
+ * wiadomości zapisanych przed wprowadzeniem wyszukiwania albo po zmianie tokenizacji.
+ *
+ * Użycie: npm run search:reindex
+ */
+
+async function reindexRoom(roomId) {
+  const entries = await redisService.getStreamRange(chatService.messagesKey(roomId));
+  const messages = await chatService.hydrateMessages(
+    roomId,
+    entries.map(entry => chatService.parseMessageEntry(entry))
+  );
+
+  let count = 0;
+  for (const message of messages) {
+    if (await searchService.indexMessage(message)) count++;
+  }
+
+  // Odpowiedzi w wątkach
+  for (const parentId of await redisService.getHashKeys(chatService.threadCountsKey(roomId))) {
+    const replies = await redisService.getStreamRange(chatService.threadKey(roomId, parentId));
+    for (const entry of replies) {
+      if (await searchService.indexMessage(chatService.parseMessageEntry(entry))) count++;
+    }
+  }
+
+  return count;
+}
+
+async function main() {
+  await redisClient.connect();
+  await cacheClient.connect();
+
+  const roomIds = [
+    ...await chatService.getAllRoomIds(),
+    ...await chatService.getAllDirectRoomIds()
+  ];
+
+  let total = 0;
+  for (const roomId of roomIds) {
+    const count = await reindexRoom(roomId);
+    console.log(`[${roomId}] indexed ${count} messages`);
+    total += count;
+  }
+
+  console.log(`Done: ${total} messages in ${roomIds.length} rooms`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Reindex failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    if (redisClient.isOpen) await redisClient.quit();
+    if (cacheClient.isOpen) await cacheClient.quit();
+  });
@@ -0,0 +1,112 @@
+require('dotenv').config();
+const { redisClient, cacheClient } = require('../config/redis');
+const redisService = require('../services/redisService');
+const cacheService = require('../services/cacheService');
+const chatService = require('../services/chatService');
+
+/**
+ * Jednorazowa migracja: wiadomości z list chat:room:{id}:messages
+ * do strumieni chat:room:{id}:stream.
+ *
+ * Użycie: npm run migrate:streams [-- --dry-run] [-- --delete]
+ * - ID wpisów budowane są z timestampów wiadomości, więc kolejność jest zachowana
+ * - stara lista zostaje pod chat:room:{id}:messages:migrated (chyba że --delete)
+ * - pokoje, których strumień nie jest pusty, są pomijane - XADD wymaga ID
+ *   większych niż ostatni wpis, a starszych wiadomości nie da się już dopisać
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+const deleteLists = process.argv.includes('--delete');
+
+// Rosnące ID strumienia: <timestamp>-<seq>, także dla wiadomości z tym samym/cofniętym czasem
+const createIdGenerator = () => {
+  let lastMs = 0;
+  let seq = 0;
+
+  return (timestamp) => {
+    const ms = Number(timestamp) || 0;
+    if (ms > lastMs) {
+      lastMs = ms;
+      seq = 0;
+    } else {
+      seq += 1;
+    }
+    return `${lastMs}-${seq}`;
+  };
+};
+
+async function migrateRoom(roomId) {
+  const listKey = `chat:room:${roomId}:messages`;
+  const streamKey = chatService.messagesKey(roomId);
+
+  // Lista trzyma najnowsze na początku (LPUSH) - odwróć do kolejności chronologicznej
+  const messages = (await redisService.getList(listKey)).reverse();
+  if (messages.length === 0) return 0;
+
+  if (await redisService.getStreamLength(streamKey) > 0) {
+    console.warn(`[${roomId}] stream already has messages - skipping ${messages.length} list entries`);
+    return 0;
+  }
+
+  const nextId = createIdGenerator();
+  for (const msg of messages) {
+    if (!msg || typeof msg !== 'object') continue;
+
+    const { id: legacyId, ...messageData } = msg;
+    const id = nextId(messageData.timestamp);
+    if (dryRun) continue;
+
+    await redisService.addToStream(
+      streamKey,
+      { data: JSON.stringify({ ...messageData, roomId, legacyId }) },
+      { id }
+    );
+  }
+
+  if (!dryRun) {
+    if (deleteLists) {
+      await redisService.deleteKey(listKey);
+    } else {
+      await redisClient.rename(listKey, `${listKey}:migrated`);
+    }
+  }
+
+  return messages.length;
+}
+
+async function main() {
+  await redisClient.connect();
+  await cacheClient.connect();
+
+  // Pokoje z chat:rooms:all oraz osierocone listy bez wpisu w zbiorze
+  const roomIds = new Set(await chatService.getAllRoomIds());
+  for (const key of await redisService.findKeys('chat:room:*:messages')) {
+    roomIds.add(key.slice('chat:room:'.length, -':messages'.length));
+  }
+
+  let total = 0;
+  for (const roomId of roomIds) {
+    const count = await migrateRoom(roomId);
+    if (count > 0) {
+      console.log(`[${roomId}] ${dryRun ? 'would migrate' : 'migrated'} ${count} messages`);
+    }
+    total += count;
+  }
+
+  // Strony wiadomości w cache mają jeszcze stare ID z list
+  if (!dryRun && total > 0) {
+    await cacheService.invalidate('cache:room:*');
+  }
+
+  console.log(`Done: ${total} messages in ${roomIds.size} rooms${dryRun ? ' (dry run)' : ''}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    if (redisClient.isOpen) await redisClient.quit();
+    if (cacheClient.isOpen) await cacheClient.quit();
+  });
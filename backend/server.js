@@ -7,20 +7,39 @@ const path = require('path');
 
 // Import services
 const { connectRedis, pubSubClient } = require('./config/redis');
+const { NODE_ID, BROADCAST_CHANNEL, attachRedisAdapter } = require('./config/socket');
 const chatService = require('./services/chatService');
 const redisService = require('./services/redisService');
+const authService = require('./services/authService');
 const cacheService = require('./services/cacheService');
+const presenceSweeper = require('./jobs/presenceSweeper');
+const retentionJob = require('./jobs/retentionJob');
+const webhookDeliveryJob = require('./jobs/webhookDeliveryJob');
+const scheduledMessageJob = require('./jobs/scheduledMessageJob');
+const ephemeralReaper = require('./jobs/ephemeralReaper');
+const attachmentGcJob = require('./jobs/attachmentGcJob');
+const { authenticate, requireAdmin, authenticateSocket } = require('./middleware/auth');
+const registerMessageHandlers = require('./socket/messageHandlers');
+const registerReadHandlers = require('./socket/readHandlers');
+const registerModerationHandlers = require('./socket/moderationHandlers');
+const registerRoomHandlers = require('./socket/roomHandlers');
+const { leaveSocketRoom, registerForceLeave } = require('./socket/rooms');
+const { userChannel, emitStatusChange } = require('./socket/notifications');
+const bots = require('./bots');
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const redisRoutes = require('./routes/redisRoutes');
 const cacheRoutes = require('./routes/cacheRoutes');
+const hookRoutes = require('./routes/hookRoutes');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
-    origin: process.env.CLIENT_URL || "http://localhost:3000",
+    // CLIENT_URL może zawierać kilka adresów po przecinku (np. dwa klienty przy testach skalowania)
+    origin: (process.env.CLIENT_URL || "http://localhost:3000").split(','),
     methods: ["GET", "POST"]
   }
 });
@@ -30,117 +49,97 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Dostęp do Socket.io z tras REST (req.app.get('io')) - np. rozgłaszanie edycji
+app.set('io', io);
+
 // Routes
-app.use('/api/chat', chatRoutes);
-app.use('/api/redis', redisRoutes);
-app.use('/api/cache', cacheRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/chat', authenticate, chatRoutes);
+// Surowy dostęp do kluczy Redis (demo) omija wszystkie sprawdzenia uprawnień czatu - tylko admin
+app.use('/api/redis', authenticate, requireAdmin, redisRoutes);
+app.use('/api/cache', authenticate, requireAdmin, cacheRoutes);
+app.use('/api/hooks', hookRoutes); // webhooki przychodzące - token zamiast JWT
+
+// Socket.io authentication - tożsamość pochodzi z tokenu, nie z payloadu zdarzeń
+io.use(authenticateSocket);
+
+// Rozgłoś zmianę statusu obecności (online / away / offline)
+const broadcastStatus = (change) => emitStatusChange(io, change);
+
+// Wyrzucenia / bany zlecone przez inne instancje (socket/rooms.js)
+registerForceLeave(io);
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  const { userId } = socket.data.user;
+  console.log('User connected:', socket.id, userId);
   
-  // Join room
-  socket.on('join-room', async (data) => {
-    const { roomId, userId, username } = data;
-    
+  // Stan sesji socketu - pokoje, do których dołączył ten konkretny socket
+  socket.data.rooms = new Set();
+  
+  // Kanał użytkownika - powiadomienia (np. wzmianki) niezależnie od pokoju
+  socket.join(userChannel(userId));
+  
+  // Licznik połączeń użytkownika (kilka kart = kilka socketów)
+  socket.data.ready = chatService.addConnection(userId)
+    .then(() => chatService.setUserOnline(userId))
+    .then(broadcastStatus)
+    .catch((error) => console.error('Error registering connection:', error));
+  
+  // Dołączanie, wiadomości, pisanie i wyjście z pokoju
+  registerRoomHandlers(io, socket);
+  
+  // Heartbeat - klient potwierdza połączenie co kilkanaście sekund
+  socket.on('heartbeat', async (data = {}) => {
     try {
-      // Join socket room
-      socket.join(roomId);
-      
-      // Update Redis
-      await chatService.joinRoom(userId, roomId, username);
-      await chatService.setUserOnline(userId);
-      
-      // Notify room
-      socket.to(roomId).emit('user-joined', {
-        userId,
-        username,
-        message: `${username} dołączył do pokoju`
-      });
-      
-      // Send room info
-      const roomInfo = await chatService.getRoomInfo(roomId);
-      socket.emit('room-info', roomInfo);
-      
-      // Send recent messages
-      const messages = await chatService.getMessages(roomId, 50);
-      socket.emit('messages-history', messages);
-      
+      broadcastStatus(await chatService.heartbeat(userId, { active: data.active !== false }));
     } catch (error) {
-      console.error('Error joining room:', error);
-      socket.emit('error', { message: 'Nie udało się dołączyć do pokoju' });
+      console.error('Error handling heartbeat:', error);
     }
   });
   
-  // Send message
-  socket.on('send-message', async (data) => {
-    const { roomId, userId, username, message } = data;
+  // Edit / delete messages, threads
+  registerMessageHandlers(io, socket);
+  
+  // Read receipts
+  registerReadHandlers(io, socket);
+  registerModerationHandlers(io, socket);
+  
+  // Disconnect
+  socket.on('disconnect', async () => {
+    console.log('User disconnected:', socket.id, userId);
     
     try {
-      // Save message to Redis
-      const messageObj = await chatService.sendMessage(roomId, userId, username, message);
+      await socket.data.ready;
       
-      if (messageObj) {
-        // Broadcast to room
-        io.to(roomId).emit('new-message', messageObj);
-        
-        // Update user activity
-        await chatService.setUserOnline(userId);
+      for (const roomId of [...socket.data.rooms]) {
+        await leaveSocketRoom(io, socket, roomId);
       }
       
+      const remaining = await chatService.removeConnection(userId);
+      if (remaining === 0) {
+        broadcastStatus(await chatService.setUserOffline(userId));
+      }
     } catch (error) {
-      console.error('Error sending message:', error);
-      socket.emit('error', { message: 'Nie udało się wysłać wiadomości' });
+      console.error('Error handling disconnect:', error);
     }
   });
-  
-  // Leave room
-  socket.on('leave-room', async (data) => {
-    const { roomId, userId, username } = data;
-    
+});
+
+// Redis Pub/Sub - zdarzenia publikowane spoza serwerów czatu (skrypty, redis-cli), np.
+// PUBLISH chat:broadcast '{"roomId":"general","event":"new-message","payload":{...}}'
+// Wiadomość dostaje każdy węzeł, więc każdy emituje tylko do własnych socketów (io.local) -
+// zwykłe io.to() przeszłoby jeszcze raz przez adapter i klienci dostaliby ją N razy.
+async function subscribeToBroadcasts() {
+  await pubSubClient.subscribe(BROADCAST_CHANNEL, (message) => {
     try {
-      socket.leave(roomId);
-      await chatService.leaveRoom(userId, roomId);
-      
-      socket.to(roomId).emit('user-left', {
-        userId,
-        username,
-        message: `${username} opuścił pokój`
-      });
-      
+      const data = JSON.parse(message);
+      io.local.to(data.roomId).emit(data.event, data.payload);
     } catch (error) {
-      console.error('Error leaving room:', error);
+      console.error('Invalid broadcast message:', error);
     }
   });
-  
-  // Typing indicator
-  socket.on('typing-start', (data) => {
-    socket.to(data.roomId).emit('user-typing', {
-      userId: data.userId,
-      username: data.username
-    });
-  });
-  
-  socket.on('typing-stop', (data) => {
-    socket.to(data.roomId).emit('user-stopped-typing', {
-      userId: data.userId
-    });
-  });
-  
-  // Disconnect
-  socket.on('disconnect', async () => {
-    console.log('User disconnected:', socket.id);
-    
-    // W prawdziwej aplikacji należałoby zapisać userId w socket session
-    // i zaktualizować status offline
-  });
-});
-
-// Redis Pub/Sub for multi-server scaling
-pubSubClient.subscribe('chat:broadcast', (message) => {
-  const data = JSON.parse(message);
-  io.to(data.roomId).emit(data.event, data.payload);
-});
+}
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -151,6 +150,7 @@ app.get('/health', async (req, res) => {
     
     res.json({
       status: 'OK',
+      node: NODE_ID,
       redis: test === 'ok' ? 'Connected' : 'Error',
       timestamp: new Date().toISOString()
     });
@@ -186,6 +186,12 @@ app.get('/redis-examples', (req, res) => {
         'Pop message (FIFO)': 'RPOP chat:room:general:messages',
         'Trim old messages': 'LTRIM chat:room:general:messages 0 99'
       },
+      'Stream Operations': {
+        'Add message': 'XADD chat:room:general:stream * data "{\\"user\\":\\"john\\",\\"text\\":\\"hello\\"}"',
+        'Latest messages': 'XREVRANGE chat:room:general:stream + - COUNT 50',
+        'Older page (cursor)': 'XREVRANGE chat:room:general:stream (1700000000000-0 - COUNT 50',
+        'Trim by age': 'XTRIM chat:room:general:stream MINID 1700000000000'
+      },
       'Set Operations': {
         'Add user to room': 'SADD chat:room:general:users user123',
         'Get room users': 'SMEMBERS chat:room:general:users',
@@ -219,16 +225,38 @@ const PORT = process.env.PORT || 5000;
 
 async function startServer() {
   try {
+    // Bez JWT_SECRET każdy mógłby podpisać token sekretem deweloperskim
+    if (!authService.isConfigured()) {
+      throw new Error('JWT_SECRET is required (development secret is used only with NODE_ENV=development)');
+    }
+
     // Connect to Redis
     await connectRedis();
     
+    // Liczniki połączeń tej instancji sprzed restartu (ten sam NODE_ID)
+    await chatService.resetNodeConnections();
+    
+    // Multi-server: adapter + kanał chat:broadcast wymagają połączonych klientów
+    attachRedisAdapter(io);
+    await subscribeToBroadcasts();
+    
     // Initialize demo data
     await initializeDemoData();
     
+    // Background jobs
+    presenceSweeper.start(io);
+    retentionJob.start();
+    webhookDeliveryJob.start();
+    scheduledMessageJob.start(io);
+    ephemeralReaper.start(io);
+    attachmentGcJob.start();
+    bots.start(io);
+    
     server.listen(PORT, () => {
-      console.log(`\n🚀 Server running on port ${PORT}`);
+      console.log(`\n🚀 Server running on port ${PORT} (node: ${NODE_ID})`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
       console.log(`📝 Redis examples: http://localhost:${PORT}/redis-examples`);
+      console.log(`🔐 Auth API: http://localhost:${PORT}/api/auth`);
       console.log(`💬 Chat API: http://localhost:${PORT}/api/chat`);
       console.log(`🔧 Redis API: http://localhost:${PORT}/api/redis`);
       console.log(`⚡ Cache API: http://localhost:${PORT}/api/cache`);
@@ -251,6 +279,9 @@ async function initializeDemoData() {
     
     // Add some demo messages
     
+    // Stary zbiór online (sprzed heartbeatów) nigdy nie był czyszczony
+    await redisService.deleteKey('chat:users:online');
+    
     // Demonstrate different Redis data types
     await redisService.setString('chat:stats:total_users', '0');
     await redisService.setString('chat:stats:total_messages', '0');
@@ -268,6 +299,13 @@ async function initializeDemoData() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  presenceSweeper.stop();
+  retentionJob.stop();
+  webhookDeliveryJob.stop();
+  scheduledMessageJob.stop();
+  ephemeralReaper.stop();
+  attachmentGcJob.stop();
+  bots.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const redisService = require('./redisService');
+const rateLimitService = require('./rateLimitService');
+
+/**
+ * Attachment Service - załączniki wiadomości na dysku lokalnym
+ * - pliki: {UPLOAD_DIR}/{ab}/{sha256} - nazwa = skrót treści, więc ten sam plik
+ *   wysłany wiele razy leży na dysku raz; miniatury: {UPLOAD_DIR}/thumbs/{sha256}.webp
+ * - chat:attachment:{id} (Hash) - metadane przesłanego pliku (nazwa, typ, rozmiar, pokój, autor)
+ * - chat:attachment:refs (Hash) - sha256 -> liczba załączników wskazujących na plik
+ * - chat:attachment:pending (Sorted Set) - nieprzejęte załączniki, score = termin (ms)
+ * - chat:attachment:orphans (Sorted Set) - pliki bez odwołań do skasowania z dysku
+ * - chat:room:{id}:attachments (Hash) - ID załącznika -> ID wiadomości (sprzątanie po retencji)
+ *
+ * Przesłany plik czeka (PENDING_TTL) na wiadomość: sendMessage przejmuje go
+ * (claimAttachments) i zapisuje metadane w obiekcie wiadomości. Usunięcie wiadomości
+ * (albo upływ PENDING_TTL) zwalnia odwołanie; plik bez odwołań kasuje jobs/attachmentGcJob.
+ */
+
+// Oddanie odwołania do pliku (KEYS[1] = refs, KEYS[2] = orphans); skrót pliku,
+// którego licznik spadł do zera, trafia do orphans
+const RELEASE_HASH_LUA = `
+  local function releaseHash(hash)
+    if redis.call('HINCRBY', KEYS[1], hash, -1) <= 0 then
+      redis.call('HDEL', KEYS[1], hash)
+      redis.call('ZADD', KEYS[2], tonumber(redis.call('TIME')[1]) * 1000, hash)
+    end
+  end
+`;
+
+// Zwolnij załączniki (ARGV = ID) - metadane i odwołanie znikają razem; wynik: liczba zwolnionych
+const RELEASE_SCRIPT = `${RELEASE_HASH_LUA}
+  local released = 0
+  for _, id in ipairs(ARGV) do
+    local key = 'chat:attachment:' .. id
+    local hash = redis.call('HGET', key, 'hash')
+    if hash then
+      redis.call('DEL', key)
+      releaseHash(hash)
+      released = released + 1
+    end
+  end
+  return released
+`;
+
+// Odwołanie bez metadanych (ARGV[1] = sha256) - nieudany store
+const RELEASE_FILE_SCRIPT = `${RELEASE_HASH_LUA}
+  releaseHash(ARGV[1])
+  return 1
+`;
+
+// Nieprzejęte po terminie (KEYS[1] = pending) - zdejmij z kolejki i zwróć ID tych,
+// których sendMessage w międzyczasie nie przejął (HSETNX claimedAt)
+const CLAIM_STALE_SCRIPT = `
+  local time = redis.call('TIME')
+  local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+  local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, tonumber(ARGV[1]))
+  local stale = {}
+  for _, id in ipairs(due) do
+    redis.call('ZREM', KEYS[1], id)
+    if redis.call('HEXISTS', 'chat:attachment:' .. id, 'claimedAt') == 0 then
+      table.insert(stale, id)
+    end
+  end
+  return stale
+`;
+
+// Pliki bez odwołań (KEYS[1] = orphans) starsze niż ARGV[2] ms - każdy dostaje jedna instancja
+const CLAIM_ORPHANS_SCRIPT = `
+  local time = redis.call('TIME')
+  local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+  local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now - tonumber(ARGV[2]), 'LIMIT', 0, tonumber(ARGV[1]))
+  for _, hash in ipairs(due) do
+    redis.call('ZREM', KEYS[1], hash)
+  end
+  return due
+`;
+
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+const DEFAULT_ALLOWED_TYPES = [
+  ...Object.keys(IMAGE_FORMATS),
+  'application/pdf',
+  'text/plain',
+  'application/zip'
+];
+
+class AttachmentService {
+  constructor() {
+    this.UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+    this.MAX_SIZE = (parseInt(process.env.UPLOAD_MAX_SIZE) || 10) * 1024 * 1024; // MB -> B
+    this.ALLOWED_TYPES = process.env.UPLOAD_ALLOWED_TYPES
+      ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+      : DEFAULT_ALLOWED_TYPES;
+    this.MAX_PER_MESSAGE = 5;
+    this.PENDING_TTL = 24 * 3600; // s
+    this.THUMBNAIL_SIZE = 320; // px
+    this.ORPHAN_GRACE = 60 * 1000; // ms - plik bez odwołań leży jeszcze chwilę (trwające pobrania)
+    // Limit przesyłania na użytkownika: liczba plików w oknie (s)
+    this.UPLOAD_RATE_LIMIT = parseInt(process.env.UPLOAD_RATE_LIMIT) || 30;
+    this.UPLOAD_RATE_WINDOW = 10 * 60; // s
+  }
+
+  attachmentKey(id) {
+    return `chat:attachment:${id}`;
+  }
+
+  refsKey() {
+    return 'chat:attachment:refs';
+  }
+
+  pendingKey() {
+    return 'chat:attachment:pending';
+  }
+
+  orphansKey() {
+    return 'chat:attachment:orphans';
+  }
+
+  roomAttachmentsKey(roomId) {
+    return `chat:room:${roomId}:attachments`;
+  }
+
+  filePath(hash) {
+    return path.join(this.UPLOAD_DIR, hash.slice(0, 2), hash);
+  }
+
+  thumbnailPath(hash) {
+    return path.join(this.UPLOAD_DIR, 'thumbs', `${hash}.webp`);
+  }
+
+  isAllowedType(mimeType) {
+    return this.ALLOWED_TYPES.includes(mimeType);
+  }
+
+  isImage(mimeType) {
+    return Boolean(IMAGE_FORMATS[mimeType]);
+  }
+
+  // Zapis pod ścieżką, o ile pliku jeszcze nie ma (deduplikacja po skrócie)
+  async writeOnce(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+
+  // Obraz: format z zawartości musi zgadzać się z deklarowanym typem; miniatura WebP
+  async processImage(buffer, mimeType, hash) {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format !== IMAGE_FORMATS[mimeType]) return null;
+
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(this.THUMBNAIL_SIZE, this.THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await this.writeOnce(this.thumbnailPath(hash), thumbnail);
+
+    return { width: metadata.width, height: metadata.height };
+  }
+
+  // Limit przesyłania (przesuwne okno); wynik: null albo { retryAfter } (s)
+  async consumeUploadRate(userId, count) {
+    let limited = null;
+    for (let i = 0; i < count && !limited; i++) {
+      const { allowed, retryAfter } = await rateLimitService.hit(
+        `upload:${userId}`, this.UPLOAD_RATE_LIMIT, this.UPLOAD_RATE_WINDOW * 1000
+      );
+      if (!allowed) limited = { retryAfter: Math.ceil(retryAfter / 1000) };
+    }
+    return limited;
+  }
+
+  /**
+   * Zapisz przesłany plik (multer, pamięć) dla pokoju.
+   * Odwołanie do pliku jest liczone przed zapisem na dysk - GC nie skasuje pliku,
+   * który właśnie ktoś przesyła ponownie (patrz removeFile).
+   * Wynik: { attachment } albo { error: 'invalid_type' | 'invalid_image' | 'failed' }
+   */
+  async store(file, roomId, user) {
+    if (!this.isAllowedType(file.mimetype)) return { error: 'invalid_type' };
+
+    const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    if ((await redisService.incrementHashField(this.refsKey(), hash)) === null) return { error: 'failed' };
+
+    let stored = false;
+    try {
+      const attachment = {
+        id: crypto.randomBytes(12).toString('hex'),
+        hash,
+        name: path.basename(file.originalname).slice(0, 200) || 'plik',
+        mimeType: file.mimetype,
+        size: file.size,
+        roomId,
+        uploadedBy: user.userId,
+        createdAt: Date.now()
+      };
+
+      if (this.isImage(file.mimetype)) {
+        const image = await this.processImage(file.buffer, file.mimetype, hash).catch(() => null);
+        if (!image) return { error: 'invalid_image' };
+        Object.assign(attachment, image, { thumbnail: true });
+      }
+
+      await this.writeOnce(this.filePath(hash), file.buffer);
+      if (!(await redisService.setHashObject(this.attachmentKey(attachment.id), attachment))) {
+        return { error: 'failed' };
+      }
+      stored = true;
+      await redisService.addToSortedSet(this.pendingKey(), attachment.createdAt + this.PENDING_TTL * 1000, attachment.id);
+      return { attachment: this.toMessageAttachment(attachment) };
+    } catch (error) {
+      console.error('Error storing attachment:', error);
+      return { error: 'failed' };
+    } finally {
+      // Nieudany zapis - odwołanie liczone z góry trzeba oddać
+      if (!stored) await this.releaseFile(hash);
+    }
+  }
+
+  async getAttachment(id) {
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/.test(id)) return null;
+
+    const hash = await redisService.getHash(this.attachmentKey(id));
+    if (!hash || !hash.id) return null;
+
+    return {
+      ...hash,
+      size: parseInt(hash.size),
+      width: hash.width ? parseInt(hash.width) : undefined,
+      height: hash.height ? parseInt(hash.height) : undefined,
+      thumbnail: hash.thumbnail === 'true',
+      createdAt: parseInt(hash.createdAt)
+    };
+  }
+
+  // Metadane zapisywane w wiadomości (bez ścieżek i skrótu)
+  toMessageAttachment({ id, name, mimeType, size, width, height, thumbnail }) {
+    const attachment = { id, name, mimeType, size: Number(size) };
+    if (width) attachment.width = Number(width);
+    if (height) attachment.height = Number(height);
+    if (thumbnail) attachment.thumbnail = true;
+    return attachment;
+  }
+
+  /**
+   * Przejmij przesłane pliki dla nowej wiadomości: każdy musi pochodzić od autora,
+   * z tego pokoju i nie być jeszcze użyty (HSETNX claimedAt - także przy wyścigu dwóch wiadomości).
+   * Wynik: metadane do wiadomości albo null (wtedy nic nie zostaje przejęte).
+   */
+  async claimAttachments(ids, roomId, userId) {
+    if (!Array.isArray(ids) || ids.length > this.MAX_PER_MESSAGE || new Set(ids).size !== ids.length) {
+      return null;
+    }
+
+    const claimed = [];
+    try {
+      for (const id of ids) {
+        const attachment = await this.getAttachment(id);
+        if (!attachment || attachment.roomId !== roomId || attachment.uploadedBy !== userId) break;
+        if (!(await redisService.setHashIfNotExists(this.attachmentKey(id), 'claimedAt', Date.now()))) break;
+        claimed.push(attachment);
+      }
+
+      if (claimed.length !== ids.length) {
+        for (const attachment of claimed) {
+          await redisService.deleteHashField(this.attachmentKey(attachment.id), 'claimedAt');
+        }
+        return null;
+      }
+
+      for (const attachment of claimed) {
+        await redisService.removeFromSortedSet(this.pendingKey(), attachment.id);
+      }
+      return claimed.map(attachment => this.toMessageAttachment(attachment));
+    } catch (error) {
+      console.error('Error claiming attachments:', error);
+      return null;
+    }
+  }
+
+  async linkMessage(roomId, attachments, messageId) {
+    for (const { id } of attachments) {
+      await redisService.setHash(this.attachmentKey(id), 'messageId', messageId);
+      await redisService.setHash(this.roomAttachmentsKey(roomId), id, messageId);
+    }
+  }
+
+  // ======= RELEASE / GC =======
+
+  // Usuń metadane załączników i zwolnij odwołania do plików; wynik: liczba zwolnionych
+  async release(ids) {
+    if (!ids || ids.length === 0) return 0;
+    const released = await redisService.runScript(RELEASE_SCRIPT, [this.refsKey(), this.orphansKey()], ids);
+    return released || 0;
+  }
+
+  // Odwołanie bez metadanych (nieudany store)
+  async releaseFile(hash) {
+    await redisService.runScript(RELEASE_FILE_SCRIPT, [this.refsKey(), this.orphansKey()], [hash]);
+  }
+
+  // Załączniki usuniętej wiadomości (metadane z obiektu wiadomości)
+  async releaseMessage(roomId, message) {
+    const ids = (message.attachments || []).map(attachment => attachment.id);
+    if (ids.length === 0) return 0;
+
+    await redisService.deleteHashField(this.roomAttachmentsKey(roomId), ...ids);
+    return await this.release(ids);
+  }
+
+  // Załączniki wiadomości, dla których isExpired(messageId) - np. wypadły ze strumienia
+  async releaseRoom(roomId, isExpired = () => true) {
+    const links = await redisService.getHash(this.roomAttachmentsKey(roomId));
+    const ids = Object.keys(links || {}).filter(id => isExpired(links[id]));
+    if (ids.length === 0) return 0;
+
+    await redisService.deleteHashField(this.roomAttachmentsKey(roomId), ...ids);
+    return await this.release(ids);
+  }
+
+  // Nieprzejęte po PENDING_TTL; wynik: liczba zwolnionych
+  async releaseStale(limit) {
+    const ids = await redisService.runScript(CLAIM_STALE_SCRIPT, [this.pendingKey()], [limit]);
+    return await this.release(ids || []);
+  }
+
+  /**
+   * Skasuj z dysku pliki bez odwołań. Plik najpierw jest odsuwany pod inną nazwę
+   * i dopiero wtedy sprawdzany jest licznik: jeśli ktoś w tym czasie przesłał ten sam plik
+   * (store liczy odwołanie przed zapisem), wraca na miejsce. Wynik: liczba skasowanych.
+   */
+  async removeOrphans(limit) {
+    const hashes = await redisService.runScript(CLAIM_ORPHANS_SCRIPT, [this.orphansKey()], [limit, this.ORPHAN_GRACE]);
+    let removed = 0;
+
+    for (const hash of hashes || []) {
+      if (!/^[0-9a-f]{64}$/.test(hash)) continue;
+      const paths = [this.filePath(hash), this.thumbnailPath(hash)];
+      const suffix = `.gc-${crypto.randomBytes(4).toString('hex')}`;
+
+      const moved = [];
+      for (const filePath of paths) {
+        try {
+          await fs.promises.rename(filePath, filePath + suffix);
+          moved.push(filePath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') console.error('Error moving orphaned file:', error);
+        }
+      }
+
+      const referenced = await redisService.getHashField(this.refsKey(), hash);
+      for (const filePath of moved) {
+        if (referenced) {
+          await fs.promises.rename(filePath + suffix, filePath).catch(() => {});
+        } else {
+          await fs.promises.unlink(filePath + suffix).catch(() => {});
+        }
+      }
+      if (!referenced && moved.length > 0) removed++;
+    }
+    return removed;
+  }
+
+  // Ścieżka pliku (albo miniatury) na dysku; null gdy pliku brak
+  async resolveFile(attachment, { thumbnail = false } = {}) {
+    const filePath = thumbnail ? this.thumbnailPath(attachment.hash) : this.filePath(attachment.hash);
+    try {
+      await fs.promises.access(filePath);
+      return filePath;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = new AttachmentService();
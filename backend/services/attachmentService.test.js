@@ -0,0 +1,71 @@
+jest.mock('../config/redis', () => require('../test/redisMock').mockRedisConfig());
+
+const { redis } = require('../test/redisMock');
+const attachmentService = require('./attachmentService');
+
+const HASH_A = 'a'.repeat(64);
+const HASH_B = 'b'.repeat(64);
+
+describe('attachmentService reference counting', () => {
+  const refs = attachmentService.refsKey();
+  const orphans = attachmentService.orphansKey();
+
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  it('keeps a file while other attachments reference it', async () => {
+    await redis.hset(refs, HASH_A, 2);
+    await redis.hset(attachmentService.attachmentKey('x1'), 'id', 'x1', 'hash', HASH_A);
+    await redis.hset(attachmentService.attachmentKey('x2'), 'id', 'x2', 'hash', HASH_A);
+
+    expect(await attachmentService.release(['x1'])).toBe(1);
+    expect(await redis.exists(attachmentService.attachmentKey('x1'))).toBe(0);
+    expect(await redis.hget(refs, HASH_A)).toBe('1');
+    expect(await redis.zcard(orphans)).toBe(0);
+
+    expect(await attachmentService.release(['x2'])).toBe(1);
+    expect(await redis.hexists(refs, HASH_A)).toBe(0);
+    expect(await redis.zrange(orphans, 0, -1)).toEqual([HASH_A]);
+  });
+
+  it('releases each attachment only once', async () => {
+    await redis.hset(refs, HASH_A, 1, HASH_B, 1);
+    await redis.hset(attachmentService.attachmentKey('x1'), 'id', 'x1', 'hash', HASH_A);
+
+    expect(await attachmentService.release(['x1', 'x1', 'brak'])).toBe(1);
+    expect(await attachmentService.release(['x1'])).toBe(0);
+    expect(await redis.hget(refs, HASH_B)).toBe('1');
+  });
+
+  it('releases the reference of a failed upload', async () => {
+    await redis.hset(refs, HASH_A, 1);
+
+    await attachmentService.releaseFile(HASH_A);
+    expect(await redis.hexists(refs, HASH_A)).toBe(0);
+    expect(await redis.zrange(orphans, 0, -1)).toEqual([HASH_A]);
+  });
+});
+
+describe('attachmentService.releaseStale', () => {
+  const pending = attachmentService.pendingKey();
+
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  it('releases expired attachments no message claimed', async () => {
+    const now = Date.now();
+    await redis.hset(attachmentService.refsKey(), HASH_A, 2, HASH_B, 1);
+    await redis.hset(attachmentService.attachmentKey('stale'), 'id', 'stale', 'hash', HASH_A);
+    await redis.hset(attachmentService.attachmentKey('claimed'), 'id', 'claimed', 'hash', HASH_A, 'claimedAt', now);
+    await redis.hset(attachmentService.attachmentKey('fresh'), 'id', 'fresh', 'hash', HASH_B);
+    await redis.zadd(pending, now - 2000, 'stale', now - 1000, 'claimed', now + 60000, 'fresh');
+
+    expect(await attachmentService.releaseStale(10)).toBe(1);
+    expect(await redis.exists(attachmentService.attachmentKey('stale'))).toBe(0);
+    expect(await redis.exists(attachmentService.attachmentKey('claimed'))).toBe(1);
+    expect(await redis.hget(attachmentService.refsKey(), HASH_A)).toBe('1');
+    expect(await redis.zrange(pending, 0, -1)).toEqual(['fresh']);
+  });
+});
@@ -0,0 +1,168 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const redisService = require('./redisService');
+
+/**
+ * Auth Service - rejestracja i logowanie użytkowników
+ * - Konta użytkowników (Hash - chat:auth:user:{userId})
+ * - Indeks nazw użytkowników (Hash - chat:auth:usernames, nazwa -> userId)
+ * - Tokeny JWT podpisywane sekretem z JWT_SECRET (wymagany poza NODE_ENV=development)
+ * - Rola nie jest brana z tokena - przy każdym żądaniu odczytywana z konta i ADMIN_USERNAMES
+ */
+
+const DEV_JWT_SECRET = 'redis-chat-dev-secret';
+
+class AuthService {
+  constructor() {
+    this.IS_DEVELOPMENT = process.env.NODE_ENV === 'development';
+    // null = brak konfiguracji; server.js odmawia wtedy startu (patrz isConfigured)
+    this.JWT_SECRET = process.env.JWT_SECRET || (this.IS_DEVELOPMENT ? DEV_JWT_SECRET : null);
+    this.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+    this.BCRYPT_ROUNDS = 10;
+    this.USERNAMES_KEY = 'chat:auth:usernames';
+    // Administratorzy - nazwy użytkowników po przecinku, np. ADMIN_USERNAMES=anna,jan
+    this.ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (!process.env.JWT_SECRET && this.IS_DEVELOPMENT) {
+      console.warn('JWT_SECRET not set - using development secret');
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.JWT_SECRET);
+  }
+
+  // ======= ACCOUNTS =======
+
+  async register(username, password) {
+    try {
+      const userId = `user_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+      // HSETNX - rezerwacja nazwy jest atomowa, dwie rejestracje nie wygrają naraz
+      const reserved = await redisService.setHashIfNotExists(
+        this.USERNAMES_KEY,
+        username.toLowerCase(),
+        userId
+      );
+      if (!reserved) return null;
+
+      const passwordHash = await this.hashPassword(password);
+      const account = {
+        id: userId,
+        username,
+        passwordHash,
+        createdAt: Date.now()
+      };
+      await redisService.setHashObject(`chat:auth:user:${userId}`, account);
+
+      return this.toPublicUser(account);
+    } catch (error) {
+      console.error('Error registering user:', error);
+      return null;
+    }
+  }
+
+  async login(username, password) {
+    try {
+      const userId = await redisService.getHashField(this.USERNAMES_KEY, username.toLowerCase());
+      if (!userId) return null;
+
+      const account = await redisService.getHash(`chat:auth:user:${userId}`);
+      if (!account || !account.passwordHash) return null;
+
+      const valid = await this.verifyPassword(password, account.passwordHash);
+      return valid ? this.toPublicUser(account) : null;
+    } catch (error) {
+      console.error('Error logging in:', error);
+      return null;
+    }
+  }
+
+  async isUsernameTaken(username) {
+    const userId = await redisService.getHashField(this.USERNAMES_KEY, username.toLowerCase());
+    return Boolean(userId);
+  }
+
+  async getUser(userId) {
+    const account = await redisService.getHash(`chat:auth:user:${userId}`);
+    return account && account.id ? this.toPublicUser(account) : null;
+  }
+
+  // Wyszukanie po nazwie (bez wielkości liter, "@" na początku pomijane)
+  async findUserByUsername(username) {
+    if (typeof username !== 'string') return null;
+
+    const userId = await redisService.getHashField(this.USERNAMES_KEY, username.replace(/^@/, '').toLowerCase());
+    return userId ? await this.getUser(userId) : null;
+  }
+
+  isAdmin(username) {
+    return this.ADMIN_USERNAMES.includes(username.toLowerCase());
+  }
+
+  toPublicUser(account) {
+    return {
+      id: account.id,
+      username: account.username,
+      role: this.isAdmin(account.username) ? 'admin' : 'user',
+      createdAt: Number(account.createdAt)
+    };
+  }
+
+  // ======= PASSWORDS =======
+  // bcrypt - także dla haseł pokoi (chatService)
+
+  async hashPassword(password) {
+    return await bcrypt.hash(password, this.BCRYPT_ROUNDS);
+  }
+
+  async verifyPassword(password, passwordHash) {
+    if (typeof password !== 'string' || !passwordHash) return false;
+    return await bcrypt.compare(password, passwordHash);
+  }
+
+  // ======= TOKENS =======
+
+  generateToken(user) {
+    return jwt.sign(
+      { username: user.username, role: user.role },
+      this.JWT_SECRET,
+      { subject: user.id, expiresIn: this.JWT_EXPIRES_IN }
+    );
+  }
+
+  // Zwraca ID użytkownika (sub) albo null gdy token jest nieważny/wygasł
+  verifyToken(token) {
+    try {
+      if (!this.JWT_SECRET) return null;
+      const payload = jwt.verify(token, this.JWT_SECRET);
+      return typeof payload.sub === 'string' ? payload.sub : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Token -> { userId, username, role } albo null.
+   * Nazwa i rola pochodzą z konta, nie z tokena - odebranie uprawnień administratora
+   * (ADMIN_USERNAMES) albo usunięcie konta działa od razu, a nie po wygaśnięciu tokena.
+   */
+  async authenticateToken(token) {
+    const userId = this.verifyToken(token);
+    if (!userId) return null;
+
+    try {
+      const user = await this.getUser(userId);
+      return user ? { userId: user.id, username: user.username, role: user.role } : null;
+    } catch (error) {
+      console.error('Error authenticating token:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -1,19 +1,135 @@
+const crypto = require('crypto');
 const redisService = require('./redisService');
 const cacheService = require('./cacheService');
+const authService = require('./authService');
+const searchService = require('./searchService');
+const rateLimitService = require('./rateLimitService');
+const attachmentService = require('./attachmentService');
+const { runFilters } = require('../filters');
+const { NODE_ID } = require('../config/socket');
 
 /**
  * Chat Service - wykorzystuje Redis do przechowywania:
- * - Wiadomości (List - jako kolejka FIFO)
- * - Pokoje (Hash - metadane pokoju)
- * - Użytkownicy online (Set)
+ * - Wiadomości (Stream - chat:room:{id}:stream, wątki w osobnych strumieniach)
+ * - Pokoje (Hash - metadane pokoju, widoczność: public / private / password)
+ * - Zaproszenia do pokoi (Hash z TTL - chat:invite:{token})
+ * - Role i moderacja pokoju (Hash - role / wyciszenia / bany, Stream - dziennik moderacji)
+ * - Obecność użytkowników (Sorted Set - score = ostatni heartbeat)
  * - Statystyki (Sorted Set - ranking aktywności)
+ * - Indeks wyszukiwania (searchService - aktualizowany przy wysłaniu/edycji/usunięciu)
  * - Cache dla często pobieranych danych
  */
 
+// HSET tylko gdy nowe ID strumienia jest większe od zapisanego; zwraca 1/0
+const ADVANCE_READ_SCRIPT = `
+  local current = redis.call('HGET', KEYS[1], ARGV[1])
+  if current then
+    local cms, cseq = string.match(current, '^(%d+)-(%d+)$')
+    local nms, nseq = string.match(ARGV[2], '^(%d+)-(%d+)$')
+    cms, cseq, nms, nseq = tonumber(cms), tonumber(cseq), tonumber(nms), tonumber(nseq)
+    if nms < cms or (nms == cms and nseq <= cseq) then
+      return 0
+    end
+  end
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+  return 1
+`;
+
+// Zmiana licznika połączeń o ARGV[3]: globalnego (KEYS[1], pole ARGV[1]; '' = klucz String)
+// i udziału tej instancji (KEYS[2], pole ARGV[2]); zwraca licznik globalny (0 = ostatnie połączenie)
+const ADJUST_CONNECTIONS_SCRIPT = `
+  local delta = tonumber(ARGV[3])
+  local count
+  if ARGV[1] == '' then
+    count = redis.call('INCRBY', KEYS[1], delta)
+    if count <= 0 then redis.call('DEL', KEYS[1]) end
+  else
+    count = redis.call('HINCRBY', KEYS[1], ARGV[1], delta)
+    if count <= 0 then redis.call('HDEL', KEYS[1], ARGV[1]) end
+  end
+  if redis.call('HINCRBY', KEYS[2], ARGV[2], delta) <= 0 then
+    redis.call('HDEL', KEYS[2], ARGV[2])
+  end
+  return math.max(count, 0)
+`;
+
+// Odejmij od liczników globalnych udział instancji (KEYS[1] - użytkownicy, KEYS[2] - pokoje)
+// i usuń go; zwraca pola JSON [roomId, userId], których licznik pokoju spadł do zera
+const RELEASE_NODE_SCRIPT = `
+  local users = redis.call('HGETALL', KEYS[1])
+  for i = 1, #users, 2 do
+    local key = 'chat:user:' .. users[i] .. ':connections'
+    if redis.call('DECRBY', key, tonumber(users[i + 1])) <= 0 then
+      redis.call('DEL', key)
+    end
+  end
+  local dropped = {}
+  local rooms = redis.call('HGETALL', KEYS[2])
+  for i = 1, #rooms, 2 do
+    local member = cjson.decode(rooms[i])
+    local key = 'chat:room:' .. member[1] .. ':connections'
+    if redis.call('HINCRBY', key, member[2], -tonumber(rooms[i + 1])) <= 0 then
+      redis.call('HDEL', key, member[2])
+      table.insert(dropped, rooms[i])
+    end
+  end
+  redis.call('DEL', KEYS[1], KEYS[2])
+  return dropped
+`;
+
+// Należne wpisy (score <= teraz) -> przesunięte o dzierżawę; zwraca je (reaper na wielu instancjach)
+const CLAIM_EXPIRED_SCRIPT = `
+  local time = redis.call('TIME')
+  local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+  local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, tonumber(ARGV[1]))
+  for _, member in ipairs(due) do
+    redis.call('ZADD', KEYS[1], now + tonumber(ARGV[2]), member)
+  end
+  return due
+`;
+
 class ChatService {
   constructor() {
     this.MESSAGE_LIMIT = 100; // Limit wiadomości w pokoju
     this.CACHE_TTL = 300; // 5 minut cache
+    
+    this.PRESENCE_KEY = 'chat:users:presence';
+    this.PRESENCE_STATUS_KEY = 'chat:users:status';
+    this.LAST_SEEN_KEY = 'chat:users:last_seen';
+    this.LAST_ACTIVE_KEY = 'chat:users:last_active';
+    this.PRESENCE_TIMEOUT = 60 * 1000; // brak heartbeatu przez 60s = offline
+    this.PRESENCE_AWAY_AFTER = 5 * 60 * 1000; // brak aktywności przez 5 min = away
+    
+    this.MENTIONS_LIMIT = 100; // Ile wzmianek trzymamy na użytkownika
+    this.UNREAD_LIMIT = 99; // Licznik nieprzeczytanych pokazuje najwyżej 99+
+
+    this.ROOM_VISIBILITIES = ['public', 'private', 'password'];
+    this.INVITE_TTL = 24 * 60 * 60; // Domyślna ważność zaproszenia (s)
+    this.INVITE_MAX_TTL = 7 * 24 * 60 * 60;
+
+    this.ROOM_ROLES = ['owner', 'moderator', 'member'];
+    this.ROLE_RANK = { member: 1, moderator: 2, owner: 3, admin: 4 };
+    this.MAX_MODERATION_DURATION = 30 * 24 * 60 * 60; // Najdłuższe wyciszenie / ban czasowy (s)
+    this.MODERATION_LOG_LIMIT = 1000;
+
+    this.RATE_LIMIT_MESSAGES = Number(process.env.RATE_LIMIT_MESSAGES) || 5; // Wiadomości w oknie
+    this.RATE_LIMIT_WINDOW = Number(process.env.RATE_LIMIT_WINDOW) || 10; // Okno (s)
+    this.RATE_LIMIT_STRIKES = 3; // Tyle przekroczeń w STRIKE_WINDOW = automatyczne wyciszenie
+    this.RATE_LIMIT_STRIKE_WINDOW = 10 * 60;
+    this.AUTO_MUTE_DURATION = 5 * 60;
+
+    this.LINK_FILTER_MODES = ['allow', 'block'];
+    this.PROFANITY_FILTER_MODES = ['mask', 'reject', 'flag', 'off'];
+    this.FLAGGED_LIMIT = 500; // Ile oflagowanych wiadomości trzymamy na pokój
+
+    this.MESSAGE_EXPIRY_MIN = 10; // Wiadomość znikająca: od 10 s...
+    this.MESSAGE_EXPIRY_MAX = 7 * 24 * 60 * 60; // ...do 7 dni
+    this.ROOM_TTL_MIN = 60; // Pokój znikający po bezczynności: od minuty...
+    this.ROOM_TTL_MAX = 30 * 24 * 60 * 60; // ...do 30 dni
+    this.EXPIRY_LEASE = 60 * 1000; // ms - dzierżawa przejętego wpisu (jobs/ephemeralReaper)
+
+    this.NODES_KEY = 'chat:nodes';
+    this.NODE_TIMEOUT = 60 * 1000; // ms - instancja bez heartbeatu tak długo uznawana jest za martwą
   }
 
   // ======= USER MANAGEMENT =======
@@ -47,151 +163,1835 @@ class ChatService {
       
       return true;
     } catch (error) {
-      console.error('Error joining room:', error);
-      return false;
+      console.error('Error joining room:', error);
+      return false;
+    }
+  }
+  
+  async leaveRoom(userId, roomId) {
+    try {
+      const roomUsersKey = `chat:room:${roomId}:users`;
+      const userRoomsKey = `chat:user:${userId}:rooms`;
+      
+      // Usuń użytkownika z pokoju (SREM)
+      await redisService.removeFromSet(roomUsersKey, userId);
+      
+      // Usuń pokój z listy użytkownika
+      await redisService.removeFromSet(userRoomsKey, roomId);
+      
+      return true;
+    } catch (error) {
+      console.error('Error leaving room:', error);
+      return false;
+    }
+  }
+
+  // ======= CONNECTION TRACKING (multi-tab) =======
+  /**
+   * Użytkownik może mieć kilka kart/socketów jednocześnie.
+   * Liczniki połączeń (String i Hash + INCR/HINCRBY) pozwalają oznaczyć
+   * użytkownika jako offline dopiero po zamknięciu ostatniego socketu.
+   * Każda instancja zapisuje też swój udział (chat:node:{id}:connections,
+   * chat:node:{id}:room-connections) i heartbeat w chat:nodes - po awarii instancji
+   * sweeper odejmuje jej udział od liczników (reconcileDeadNodes).
+   */
+  
+  nodeConnectionsKey(nodeId) {
+    return `chat:node:${nodeId}:connections`;
+  }
+  
+  nodeRoomConnectionsKey(nodeId) {
+    return `chat:node:${nodeId}:room-connections`;
+  }
+  
+  async adjustConnections(key, field, nodeKey, nodeField, delta) {
+    const count = await redisService.runScript(ADJUST_CONNECTIONS_SCRIPT, [key, nodeKey], [field, nodeField, delta]);
+    return count === null ? null : Number(count);
+  }
+  
+  async addConnection(userId) {
+    return await this.adjustConnections(
+      `chat:user:${userId}:connections`, '', this.nodeConnectionsKey(NODE_ID), userId, 1
+    );
+  }
+  
+  async removeConnection(userId) {
+    return await this.adjustConnections(
+      `chat:user:${userId}:connections`, '', this.nodeConnectionsKey(NODE_ID), userId, -1
+    );
+  }
+  
+  async addRoomConnection(roomId, userId) {
+    return await this.adjustConnections(
+      `chat:room:${roomId}:connections`, userId, this.nodeRoomConnectionsKey(NODE_ID), JSON.stringify([roomId, userId]), 1
+    );
+  }
+  
+  async removeRoomConnection(roomId, userId) {
+    return await this.adjustConnections(
+      `chat:room:${roomId}:connections`, userId, this.nodeRoomConnectionsKey(NODE_ID), JSON.stringify([roomId, userId]), -1
+    );
+  }
+  
+  // Udział instancji odjęty od liczników; wynik: [{ roomId, userId, username }] - ostatnie połączenia z pokojem
+  async releaseNodeConnections(nodeId) {
+    const dropped = await redisService.runScript(
+      RELEASE_NODE_SCRIPT,
+      [this.nodeConnectionsKey(nodeId), this.nodeRoomConnectionsKey(nodeId)]
+    );
+    
+    const left = [];
+    for (const member of dropped || []) {
+      const [roomId, userId] = JSON.parse(member);
+      await this.leaveRoom(userId, roomId);
+      const account = await authService.getUser(userId);
+      left.push({ roomId, userId, username: account ? account.username : userId });
+    }
+    return left;
+  }
+  
+  // Heartbeat instancji (presenceSweeper)
+  async heartbeatNode() {
+    return await redisService.addToSortedSet(this.NODES_KEY, Date.now(), NODE_ID);
+  }
+  
+  // Start instancji - połączenia sprzed restartu (ten sam NODE_ID) już nie istnieją
+  async resetNodeConnections() {
+    await this.releaseNodeConnections(NODE_ID);
+    await this.heartbeatNode();
+  }
+  
+  // Instancje bez heartbeatu dłużej niż NODE_TIMEOUT; ZREM - sprząta tylko jedna instancja
+  async reconcileDeadNodes() {
+    const left = [];
+    try {
+      const dead = await redisService.getSortedSetByScore(this.NODES_KEY, 0, Date.now() - this.NODE_TIMEOUT);
+      for (const { value: nodeId } of dead) {
+        if (!(await redisService.removeFromSortedSet(this.NODES_KEY, nodeId))) continue;
+        
+        console.log(`Releasing connections of dead node ${nodeId}`);
+        left.push(...await this.releaseNodeConnections(nodeId));
+      }
+    } catch (error) {
+      console.error('Error reconciling dead nodes:', error);
+    }
+    return left;
+  }
+
+  // ======= MESSAGE OPERATIONS =======
+  /**
+   * Wiadomości pokoju przechowywane są w strumieniu (Stream) chat:room:{id}:stream.
+   * ID wpisu (np. 1700000000000-0) jest jednocześnie ID wiadomości i kursorem paginacji.
+   */
+  
+  messagesKey(roomId) {
+    return `chat:room:${roomId}:stream`;
+  }
+  
+  isMessageId(id) {
+    return typeof id === 'string' && /^\d+-\d+$/.test(id);
+  }
+  
+  // Wpis strumienia -> obiekt wiadomości
+  parseMessageEntry(entry) {
+    return {
+      id: entry.id,
+      ...JSON.parse(entry.message.data)
+    };
+  }
+  
+  // parentId - odpowiedź w wątku, zapisywana w strumieniu wątku zamiast pokoju
+  // Wynik: wiadomość, null (błąd zapisu) albo { error: 'rejected', filter, reason } (filtr treści)
+  // type - rodzaj wiadomości, np. 'action' dla /me (brak = zwykła)
+  // bot - wiadomość bota (bots/), klient pokazuje plakietkę;
+  // integration { id, name, avatar } + cards - wiadomość z webhooka przychodzącego;
+  // attachments - ID plików przesłanych przez autora (wtedy tekst może być pusty);
+  // expiresIn - wiadomość znikająca po tylu sekundach (tylko w pokoju, nie w wątku)
+  async sendMessage(roomId, userId, username, text, {
+    parentId = null, type = null, bot = false, integration = null, cards = null, attachments = null, expiresIn = null
+  } = {}) {
+    try {
+      const userStatsKey = `chat:user:${userId}:stats`;
+      const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+      
+      const filtered = hasAttachments && !(typeof text === 'string' && text.trim())
+        ? { text: '', flags: [] }
+        : await this.filterText(roomId, userId, text, { isIntegration: Boolean(integration) });
+      if (filtered.rejected) return { error: 'rejected', ...filtered.rejected };
+      const message = filtered.text;
+      
+      const files = hasAttachments ? await attachmentService.claimAttachments(attachments, roomId, userId) : [];
+      if (!files) return { error: 'rejected', filter: 'attachments', reason: 'invalid_attachments' };
+      
+      const messageData = {
+        userId,
+        username,
+        message,
+        timestamp: Date.now(),
+        roomId
+      };
+      if (parentId) messageData.parentId = parentId;
+      if (type) messageData.type = type;
+      if (bot) messageData.bot = true;
+      if (integration) messageData.integration = integration;
+      if (cards && cards.length > 0) messageData.cards = cards;
+      if (files.length > 0) messageData.attachments = files;
+      if (expiresIn && !parentId) messageData.expiresAt = messageData.timestamp + expiresIn * 1000;
+      
+      const displayName = await this.getNickname(roomId, userId);
+      if (displayName) messageData.displayName = displayName;
+      if (filtered.flags.length > 0) messageData.flags = filtered.flags;
+      
+      const mentions = await this.resolveMentions(roomId, message, userId);
+      if (mentions.length > 0) messageData.mentions = mentions;
+      
+      // XADD z MAXLEN - zapis i przycięcie do limitu pokoju w jednej komendzie
+      const { maxCount } = await this.getRetentionPolicy(roomId);
+      const id = await redisService.addToStream(
+        parentId ? this.threadKey(roomId, parentId) : this.messagesKey(roomId),
+        { data: JSON.stringify(messageData) },
+        { maxLength: maxCount }
+      );
+      if (!id) return null;
+      
+      if (files.length > 0) {
+        await attachmentService.linkMessage(roomId, files, id);
+      }
+      if (messageData.expiresAt) {
+        await this.trackMessageExpiry(roomId, id, messageData.expiresAt);
+      }
+      if (!parentId) {
+        await this.touchRoom(roomId);
+      }
+      
+      // Zaktualizuj statystyki użytkownika
+      await redisService.incrementNumber(`${userStatsKey}:messages_sent`);
+      
+      await this.recordMentions({ id, ...messageData });
+      await searchService.indexMessage({ id, ...messageData });
+      if (messageData.flags) {
+        await this.recordFlagged({ id, ...messageData });
+      }
+      
+      if (this.isDirectRoom(roomId)) {
+        await this.recordDirectMessage(roomId, userId);
+      }
+      
+      // Własna wiadomość jest przeczytana przez autora (bot / integracja nie mają potwierdzeń odczytu)
+      if (!parentId && !bot && !integration) {
+        await this.advanceReadPointer(roomId, userId, username, id);
+      }
+      
+      // Invalidate cache dla tego pokoju
+      await cacheService.invalidate(`cache:room:${roomId}:*`);
+      // DODAJ: Invalidate cache info dla wszystkich pokoi (RoomList)
+      await cacheService.invalidate('cache:room:*:info');
+      
+      return { id, ...messageData };
+    } catch (error) {
+      console.error('Error sending message:', error);
+      return null;
+    }
+  }
+  
+  // Strona wiadomości w kolejności chronologicznej.
+  // before - ID wiadomości; zwracane są wiadomości starsze od niej (kursor)
+  async getMessages(roomId, limit = 50, before = null) {
+    const fetchPage = async () => {
+      // XREVRANGE key (before - COUNT limit; "(" = przedział otwarty
+      const end = before ? `(${before}` : '+';
+      const entries = await redisService.getStreamRevRange(this.messagesKey(roomId), end, '-', limit);
+      const messages = entries.map(entry => this.parseMessageEntry(entry)).reverse();
+      return await this.hydrateMessages(roomId, messages);
+    };
+    
+    try {
+      // Starsze strony czytane są rzadko - cache tylko dla najnowszej strony
+      if (before) {
+        return await fetchPage();
+      }
+      
+      // Użyj Cache-Aside pattern
+      return await cacheService.cacheAside(
+        `cache:room:${roomId}:messages:${limit}`,
+        fetchPage,
+        this.CACHE_TTL
+      );
+    } catch (error) {
+      console.error('Error getting messages:', error);
+      return [];
+    }
+  }
+
+  // Pojedyncza wiadomość (XRANGE key id id) z naniesionymi zmianami
+  async getMessage(roomId, messageId) {
+    if (!this.isMessageId(messageId)) return null;
+    
+    const [entry] = await redisService.getStreamRange(this.messagesKey(roomId), messageId, messageId, 1);
+    if (!entry) return null;
+    
+    const [message] = await this.hydrateMessages(roomId, [this.parseMessageEntry(entry)]);
+    return message;
+  }
+  
+  // Wpisy strumienia są niezmienne - edycje, usunięcia itp. nanosimy przy odczycie
+  async hydrateMessages(roomId, messages) {
+    if (messages.length === 0) return messages;
+    
+    const ids = messages.map(m => m.id);
+    const [edits, replyCounts, reactions] = await Promise.all([
+      redisService.getHashFields(this.editsKey(roomId), ids),
+      redisService.getHashFields(this.threadCountsKey(roomId), ids),
+      Promise.all(ids.map(id => this.getReactions(roomId, id)))
+    ]);
+    
+    return messages.map((message, i) => {
+      const hydrated = { ...message, ...(edits[i] ? JSON.parse(edits[i]) : {}) };
+      if (replyCounts[i]) hydrated.replyCount = Number(replyCounts[i]);
+      if (reactions[i].length > 0) hydrated.reactions = reactions[i];
+      return hydrated;
+    });
+  }
+  
+  // ======= MESSAGE EDITS =======
+  /**
+   * - chat:room:{id}:edits (Hash) - messageId -> aktualna treść / tombstone (JSON)
+   * - chat:room:{id}:message:{messageId}:history (List) - poprzednie wersje treści
+   * Edytować może tylko autor, usuwać autor albo moderator pokoju.
+   * Wynik: { message } albo { error: 'invalid' | 'not_found' | 'deleted' | 'forbidden' }
+   */
+  
+  editsKey(roomId) {
+    return `chat:room:${roomId}:edits`;
+  }
+  
+  historyKey(roomId, messageId) {
+    return `chat:room:${roomId}:message:${messageId}:history`;
+  }
+  
+  // Admin albo właściciel / moderator pokoju
+  async canModerate(roomId, user) {
+    if (user.role === 'admin') return true;
+    
+    const role = await this.getRoomRole(roomId, user.userId);
+    return role === 'owner' || role === 'moderator';
+  }
+  
+  // Zapisz zmienione pola wiadomości; zwraca wiadomość po zmianie
+  async saveMessageEdit(roomId, message, changes) {
+    const current = await redisService.getHashField(this.editsKey(roomId), message.id);
+    const merged = { ...(current ? JSON.parse(current) : {}), ...changes };
+    
+    await redisService.setHash(this.editsKey(roomId), message.id, JSON.stringify(merged));
+    await cacheService.invalidate(`cache:room:${roomId}:*`);
+    
+    return { ...message, ...changes };
+  }
+  
+  async editMessage(roomId, messageId, user, text) {
+    try {
+      if (typeof text !== 'string' || !text.trim()) return { error: 'invalid' };
+      
+      const message = await this.getMessage(roomId, messageId);
+      if (!message) return { error: 'not_found' };
+      if (message.deleted) return { error: 'deleted' };
+      if (message.userId !== user.userId) return { error: 'forbidden' };
+      
+      // Edycja przechodzi przez te same filtry co nowa wiadomość
+      const filtered = await this.filterText(roomId, user.userId, text, { isEdit: true });
+      if (filtered.rejected) return { error: 'rejected', ...filtered.rejected };
+      const newText = filtered.text;
+      if (message.message === newText) return { message };
+      
+      // Poprzednia wersja trafia do historii (LPUSH - najnowsza na początku)
+      await redisService.push(this.historyKey(roomId, messageId), {
+        message: message.message,
+        editedAt: message.editedAt || message.timestamp
+      });
+      
+      const updated = await this.saveMessageEdit(roomId, message, {
+        message: newText,
+        editedAt: Date.now(),
+        ...(filtered.flags.length > 0 && { flags: filtered.flags })
+      });
+      await searchService.indexMessage(updated);
+      if (filtered.flags.length > 0) {
+        await this.recordFlagged(updated);
+      }
+      
+      return { message: updated };
+    } catch (error) {
+      console.error('Error editing message:', error);
+      return { error: 'not_found' };
+    }
+  }
+  
+  // Soft delete - wpis zostaje w strumieniu, treść zastępuje tombstone
+  async deleteMessage(roomId, messageId, user) {
+    try {
+      const message = await this.getMessage(roomId, messageId);
+      if (!message) return { error: 'not_found' };
+      if (message.deleted) return { error: 'deleted' };
+      
+      const isAuthor = message.userId === user.userId;
+      if (!isAuthor && !(await this.canModerate(roomId, user))) {
+        return { error: 'forbidden' };
+      }
+      
+      await redisService.push(this.historyKey(roomId, messageId), {
+        message: message.message,
+        editedAt: message.editedAt || message.timestamp
+      });
+      
+      const tombstone = await this.saveMessageEdit(roomId, message, {
+        message: '',
+        deleted: true,
+        deletedAt: Date.now(),
+        deletedBy: user.userId
+      });
+      await searchService.removeMessage(roomId, messageId);
+      await attachmentService.releaseMessage(roomId, message);
+      
+      return { message: tombstone };
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      return { error: 'not_found' };
+    }
+  }
+  
+  // Historia zmian - dla autora i moderatorów
+  async getMessageHistory(roomId, messageId, user) {
+    const message = await this.getMessage(roomId, messageId);
+    if (!message) return { error: 'not_found' };
+    
+    if (message.userId !== user.userId && !(await this.canModerate(roomId, user))) {
+      return { error: 'forbidden' };
+    }
+    
+    return {
+      message,
+      history: await redisService.getList(this.historyKey(roomId, messageId))
+    };
+  }
+  
+  // Usuń dane powiązane z wiadomościami, które wypadły ze strumienia (retencja):
+  // edycje, historię, wątki, reakcje, załączniki i wpisy indeksu wyszukiwania
+  async pruneMessageMetadata(roomId) {
+    const [oldest] = await redisService.getStreamRange(this.messagesKey(roomId), '-', '+', 1);
+    const isExpired = (id) => !oldest || redisService.compareStreamIds(id, oldest.id) < 0;
+    
+    const editedIds = await redisService.getHashKeys(this.editsKey(roomId));
+    const expiredEdits = editedIds.filter(isExpired);
+    if (expiredEdits.length > 0) {
+      await redisService.deleteHashField(this.editsKey(roomId), ...expiredEdits);
+      for (const messageId of expiredEdits) {
+        await redisService.deleteKey(this.historyKey(roomId, messageId));
+      }
+    }
+    
+    const threadIds = await redisService.getHashKeys(this.threadCountsKey(roomId));
+    const expiredThreads = threadIds.filter(isExpired);
+    if (expiredThreads.length > 0) {
+      await redisService.deleteHashField(this.threadCountsKey(roomId), ...expiredThreads);
+      for (const parentId of expiredThreads) {
+        await redisService.deleteKey(this.threadKey(roomId, parentId));
+      }
+    }
+    
+    const reactedIds = await redisService.getSet(this.reactedKey(roomId));
+    const expiredReactions = reactedIds.filter(isExpired);
+    if (expiredReactions.length > 0) {
+      await redisService.removeFromSet(this.reactedKey(roomId), ...expiredReactions);
+      for (const messageId of expiredReactions) {
+        await redisService.deleteKey(this.reactionsKey(roomId, messageId));
+      }
+    }
+    
+    const expiredDocs = await searchService.removeRoomDocsBefore(roomId, oldest ? oldest.id : null);
+    const expiredAttachments = await attachmentService.releaseRoom(roomId, isExpired);
+    
+    return expiredEdits.length + expiredThreads.length + expiredReactions.length + expiredDocs + expiredAttachments;
+  }
+
+  // ======= READ RECEIPTS =======
+  /**
+   * - chat:user:{id}:read (Hash) - roomId -> ID ostatniej przeczytanej wiadomości
+   * - chat:room:{id}:read (Hash) - userId -> { messageId, username, readAt } ("widziane przez")
+   * Wskaźnik tylko rośnie - porównanie ID strumienia robi skrypt Lua, atomowo.
+   */
+  
+  readPointersKey(userId) {
+    return `chat:user:${userId}:read`;
+  }
+  
+  roomReadKey(roomId) {
+    return `chat:room:${roomId}:read`;
+  }
+  
+  async advanceReadPointer(roomId, userId, username, messageId) {
+    const advanced = await redisService.runScript(
+      ADVANCE_READ_SCRIPT,
+      [this.readPointersKey(userId)],
+      [roomId, messageId]
+    );
+    if (!advanced) return null;
+    
+    const receipt = { userId, username, messageId, readAt: Date.now() };
+    await redisService.setHash(this.roomReadKey(roomId), userId, JSON.stringify({
+      messageId,
+      username,
+      readAt: receipt.readAt
+    }));
+    return receipt;
+  }
+  
+  // Wynik: { receipt } (null gdy wskaźnik już był dalej) albo { error }
+  async markRead(roomId, user, messageId) {
+    try {
+      const message = await this.getMessage(roomId, messageId);
+      if (!message) return { error: 'not_found' };
+      
+      const receipt = await this.advanceReadPointer(roomId, user.userId, user.username, messageId);
+      
+      if (receipt && this.isDirectRoom(roomId)) {
+        await this.markDirectRoomRead(user.userId, roomId);
+      }
+      return { receipt: receipt ? { roomId, ...receipt } : null };
+    } catch (error) {
+      console.error('Error marking messages read:', error);
+      return { error: 'not_found' };
+    }
+  }
+  
+  // Liczba wiadomości po wskaźniku (XRANGE (lastRead + COUNT), najwyżej UNREAD_LIMIT + 1
+  async countUnread(roomId, lastReadId) {
+    const start = lastReadId ? `(${lastReadId}` : '-';
+    const entries = await redisService.getStreamRange(this.messagesKey(roomId), start, '+', this.UNREAD_LIMIT + 1);
+    return entries.length;
+  }
+  
+  // { roomId: { lastReadId, unreadCount } } dla podanych pokoi
+  async getUnreadCounts(userId, roomIds) {
+    const result = {};
+    if (roomIds.length === 0) return result;
+    
+    try {
+      const pointers = await redisService.getHashFields(this.readPointersKey(userId), roomIds);
+      const counts = await Promise.all(roomIds.map((roomId, i) => this.countUnread(roomId, pointers[i])));
+      
+      roomIds.forEach((roomId, i) => {
+        result[roomId] = { lastReadId: pointers[i] || null, unreadCount: counts[i] };
+      });
+    } catch (error) {
+      console.error('Error getting unread counts:', error);
+    }
+    return result;
+  }
+  
+  // [{ userId, username, messageId, readAt }] - dokąd doczytał każdy użytkownik pokoju
+  async getReadReceipts(roomId) {
+    const entries = await redisService.getHash(this.roomReadKey(roomId));
+    return Object.entries(entries || {}).map(([userId, value]) => ({ userId, ...JSON.parse(value) }));
+  }
+
+  // ======= MENTIONS =======
+  /**
+   * @username w treści wiadomości -> wzmianka, jeśli użytkownik bywał w pokoju
+   * (Sorted Set chat:room:{id}:stats). Wzmianki odbiorcy:
+   * - chat:user:{id}:mentions (List) - najnowsze na początku, LTRIM do MENTIONS_LIMIT
+   * - chat:user:{id}:mentions:last_read (String) - czas ostatniego odczytu
+   */
+  
+  mentionsKey(userId) {
+    return `chat:user:${userId}:mentions`;
+  }
+  
+  mentionsReadKey(userId) {
+    return `chat:user:${userId}:mentions:last_read`;
+  }
+  
+  // Unikalne nazwy po @ (małe litery); @ w środku słowa (np. e-mail) pomijamy
+  parseMentions(text) {
+    if (typeof text !== 'string') return [];
+    
+    const names = new Set();
+    for (const match of text.matchAll(/(^|[^\p{L}\p{N}_.@-])@([\p{L}\p{N}_.-]{2,20})/gu)) {
+      // Kropka/myślnik na końcu to zwykle interpunkcja: "cześć @anna."
+      names.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+    }
+    return [...names].filter(name => name.length >= 2);
+  }
+  
+  // [{ userId, username }] - znani użytkownicy pokoju, bez autora
+  async resolveMentions(roomId, text, authorId) {
+    const names = this.parseMentions(text);
+    if (names.length === 0) return [];
+    
+    const userIds = await redisService.getHashFields(authService.USERNAMES_KEY, names);
+    const mentions = [];
+    
+    for (let i = 0; i < names.length; i++) {
+      const userId = userIds[i];
+      if (!userId || userId === authorId) continue;
+      
+      const joinedAt = await redisService.getSortedSetScore(`chat:room:${roomId}:stats`, userId);
+      if (joinedAt === null) continue;
+      
+      const username = await redisService.getHashField(`chat:auth:user:${userId}`, 'username');
+      mentions.push({ userId, username: username || names[i] });
+    }
+    return mentions;
+  }
+  
+  // Wpis skrzynki wzmianek dla wiadomości (bez odbiorcy)
+  buildMention(message) {
+    const mention = {
+      id: `${message.roomId}:${message.id}`,
+      roomId: message.roomId,
+      messageId: message.id,
+      fromUserId: message.userId,
+      fromUsername: message.username,
+      excerpt: message.message.slice(0, 140),
+      timestamp: message.timestamp
+    };
+    if (message.parentId) mention.parentId = message.parentId;
+    return mention;
+  }
+  
+  async recordMentions(message) {
+    if (!message.mentions) return;
+    
+    const mention = this.buildMention(message);
+    for (const { userId } of message.mentions) {
+      await redisService.push(this.mentionsKey(userId), mention);
+      await redisService.trimList(this.mentionsKey(userId), 0, this.MENTIONS_LIMIT - 1);
+    }
+  }
+  
+  // { mentions: [{ ...mention, read }], unreadCount }
+  async getMentions(userId, limit = 50) {
+    try {
+      const [mentions, lastRead] = await Promise.all([
+        redisService.getList(this.mentionsKey(userId), 0, this.MENTIONS_LIMIT - 1),
+        redisService.getString(this.mentionsReadKey(userId))
+      ]);
+      const readUntil = Number(lastRead) || 0;
+      const withState = mentions.map(m => ({ ...m, read: m.timestamp <= readUntil }));
+      
+      return {
+        mentions: withState.slice(0, limit),
+        unreadCount: withState.filter(m => !m.read).length
+      };
+    } catch (error) {
+      console.error('Error getting mentions:', error);
+      return { mentions: [], unreadCount: 0 };
+    }
+  }
+  
+  // Oznacz jako przeczytane wszystkie wzmianki do podanego czasu
+  async markMentionsRead(userId, until = Date.now()) {
+    const current = Number(await redisService.getString(this.mentionsReadKey(userId))) || 0;
+    if (until > current) {
+      await redisService.setString(this.mentionsReadKey(userId), String(until));
+    }
+    return Math.max(until, current);
+  }
+
+  // ======= REACTIONS =======
+  /**
+   * - chat:room:{id}:message:{messageId}:reactions (Hash) - "{userId}:{emoji}" -> username
+   * - chat:room:{id}:reacted (Set) - wiadomości z reakcjami (sprzątanie przy retencji)
+   * Wynik przełączenia: { reactions, added } albo { error }
+   */
+  
+  reactionsKey(roomId, messageId) {
+    return `chat:room:${roomId}:message:${messageId}:reactions`;
+  }
+  
+  reactedKey(roomId) {
+    return `chat:room:${roomId}:reacted`;
+  }
+  
+  // Pojedyncze emoji (także z modyfikatorami/ZWJ), bez spacji i dwukropka
+  isValidReaction(emoji) {
+    return typeof emoji === 'string'
+      && emoji.length <= 16
+      && /^[^\s:]+$/u.test(emoji)
+      && /\p{Extended_Pictographic}/u.test(emoji);
+  }
+  
+  // [{ emoji, userIds, usernames }] - kolejność według liczby reakcji
+  async getReactions(roomId, messageId) {
+    const entries = await redisService.getHash(this.reactionsKey(roomId, messageId));
+    const byEmoji = new Map();
+    
+    for (const [field, username] of Object.entries(entries || {})) {
+      const separator = field.indexOf(':');
+      const userId = field.slice(0, separator);
+      const emoji = field.slice(separator + 1);
+      
+      if (!byEmoji.has(emoji)) byEmoji.set(emoji, { emoji, userIds: [], usernames: [] });
+      byEmoji.get(emoji).userIds.push(userId);
+      byEmoji.get(emoji).usernames.push(username);
+    }
+    
+    return [...byEmoji.values()].sort((a, b) => b.userIds.length - a.userIds.length);
+  }
+  
+  async toggleReaction(roomId, messageId, user, emoji) {
+    try {
+      if (!this.isValidReaction(emoji)) return { error: 'invalid_reaction' };
+      
+      const message = await this.getMessage(roomId, messageId);
+      if (!message) return { error: 'not_found' };
+      if (message.deleted) return { error: 'deleted' };
+      
+      const key = this.reactionsKey(roomId, messageId);
+      const field = `${user.userId}:${emoji}`;
+      
+      // HSETNX - 1 gdy reakcja dodana, 0 gdy już była (wtedy ją zdejmujemy)
+      const added = await redisService.setHashIfNotExists(key, field, user.username);
+      if (added) {
+        await redisService.addToSet(this.reactedKey(roomId), messageId);
+      } else {
+        await redisService.deleteHashField(key, field);
+      }
+      
+      await cacheService.invalidate(`cache:room:${roomId}:*`);
+      
+      return { reactions: await this.getReactions(roomId, messageId), added: Boolean(added) };
+    } catch (error) {
+      console.error('Error toggling reaction:', error);
+      return { error: 'not_found' };
+    }
+  }
+
+  // ======= THREADS =======
+  /**
+   * - chat:room:{id}:thread:{parentId} (Stream) - odpowiedzi w wątku wiadomości
+   * - chat:room:{id}:threads (Hash) - parentId -> liczba odpowiedzi (HINCRBY)
+   * Wątek zaczyna się od wiadomości pokoju; odpowiedzi nie trafiają do głównego strumienia.
+   */
+  
+  threadKey(roomId, parentId) {
+    return `chat:room:${roomId}:thread:${parentId}`;
+  }
+  
+  threadCountsKey(roomId) {
+    return `chat:room:${roomId}:threads`;
+  }
+  
+  // Wynik: { message, parentId, replyCount } albo { error }
+  async sendReply(roomId, parentId, userId, username, text) {
+    try {
+      if (typeof text !== 'string' || !text.trim()) return { error: 'invalid' };
+      
+      const parent = await this.getMessage(roomId, parentId);
+      if (!parent) return { error: 'not_found' };
+      if (parent.deleted) return { error: 'deleted' };
+      
+      const reply = await this.sendMessage(roomId, userId, username, text, { parentId });
+      if (!reply) return { error: 'failed' };
+      if (reply.error) return reply;
+      
+      const replyCount = await redisService.incrementHashField(this.threadCountsKey(roomId), parentId);
+      
+      return { message: reply, parentId, replyCount };
+    } catch (error) {
+      console.error('Error sending reply:', error);
+      return { error: 'failed' };
+    }
+  }
+  
+  // Wiadomość nadrzędna + strona odpowiedzi (chronologicznie, kursor jak w getMessages)
+  async getThread(roomId, parentId, limit = 50, before = null) {
+    try {
+      const parent = await this.getMessage(roomId, parentId);
+      if (!parent) return { error: 'not_found' };
+      
+      const end = before ? `(${before}` : '+';
+      const entries = await redisService.getStreamRevRange(this.threadKey(roomId, parentId), end, '-', limit);
+      const replies = entries.map(entry => this.parseMessageEntry(entry)).reverse();
+      
+      return { parent, replies, hasMore: replies.length === limit };
+    } catch (error) {
+      console.error('Error getting thread:', error);
+      return { error: 'not_found' };
+    }
+  }
+
+  // ======= ROOM OPERATIONS =======
+  
+  // ID pokoju w kluczach Redis - bez ":", żeby klucze pokoju "a" nie pokrywały się z pokojem "a:b"
+  isValidRoomId(roomId) {
+    return typeof roomId === 'string' && /^[\w-]{1,64}$/.test(roomId);
+  }
+  
+  // inactivityTtl - pokój usuwany po tylu sekundach bez wiadomości (null = na stałe)
+  async createRoom(roomId, name, createdBy, { visibility = 'public', password = null, inactivityTtl = null } = {}) {
+    try {
+      const roomKey = `chat:room:${roomId}`;
+      const cacheKey = `cache:room:${roomId}:info`;
+      const roomData = {
+        id: roomId,
+        name: name,
+        createdBy: createdBy,
+        createdAt: Date.now(),
+        visibility: visibility,
+        messageCount: 0
+        // userCount: 0 // USUNIĘTO zliczanie użytkowników
+      };
+      if (inactivityTtl) roomData.inactivityTtl = inactivityTtl;
+      // Zapisz metadane pokoju (Hash) - hash hasła tylko w Redis, nigdy w odpowiedziach
+      await redisService.setHashObject(roomKey, roomData);
+      if (visibility === 'password') {
+        await redisService.setHash(roomKey, 'passwordHash', await authService.hashPassword(password));
+      } else {
+        await redisService.deleteHashField(roomKey, 'passwordHash');
+      }
+      // Twórca jest pierwszym członkiem (ma dostęp do pokoju prywatnego) i właścicielem
+      if (createdBy !== 'system') {
+        await this.addRoomMember(roomId, createdBy);
+        await redisService.setHash(this.rolesKey(roomId), createdBy, 'owner');
+      }
+      // Pokój znikający - odliczanie bezczynności od utworzenia
+      await this.touchRoom(roomId);
+      // Dodaj do listy wszystkich pokoi (Set)
+      const addResult = await redisService.addToSet('chat:rooms:all', roomId);
+      console.log(`[createRoom] Added roomId '${roomId}' to chat:rooms:all, result:`, addResult);
+      // Stwórz cache:room info od razu po utworzeniu pokoju
+      await cacheService.set(cacheKey, roomData, this.CACHE_TTL);
+      console.log(`[createRoom] Room created:`, roomData);
+      return roomData;
+    } catch (error) {
+      console.error('Error creating room:', error);
+      return null;
+    }
+  }
+  
+  async getRoomInfo(roomId) {
+    const cacheKey = `cache:room:${roomId}:info`;
+    
+    try {
+      return await cacheService.cacheAside(
+        cacheKey,
+        async () => {
+          const roomKey = `chat:room:${roomId}`;
+          const roomUsersKey = `chat:room:${roomId}:users`;
+          
+          const { passwordHash, ...roomData } = await redisService.getHash(roomKey);
+          if (!roomData.id) return null;
+          roomData.visibility = roomData.visibility || 'public';
+          
+          // Pobierz liczbę wiadomości (XLEN)
+          roomData.messageCount = await redisService.getStreamLength(this.messagesKey(roomId));
+
+          return roomData;
+        },
+        this.CACHE_TTL
+      );
+    } catch (error) {
+      console.error('Error getting room info:', error);
+      return null;
+    }
+  }
+
+  // Temat pokoju (/topic); pusty usuwa temat
+  async setRoomTopic(roomId, topic) {
+    try {
+      const roomKey = `chat:room:${roomId}`;
+      if (topic) {
+        await redisService.setHash(roomKey, 'topic', topic);
+      } else {
+        await redisService.deleteHashField(roomKey, 'topic');
+      }
+      await cacheService.invalidate(`cache:room:${roomId}:info`);
+      return true;
+    } catch (error) {
+      console.error('Error setting room topic:', error);
+      return false;
+    }
+  }
+
+  async getAllRoomIds() {
+    // Pobierz wszystkie roomId z Redis Set
+    return await redisService.getSet('chat:rooms:all');
+  }
+  
+  // Czy użytkownik może czytać i pisać w pokoju (rozmowy prywatne - tylko uczestnicy,
+  // pokoje prywatne i na hasło - tylko członkowie)
+  async canAccessRoom(roomId, userId) {
+    if (this.isDirectRoom(roomId)) {
+      return this.getDirectParticipants(roomId).includes(userId);
+    }
+    if (await this.getActiveRestriction(this.bansKey(roomId), userId)) return false;
+
+    const visibility = await this.getRoomVisibility(roomId);
+    if (visibility === 'public') return true;
+    return await this.isRoomMember(roomId, userId);
+  }
+
+  // ======= PRIVATE ROOMS & INVITES =======
+  /**
+   * - chat:room:{id} (Hash) - visibility + passwordHash (bcrypt) dla pokoi na hasło
+   * - chat:room:{id}:members (Set) - kto ma dostęp do pokoju prywatnego / na hasło
+   * - chat:invite:{token} (Hash z TTL) - roomId, createdBy, expiresAt, maxUses, uses
+   * - chat:room:{id}:invites (Set) - tokeny zaproszeń pokoju (do listy i odwołania)
+   * Dołączenie: członek wchodzi zawsze, inni podają hasło albo token zaproszenia
+   * i od tej chwili są członkami.
+   */
+
+  inviteKey(token) {
+    return `chat:invite:${token}`;
+  }
+
+  roomInvitesKey(roomId) {
+    return `chat:room:${roomId}:invites`;
+  }
+
+  async getRoomVisibility(roomId) {
+    const visibility = await redisService.getHashField(`chat:room:${roomId}`, 'visibility');
+    return visibility || 'public';
+  }
+
+  // Wynik: { ok: true } albo { error: 'banned' | 'password_required' | 'invalid_password' | 'invite_required' | 'invalid_invite' | 'forbidden' }
+  async authorizeJoin(roomId, user, { password = null, inviteToken = null } = {}) {
+    try {
+      if (this.isDirectRoom(roomId)) {
+        return this.getDirectParticipants(roomId).includes(user.userId) ? { ok: true } : { error: 'forbidden' };
+      }
+
+      const ban = await this.getActiveRestriction(this.bansKey(roomId), user.userId);
+      if (ban) return { error: 'banned', until: ban.until };
+
+      const visibility = await this.getRoomVisibility(roomId);
+      if (visibility === 'public') return { ok: true };
+      if (await this.isRoomMember(roomId, user.userId)) return { ok: true };
+
+      if (inviteToken) {
+        const redeemed = await this.redeemInvite(inviteToken, user.userId, roomId);
+        return redeemed.error ? redeemed : { ok: true };
+      }
+
+      if (visibility === 'private') return { error: 'invite_required' };
+      if (!password) return { error: 'password_required' };
+
+      const passwordHash = await redisService.getHashField(`chat:room:${roomId}`, 'passwordHash');
+      if (!(await authService.verifyPassword(password, passwordHash))) {
+        return { error: 'invalid_password' };
+      }
+
+      await this.addRoomMember(roomId, user.userId);
+      return { ok: true };
+    } catch (error) {
+      console.error('Error authorizing room join:', error);
+      return { error: 'forbidden' };
+    }
+  }
+
+  // Zmiana widoczności pokoju (moderator); hasło wymagane przy 'password'
+  async setRoomAccess(roomId, { visibility, password = null }) {
+    try {
+      const roomKey = `chat:room:${roomId}`;
+      await redisService.setHash(roomKey, 'visibility', visibility);
+      if (visibility === 'password') {
+        await redisService.setHash(roomKey, 'passwordHash', await authService.hashPassword(password));
+      } else {
+        await redisService.deleteHashField(roomKey, 'passwordHash');
+      }
+      await cacheService.invalidate(`cache:room:${roomId}:info`);
+      return true;
+    } catch (error) {
+      console.error('Error setting room access:', error);
+      return false;
+    }
+  }
+
+  // Zaproszenie może wystawić każdy członek pokoju; maxUses = 0 - bez limitu
+  async createInvite(roomId, user, { expiresIn = this.INVITE_TTL, maxUses = 0 } = {}) {
+    try {
+      if (this.isDirectRoom(roomId)) return { error: 'invalid' };
+      if (!(await this.canAccessRoom(roomId, user.userId))) return { error: 'forbidden' };
+
+      const ttl = Math.min(Math.max(Math.floor(expiresIn), 60), this.INVITE_MAX_TTL);
+      const token = crypto.randomBytes(16).toString('hex');
+      const now = Date.now();
+      const invite = {
+        token,
+        roomId,
+        createdBy: user.userId,
+        createdByUsername: user.username,
+        createdAt: now,
+        expiresAt: now + ttl * 1000,
+        maxUses: Math.max(Math.floor(maxUses), 0),
+        uses: 0
+      };
+
+      await redisService.setHashObject(this.inviteKey(token), invite, ttl);
+      await redisService.addToSet(this.roomInvitesKey(roomId), token);
+      return { invite };
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  async getInvite(token) {
+    const invite = await redisService.getHash(this.inviteKey(token));
+    if (!invite.roomId) return null;
+
+    return {
+      ...invite,
+      createdAt: parseInt(invite.createdAt),
+      expiresAt: parseInt(invite.expiresAt),
+      maxUses: parseInt(invite.maxUses),
+      uses: parseInt(invite.uses)
+    };
+  }
+
+  /**
+   * Wykorzystaj zaproszenie (roomId - opcjonalnie wymagany pokój).
+   * Licznik podbijany przed sprawdzeniem limitu (HINCRBY), więc równoległe
+   * wejścia nie przekroczą maxUses. Wynik: { roomId } albo { error: 'invalid_invite' }
+   */
+  async redeemInvite(token, userId, roomId = null) {
+    try {
+      if (typeof token !== 'string' || !/^[a-f0-9]{32}$/.test(token)) return { error: 'invalid_invite' };
+
+      const invite = await this.getInvite(token);
+      if (!invite || (roomId && invite.roomId !== roomId)) return { error: 'invalid_invite' };
+
+      // Członek nie zużywa zaproszenia
+      if (await this.isRoomMember(invite.roomId, userId)) return { roomId: invite.roomId };
+
+      const uses = await redisService.incrementHashField(this.inviteKey(token), 'uses');
+      if (invite.maxUses > 0 && uses > invite.maxUses) {
+        await redisService.incrementHashField(this.inviteKey(token), 'uses', -1);
+        return { error: 'invalid_invite' };
+      }
+
+      await this.addRoomMember(invite.roomId, userId);
+      return { roomId: invite.roomId };
+    } catch (error) {
+      console.error('Error redeeming invite:', error);
+      return { error: 'invalid_invite' };
+    }
+  }
+
+  // Aktywne zaproszenia pokoju; wygasłe tokeny sprzątane z indeksu przy okazji
+  async listInvites(roomId) {
+    try {
+      const tokens = await redisService.getSet(this.roomInvitesKey(roomId));
+      const invites = [];
+
+      for (const token of tokens) {
+        const invite = await this.getInvite(token);
+        if (invite) {
+          invites.push(invite);
+        } else {
+          await redisService.removeFromSet(this.roomInvitesKey(roomId), token);
+        }
+      }
+      return invites.sort((a, b) => b.createdAt - a.createdAt);
+    } catch (error) {
+      console.error('Error listing invites:', error);
+      return [];
+    }
+  }
+
+  // Odwołać może wystawiający albo moderator pokoju; wynik: true | { error }
+  async revokeInvite(roomId, token, user) {
+    try {
+      const invite = await this.getInvite(token);
+      if (!invite || invite.roomId !== roomId) return { error: 'not_found' };
+      if (invite.createdBy !== user.userId && !(await this.canModerate(roomId, user))) {
+        return { error: 'forbidden' };
+      }
+
+      await redisService.deleteKey(this.inviteKey(token));
+      await redisService.removeFromSet(this.roomInvitesKey(roomId), token);
+      return { ok: true };
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  // ======= NICKNAMES =======
+  /**
+   * - chat:room:{id}:nicks (Hash) - userId -> pseudonim w pokoju (/nick)
+   * Wiadomości dostają displayName; tożsamość (userId, username, @wzmianki) bez zmian.
+   */
+
+  nicknamesKey(roomId) {
+    return `chat:room:${roomId}:nicks`;
+  }
+
+  async getNickname(roomId, userId) {
+    return await redisService.getHashField(this.nicknamesKey(roomId), userId);
+  }
+
+  // Pusty pseudonim przywraca nazwę konta
+  async setNickname(roomId, userId, nickname) {
+    if (nickname) {
+      await redisService.setHash(this.nicknamesKey(roomId), userId, nickname);
+    } else {
+      await redisService.deleteHashField(this.nicknamesKey(roomId), userId);
+    }
+    return nickname || null;
+  }
+
+  // ======= MODERATION =======
+  /**
+   * - chat:room:{id}:roles (Hash) - userId -> owner | moderator (brak wpisu = member)
+   * - chat:room:{id}:mutes, chat:room:{id}:bans (Hash) - userId -> { until, reason, by } (JSON),
+   *   until = null - ban bezterminowy; wygasłe wpisy usuwane przy odczycie
+   * - chat:room:{id}:modlog (Stream) - dziennik akcji moderacji
+   * Moderować można tylko kogoś z niższą rolą (admin > owner > moderator > member).
+   * Wynik: { entry } albo { error: 'invalid' | 'forbidden' | 'not_found' | 'failed' }
+   */
+
+  rolesKey(roomId) {
+    return `chat:room:${roomId}:roles`;
+  }
+
+  mutesKey(roomId) {
+    return `chat:room:${roomId}:mutes`;
+  }
+
+  bansKey(roomId) {
+    return `chat:room:${roomId}:bans`;
+  }
+
+  moderationLogKey(roomId) {
+    return `chat:room:${roomId}:modlog`;
+  }
+
+  // Rola w pokoju; pokoje sprzed wprowadzenia ról - twórca jest właścicielem
+  async getRoomRole(roomId, userId) {
+    const role = await redisService.getHashField(this.rolesKey(roomId), userId);
+    if (role) return role;
+
+    const createdBy = await redisService.getHashField(`chat:room:${roomId}`, 'createdBy');
+    return createdBy === userId ? 'owner' : 'member';
+  }
+
+  async getRoomRoles(roomId) {
+    return await redisService.getHash(this.rolesKey(roomId));
+  }
+
+  async getRank(roomId, user) {
+    if (user.role === 'admin') return this.ROLE_RANK.admin;
+    return this.ROLE_RANK[await this.getRoomRole(roomId, user.userId)];
+  }
+
+  // Aktywne wyciszenie / ban albo null
+  async getActiveRestriction(key, userId) {
+    const value = await redisService.getHashField(key, userId);
+    if (!value) return null;
+
+    const restriction = JSON.parse(value);
+    if (restriction.until && restriction.until <= Date.now()) {
+      await redisService.deleteHashField(key, userId);
+      return null;
+    }
+    return restriction;
+  }
+
+  async getActiveRestrictions(key) {
+    const all = await redisService.getHash(key);
+    const active = [];
+    for (const userId of Object.keys(all)) {
+      const restriction = await this.getActiveRestriction(key, userId);
+      if (restriction) active.push({ userId, ...restriction });
+    }
+    return active;
+  }
+
+  // Czy użytkownik może pisać w pokoju: null albo { error: 'banned' | 'muted', until }
+  async checkCanPost(roomId, userId) {
+    if (this.isDirectRoom(roomId)) return null;
+
+    const ban = await this.getActiveRestriction(this.bansKey(roomId), userId);
+    if (ban) return { error: 'banned', until: ban.until };
+
+    const mute = await this.getActiveRestriction(this.mutesKey(roomId), userId);
+    return mute ? { error: 'muted', until: mute.until } : null;
+  }
+
+  // Wspólne sprawdzenie: aktor moderuje pokój i ma wyższą rolę niż cel
+  async authorizeModeration(roomId, actor, targetUserId) {
+    if (this.isDirectRoom(roomId)) return { error: 'invalid' };
+    if (!targetUserId || targetUserId === actor.userId) return { error: 'invalid' };
+    if (!(await this.canModerate(roomId, actor))) return { error: 'forbidden' };
+
+    const target = await authService.getUser(targetUserId);
+    if (!target) return { error: 'not_found' };
+
+    const targetRank = target.role === 'admin'
+      ? this.ROLE_RANK.admin
+      : this.ROLE_RANK[await this.getRoomRole(roomId, targetUserId)];
+    if (targetRank >= await this.getRank(roomId, actor)) return { error: 'forbidden' };
+
+    return { target };
+  }
+
+  // Czas w sekundach -> until (ms); 0 / brak przy banie = bezterminowo
+  parseDuration(duration, { required = false } = {}) {
+    if (duration === undefined || duration === null || duration === 0) {
+      return required ? NaN : null;
+    }
+    if (!Number.isInteger(duration) || duration < 1 || duration > this.MAX_MODERATION_DURATION) return NaN;
+    return Date.now() + duration * 1000;
+  }
+
+  async recordModeration(roomId, actor, target, action, { until = null, reason = '', role = null } = {}) {
+    const entry = {
+      roomId,
+      action,
+      actorId: actor.userId,
+      actorUsername: actor.username,
+      targetId: target.id,
+      targetUsername: target.username,
+      until,
+      reason,
+      role,
+      timestamp: Date.now()
+    };
+
+    const id = await redisService.addToStream(this.moderationLogKey(roomId), {
+      data: JSON.stringify(entry)
+    }, { maxLength: this.MODERATION_LOG_LIMIT });
+
+    return { id, ...entry };
+  }
+
+  async kickUser(roomId, actor, targetUserId, { reason = '' } = {}) {
+    try {
+      const check = await this.authorizeModeration(roomId, actor, targetUserId);
+      if (check.error) return check;
+
+      return { entry: await this.recordModeration(roomId, actor, check.target, 'kick', { reason }) };
+    } catch (error) {
+      console.error('Error kicking user:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  async muteUser(roomId, actor, targetUserId, { duration, reason = '' } = {}) {
+    try {
+      const until = this.parseDuration(duration, { required: true });
+      if (Number.isNaN(until)) return { error: 'invalid' };
+
+      const check = await this.authorizeModeration(roomId, actor, targetUserId);
+      if (check.error) return check;
+
+      await redisService.setHash(this.mutesKey(roomId), targetUserId, JSON.stringify({
+        until, reason, by: actor.userId
+      }));
+      return { entry: await this.recordModeration(roomId, actor, check.target, 'mute', { until, reason }) };
+    } catch (error) {
+      console.error('Error muting user:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  async unmuteUser(roomId, actor, targetUserId) {
+    try {
+      const check = await this.authorizeModeration(roomId, actor, targetUserId);
+      if (check.error) return check;
+
+      await redisService.deleteHashField(this.mutesKey(roomId), targetUserId);
+      return { entry: await this.recordModeration(roomId, actor, check.target, 'unmute') };
+    } catch (error) {
+      console.error('Error unmuting user:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  // Ban usuwa też członkostwo (pokój prywatny wymaga potem nowego zaproszenia)
+  async banUser(roomId, actor, targetUserId, { duration, reason = '' } = {}) {
+    try {
+      const until = this.parseDuration(duration);
+      if (Number.isNaN(until)) return { error: 'invalid' };
+
+      const check = await this.authorizeModeration(roomId, actor, targetUserId);
+      if (check.error) return check;
+
+      await redisService.setHash(this.bansKey(roomId), targetUserId, JSON.stringify({
+        until, reason, by: actor.userId
+      }));
+      await this.removeRoomMember(roomId, targetUserId);
+      await redisService.deleteHashField(this.rolesKey(roomId), targetUserId);
+      return { entry: await this.recordModeration(roomId, actor, check.target, 'ban', { until, reason }) };
+    } catch (error) {
+      console.error('Error banning user:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  async unbanUser(roomId, actor, targetUserId) {
+    try {
+      const check = await this.authorizeModeration(roomId, actor, targetUserId);
+      if (check.error) return check;
+
+      await redisService.deleteHashField(this.bansKey(roomId), targetUserId);
+      return { entry: await this.recordModeration(roomId, actor, check.target, 'unban') };
+    } catch (error) {
+      console.error('Error unbanning user:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  // Nadanie / odebranie roli moderatora - tylko właściciel (albo admin)
+  async setRoomRole(roomId, actor, targetUserId, role) {
+    try {
+      if (!['moderator', 'member'].includes(role)) return { error: 'invalid' };
+      if (actor.role !== 'admin' && (await this.getRoomRole(roomId, actor.userId)) !== 'owner') {
+        return { error: 'forbidden' };
+      }
+
+      const check = await this.authorizeModeration(roomId, actor, targetUserId);
+      if (check.error) return check;
+
+      if (role === 'member') {
+        await redisService.deleteHashField(this.rolesKey(roomId), targetUserId);
+      } else {
+        await redisService.setHash(this.rolesKey(roomId), targetUserId, role);
+      }
+      return { entry: await this.recordModeration(roomId, actor, check.target, 'role', { role }) };
+    } catch (error) {
+      console.error('Error setting room role:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  // Stan moderacji pokoju: role, aktywne wyciszenia i bany
+  async getModerationState(roomId) {
+    const [roles, mutes, bans] = await Promise.all([
+      this.getRoomRoles(roomId),
+      this.getActiveRestrictions(this.mutesKey(roomId)),
+      this.getActiveRestrictions(this.bansKey(roomId))
+    ]);
+    return { roles, mutes, bans };
+  }
+
+  // Dziennik moderacji - od najnowszych
+  async getModerationLog(roomId, limit = 50) {
+    const entries = await redisService.getStreamRevRange(this.moderationLogKey(roomId), '+', '-', limit);
+    return entries.map(({ id, message }) => ({ id, ...JSON.parse(message.data) }));
+  }
+
+  // ======= CONTENT FILTERS =======
+  /**
+   * Potok filtrów (filters/) uruchamiany przy wysłaniu i edycji wiadomości.
+   * Polityka w hashu pokoju: filterLinks (allow | block), filterProfanity (mask | reject | flag | off).
+   * - chat:room:{id}:flagged (List) - oflagowane wiadomości do przeglądu moderatorów
+   */
+
+  async getFilterPolicy(roomId) {
+    const [links, profanity] = await redisService.getHashFields(
+      `chat:room:${roomId}`,
+      ['filterLinks', 'filterProfanity']
+    );
+
+    return {
+      links: links || 'allow',
+      profanity: profanity || 'mask'
+    };
+  }
+
+  async setFilterPolicy(roomId, { links, profanity }) {
+    try {
+      const policy = {};
+      if (links !== undefined) policy.filterLinks = links;
+      if (profanity !== undefined) policy.filterProfanity = profanity;
+
+      await redisService.setHashObject(`chat:room:${roomId}`, policy);
+      return await this.getFilterPolicy(roomId);
+    } catch (error) {
+      console.error('Error setting filter policy:', error);
+      return null;
     }
   }
-  
-  async leaveRoom(userId, roomId) {
+
+  // Wynik: { text, flags } albo { rejected: { filter, reason } }
+  async filterText(roomId, userId, text, { isEdit = false, isIntegration = false } = {}) {
+    const policy = await this.getFilterPolicy(roomId);
+    return await runFilters(typeof text === 'string' ? text : '', { roomId, userId, isEdit, isIntegration, policy });
+  }
+
+  flaggedKey(roomId) {
+    return `chat:room:${roomId}:flagged`;
+  }
+
+  async recordFlagged(message) {
+    const key = this.flaggedKey(message.roomId);
+    await redisService.push(key, {
+      messageId: message.id,
+      parentId: message.parentId || null,
+      userId: message.userId,
+      username: message.username,
+      message: message.message,
+      flags: message.flags,
+      timestamp: Date.now()
+    });
+    await redisService.trimList(key, 0, this.FLAGGED_LIMIT - 1);
+  }
+
+  async getFlaggedMessages(roomId, limit = 50) {
+    return await redisService.getList(this.flaggedKey(roomId), 0, limit - 1);
+  }
+
+  // ======= RATE LIMITING =======
+  /**
+   * Limit wiadomości na użytkownika w pokoju (rateLimitService - przesuwne okno w Lua).
+   * Polityka w hashu pokoju: rateLimitMessages, rateLimitWindow (s); domyślnie z env.
+   * - chat:ratelimit:strikes:{roomId}:{userId} (String z TTL) - przekroczenia limitu;
+   *   RATE_LIMIT_STRIKES przekroczeń = automatyczne wyciszenie (wpis w dzienniku moderacji)
+   */
+
+  async getRateLimitPolicy(roomId) {
+    const [messages, window] = await redisService.getHashFields(
+      `chat:room:${roomId}`,
+      ['rateLimitMessages', 'rateLimitWindow']
+    );
+
+    return {
+      messages: Number(messages) || this.RATE_LIMIT_MESSAGES,
+      window: Number(window) || this.RATE_LIMIT_WINDOW
+    };
+  }
+
+  async setRateLimitPolicy(roomId, { messages, window }) {
     try {
-      const roomUsersKey = `chat:room:${roomId}:users`;
-      const userRoomsKey = `chat:user:${userId}:rooms`;
-      
-      // Usuń użytkownika z pokoju
-      await redisService.addToSet(roomUsersKey, userId); // Używamy sRem przez Redis CLI
-      
-      // Usuń pokój z listy użytkownika
-      await redisService.addToSet(userRoomsKey, roomId);
-      
-      return true;
+      const policy = {};
+      if (messages !== undefined) policy.rateLimitMessages = messages;
+      if (window !== undefined) policy.rateLimitWindow = window;
+
+      await redisService.setHashObject(`chat:room:${roomId}`, policy);
+      return await this.getRateLimitPolicy(roomId);
     } catch (error) {
-      console.error('Error leaving room:', error);
-      return false;
+      console.error('Error setting rate limit policy:', error);
+      return null;
     }
   }
 
-  // ======= MESSAGE OPERATIONS =======
+  /**
+   * Zużyj miejsce na wiadomość. Wynik: null (można wysłać) albo
+   * { error: 'rate_limited', retryAfter (s), entry } - entry = wpis moderacji
+   * automatycznego wyciszenia (do rozgłoszenia), gdy to kolejne przekroczenie.
+   */
+  async consumeMessageRate(roomId, user) {
+    try {
+      if (user.role === 'admin') return null;
+
+      const policy = await this.getRateLimitPolicy(roomId);
+      const result = await rateLimitService.hit(
+        `${roomId}:${user.userId}`,
+        policy.messages,
+        policy.window * 1000
+      );
+      if (result.allowed) return null;
+
+      const strikesKey = `chat:ratelimit:strikes:${roomId}:${user.userId}`;
+      const strikes = await redisService.incrementNumber(strikesKey);
+      if (strikes === 1) {
+        await redisService.setTTL(strikesKey, this.RATE_LIMIT_STRIKE_WINDOW);
+      }
+
+      let entry = null;
+      if (strikes >= this.RATE_LIMIT_STRIKES && !this.isDirectRoom(roomId)) {
+        await redisService.deleteKey(strikesKey);
+        entry = await this.autoMute(roomId, user, this.AUTO_MUTE_DURATION, 'flood');
+      }
+
+      return {
+        error: 'rate_limited',
+        retryAfter: entry ? this.AUTO_MUTE_DURATION : Math.ceil(result.retryAfter / 1000),
+        entry
+      };
+    } catch (error) {
+      console.error('Error checking message rate:', error);
+      return null;
+    }
+  }
+
+  // Wyciszenie nałożone przez system (bez sprawdzania uprawnień aktora)
+  async autoMute(roomId, user, duration, reason) {
+    const until = Date.now() + duration * 1000;
+    await redisService.setHash(this.mutesKey(roomId), user.userId, JSON.stringify({
+      until, reason, by: 'system'
+    }));
+
+    return await this.recordModeration(
+      roomId,
+      { userId: 'system', username: 'System' },
+      { id: user.userId, username: user.username },
+      'mute',
+      { until, reason }
+    );
+  }
+
+  // ======= DIRECT MESSAGES =======
+  /**
+   * Rozmowa prywatna to pokój o ID dm:{userIdA}:{userIdB} (ID posortowane),
+   * więc ta sama para zawsze trafia do tego samego strumienia. Nie ma jej w chat:rooms:all.
+   * - chat:dm:all (Set) - wszystkie rozmowy (retencja)
+   * - chat:user:{id}:dms (Sorted Set) - rozmowy użytkownika, score = ostatnia aktywność
+   * - chat:user:{id}:dm_unread (Hash) - roomId -> liczba nieprzeczytanych
+   */
+  
+  isDirectRoom(roomId) {
+    return typeof roomId === 'string' && roomId.startsWith('dm:');
+  }
+  
+  directRoomId(userIdA, userIdB) {
+    return `dm:${[userIdA, userIdB].sort().join(':')}`;
+  }
+  
+  getDirectParticipants(roomId) {
+    return roomId.slice('dm:'.length).split(':');
+  }
+  
+  directListKey(userId) {
+    return `chat:user:${userId}:dms`;
+  }
+  
+  directUnreadKey(userId) {
+    return `chat:user:${userId}:dm_unread`;
+  }
+  
+  async getAllDirectRoomIds() {
+    return await redisService.getSet('chat:dm:all');
+  }
   
-  async sendMessage(roomId, userId, username, message) {
+  // Otwórz (albo utwórz) rozmowę z innym użytkownikiem; wynik: { conversation } albo { error }
+  async openDirectRoom(user, otherUserId) {
     try {
-      const messagesKey = `chat:room:${roomId}:messages`;
-      const userStatsKey = `chat:user:${userId}:stats`;
+      if (!otherUserId || otherUserId === user.userId) return { error: 'invalid' };
       
-      const messageObj = {
-        id: `msg_${Date.now()}_${userId}`,
-        userId,
-        username,
-        message,
-        timestamp: Date.now(),
-        roomId
-      };
+      const other = await authService.getUser(otherUserId);
+      if (!other) return { error: 'not_found' };
       
-      // Dodaj wiadomość do kolejki pokoju (List - FIFO queue)
-      await redisService.enqueue(messagesKey, messageObj);
+      const roomId = this.directRoomId(user.userId, other.id);
+      const roomKey = `chat:room:${roomId}`;
       
-      // Ogranicz liczbę wiadomości (trim list)
-      // W Redis CLI: LTRIM key start stop
-      const messages = await redisService.getList(messagesKey);
-      if (messages.length > this.MESSAGE_LIMIT) {
-        // Tutaj byśmy użyli LTRIM w Redis CLI
-        console.log(`Trimming messages for room ${roomId}`);
+      if (!(await redisService.exists(roomKey))) {
+        const now = Date.now();
+        await redisService.setHashObject(roomKey, {
+          id: roomId,
+          name: `${user.username} ↔ ${other.username}`,
+          type: 'dm',
+          createdBy: user.userId,
+          createdAt: now
+        });
+        await redisService.addToSet('chat:dm:all', roomId);
+        await redisService.addToSortedSet(this.directListKey(user.userId), now, roomId);
+        await redisService.addToSortedSet(this.directListKey(other.id), now, roomId);
       }
       
-      // Zaktualizuj statystyki użytkownika
-      await redisService.incrementNumber(`${userStatsKey}:messages_sent`);
-      
-      // Invalidate cache dla tego pokoju
-      await cacheService.invalidate(`cache:room:${roomId}:*`);
-      // DODAJ: Invalidate cache info dla wszystkich pokoi (RoomList)
-      await cacheService.invalidate('cache:room:*:info');
-      
-      return messageObj;
+      return { conversation: await this.getDirectConversation(user.userId, roomId) };
     } catch (error) {
-      console.error('Error sending message:', error);
-      return null;
+      console.error('Error opening direct room:', error);
+      return { error: 'failed' };
     }
   }
   
-  async getMessages(roomId, limit = 50) {
-    const cacheKey = `cache:room:${roomId}:messages:${limit}`;
+  // Rozmowa z perspektywy użytkownika: drugi uczestnik, nieprzeczytane, ostatnia aktywność
+  async getDirectConversation(userId, roomId) {
+    const otherUserId = this.getDirectParticipants(roomId).find(id => id !== userId);
+    const [room, other, unread, lastActivity] = await Promise.all([
+      this.getRoomInfo(roomId),
+      authService.getUser(otherUserId),
+      redisService.getHashField(this.directUnreadKey(userId), roomId),
+      redisService.getSortedSetScore(this.directListKey(userId), roomId)
+    ]);
     
+    return {
+      ...room,
+      id: roomId,
+      type: 'dm',
+      otherUser: {
+        userId: otherUserId,
+        username: other ? other.username : otherUserId
+      },
+      unreadCount: Number(unread) || 0,
+      lastActivity: lastActivity || null
+    };
+  }
+  
+  // Rozmowy użytkownika, od ostatnio aktywnej
+  async listDirectRooms(userId) {
     try {
-      // Użyj Cache-Aside pattern
-      return await cacheService.cacheAside(
-        cacheKey,
-        async () => {
-          const messagesKey = `chat:room:${roomId}:messages`;
-          const messages = await redisService.getList(messagesKey, 0, limit - 1);
-          return messages.reverse(); // Najnowsze na górze
-        },
-        this.CACHE_TTL
-      );
+      const entries = await redisService.getSortedSetWithScores(this.directListKey(userId));
+      return await Promise.all(entries.map(entry => this.getDirectConversation(userId, entry.value)));
     } catch (error) {
-      console.error('Error getting messages:', error);
+      console.error('Error listing direct rooms:', error);
       return [];
     }
   }
+  
+  // Po wysłaniu: rozmowa wyżej na listach obu osób, +1 nieprzeczytana u odbiorcy
+  async recordDirectMessage(roomId, senderId) {
+    const now = Date.now();
+    
+    for (const participantId of this.getDirectParticipants(roomId)) {
+      await redisService.addToSortedSet(this.directListKey(participantId), now, roomId);
+      if (participantId !== senderId) {
+        await redisService.incrementHashField(this.directUnreadKey(participantId), roomId);
+      }
+    }
+  }
+  
+  async getDirectUnreadCount(userId, roomId) {
+    return Number(await redisService.getHashField(this.directUnreadKey(userId), roomId)) || 0;
+  }
+  
+  async markDirectRoomRead(userId, roomId) {
+    return await redisService.deleteHashField(this.directUnreadKey(userId), roomId);
+  }
 
-  // ======= ROOM OPERATIONS =======
+  // ======= RETENTION =======
+  /**
+   * Polityka przechowywania wiadomości zapisana w hashu pokoju:
+   * - retentionCount - maksymalna liczba wiadomości (XADD ... MAXLEN przy każdym wysłaniu)
+   * - retentionMaxAge - maksymalny wiek wiadomości w sekundach (0 = bez limitu),
+   *   egzekwowany przez jobs/retentionJob.js
+   */
   
-  async createRoom(roomId, name, createdBy) {
+  async getRetentionPolicy(roomId) {
+    const [count, maxAge] = await redisService.getHashFields(
+      `chat:room:${roomId}`,
+      ['retentionCount', 'retentionMaxAge']
+    );
+    
+    return {
+      maxCount: Number(count) || this.MESSAGE_LIMIT,
+      maxAge: Number(maxAge) || 0
+    };
+  }
+  
+  async setRetentionPolicy(roomId, { maxCount, maxAge }) {
     try {
       const roomKey = `chat:room:${roomId}`;
-      const cacheKey = `cache:room:${roomId}:info`;
-      const roomData = {
-        id: roomId,
-        name: name,
-        createdBy: createdBy,
-        createdAt: Date.now(),
-        messageCount: 0
-        // userCount: 0 // USUNIĘTO zliczanie użytkowników
-      };
-      // Zapisz metadane pokoju (Hash)
-      await redisService.setHashObject(roomKey, roomData);
-      // Dodaj do listy wszystkich pokoi (Set)
-      const addResult = await redisService.addToSet('chat:rooms:all', roomId);
-      console.log(`[createRoom] Added roomId '${roomId}' to chat:rooms:all, result:`, addResult);
-      // Stwórz cache:room info od razu po utworzeniu pokoju
-      await cacheService.set(cacheKey, roomData, this.CACHE_TTL);
-      console.log(`[createRoom] Room created:`, roomData);
-      return roomData;
+      const policy = {};
+      if (maxCount !== undefined) policy.retentionCount = maxCount;
+      if (maxAge !== undefined) policy.retentionMaxAge = maxAge;
+      
+      await redisService.setHashObject(roomKey, policy);
+      await this.enforceRetention(roomId);
+      
+      return await this.getRetentionPolicy(roomId);
     } catch (error) {
-      console.error('Error creating room:', error);
+      console.error('Error setting retention policy:', error);
       return null;
     }
   }
   
-  async getRoomInfo(roomId) {
-    const cacheKey = `cache:room:${roomId}:info`;
-    
+  // Zastosuj politykę pokoju; zwraca liczbę usuniętych wiadomości
+  async enforceRetention(roomId) {
     try {
-      return await cacheService.cacheAside(
-        cacheKey,
-        async () => {
-          const roomKey = `chat:room:${roomId}`;
-          const roomUsersKey = `chat:room:${roomId}:users`;
-          const messagesKey = `chat:room:${roomId}:messages`;
-          
-          const roomData = await redisService.getHash(roomKey);
-          if (!roomData.id) return null;
-          
-          // Pobierz liczbę wiadomości
-          const messages = await redisService.getList(messagesKey);
-          roomData.messageCount = messages.length;
+      const streamKey = this.messagesKey(roomId);
+      const { maxCount, maxAge } = await this.getRetentionPolicy(roomId);
+      
+      let removed = await redisService.trimStream(streamKey, 'MAXLEN', maxCount);
+      
+      if (maxAge > 0) {
+        // ID wpisu zaczyna się od czasu w ms, więc MINID wyznacza granicę wieku
+        removed += await redisService.trimStream(streamKey, 'MINID', Date.now() - maxAge * 1000);
+      }
+      
+      // XADD ... MAXLEN przycina strumień przy każdym wysłaniu, więc dane powiązane
+      // sprzątamy zawsze, nie tylko gdy ten przebieg coś usunął
+      await this.pruneMessageMetadata(roomId);
+      if (removed > 0) {
+        await cacheService.invalidate(`cache:room:${roomId}:*`);
+      }
+      
+      return removed;
+    } catch (error) {
+      console.error('Error enforcing retention:', error);
+      return 0;
+    }
+  }
 
-          return roomData;
-        },
-        this.CACHE_TTL
-      );
+  // ======= EPHEMERAL =======
+  /**
+   * Wiadomości i pokoje znikające. Wpis strumienia nie może mieć własnego TTL, więc terminy
+   * są w Sorted Setach, a usuwa je jobs/ephemeralReaper (przejęcie skryptem Lua z dzierżawą):
+   * - chat:expiring:messages - JSON [roomId, messageId], score = expiresAt wiadomości (ms)
+   * - chat:expiring:rooms - roomId, score = ostatnia aktywność + inactivityTtl pokoju (ms)
+   * Aktywność (nowa wiadomość w pokoju) przesuwa termin pokoju; lastActivityAt w hashu pokoju
+   * pozwala reaperowi sprawdzić, czy przejęty pokój naprawdę jest nieaktywny.
+   */
+
+  expiringMessagesKey() {
+    return 'chat:expiring:messages';
+  }
+
+  expiringRoomsKey() {
+    return 'chat:expiring:rooms';
+  }
+
+  isValidDuration(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+
+  async trackMessageExpiry(roomId, messageId, expiresAt) {
+    return await redisService.addToSortedSet(this.expiringMessagesKey(), expiresAt, JSON.stringify([roomId, messageId]));
+  }
+
+  // Aktywność w pokoju znikającym - nowy termin usunięcia (ms) albo null (pokój stały)
+  async touchRoom(roomId) {
+    const roomKey = `chat:room:${roomId}`;
+    const ttl = Number(await redisService.getHashField(roomKey, 'inactivityTtl'));
+    if (!ttl) return null;
+
+    const now = Date.now();
+    await redisService.setHash(roomKey, 'lastActivityAt', now);
+    await redisService.addToSortedSet(this.expiringRoomsKey(), now + ttl * 1000, roomId);
+    return now + ttl * 1000;
+  }
+
+  async getRoomExpiry(roomId) {
+    return await redisService.getSortedSetScore(this.expiringRoomsKey(), roomId);
+  }
+
+  async claimExpired(key, limit) {
+    const due = await redisService.runScript(CLAIM_EXPIRED_SCRIPT, [key], [limit, this.EXPIRY_LEASE]);
+    return due || [];
+  }
+
+  // Przejęte wygasłe wiadomości: [{ roomId, messageId }]
+  async claimExpiredMessages(limit) {
+    const members = await this.claimExpired(this.expiringMessagesKey(), limit);
+    return members.map(member => {
+      const [roomId, messageId] = JSON.parse(member);
+      return { roomId, messageId };
+    });
+  }
+
+  async claimExpiredRooms(limit) {
+    return await this.claimExpired(this.expiringRoomsKey(), limit);
+  }
+
+  /**
+   * Trwale usuń wiadomość (XDEL) razem z edycjami, historią, wątkiem, reakcjami, załącznikami,
+   * wpisami w skrzynkach wzmianek, listą oflagowanych i indeksem wyszukiwania.
+   * Zwraca true, gdy wiadomość jeszcze była w strumieniu.
+   */
+  async purgeMessage(roomId, messageId) {
+    const member = JSON.stringify([roomId, messageId]);
+    try {
+      const [entry] = await redisService.getStreamRange(this.messagesKey(roomId), messageId, messageId, 1);
+      if (!entry) {
+        await redisService.removeFromSortedSet(this.expiringMessagesKey(), member);
+        return false;
+      }
+      const message = this.parseMessageEntry(entry);
+
+      await redisService.deleteStreamEntries(this.messagesKey(roomId), messageId);
+      await redisService.deleteHashField(this.editsKey(roomId), messageId);
+      await redisService.deleteKey(this.historyKey(roomId, messageId));
+
+      const replies = await redisService.getStreamRange(this.threadKey(roomId, messageId));
+      for (const reply of replies) {
+        await searchService.removeMessage(roomId, reply.id, messageId);
+      }
+      await redisService.deleteHashField(this.threadCountsKey(roomId), messageId);
+      await redisService.deleteKey(this.threadKey(roomId, messageId));
+
+      await redisService.removeFromSet(this.reactedKey(roomId), messageId);
+      await redisService.deleteKey(this.reactionsKey(roomId, messageId));
+      await searchService.removeMessage(roomId, messageId);
+      await attachmentService.releaseMessage(roomId, message);
+
+      // Wpis skrzynki wzmianek jest zbudowany z pierwotnej treści - ta sama wartość do LREM
+      for (const { userId } of message.mentions || []) {
+        await redisService.removeFromList(this.mentionsKey(userId), this.buildMention(message));
+      }
+      if (message.flags) {
+        const flagged = await redisService.getList(this.flaggedKey(roomId));
+        for (const item of flagged.filter(f => f.messageId === messageId)) {
+          await redisService.removeFromList(this.flaggedKey(roomId), item);
+        }
+      }
+
+      await redisService.removeFromSortedSet(this.expiringMessagesKey(), member);
+      await cacheService.invalidate(`cache:room:${roomId}:*`);
+      return true;
     } catch (error) {
-      console.error('Error getting room info:', error);
-      return null;
+      console.error('Error purging message:', error);
+      return false;
     }
   }
 
-  async getAllRoomIds() {
-    // Pobierz wszystkie roomId z Redis Set
-    return await redisService.getSet('chat:rooms:all');
+  // Przejęty pokój: czy nadal nieaktywny; jeśli w międzyczasie była aktywność,
+  // przywraca jego termin w chat:expiring:rooms. Bez znanej aktywności (brak lastActivityAt
+  // i createdAt) pokój nie jest usuwany - termin przesuwa się o pełny ttl.
+  async isRoomExpired(roomId) {
+    const [ttl, lastActivityAt, createdAt] = await redisService.getHashFields(
+      `chat:room:${roomId}`,
+      ['inactivityTtl', 'lastActivityAt', 'createdAt']
+    );
+    if (!Number(ttl)) {
+      await redisService.removeFromSortedSet(this.expiringRoomsKey(), roomId);
+      return false;
+    }
+
+    const expiresAt = Number(lastActivityAt || createdAt) + Number(ttl) * 1000;
+    if (!Number.isFinite(expiresAt)) {
+      await this.touchRoom(roomId);
+      return false;
+    }
+    if (expiresAt > Date.now()) {
+      await redisService.addToSortedSet(this.expiringRoomsKey(), expiresAt, roomId);
+      return false;
+    }
+    return true;
+  }
+
+  // Klucze pokoju - jawna lista (bez KEYS, które blokuje Redis); klucze per wiadomość
+  // z indeksów: edycje -> historia, reacted -> reakcje, threads -> wątki
+  async getRoomKeys(roomId) {
+    const suffixes = [
+      'stream', 'messages', 'users', 'stats', 'joins', 'connections', 'members', 'total_messages',
+      'read', 'invites', 'nicks', 'roles', 'mutes', 'bans', 'modlog', 'flagged',
+      'edits', 'reacted', 'threads', 'attachments', 'webhooks', 'hooks'
+    ];
+    const editedIds = await redisService.getHashKeys(this.editsKey(roomId));
+    const reactedIds = await redisService.getSet(this.reactedKey(roomId));
+    const threadIds = await redisService.getHashKeys(this.threadCountsKey(roomId));
+
+    return [
+      `chat:room:${roomId}`,
+      ...suffixes.map(suffix => `chat:room:${roomId}:${suffix}`),
+      ...editedIds.map(messageId => this.historyKey(roomId, messageId)),
+      ...reactedIds.map(messageId => this.reactionsKey(roomId, messageId)),
+      ...threadIds.map(parentId => this.threadKey(roomId, parentId))
+    ];
+  }
+
+  // Usuń pokój ze wszystkimi kluczami (wiadomości, wątki, role, członkowie, załączniki...)
+  async deleteRoom(roomId) {
+    try {
+      await searchService.removeRoomDocsBefore(roomId, null);
+      await attachmentService.releaseRoom(roomId);
+
+      for (const key of await this.getRoomKeys(roomId)) {
+        await redisService.deleteKey(key);
+      }
+
+      await redisService.removeFromSet('chat:rooms:all', roomId);
+      await redisService.removeFromSortedSet(this.expiringRoomsKey(), roomId);
+      await cacheService.invalidate(`cache:room:${roomId}:*`);
+      await cacheService.invalidate('cache:room:*:info');
+      return true;
+    } catch (error) {
+      console.error('Error deleting room:', error);
+      return false;
+    }
   }
 
   // ======= STATISTICS =======
@@ -228,45 +2028,151 @@ class ChatService {
   }
 
   // ======= ONLINE PRESENCE =======
+  /**
+   * Obecność oparta o heartbeaty:
+   * - chat:users:presence (Sorted Set) - score = czas ostatniego heartbeatu,
+   *   użytkownicy bez heartbeatu dłużej niż PRESENCE_TIMEOUT są usuwani przez sweeper
+   * - chat:users:last_active (Hash) - ostatnia aktywność (widoczna karta, wiadomość)
+   * - chat:users:last_seen (Hash) - ostatni kontakt, zostaje po przejściu w offline
+   * - chat:users:status (Hash) - ostatnio rozgłoszony status, do wykrywania zmian
+   */
   
-  async setUserOnline(userId) {
+  resolveStatus(heartbeatAt, lastActive, now = Date.now()) {
+    if (!heartbeatAt) return 'offline';
+    return now - Number(lastActive || 0) > this.PRESENCE_AWAY_AFTER ? 'away' : 'online';
+  }
+  
+  // Zapisz nowy status; zwraca zmianę do rozgłoszenia albo null, gdy status się nie zmienił
+  async updateStatus(userId, status, lastSeen) {
+    const previous = await redisService.getHashField(this.PRESENCE_STATUS_KEY, userId);
+    if (previous === status) return null;
+    
+    if (status === 'offline') {
+      await redisService.deleteHashField(this.PRESENCE_STATUS_KEY, userId);
+    } else {
+      await redisService.setHash(this.PRESENCE_STATUS_KEY, userId, status);
+    }
+    
+    const account = await authService.getUser(userId);
+    return {
+      userId,
+      username: account ? account.username : userId,
+      status,
+      lastSeen
+    };
+  }
+  
+  // Heartbeat od klienta - active = karta jest widoczna dla użytkownika
+  async heartbeat(userId, { active = true } = {}) {
     try {
-      const onlineUsersKey = 'chat:users:online';
-      const userKey = `chat:user:${userId}`;
+      const now = Date.now();
       
-      // Dodaj do zbioru użytkowników online
-      await redisService.addToSet(onlineUsersKey, userId);
+      await redisService.addToSortedSet(this.PRESENCE_KEY, now, userId);
+      await redisService.setHash(this.LAST_SEEN_KEY, userId, now);
+      if (active) {
+        await redisService.setHash(this.LAST_ACTIVE_KEY, userId, now);
+      }
       
-      // Ustaw timestamp ostatniej aktywności
-      await redisService.setString(`${userKey}:last_seen`, Date.now().toString(), 3600);
+      const lastActive = active
+        ? now
+        : await redisService.getHashField(this.LAST_ACTIVE_KEY, userId);
       
-      return true;
+      return await this.updateStatus(userId, this.resolveStatus(now, lastActive, now), now);
     } catch (error) {
-      console.error('Error setting user online:', error);
-      return false;
+      console.error('Error recording heartbeat:', error);
+      return null;
     }
   }
   
+  async setUserOnline(userId) {
+    return await this.heartbeat(userId, { active: true });
+  }
+  
   async setUserOffline(userId) {
     try {
-      const onlineUsersKey = 'chat:users:online';
+      const userKey = `chat:user:${userId}`;
+      const now = Date.now();
       
-      // Usuń z zbioru użytkowników online (w Redis CLI: SREM)
-      // Tutaj symulujemy usunięcie
-      const onlineUsers = await redisService.getSet(onlineUsersKey);
-      console.log(`User ${userId} going offline`);
+      // ZREM - tylko jeden serwer "wygrywa" usunięcie i rozgłasza zmianę
+      const removed = await redisService.removeFromSortedSet(this.PRESENCE_KEY, userId);
+      await redisService.setHash(this.LAST_SEEN_KEY, userId, now);
       
-      return true;
+      if (await redisService.exists(userKey)) {
+        await redisService.setHash(userKey, 'status', 'offline');
+      }
+      
+      return removed ? await this.updateStatus(userId, 'offline', now) : null;
     } catch (error) {
       console.error('Error setting user offline:', error);
-      return false;
+      return null;
+    }
+  }
+  
+  // Usuń użytkowników bez heartbeatu i wykryj przejścia online <-> away
+  async sweepPresence() {
+    const now = Date.now();
+    const changes = [];
+    
+    try {
+      const stale = await redisService.getSortedSetByScore(
+        this.PRESENCE_KEY, 0, now - this.PRESENCE_TIMEOUT
+      );
+      
+      for (const { value: userId, score } of stale) {
+        const removed = await redisService.removeFromSortedSet(this.PRESENCE_KEY, userId);
+        if (!removed) continue;
+        
+        const change = await this.updateStatus(userId, 'offline', score);
+        if (change) changes.push(change);
+      }
+      
+      const present = await redisService.getSortedSetByScore(this.PRESENCE_KEY, now - this.PRESENCE_TIMEOUT, '+inf');
+      if (present.length > 0) {
+        const userIds = present.map(entry => entry.value);
+        const lastActive = await redisService.getHashFields(this.LAST_ACTIVE_KEY, userIds);
+        
+        for (let i = 0; i < present.length; i++) {
+          const { value: userId, score } = present[i];
+          const status = this.resolveStatus(score, lastActive[i], now);
+          const change = await this.updateStatus(userId, status, score);
+          if (change) changes.push(change);
+        }
+      }
+    } catch (error) {
+      console.error('Error sweeping presence:', error);
+    }
+    
+    return changes;
+  }
+  
+  async getUsersPresence(userIds) {
+    if (userIds.length === 0) return [];
+    
+    const now = Date.now();
+    const lastSeen = await redisService.getHashFields(this.LAST_SEEN_KEY, userIds);
+    const lastActive = await redisService.getHashFields(this.LAST_ACTIVE_KEY, userIds);
+    
+    const users = [];
+    for (let i = 0; i < userIds.length; i++) {
+      const userId = userIds[i];
+      const heartbeatAt = await redisService.getSortedSetScore(this.PRESENCE_KEY, userId);
+      const account = await authService.getUser(userId);
+      
+      users.push({
+        userId,
+        username: account ? account.username : userId,
+        status: this.resolveStatus(heartbeatAt, lastActive[i], now),
+        lastSeen: lastSeen[i] ? Number(lastSeen[i]) : null
+      });
     }
+    
+    return users;
   }
   
   async getOnlineUsers() {
     try {
-      const onlineUsersKey = 'chat:users:online';
-      return await redisService.getSet(onlineUsersKey);
+      const present = await redisService.getSortedSetByScore(this.PRESENCE_KEY, 0, '+inf');
+      return await this.getUsersPresence(present.map(entry => entry.value));
     } catch (error) {
       console.error('Error getting online users:', error);
       return [];
@@ -352,9 +2258,7 @@ class ChatService {
   
   async removeRoomMember(roomId, userId) {
     const key = `chat:room:${roomId}:members`;
-    // W Redis CLI: SREM key member
-    console.log(`Removing ${userId} from room ${roomId}`);
-    return true;
+    return await redisService.removeFromSet(key, userId);
   }
 
   // ======= LEADERBOARD (SORTED SET) =======
@@ -0,0 +1,96 @@
+jest.mock('../config/redis', () => require('../test/redisMock').mockRedisConfig());
+
+const { redis } = require('../test/redisMock');
+const { NODE_ID } = require('../config/socket');
+const chatService = require('./chatService');
+
+describe('chatService.isValidRoomId', () => {
+  it.each(['general', 'room-1', 'Zespol_A', 'a'.repeat(64)])('accepts %s', (roomId) => {
+    expect(chatService.isValidRoomId(roomId)).toBe(true);
+  });
+
+  it.each(['', 'a'.repeat(65), 'dm:u1:u2', 'pokój', 'a b', 'room*', 'room:stream', undefined, 42])(
+    'rejects %p',
+    (roomId) => {
+      expect(chatService.isValidRoomId(roomId)).toBe(false);
+    }
+  );
+});
+
+describe('chatService expiry claims', () => {
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  it('claims expired messages and leases them', async () => {
+    const now = Date.now();
+    const key = chatService.expiringMessagesKey();
+    await redis.zadd(key,
+      now - 2000, JSON.stringify(['general', '1700000000000-0']),
+      now - 1000, JSON.stringify(['random', '1700000000001-0']),
+      now + 60000, JSON.stringify(['general', '1700000000002-0']));
+
+    expect(await chatService.claimExpiredMessages(10)).toEqual([
+      { roomId: 'general', messageId: '1700000000000-0' },
+      { roomId: 'random', messageId: '1700000000001-0' }
+    ]);
+    expect(Number(await redis.zscore(key, JSON.stringify(['general', '1700000000000-0']))))
+      .toBeGreaterThanOrEqual(now + chatService.EXPIRY_LEASE);
+    expect(await chatService.claimExpiredMessages(10)).toEqual([]);
+  });
+
+  it('claims expired rooms up to the limit', async () => {
+    const now = Date.now();
+    const key = chatService.expiringRoomsKey();
+    await redis.zadd(key, now - 3000, 'r1', now - 2000, 'r2', now - 1000, 'r3', now + 60000, 'active');
+
+    expect(await chatService.claimExpiredRooms(2)).toEqual(['r1', 'r2']);
+    expect(await chatService.claimExpiredRooms(2)).toEqual(['r3']);
+    expect(await chatService.claimExpiredRooms(2)).toEqual([]);
+    expect(await redis.zcard(key)).toBe(4);
+  });
+});
+
+describe('chatService connection counters', () => {
+  const nodeUsers = chatService.nodeConnectionsKey(NODE_ID);
+  const nodeRooms = chatService.nodeRoomConnectionsKey(NODE_ID);
+  const member = JSON.stringify(['general', 'u1']);
+
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  it('counts user connections globally and per node', async () => {
+    await redis.set('chat:user:u1:connections', 2); // połączenia z innej instancji
+
+    expect(await chatService.addConnection('u1')).toBe(3);
+    expect(await chatService.addConnection('u1')).toBe(4);
+    expect(await redis.hget(nodeUsers, 'u1')).toBe('2');
+
+    expect(await chatService.removeConnection('u1')).toBe(3);
+    expect(await chatService.removeConnection('u1')).toBe(2);
+    expect(await redis.hexists(nodeUsers, 'u1')).toBe(0);
+    expect(await redis.get('chat:user:u1:connections')).toBe('2');
+  });
+
+  it('deletes counters that drop to zero', async () => {
+    await chatService.addConnection('u1');
+
+    expect(await chatService.removeConnection('u1')).toBe(0);
+    expect(await redis.exists('chat:user:u1:connections')).toBe(0);
+    expect(await chatService.removeConnection('u1')).toBe(0);
+    expect(await redis.exists('chat:user:u1:connections')).toBe(0);
+  });
+
+  it('counts room connections per user and node', async () => {
+    expect(await chatService.addRoomConnection('general', 'u1')).toBe(1);
+    expect(await chatService.addRoomConnection('general', 'u1')).toBe(2);
+    expect(await chatService.addRoomConnection('general', 'u2')).toBe(1);
+    expect(await redis.hget(nodeRooms, member)).toBe('2');
+
+    expect(await chatService.removeRoomConnection('general', 'u1')).toBe(1);
+    expect(await chatService.removeRoomConnection('general', 'u1')).toBe(0);
+    expect(await redis.hgetall('chat:room:general:connections')).toEqual({ u2: '1' });
+    expect(await redis.hexists(nodeRooms, member)).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+
+/**
+ * Rate Limit Service - przesuwne okno czasowe w Redis (Sorted Set)
+ * - chat:ratelimit:{scope} - znaczniki czasu zdarzeń z ostatniego okna (score = ms)
+ * Sprawdzenie i zapis w jednym skrypcie Lua, więc kilka instancji serwera
+ * (i kilka kart użytkownika) dzieli jeden licznik bez wyścigów; czas bierzemy
+ * z Redis (TIME), a nie z zegara instancji.
+ */
+
+// Zwraca { 1, pozostało } gdy zdarzenie przepuszczone albo { 0, ms do zwolnienia miejsca }
+const SLIDING_WINDOW_SCRIPT = `
+  local time = redis.call('TIME')
+  local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+  local window = tonumber(ARGV[1])
+  local limit = tonumber(ARGV[2])
+
+  redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+  local count = redis.call('ZCARD', KEYS[1])
+  if count >= limit then
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    return { 0, tonumber(oldest[2]) + window - now }
+  end
+
+  redis.call('ZADD', KEYS[1], now, ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], window)
+  return { 1, limit - count - 1 }
+`;
+
+class RateLimitService {
+  key(scope) {
+    return `chat:ratelimit:${scope}`;
+  }
+
+  /**
+   * Zarejestruj zdarzenie w oknie windowMs z limitem limit.
+   * Wynik: { allowed, remaining, retryAfter } (retryAfter w ms, 0 gdy przepuszczone).
+   * Przy błędzie Redis przepuszczamy - limiter nie może zablokować czatu.
+   */
+  async hit(scope, limit, windowMs) {
+    const result = await redisService.runScript(
+      SLIDING_WINDOW_SCRIPT,
+      [this.key(scope)],
+      [windowMs, limit, crypto.randomBytes(8).toString('hex')]
+    );
+    if (!result) return { allowed: true, remaining: limit, retryAfter: 0 };
+
+    const [allowed, value] = result;
+    return allowed === 1
+      ? { allowed: true, remaining: value, retryAfter: 0 }
+      : { allowed: false, remaining: 0, retryAfter: Math.max(value, 1) };
+  }
+
+  async reset(scope) {
+    return await redisService.deleteKey(this.key(scope));
+  }
+}
+
+module.exports = new RateLimitService();
@@ -80,6 +80,16 @@ class RedisService {
     }
   }
 
+  // Ustaw field tylko jeśli nie istnieje (HSETNX)
+  async setHashIfNotExists(key, field, value) {
+    try {
+      return await redisClient.hSetNX(key, field, value);
+    } catch (error) {
+      console.error('Error setting hash field (NX):', error);
+      return false;
+    }
+  }
+
   // Pobierz cały hash
   async getHash(key) {
     try {
@@ -90,6 +100,26 @@ class RedisService {
     }
   }
 
+  // Pobierz kilka fieldów z hash (HMGET)
+  async getHashFields(key, fields) {
+    try {
+      return await redisClient.hmGet(key, fields);
+    } catch (error) {
+      console.error('Error getting hash fields:', error);
+      return fields.map(() => null);
+    }
+  }
+
+  // Liczba fieldów hash (HLEN)
+  async getHashLength(key) {
+    try {
+      return await redisClient.hLen(key);
+    } catch (error) {
+      console.error('Error getting hash length:', error);
+      return 0;
+    }
+  }
+
   // Pobierz field z hash
   async getHashField(key, field) {
     try {
@@ -100,6 +130,36 @@ class RedisService {
     }
   }
 
+  // Pobierz nazwy fieldów hash (HKEYS)
+  async getHashKeys(key) {
+    try {
+      return await redisClient.hKeys(key);
+    } catch (error) {
+      console.error('Error getting hash keys:', error);
+      return [];
+    }
+  }
+
+  // Zwiększ licznik w polu hash (HINCRBY)
+  async incrementHashField(key, field, amount = 1) {
+    try {
+      return await redisClient.hIncrBy(key, field, amount);
+    } catch (error) {
+      console.error('Error incrementing hash field:', error);
+      return null;
+    }
+  }
+
+  // Usuń field z hash
+  async deleteHashField(key, ...fields) {
+    try {
+      return await redisClient.hDel(key, fields);
+    } catch (error) {
+      console.error('Error deleting hash field:', error);
+      return 0;
+    }
+  }
+
   // ======= LIST OPERATIONS (Queue/Stack) =======
   
   // QUEUE (FIFO) - push left, pop right
@@ -159,6 +219,113 @@ class RedisService {
     }
   }
 
+  // Przytnij listę do zakresu (LTRIM)
+  async trimList(key, start, end) {
+    try {
+      await redisClient.lTrim(key, start, end);
+      return true;
+    } catch (error) {
+      console.error('Error trimming list:', error);
+      return false;
+    }
+  }
+
+  // Usuń wszystkie wystąpienia wartości z listy (LREM) - wartość jak w push / enqueue
+  async removeFromList(key, value) {
+    try {
+      return await redisClient.lRem(key, 0, JSON.stringify(value));
+    } catch (error) {
+      console.error('Error removing from list:', error);
+      return 0;
+    }
+  }
+
+  // Długość listy (LLEN)
+  async getListLength(key) {
+    try {
+      return await redisClient.lLen(key);
+    } catch (error) {
+      console.error('Error getting list length:', error);
+      return 0;
+    }
+  }
+
+  // ======= STREAM OPERATIONS =======
+  /**
+   * Strumień - log wpisów z rosnącymi ID w formacie <ms>-<seq>
+   * XADD dodaje wpis, XRANGE/XREVRANGE czytają zakres ID (paginacja kursorem)
+   */
+  
+  // Porównanie ID strumienia (<ms>-<seq>) - ujemne gdy a jest starsze
+  compareStreamIds(a, b) {
+    const [aMs, aSeq] = a.split('-').map(Number);
+    const [bMs, bSeq] = b.split('-').map(Number);
+    return aMs - bMs || aSeq - bSeq;
+  }
+  
+  // Dodaj wpis (XADD), opcjonalnie przycinając strumień do maxLength wpisów
+  async addToStream(key, fields, { id = '*', maxLength = null } = {}) {
+    try {
+      const options = maxLength
+        ? { TRIM: { strategy: 'MAXLEN', strategyModifier: '=', threshold: maxLength } }
+        : undefined;
+      return await redisClient.xAdd(key, id, fields, options);
+    } catch (error) {
+      console.error('Error adding to stream:', error);
+      return null;
+    }
+  }
+  
+  // Wpisy od najstarszego (XRANGE start end COUNT n)
+  async getStreamRange(key, start = '-', end = '+', count = null) {
+    try {
+      return await redisClient.xRange(key, start, end, count ? { COUNT: count } : undefined);
+    } catch (error) {
+      console.error('Error reading stream range:', error);
+      return [];
+    }
+  }
+  
+  // Wpisy od najnowszego (XREVRANGE end start COUNT n)
+  async getStreamRevRange(key, end = '+', start = '-', count = null) {
+    try {
+      return await redisClient.xRevRange(key, end, start, count ? { COUNT: count } : undefined);
+    } catch (error) {
+      console.error('Error reading stream range:', error);
+      return [];
+    }
+  }
+  
+  // Przytnij strumień (XTRIM MAXLEN n / XTRIM MINID id), zwraca liczbę usuniętych wpisów
+  async trimStream(key, strategy, threshold) {
+    try {
+      return await redisClient.xTrim(key, strategy, threshold);
+    } catch (error) {
+      console.error('Error trimming stream:', error);
+      return 0;
+    }
+  }
+  
+  // Usuń wpisy strumienia (XDEL); zwraca liczbę usuniętych
+  async deleteStreamEntries(key, ...ids) {
+    try {
+      return await redisClient.xDel(key, ids);
+    } catch (error) {
+      console.error('Error deleting stream entries:', error);
+      return 0;
+    }
+  }
+  
+  // Długość strumienia (XLEN)
+  async getStreamLength(key) {
+    try {
+      return await redisClient.xLen(key);
+    } catch (error) {
+      console.error('Error getting stream length:', error);
+      return 0;
+    }
+  }
+
   // ======= SET OPERATIONS =======
   
   // Dodaj do zbioru
@@ -171,6 +338,16 @@ class RedisService {
     }
   }
 
+  // Usuń ze zbioru
+  async removeFromSet(key, ...values) {
+    try {
+      return await redisClient.sRem(key, values);
+    } catch (error) {
+      console.error('Error removing from set:', error);
+      return null;
+    }
+  }
+
   // Pobierz wszystkie elementy zbioru
   async getSet(key) {
     try {
@@ -221,6 +398,48 @@ class RedisService {
     }
   }
 
+  // Pobierz elementy z wynikami w zakresie score (ZRANGEBYSCORE ... WITHSCORES)
+  async getSortedSetByScore(key, min, max) {
+    try {
+      return await redisClient.zRangeByScoreWithScores(key, min, max);
+    } catch (error) {
+      console.error('Error getting sorted set by score:', error);
+      return [];
+    }
+  }
+
+  // Pobierz score elementu
+  async getSortedSetScore(key, value) {
+    try {
+      return await redisClient.zScore(key, value);
+    } catch (error) {
+      console.error('Error getting sorted set score:', error);
+      return null;
+    }
+  }
+
+  // Liczba elementów (ZCARD)
+  async getSortedSetSize(key) {
+    try {
+      return await redisClient.zCard(key);
+    } catch (error) {
+      console.error('Error getting sorted set size:', error);
+      return 0;
+    }
+  }
+
+  // Część wspólna zbiorów z wagami (ZINTERSTORE dest n key... WEIGHTS ... AGGREGATE SUM)
+  async intersectSortedSets(destination, keys, weights = null) {
+    try {
+      const options = { AGGREGATE: 'SUM' };
+      if (weights) options.WEIGHTS = weights;
+      return await redisClient.zInterStore(destination, keys, options);
+    } catch (error) {
+      console.error('Error intersecting sorted sets:', error);
+      return 0;
+    }
+  }
+
   // Pobierz pozycję użytkownika
   async getUserRank(key, value) {
     try {
@@ -254,6 +473,16 @@ class RedisService {
     }
   }
 
+  // Usuń TTL - klucz zostaje na stałe (PERSIST)
+  async persistKey(key) {
+    try {
+      return await redisClient.persist(key);
+    } catch (error) {
+      console.error('Error persisting key:', error);
+      return false;
+    }
+  }
+
   // Sprawdź TTL
   async getTTL(key) {
     try {
@@ -284,6 +513,19 @@ class RedisService {
     }
   }
 
+  // Wykonaj skrypt Lua (EVAL) - skrypt działa atomowo po stronie Redis
+  async runScript(script, keys = [], args = []) {
+    try {
+      return await redisClient.eval(script, {
+        keys,
+        arguments: args.map(String)
+      });
+    } catch (error) {
+      console.error('Error running script:', error);
+      return null;
+    }
+  }
+
   // Znajdź klucze według wzorca
   async findKeys(pattern) {
     try {
@@ -0,0 +1,16 @@
+jest.mock('../config/redis', () => require('../test/redisMock').mockRedisConfig());
+
+const redisService = require('./redisService');
+
+describe('redisService.compareStreamIds', () => {
+  it('orders by time, then by sequence', () => {
+    expect(redisService.compareStreamIds('1700000000000-0', '1700000000001-0')).toBeLessThan(0);
+    expect(redisService.compareStreamIds('1700000000000-2', '1700000000000-10')).toBeLessThan(0);
+    expect(redisService.compareStreamIds('1700000000001-0', '1700000000000-99')).toBeGreaterThan(0);
+    expect(redisService.compareStreamIds('1700000000000-3', '1700000000000-3')).toBe(0);
+  });
+
+  it('compares numerically, not as strings', () => {
+    expect(redisService.compareStreamIds('999999999999-0', '1000000000000-0')).toBeLessThan(0);
+  });
+});
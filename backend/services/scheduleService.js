@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+
+/**
+ * Schedule Service - wiadomości zaplanowane na później ("jutro o 9:00")
+ * - chat:scheduled:{id} (Hash) - pokój, autor, treść, termin (sendAt, ms)
+ * - chat:scheduled:queue (Sorted Set) - oczekujące, score = termin wysłania
+ * - chat:scheduled:processing (Sorted Set) - przejęte przez workera, score = koniec dzierżawy
+ * - chat:user:{id}:scheduled (Sorted Set) - oczekujące wiadomości autora
+ *
+ * Worker (jobs/scheduledMessageJob) przejmuje należne wiadomości skryptem Lua - przeniesienie
+ * z kolejki do processing jest atomowe, więc przy kilku instancjach każdą wyśle jedna.
+ * Edycja i anulowanie najpierw zdejmują wiadomość z kolejki (ZREM) - jeśli worker był
+ * szybszy, zmiana jest odrzucana ('not_pending') zamiast wyścigu z wysyłką.
+ */
+
+// Przejęcia po dzierżawie (instancja padła w trakcie) wracają do kolejki;
+// należne (score <= teraz) -> processing z terminem dzierżawy; zwraca ich ID
+const CLAIM_DUE_SCRIPT = `
+  local time = redis.call('TIME')
+  local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+  local stale = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', now)
+  for _, id in ipairs(stale) do
+    redis.call('ZREM', KEYS[2], id)
+    redis.call('ZADD', KEYS[1], now, id)
+  end
+  local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, tonumber(ARGV[1]))
+  for _, id in ipairs(due) do
+    redis.call('ZREM', KEYS[1], id)
+    redis.call('ZADD', KEYS[2], now + tonumber(ARGV[2]), id)
+  end
+  return due
+`;
+
+class ScheduleService {
+  constructor() {
+    this.MAX_PER_USER = 25;
+    this.MIN_DELAY = 10 * 1000; // ms
+    this.MAX_DELAY = 30 * 24 * 3600 * 1000; // ms - 30 dni
+    this.LEASE = 60 * 1000; // ms
+  }
+
+  scheduledKey(id) {
+    return `chat:scheduled:${id}`;
+  }
+
+  queueKey() {
+    return 'chat:scheduled:queue';
+  }
+
+  processingKey() {
+    return 'chat:scheduled:processing';
+  }
+
+  userScheduledKey(userId) {
+    return `chat:user:${userId}:scheduled`;
+  }
+
+  // sendAt: ms albo data ISO; wynik: ms albo null, gdy poza [teraz + MIN_DELAY, teraz + MAX_DELAY]
+  parseSendAt(sendAt) {
+    const time = typeof sendAt === 'number' ? sendAt : (typeof sendAt === 'string' ? Date.parse(sendAt) : NaN);
+    if (!Number.isFinite(time)) return null;
+
+    const now = Date.now();
+    return time >= now + this.MIN_DELAY && time <= now + this.MAX_DELAY ? Math.floor(time) : null;
+  }
+
+  parseScheduled(hash) {
+    if (!hash || !hash.id) return null;
+    return {
+      ...hash,
+      sendAt: parseInt(hash.sendAt),
+      createdAt: parseInt(hash.createdAt),
+      updatedAt: hash.updatedAt ? parseInt(hash.updatedAt) : undefined
+    };
+  }
+
+  async getScheduled(id) {
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/.test(id)) return null;
+    return this.parseScheduled(await redisService.getHash(this.scheduledKey(id)));
+  }
+
+  // Oczekujące wiadomości autora (opcjonalnie tylko z pokoju), od najbliższej
+  async listScheduled(userId, roomId = null) {
+    const entries = await redisService.getSortedSetByScore(this.userScheduledKey(userId), '-inf', '+inf');
+    const list = [];
+    for (const { value } of entries) {
+      const scheduled = await this.getScheduled(value);
+      if (scheduled && (!roomId || scheduled.roomId === roomId)) list.push(scheduled);
+    }
+    return list;
+  }
+
+  /**
+   * Zaplanuj wiadomość - tekst przejdzie przez filtry dopiero przy wysyłce (sendMessage).
+   * Wynik: { scheduled } albo { error: 'limit' | 'failed' }
+   */
+  async schedule(roomId, user, { message, sendAt }) {
+    try {
+      if ((await redisService.getSortedSetSize(this.userScheduledKey(user.userId))) >= this.MAX_PER_USER) {
+        return { error: 'limit' };
+      }
+
+      const scheduled = {
+        id: crypto.randomBytes(12).toString('hex'),
+        roomId,
+        userId: user.userId,
+        username: user.username,
+        message,
+        sendAt,
+        createdAt: Date.now()
+      };
+
+      if (!(await redisService.setHashObject(this.scheduledKey(scheduled.id), scheduled))) {
+        return { error: 'failed' };
+      }
+      await redisService.addToSortedSet(this.userScheduledKey(user.userId), sendAt, scheduled.id);
+      await redisService.addToSortedSet(this.queueKey(), sendAt, scheduled.id);
+      return { scheduled: this.parseScheduled(scheduled) };
+    } catch (error) {
+      console.error('Error scheduling message:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  // Wiadomość autora zdjęta z kolejki: { scheduled } albo { error: 'not_found' | 'forbidden' | 'not_pending' }
+  async takePending(id, userId) {
+    const scheduled = await this.getScheduled(id);
+    if (!scheduled) return { error: 'not_found' };
+    if (scheduled.userId !== userId) return { error: 'forbidden' };
+
+    // 0 = worker już ją przejął (albo właśnie zmienia ją inne żądanie)
+    if (!(await redisService.removeFromSortedSet(this.queueKey(), id))) return { error: 'not_pending' };
+    return { scheduled };
+  }
+
+  // Zmiana treści i/lub terminu; wynik: { scheduled } albo { error }
+  async updateScheduled(id, userId, { message, sendAt }) {
+    const { scheduled, error } = await this.takePending(id, userId);
+    if (error) return { error };
+
+    const updates = { updatedAt: Date.now() };
+    if (message !== undefined) updates.message = message;
+    if (sendAt !== undefined) updates.sendAt = sendAt;
+    const updated = { ...scheduled, ...updates };
+
+    try {
+      await redisService.setHashObject(this.scheduledKey(id), updates);
+      await redisService.addToSortedSet(this.userScheduledKey(userId), updated.sendAt, id);
+      return { scheduled: updated };
+    } catch (error) {
+      console.error('Error updating scheduled message:', error);
+      return { error: 'failed' };
+    } finally {
+      // Zawsze z powrotem do kolejki - także gdy zapis zmian się nie udał
+      await redisService.addToSortedSet(this.queueKey(), updated.sendAt, id);
+    }
+  }
+
+  async cancelScheduled(id, userId) {
+    const { scheduled, error } = await this.takePending(id, userId);
+    if (error) return { error };
+
+    await this.remove(scheduled);
+    return { scheduled };
+  }
+
+  async claimDue(limit) {
+    const ids = await redisService.runScript(CLAIM_DUE_SCRIPT, [this.queueKey(), this.processingKey()], [limit, this.LEASE]);
+    return ids || [];
+  }
+
+  // Po wysyłce (albo nieudanej próbie) - wiadomość znika ze wszystkich kluczy
+  async remove(scheduled) {
+    await redisService.removeFromSortedSet(this.processingKey(), scheduled.id);
+    await redisService.removeFromSortedSet(this.userScheduledKey(scheduled.userId), scheduled.id);
+    await redisService.deleteKey(this.scheduledKey(scheduled.id));
+  }
+
+  // Przejęte ID, którego Hash już nie istnieje - tylko sprzątanie processing
+  async discard(id) {
+    await redisService.removeFromSortedSet(this.processingKey(), id);
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,93 @@
+jest.mock('../config/redis', () => require('../test/redisMock').mockRedisConfig());
+
+const { redis } = require('../test/redisMock');
+const scheduleService = require('./scheduleService');
+
+describe('scheduleService.parseSendAt', () => {
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts milliseconds and ISO dates', () => {
+    expect(scheduleService.parseSendAt(now + 60000.7)).toBe(now + 60000);
+    expect(scheduleService.parseSendAt('2026-10-19T13:00:00Z')).toBe(now + 3600 * 1000);
+    expect(scheduleService.parseSendAt('2026-10-19T15:00:00+02:00')).toBe(now + 3600 * 1000);
+  });
+
+  it('accepts the bounds of the allowed range', () => {
+    expect(scheduleService.parseSendAt(now + scheduleService.MIN_DELAY)).toBe(now + scheduleService.MIN_DELAY);
+    expect(scheduleService.parseSendAt(now + scheduleService.MAX_DELAY)).toBe(now + scheduleService.MAX_DELAY);
+  });
+
+  it.each([
+    ['past', now - 1000],
+    ['too soon', now + scheduleService.MIN_DELAY - 1],
+    ['too far', now + scheduleService.MAX_DELAY + 1],
+    ['past ISO date', '2020-01-01T00:00:00Z']
+  ])('rejects %s', (_, sendAt) => {
+    expect(scheduleService.parseSendAt(sendAt)).toBeNull();
+  });
+
+  it.each([undefined, null, '', 'jutro', NaN, Infinity, true, {}, [now + 60000], ['2026-10-19T13:00:00Z']])(
+    'rejects %p',
+    (sendAt) => {
+      expect(scheduleService.parseSendAt(sendAt)).toBeNull();
+    }
+  );
+});
+
+describe('scheduleService.claimDue', () => {
+  const queue = scheduleService.queueKey();
+  const processing = scheduleService.processingKey();
+
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  it('moves due messages to processing with a lease', async () => {
+    const now = Date.now();
+    await redis.zadd(queue, now - 2000, 's1', now - 1000, 's2', now + 60000, 'later');
+
+    expect(await scheduleService.claimDue(10)).toEqual(['s1', 's2']);
+    expect(await redis.zrange(queue, 0, -1)).toEqual(['later']);
+    expect(await redis.zrange(processing, 0, -1)).toEqual(['s1', 's2']);
+    expect(Number(await redis.zscore(processing, 's1'))).toBeGreaterThanOrEqual(now + scheduleService.LEASE);
+  });
+
+  it('respects the limit, oldest first', async () => {
+    const now = Date.now();
+    await redis.zadd(queue, now - 1000, 's2', now - 3000, 's1', now - 2000, 's3');
+
+    expect(await scheduleService.claimDue(2)).toEqual(['s1', 's3']);
+    expect(await redis.zrange(queue, 0, -1)).toEqual(['s2']);
+  });
+
+  it('does not reclaim messages with a running lease', async () => {
+    await redis.zadd(processing, Date.now() + 30000, 's1');
+
+    expect(await scheduleService.claimDue(10)).toEqual([]);
+    expect(await redis.zrange(processing, 0, -1)).toEqual(['s1']);
+  });
+
+  it('reclaims messages whose lease expired (worker crashed)', async () => {
+    const now = Date.now();
+    await redis.zadd(processing, now - 1000, 'stale');
+    await redis.zadd(queue, now - 500, 's1');
+
+    expect((await scheduleService.claimDue(10)).sort()).toEqual(['s1', 'stale']);
+    expect(await redis.zcard(queue)).toBe(0);
+    expect(Number(await redis.zscore(processing, 'stale'))).toBeGreaterThanOrEqual(now + scheduleService.LEASE);
+  });
+
+  it('returns an empty list when nothing is due', async () => {
+    await redis.zadd(queue, Date.now() + 60000, 'later');
+
+    expect(await scheduleService.claimDue(10)).toEqual([]);
+  });
+});
@@ -0,0 +1,243 @@
+const redisService = require('./redisService');
+
+/**
+ * Search Service - pełnotekstowe wyszukiwanie wiadomości (indeks odwrócony w Redis)
+ * - chat:search:term:{token} (Sorted Set) - dokumenty zawierające słowo, score = liczba wystąpień
+ * - chat:search:docs (Hash) - docId -> treść i metadane wiadomości (JSON)
+ * - chat:search:room:{roomId} (Sorted Set) - dokumenty pokoju, score = czas wiadomości
+ *   (dla odpowiedzi w wątku - czas wiadomości nadrzędnej, bo wypadają razem z nią)
+ *
+ * Słowa są zapisywane małymi literami i bez polskich znaków ("Żółw" -> "zolw"),
+ * więc "zolw" i "żółw" znajdują to samo.
+ */
+
+const STOP_WORDS = [
+  // polskie
+  'a', 'aby', 'ale', 'bo', 'by', 'być', 'co', 'czy', 'do', 'go', 'i', 'ich', 'im', 'ja', 'jak',
+  'jest', 'je', 'jego', 'jej', 'już', 'ma', 'mi', 'mnie', 'na', 'nas', 'nie', 'no', 'o', 'od',
+  'on', 'ona', 'one', 'oni', 'ono', 'po', 'pod', 'przez', 'przy', 'są', 'się', 'sa', 'ta', 'tak',
+  'te', 'tego', 'tej', 'ten', 'to', 'tu', 'ty', 'tym', 'u', 'w', 'we', 'wy', 'z', 'za', 'ze', 'że',
+  // angielskie
+  'an', 'and', 'are', 'as', 'at', 'be', 'for', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to'
+];
+
+class SearchService {
+  constructor() {
+    this.DOCS_KEY = 'chat:search:docs';
+    this.MAX_CANDIDATES = 500; // Ile trafień rankingu sprawdzamy przed filtrami
+    this.MAX_TOKEN_LENGTH = 40;
+    this.STOP_WORDS = new Set(STOP_WORDS.map(word => this.fold(word)));
+  }
+
+  // ======= TOKENIZATION =======
+
+  // Małe litery bez znaków diakrytycznych; "ł" nie rozkłada się w NFD, więc osobno
+  fold(text) {
+    return text
+      .toLowerCase()
+      .replace(/ł/g, 'l')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '');
+  }
+
+  tokenize(text) {
+    if (typeof text !== 'string') return [];
+
+    return (text.match(/[\p{L}\p{N}]+/gu) || [])
+      .map(word => this.fold(word))
+      .filter(token => token.length >= 2
+        && token.length <= this.MAX_TOKEN_LENGTH
+        && !this.STOP_WORDS.has(token));
+  }
+
+  // { token: liczba wystąpień }
+  termFrequencies(text) {
+    const frequencies = {};
+    for (const token of this.tokenize(text)) {
+      frequencies[token] = (frequencies[token] || 0) + 1;
+    }
+    return frequencies;
+  }
+
+  // Zakresy [start, end) słów pasujących do zapytania - klient sam je wyróżnia
+  highlight(text, terms) {
+    const ranges = [];
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (terms.has(this.fold(match[0]))) {
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+    return ranges;
+  }
+
+  // ======= INDEXING =======
+
+  termKey(token) {
+    return `chat:search:term:${token}`;
+  }
+
+  roomDocsKey(roomId) {
+    return `chat:search:room:${roomId}`;
+  }
+
+  docId(roomId, messageId, parentId = null) {
+    return parentId ? `${roomId}|${parentId}/${messageId}` : `${roomId}|${messageId}`;
+  }
+
+  async getDoc(docId) {
+    const doc = await redisService.getHashField(this.DOCS_KEY, docId);
+    return doc ? JSON.parse(doc) : null;
+  }
+
+  // Dodaj albo zaktualizuj (edycja) wiadomość w indeksie
+  async indexMessage(message) {
+    try {
+      const { roomId, id: messageId, parentId = null } = message;
+      const docId = this.docId(roomId, messageId, parentId);
+
+      await this.removeMessage(roomId, messageId, parentId);
+      if (message.deleted || !message.message) return false;
+
+      const frequencies = this.termFrequencies(message.message);
+      const terms = Object.keys(frequencies);
+      if (terms.length === 0) return false;
+
+      const mainId = parentId || messageId;
+      await redisService.setHash(this.DOCS_KEY, docId, JSON.stringify({
+        roomId,
+        messageId,
+        parentId,
+        mainId,
+        userId: message.userId,
+        username: message.username,
+        message: message.message,
+        timestamp: message.timestamp,
+        terms
+      }));
+      await Promise.all(terms.map(token => (
+        redisService.addToSortedSet(this.termKey(token), frequencies[token], docId)
+      )));
+      await redisService.addToSortedSet(this.roomDocsKey(roomId), Number(mainId.split('-')[0]), docId);
+
+      return true;
+    } catch (error) {
+      console.error('Error indexing message:', error);
+      return false;
+    }
+  }
+
+  async removeMessage(roomId, messageId, parentId = null) {
+    try {
+      return await this.removeDoc(this.docId(roomId, messageId, parentId));
+    } catch (error) {
+      console.error('Error removing message from index:', error);
+      return false;
+    }
+  }
+
+  async removeDoc(docId) {
+    const doc = await this.getDoc(docId);
+    if (!doc) return false;
+
+    await Promise.all(doc.terms.map(token => redisService.removeFromSortedSet(this.termKey(token), docId)));
+    await redisService.deleteHashField(this.DOCS_KEY, docId);
+    await redisService.removeFromSortedSet(this.roomDocsKey(doc.roomId), docId);
+    return true;
+  }
+
+  // Retencja: usuń dokumenty wiadomości starszych niż najstarsza w strumieniu (null = wszystkie)
+  async removeRoomDocsBefore(roomId, oldestId) {
+    try {
+      const maxScore = oldestId ? Number(oldestId.split('-')[0]) : '+inf';
+      const candidates = await redisService.getSortedSetByScore(this.roomDocsKey(roomId), '-inf', maxScore);
+      let removed = 0;
+
+      for (const { value: docId } of candidates) {
+        const doc = await this.getDoc(docId);
+        if (!doc) {
+          await redisService.removeFromSortedSet(this.roomDocsKey(roomId), docId);
+          continue;
+        }
+        if (!oldestId || redisService.compareStreamIds(doc.mainId, oldestId) < 0) {
+          await this.removeDoc(docId);
+          removed++;
+        }
+      }
+      return removed;
+    } catch (error) {
+      console.error('Error pruning search index:', error);
+      return 0;
+    }
+  }
+
+  // ======= SEARCH =======
+  /**
+   * Wszystkie słowa zapytania muszą wystąpić (ZINTERSTORE), ranking TF-IDF:
+   * waga słowa = log(1 + liczba dokumentów / dokumenty ze słowem), przy remisie nowsze wyżej.
+   * Z roomId część wspólna obejmuje też dokumenty pokoju (waga 0 - nie zmienia rankingu),
+   * więc limit MAX_CANDIDATES dotyczy trafień w tym pokoju, a nie w całym czacie.
+   * canAccess(roomId) - filtr uprawnień (np. rozmowy prywatne)
+   */
+  async search(query, { roomId = null, userId = null, from = null, to = null, limit = 20, canAccess = null } = {}) {
+    const terms = [...new Set(this.tokenize(query))];
+    if (terms.length === 0) return { terms, total: 0, results: [] };
+
+    const termKeys = terms.map(token => this.termKey(token));
+    const [totalDocs, ...docCounts] = await Promise.all([
+      redisService.getHashLength(this.DOCS_KEY),
+      ...termKeys.map(key => redisService.getSortedSetSize(key))
+    ]);
+    if (docCounts.some(count => count === 0)) return { terms, total: 0, results: [] };
+
+    const weights = docCounts.map(count => Math.log(1 + totalDocs / count));
+    if (roomId) {
+      termKeys.push(this.roomDocsKey(roomId));
+      weights.push(0);
+    }
+    const resultKey = `chat:search:tmp:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+
+    let ranked;
+    try {
+      await redisService.intersectSortedSets(resultKey, termKeys, weights);
+      await redisService.setTTL(resultKey, 30);
+      ranked = await redisService.getSortedSetWithScores(resultKey, 0, this.MAX_CANDIDATES - 1);
+    } finally {
+      await redisService.deleteKey(resultKey);
+    }
+
+    const termSet = new Set(terms);
+    const matches = [];
+    const accessCache = new Map();
+
+    for (const { value: docId, score } of ranked) {
+      const doc = await this.getDoc(docId);
+      if (!doc) continue;
+      if (roomId && doc.roomId !== roomId) continue;
+      if (userId && doc.userId !== userId) continue;
+      if (from && doc.timestamp < from) continue;
+      if (to && doc.timestamp > to) continue;
+
+      if (canAccess) {
+        if (!accessCache.has(doc.roomId)) accessCache.set(doc.roomId, await canAccess(doc.roomId));
+        if (!accessCache.get(doc.roomId)) continue;
+      }
+
+      const { terms: docTerms, mainId, ...result } = doc;
+      matches.push({
+        ...result,
+        score: Math.round(score * 1000) / 1000,
+        highlights: this.highlight(doc.message, termSet)
+      });
+    }
+
+    matches.sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+
+    return {
+      terms,
+      total: matches.length,
+      results: matches.slice(0, limit)
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,538 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const redisService = require('./redisService');
+const chatService = require('./chatService');
+const rateLimitService = require('./rateLimitService');
+const { MAX_LENGTH } = require('../filters/maxLength');
+
+/**
+ * Webhook Service - zdarzenia czatu wysyłane POST-em do zewnętrznych systemów
+ * - chat:webhook:{id} (Hash) - subskrypcja: roomId ('*' = wszystkie pokoje), url, secret, events
+ * - chat:room:{id}:webhooks / chat:webhooks:global (Set) - subskrypcje pokoju / globalne
+ * - chat:webhook:delivery:{id} (Hash) - dostawa: zdarzenie, payload, status, próby (TTL 7 dni)
+ * - chat:webhook:{id}:deliveries (List) - ostatnie dostawy subskrypcji
+ * - chat:webhooks:queue (Sorted Set) - dostawy do wysłania, score = termin próby (ms)
+ * - chat:webhooks:dead (List) - dostawy, które wyczerpały próby (dead letter)
+ *
+ * Worker (jobs/webhookDeliveryJob) przejmuje należne dostawy skryptem Lua: przesuwa je
+ * w kolejce o czas dzierżawy, więc dwie instancje nie wyślą tej samej dostawy, a dostawa
+ * przerwana awarią instancji wraca po dzierżawie. Nieudana próba = ponownie w kolejce
+ * z wykładniczym odstępem; po MAX_ATTEMPTS trafia do dead letter.
+ * Adres odbiorcy musi być publiczny (checkUrl) - przy zapisie subskrypcji i przed każdą próbą,
+ * bo DNS może się zmienić; przekierowania nie są wykonywane.
+ *
+ * Webhooki przychodzące (POST /api/hooks/:token) - token pokoju zamiast logowania:
+ * - chat:hook:{token} (Hash) - roomId, nazwa i awatar integracji
+ * - chat:room:{id}:hooks (Set) - tokeny pokoju
+ */
+
+// Należne dostawy (score <= teraz) -> przesunięte o dzierżawę; zwraca ich ID
+const CLAIM_DUE_SCRIPT = `
+  local time = redis.call('TIME')
+  local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+  local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, tonumber(ARGV[1]))
+  for _, id in ipairs(due) do
+    redis.call('ZADD', KEYS[1], now + tonumber(ARGV[2]), id)
+  end
+  return due
+`;
+
+// Adresy niedostępne dla webhooków (SSRF): loopback, sieci prywatne, link-local
+// (w tym metadane chmury 169.254.169.254), CGNAT, multicast i zarezerwowane
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+class WebhookService {
+  constructor() {
+    this.EVENTS = ['new-message', 'user-joined', 'user-left', 'room-created'];
+    this.MAX_ATTEMPTS = 6;
+    this.BACKOFF_BASE = 10 * 1000; // ms - 10 s, 20 s, 40 s...
+    this.BACKOFF_MAX = 60 * 60 * 1000; // ms
+    this.REQUEST_TIMEOUT = 10 * 1000; // ms
+    this.LEASE = 60 * 1000; // ms - dłużej niż REQUEST_TIMEOUT
+    this.DELIVERY_TTL = 7 * 24 * 3600; // s
+    this.DELIVERY_LOG_LIMIT = 100;
+    this.DEAD_LETTER_LIMIT = 1000;
+    this.MAX_WEBHOOKS_PER_ROOM = 10;
+
+    this.MAX_HOOKS_PER_ROOM = 10;
+    this.HOOK_RATE_LIMIT = parseInt(process.env.HOOK_RATE_LIMIT) || 20; // wiadomości na minutę
+    this.HOOK_RATE_WINDOW = 60 * 1000; // ms
+    this.MAX_CARDS = 5;
+    this.MAX_CARD_FIELDS = 10;
+  }
+
+  webhookKey(id) {
+    return `chat:webhook:${id}`;
+  }
+
+  roomWebhooksKey(roomId) {
+    return roomId === '*' ? 'chat:webhooks:global' : `chat:room:${roomId}:webhooks`;
+  }
+
+  deliveryKey(id) {
+    return `chat:webhook:delivery:${id}`;
+  }
+
+  deliveryLogKey(webhookId) {
+    return `chat:webhook:${webhookId}:deliveries`;
+  }
+
+  queueKey() {
+    return 'chat:webhooks:queue';
+  }
+
+  deadLetterKey() {
+    return 'chat:webhooks:dead';
+  }
+
+  hookKey(token) {
+    return `chat:hook:${token}`;
+  }
+
+  roomHooksKey(roomId) {
+    return `chat:room:${roomId}:hooks`;
+  }
+
+  // ======= SUBSCRIPTIONS =======
+
+  parseWebhook(hash) {
+    if (!hash || !hash.id) return null;
+    return {
+      ...hash,
+      events: hash.events ? hash.events.split(',') : [],
+      active: hash.active !== 'false',
+      createdAt: parseInt(hash.createdAt)
+    };
+  }
+
+  // Bez sekretu - ten jest pokazywany tylko przy utworzeniu
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+
+  async getWebhook(id) {
+    return this.parseWebhook(await redisService.getHash(this.webhookKey(id)));
+  }
+
+  async listWebhooks(roomId) {
+    const ids = await redisService.getSet(this.roomWebhooksKey(roomId));
+    const webhooks = [];
+    for (const id of ids) {
+      const webhook = await this.getWebhook(id);
+      if (webhook) webhooks.push(this.toPublic(webhook));
+    }
+    return webhooks.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Nowa subskrypcja. events - podzbiór EVENTS (puste = wszystkie);
+   * secret - własny albo losowy. Wynik: { webhook } (z sekretem) albo { error }
+   */
+  async createWebhook(roomId, user, { url, events = [], secret = null }) {
+    try {
+      const existing = await redisService.getSet(this.roomWebhooksKey(roomId));
+      if (existing.length >= this.MAX_WEBHOOKS_PER_ROOM) return { error: 'limit' };
+
+      const webhook = {
+        id: crypto.randomBytes(12).toString('hex'),
+        roomId,
+        url,
+        secret: secret || crypto.randomBytes(24).toString('hex'),
+        events: (events.length > 0 ? events : this.EVENTS).join(','),
+        active: 'true',
+        createdBy: user.userId,
+        createdByUsername: user.username,
+        createdAt: Date.now()
+      };
+
+      await redisService.setHashObject(this.webhookKey(webhook.id), webhook);
+      await redisService.addToSet(this.roomWebhooksKey(roomId), webhook.id);
+      return { webhook: this.parseWebhook(webhook) };
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  // Zmiana url / events / active; wynik: zaktualizowana subskrypcja albo null
+  async updateWebhook(id, { url, events, active }) {
+    try {
+      const updates = {};
+      if (url !== undefined) updates.url = url;
+      if (events !== undefined) updates.events = (events.length > 0 ? events : this.EVENTS).join(',');
+      if (active !== undefined) updates.active = String(active);
+
+      await redisService.setHashObject(this.webhookKey(id), updates);
+      const webhook = await this.getWebhook(id);
+      return webhook && this.toPublic(webhook);
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      return null;
+    }
+  }
+
+  // Dostawy zostają do wygaśnięcia; worker pomija dostawy usuniętej subskrypcji
+  async deleteWebhook(webhook) {
+    await redisService.removeFromSet(this.roomWebhooksKey(webhook.roomId), webhook.id);
+    await redisService.deleteKey(this.webhookKey(webhook.id));
+    await redisService.deleteKey(this.deliveryLogKey(webhook.id));
+    return true;
+  }
+
+  // ======= EVENTS =======
+
+  /**
+   * Zdarzenie pokoju -> dostawa w kolejce dla każdej pasującej subskrypcji
+   * (pokoju i globalnych). Rozmowy prywatne nie wychodzą poza czat.
+   */
+  async publish(event, roomId, data) {
+    try {
+      if (chatService.isDirectRoom(roomId)) return 0;
+
+      const ids = new Set([
+        ...await redisService.getSet(this.roomWebhooksKey(roomId)),
+        ...await redisService.getSet(this.roomWebhooksKey('*'))
+      ]);
+      let queued = 0;
+
+      for (const id of ids) {
+        const webhook = await this.getWebhook(id);
+        if (!webhook || !webhook.active || !webhook.events.includes(event)) continue;
+
+        await this.enqueueDelivery(webhook, event, roomId, data);
+        queued++;
+      }
+      return queued;
+    } catch (error) {
+      console.error('Error publishing webhook event:', error);
+      return 0;
+    }
+  }
+
+  async enqueueDelivery(webhook, event, roomId, data) {
+    const now = Date.now();
+    const delivery = {
+      id: crypto.randomBytes(12).toString('hex'),
+      webhookId: webhook.id,
+      roomId,
+      event,
+      payload: JSON.stringify({ event, roomId, timestamp: now, data }),
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now
+    };
+
+    await redisService.setHashObject(this.deliveryKey(delivery.id), delivery, this.DELIVERY_TTL);
+    await redisService.push(this.deliveryLogKey(webhook.id), delivery.id);
+    await redisService.trimList(this.deliveryLogKey(webhook.id), 0, this.DELIVERY_LOG_LIMIT - 1);
+    await redisService.addToSortedSet(this.queueKey(), now, delivery.id);
+    return delivery;
+  }
+
+  // ======= URL CHECK =======
+
+  // IPv4 również w zapisie IPv6 (::ffff:127.0.0.1) - BlockList sprawdza je regułami IPv4
+  isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Czy URL może być adresem webhooka: http(s) i host, którego wszystkie adresy są publiczne.
+   * Wynik: null albo 'invalid_url' | 'unresolvable' | 'blocked_address'
+   */
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'invalid_url';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'invalid_url';
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+    } catch {
+      return 'unresolvable';
+    }
+
+    return addresses.length === 0 || addresses.some(address => this.isBlockedAddress(address))
+      ? 'blocked_address'
+      : null;
+  }
+
+  // ======= DELIVERY =======
+
+  parseDelivery(hash) {
+    if (!hash || !hash.id) return null;
+    return {
+      ...hash,
+      payload: JSON.parse(hash.payload),
+      attempts: parseInt(hash.attempts),
+      createdAt: parseInt(hash.createdAt),
+      nextAttemptAt: hash.nextAttemptAt ? parseInt(hash.nextAttemptAt) : null,
+      deliveredAt: hash.deliveredAt ? parseInt(hash.deliveredAt) : null,
+      lastStatus: hash.lastStatus ? parseInt(hash.lastStatus) : null
+    };
+  }
+
+  async getDelivery(id) {
+    return this.parseDelivery(await redisService.getHash(this.deliveryKey(id)));
+  }
+
+  // Ostatnie dostawy subskrypcji (najnowsze pierwsze), opcjonalnie tylko o danym statusie
+  async listDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    const ids = await redisService.getList(this.deliveryLogKey(webhookId), 0, this.DELIVERY_LOG_LIMIT - 1);
+    const deliveries = [];
+    for (const id of ids) {
+      const delivery = await this.getDelivery(id);
+      if (delivery && (!status || delivery.status === status)) deliveries.push(delivery);
+      if (deliveries.length >= limit) break;
+    }
+    return deliveries;
+  }
+
+  async listDeadLetters(limit = 100) {
+    const ids = await redisService.getList(this.deadLetterKey(), 0, limit - 1);
+    const deliveries = [];
+    for (const id of ids) {
+      const delivery = await this.getDelivery(id);
+      if (delivery) deliveries.push(delivery);
+    }
+    return deliveries;
+  }
+
+  // Przejmij należne dostawy (atomowo, bezpieczne przy wielu instancjach)
+  async claimDue(limit) {
+    const ids = await redisService.runScript(CLAIM_DUE_SCRIPT, [this.queueKey()], [limit, this.LEASE]);
+    return ids || [];
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  backoff(attempts) {
+    return Math.min(this.BACKOFF_BASE * 2 ** (attempts - 1), this.BACKOFF_MAX);
+  }
+
+  /**
+   * Jedna próba dostawy. Podpis: X-Webhook-Signature = sha256=HMAC(secret, "{timestamp}.{body}"),
+   * timestamp w X-Webhook-Timestamp - odbiorca może odrzucać stare żądania.
+   * Wynik: 'delivered' | 'retry' | 'dead' | 'skipped'
+   */
+  async deliver(id) {
+    const delivery = await this.getDelivery(id);
+    const webhook = delivery && await this.getWebhook(delivery.webhookId);
+    if (!delivery || !webhook || delivery.status === 'delivered') {
+      await redisService.removeFromSortedSet(this.queueKey(), id);
+      return 'skipped';
+    }
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Date.now();
+    const body = JSON.stringify({ id, ...delivery.payload });
+    let lastStatus = 0;
+    // Tylko status albo kod błędu - bez treści odpowiedzi i komunikatów sieci
+    let lastError = (await this.checkUrl(webhook.url)) || '';
+
+    if (!lastError) {
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'RedisChat-Webhooks/1.0',
+            'X-Webhook-Id': webhook.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+          },
+          body,
+          redirect: 'manual', // 3xx = nieudana próba; przekierowanie mogłoby prowadzić do sieci wewnętrznej
+          signal: AbortSignal.timeout(this.REQUEST_TIMEOUT)
+        });
+        lastStatus = response.status;
+        if (!response.ok) lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        lastError = error.name === 'TimeoutError' ? 'timeout' : (error.cause && error.cause.code) || 'network_error';
+      }
+    }
+
+    if (!lastError) {
+      await redisService.setHashObject(this.deliveryKey(id), {
+        status: 'delivered', attempts, lastStatus, lastError: '', deliveredAt: Date.now()
+      });
+      await redisService.removeFromSortedSet(this.queueKey(), id);
+      return 'delivered';
+    }
+
+    if (attempts >= this.MAX_ATTEMPTS) {
+      await redisService.setHashObject(this.deliveryKey(id), {
+        status: 'dead', attempts, lastStatus, lastError, nextAttemptAt: ''
+      });
+      await redisService.removeFromSortedSet(this.queueKey(), id);
+      await redisService.push(this.deadLetterKey(), id);
+      await redisService.trimList(this.deadLetterKey(), 0, this.DEAD_LETTER_LIMIT - 1);
+      return 'dead';
+    }
+
+    const nextAttemptAt = Date.now() + this.backoff(attempts);
+    await redisService.setHashObject(this.deliveryKey(id), {
+      status: 'failed', attempts, lastStatus, lastError, nextAttemptAt
+    });
+    await redisService.addToSortedSet(this.queueKey(), nextAttemptAt, id);
+    return 'retry';
+  }
+
+  // Ponów dostawę od zera (także z dead letter); wynik: dostawa albo null
+  async replayDelivery(id) {
+    try {
+      const delivery = await this.getDelivery(id);
+      if (!delivery || delivery.status === 'pending') return delivery;
+
+      const now = Date.now();
+      await redisService.setHashObject(this.deliveryKey(id), {
+        status: 'pending', attempts: 0, lastError: '', nextAttemptAt: now
+      }, this.DELIVERY_TTL);
+      await redisService.removeFromList(this.deadLetterKey(), id);
+      await redisService.addToSortedSet(this.queueKey(), now, id);
+      return await this.getDelivery(id);
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      return null;
+    }
+  }
+
+  // Ponów wszystkie nieudane (failed / dead) dostawy subskrypcji; wynik: liczba
+  async replayFailed(webhookId) {
+    const deliveries = await this.listDeliveries(webhookId, { limit: this.DELIVERY_LOG_LIMIT });
+    let replayed = 0;
+    for (const delivery of deliveries) {
+      if (['failed', 'dead'].includes(delivery.status) && await this.replayDelivery(delivery.id)) {
+        replayed++;
+      }
+    }
+    return replayed;
+  }
+
+  // ======= INCOMING WEBHOOKS =======
+
+  // id - autor wiadomości (hook:{id}), żeby token nie trafiał do treści czatu
+  async createHook(roomId, user, { name, avatar = null }) {
+    try {
+      const existing = await redisService.getSet(this.roomHooksKey(roomId));
+      if (existing.length >= this.MAX_HOOKS_PER_ROOM) return { error: 'limit' };
+
+      const hook = {
+        token: crypto.randomBytes(24).toString('hex'),
+        id: crypto.randomBytes(6).toString('hex'),
+        roomId,
+        name,
+        createdBy: user.userId,
+        createdByUsername: user.username,
+        createdAt: Date.now()
+      };
+      if (avatar) hook.avatar = avatar;
+
+      await redisService.setHashObject(this.hookKey(hook.token), hook);
+      await redisService.addToSet(this.roomHooksKey(roomId), hook.token);
+      return { hook };
+    } catch (error) {
+      console.error('Error creating incoming webhook:', error);
+      return { error: 'failed' };
+    }
+  }
+
+  async getHook(token) {
+    const hook = await redisService.getHash(this.hookKey(token));
+    if (!hook || !hook.roomId) return null;
+    return { ...hook, createdAt: parseInt(hook.createdAt) };
+  }
+
+  async listHooks(roomId) {
+    const tokens = await redisService.getSet(this.roomHooksKey(roomId));
+    const hooks = [];
+    for (const token of tokens) {
+      const hook = await this.getHook(token);
+      if (hook) hooks.push(hook);
+    }
+    return hooks.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async revokeHook(roomId, token) {
+    const hook = await this.getHook(token);
+    if (!hook || hook.roomId !== roomId) return false;
+
+    await redisService.deleteKey(this.hookKey(token));
+    await redisService.removeFromSet(this.roomHooksKey(roomId), token);
+    return true;
+  }
+
+  // Limit wiadomości na token (przesuwne okno); wynik: null albo { retryAfter } (s)
+  async consumeHookRate(token) {
+    const { allowed, retryAfter } = await rateLimitService.hit(
+      `hook:${token}`, this.HOOK_RATE_LIMIT, this.HOOK_RATE_WINDOW
+    );
+    return allowed ? null : { retryAfter: Math.ceil(retryAfter / 1000) };
+  }
+
+  /**
+   * Treść z żądania integracji: { text, attachments: [{ title, title_link, text, color, fields: [{ title, value, short }] }] }
+   * (format zgodny ze Slackiem). Załączniki stają się kartami wiadomości (cards) - tylko tekst,
+   * linki http(s) i kolor #rrggbb. Wynik: { text, cards } albo { error }
+   */
+  parseHookPayload({ text, attachments }) {
+    const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const str = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+    // Dłuższy tekst byłby odrzucony przez filtr maxLength - skracamy go z wielokropkiem
+    const clamp = (value) => {
+      const chars = [...value];
+      return chars.length > MAX_LENGTH ? `${chars.slice(0, MAX_LENGTH - 1).join('').trimEnd()}…` : value;
+    };
+    const link = (value) => (typeof value === 'string' && /^https?:\/\//.test(value) ? value : null);
+
+    if (attachments !== undefined && !Array.isArray(attachments)) return { error: 'attachments must be an array' };
+
+    const cards = (attachments || []).filter(isObject).slice(0, this.MAX_CARDS).map(attachment => {
+      const fields = Array.isArray(attachment.fields) ? attachment.fields.filter(isObject) : [];
+      const card = {
+        title: str(attachment.title, 200),
+        url: link(attachment.title_link),
+        text: str(attachment.text, 1000),
+        color: /^#[0-9a-f]{6}$/i.test(attachment.color) ? attachment.color : null,
+        fields: fields.slice(0, this.MAX_CARD_FIELDS)
+          .map(field => ({
+            title: str(field.title, 100),
+            value: str(typeof field.value === 'number' ? String(field.value) : field.value, 300),
+            short: Boolean(field.short)
+          }))
+          .filter(field => field.title && field.value)
+      };
+      return Object.fromEntries(Object.entries(card).filter(([, value]) => value !== null));
+    }).filter(card => card.title || card.text || card.fields.length > 0);
+
+    // Wiadomość musi mieć tekst (lista wiadomości, wyszukiwanie) - inaczej tytuł pierwszej karty
+    const messageText = str(text) || (cards[0] && (cards[0].title || cards[0].text));
+    if (!messageText) return { error: 'text or attachments are required' };
+
+    return { text: clamp(messageText), cards };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,208 @@
+jest.mock('../config/redis', () => require('../test/redisMock').mockRedisConfig());
+
+const dns = require('dns');
+const { redis } = require('../test/redisMock');
+const webhookService = require('./webhookService');
+const { MAX_LENGTH } = require('../filters/maxLength');
+
+describe('webhookService.claimDue', () => {
+  const queue = webhookService.queueKey();
+
+  beforeEach(async () => {
+    await redis.flushall();
+  });
+
+  it('claims due deliveries and leases them', async () => {
+    const now = Date.now();
+    await redis.zadd(queue, now - 2000, 'd1', now - 1000, 'd2', now + 60000, 'later');
+
+    expect(await webhookService.claimDue(10)).toEqual(['d1', 'd2']);
+
+    const score = async (id) => Number(await redis.zscore(queue, id));
+    expect(await score('later')).toBe(now + 60000);
+    expect(await score('d1')).toBeGreaterThanOrEqual(now + webhookService.LEASE);
+    expect(await score('d2')).toBe(await score('d1'));
+  });
+
+  it('does not hand out leased deliveries twice', async () => {
+    await redis.zadd(queue, Date.now() - 1000, 'd1');
+
+    expect(await webhookService.claimDue(10)).toEqual(['d1']);
+    expect(await webhookService.claimDue(10)).toEqual([]);
+    expect(await redis.zcard(queue)).toBe(1);
+  });
+
+  it('respects the limit, oldest first', async () => {
+    const now = Date.now();
+    await redis.zadd(queue, now - 1000, 'd2', now - 3000, 'd1', now - 2000, 'd3');
+
+    expect(await webhookService.claimDue(2)).toEqual(['d1', 'd3']);
+    expect(await webhookService.claimDue(2)).toEqual(['d2']);
+  });
+
+  it('returns an empty list for an empty queue', async () => {
+    expect(await webhookService.claimDue(10)).toEqual([]);
+  });
+});
+
+describe('webhookService.checkUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    'http://127.0.0.1/hook',
+    'http://127.1/hook',
+    'http://2130706433/hook',
+    'http://0x7f000001/hook',
+    'http://0.0.0.0:8080/',
+    'http://10.1.2.3/',
+    'http://172.20.0.1/',
+    'http://192.168.1.10/',
+    'http://100.64.0.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::ffff:a9fe:a9fe]/',
+    'http://[fd00::1]/',
+    'http://[fe80::1]/'
+  ])('blocks %s', async (url) => {
+    expect(await webhookService.checkUrl(url)).toBe('blocked_address');
+  });
+
+  it('accepts public addresses', async () => {
+    expect(await webhookService.checkUrl('https://8.8.8.8/hook')).toBeNull();
+    expect(await webhookService.checkUrl('https://[2606:4700:4700::1111]/hook')).toBeNull();
+  });
+
+  it('rejects other protocols and malformed URLs', async () => {
+    expect(await webhookService.checkUrl('ftp://8.8.8.8/')).toBe('invalid_url');
+    expect(await webhookService.checkUrl('file:///etc/passwd')).toBe('invalid_url');
+    expect(await webhookService.checkUrl('nie url')).toBe('invalid_url');
+  });
+
+  it('blocks hosts with any internal address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+
+    expect(await webhookService.checkUrl('https://hooks.example.com/x')).toBe('blocked_address');
+  });
+
+  it('accepts hosts with only public addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    expect(await webhookService.checkUrl('https://hooks.example.com/x')).toBeNull();
+  });
+
+  it('reports hosts that do not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+    expect(await webhookService.checkUrl('https://nieistnieje.invalid/')).toBe('unresolvable');
+  });
+});
+
+describe('webhookService.parseHookPayload', () => {
+  it('accepts plain text', () => {
+    expect(webhookService.parseHookPayload({ text: '  Build #12 passed  ' }))
+      .toEqual({ text: 'Build #12 passed', cards: [] });
+  });
+
+  it('turns Slack attachments into cards', () => {
+    const result = webhookService.parseHookPayload({
+      text: 'Deploy',
+      attachments: [{
+        title: 'Release 1.2',
+        title_link: 'https://ci.example.com/1',
+        text: 'Gotowe',
+        color: '#36a64f',
+        fields: [
+          { title: 'Środowisko', value: 'prod', short: true },
+          { title: 'Czas', value: 42 },
+          { title: 'Puste', value: '' }
+        ]
+      }]
+    });
+
+    expect(result).toEqual({
+      text: 'Deploy',
+      cards: [{
+        title: 'Release 1.2',
+        url: 'https://ci.example.com/1',
+        text: 'Gotowe',
+        color: '#36a64f',
+        fields: [
+          { title: 'Środowisko', value: 'prod', short: true },
+          { title: 'Czas', value: '42', short: false }
+        ]
+      }]
+    });
+  });
+
+  it('drops unsafe links, bad colors and empty cards', () => {
+    const { cards } = webhookService.parseHookPayload({
+      text: 'x',
+      attachments: [
+        { title: 'a', title_link: 'javascript:alert(1)', color: 'red; background: url(x)' },
+        { color: '#ffffff' },
+        null,
+        'tekst',
+        { text: 'b', fields: [null, { title: 't', value: 'v' }] }
+      ]
+    });
+
+    expect(cards).toEqual([
+      { title: 'a', fields: [] },
+      { text: 'b', fields: [{ title: 't', value: 'v', short: false }] }
+    ]);
+  });
+
+  it('limits cards, fields and lengths', () => {
+    const { text, cards } = webhookService.parseHookPayload({
+      text: 'x'.repeat(5000),
+      attachments: Array.from({ length: 8 }, (_, i) => ({
+        title: `karta ${i}`,
+        fields: Array.from({ length: 15 }, () => ({ title: 't', value: 'v' }))
+      }))
+    });
+
+    expect([...text]).toHaveLength(MAX_LENGTH);
+    expect(text.endsWith('x…')).toBe(true);
+    expect(cards).toHaveLength(webhookService.MAX_CARDS);
+    expect(cards[0].fields).toHaveLength(webhookService.MAX_CARD_FIELDS);
+  });
+
+  it('clamps text to the message limit by characters, not UTF-16 units', () => {
+    const emoji = '\u{1F680}'.repeat(MAX_LENGTH + 10);
+    const { text } = webhookService.parseHookPayload({ text: emoji });
+
+    expect([...text]).toHaveLength(MAX_LENGTH);
+    expect(text).toBe(`${'\u{1F680}'.repeat(MAX_LENGTH - 1)}…`);
+  });
+
+  it('keeps text within the limit unchanged', () => {
+    const text = 'y'.repeat(MAX_LENGTH);
+
+    expect(webhookService.parseHookPayload({ text }).text).toBe(text);
+  });
+
+  it('clamps long card text used as message text', () => {
+    const { text } = webhookService.parseHookPayload({ attachments: [{ text: 'z'.repeat(1000) }] });
+
+    expect([...text]).toHaveLength(MAX_LENGTH);
+  });
+
+  it('uses the first card as text when text is missing', () => {
+    expect(webhookService.parseHookPayload({ attachments: [{ text: 'Alert: CPU 95%' }] }).text)
+      .toBe('Alert: CPU 95%');
+  });
+
+  it('rejects payloads without content', () => {
+    expect(webhookService.parseHookPayload({})).toEqual({ error: 'text or attachments are required' });
+    expect(webhookService.parseHookPayload({ text: '   ', attachments: [{ color: '#000000' }] }))
+      .toEqual({ error: 'text or attachments are required' });
+    expect(webhookService.parseHookPayload({ text: 'x', attachments: { title: 'a' } }))
+      .toEqual({ error: 'attachments must be an array' });
+  });
+});
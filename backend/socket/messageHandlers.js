@@ -0,0 +1,161 @@
+const chatService = require('../services/chatService');
+const { notifyNewMessage, emitRateLimited, emitMessageRejected } = require('./notifications');
+
+/**
+ * Socket.io - edycja, usuwanie, reakcje i wątki wiadomości
+ * Treść odrzucona przez filtry wraca do nadawcy jako message-rejected
+ * Zmiany trafiają do wszystkich w pokoju jako message-updated / message-deleted /
+ * reaction-updated, odpowiedzi w wątkach jako thread-reply (z nową liczbą odpowiedzi)
+ */
+
+const MESSAGE_ERRORS = {
+  invalid: 'Treść wiadomości nie może być pusta',
+  not_found: 'Nie znaleziono wiadomości',
+  deleted: 'Wiadomość została już usunięta',
+  forbidden: 'Nie masz uprawnień do tej wiadomości',
+  failed: 'Nie udało się wysłać wiadomości',
+  invalid_reaction: 'Nieprawidłowa reakcja',
+  muted: 'Jesteś wyciszony w tym pokoju',
+  banned: 'Masz bana w tym pokoju'
+};
+
+const registerMessageHandlers = (io, socket) => {
+  const { user } = socket.data;
+
+  socket.on('edit-message', async (data) => {
+    const { roomId, messageId, message } = data;
+
+    try {
+      const result = await chatService.editMessage(roomId, messageId, user, message);
+      if (result.error === 'rejected') {
+        emitMessageRejected(socket, roomId, result);
+        return;
+      }
+      if (result.error) {
+        socket.emit('error', { message: MESSAGE_ERRORS[result.error] });
+        return;
+      }
+
+      io.to(roomId).emit('message-updated', result.message);
+    } catch (error) {
+      console.error('Error editing message:', error);
+      socket.emit('error', { message: 'Nie udało się edytować wiadomości' });
+    }
+  });
+
+  socket.on('delete-message', async (data) => {
+    const { roomId, messageId } = data;
+
+    try {
+      const result = await chatService.deleteMessage(roomId, messageId, user);
+      if (result.error) {
+        socket.emit('error', { message: MESSAGE_ERRORS[result.error] });
+        return;
+      }
+
+      const { deletedAt, deletedBy } = result.message;
+      io.to(roomId).emit('message-deleted', { roomId, messageId, deletedAt, deletedBy });
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      socket.emit('error', { message: 'Nie udało się usunąć wiadomości' });
+    }
+  });
+
+  // Reakcja emoji - drugie kliknięcie tego samego emoji ją zdejmuje
+  socket.on('toggle-reaction', async (data) => {
+    const { roomId, messageId, emoji } = data;
+
+    if (!socket.data.rooms.has(roomId)) {
+      socket.emit('error', { message: 'Nie jesteś w tym pokoju' });
+      return;
+    }
+
+    try {
+      const result = await chatService.toggleReaction(roomId, messageId, user, emoji);
+      if (result.error) {
+        socket.emit('error', { message: MESSAGE_ERRORS[result.error] });
+        return;
+      }
+
+      io.to(roomId).emit('reaction-updated', {
+        roomId,
+        messageId,
+        reactions: result.reactions
+      });
+    } catch (error) {
+      console.error('Error toggling reaction:', error);
+      socket.emit('error', { message: 'Nie udało się dodać reakcji' });
+    }
+  });
+
+  // Odpowiedź w wątku - cały pokój dostaje thread-reply (licznik przy wiadomości)
+  socket.on('send-reply', async (data) => {
+    const { roomId, parentId, message } = data;
+
+    if (!socket.data.rooms.has(roomId)) {
+      socket.emit('error', { message: 'Nie jesteś w tym pokoju' });
+      return;
+    }
+
+    try {
+      const restriction = await chatService.checkCanPost(roomId, user.userId);
+      if (restriction) {
+        socket.emit('error', { message: MESSAGE_ERRORS[restriction.error] });
+        return;
+      }
+
+      const limited = await chatService.consumeMessageRate(roomId, user);
+      if (limited) {
+        emitRateLimited(io, socket, roomId, limited);
+        return;
+      }
+
+      const result = await chatService.sendReply(roomId, parentId, user.userId, user.username, message);
+      if (result.error === 'rejected') {
+        emitMessageRejected(socket, roomId, result);
+        return;
+      }
+      if (result.error) {
+        socket.emit('error', { message: MESSAGE_ERRORS[result.error] });
+        return;
+      }
+
+      io.to(roomId).emit('thread-reply', {
+        roomId,
+        parentId,
+        message: result.message,
+        replyCount: result.replyCount
+      });
+      await notifyNewMessage(io, result.message);
+    } catch (error) {
+      console.error('Error sending reply:', error);
+      socket.emit('error', { message: MESSAGE_ERRORS.failed });
+    }
+  });
+
+  // Otwarcie wątku - wiadomość nadrzędna i odpowiedzi (before = kursor starszych)
+  socket.on('load-thread', async (data) => {
+    const { roomId, parentId, before } = data;
+
+    if (!socket.data.rooms.has(roomId)) {
+      socket.emit('error', { message: 'Nie jesteś w tym pokoju' });
+      return;
+    }
+
+    try {
+      const cursor = chatService.isMessageId(before) ? before : null;
+      const result = await chatService.getThread(roomId, parentId, 50, cursor);
+      if (result.error) {
+        socket.emit('error', { message: MESSAGE_ERRORS[result.error] });
+        return;
+      }
+
+      socket.emit('thread-history', { roomId, parentId, before: cursor, ...result });
+    } catch (error) {
+      console.error('Error loading thread:', error);
+      socket.emit('error', { message: 'Nie udało się pobrać wątku' });
+    }
+  });
+};
+
+module.exports = registerMessageHandlers;
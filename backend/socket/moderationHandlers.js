@@ -0,0 +1,55 @@
+const chatService = require('../services/chatService');
+const { emitModeration } = require('./notifications');
+
+/**
+ * Socket.io - moderacja pokoju (wyrzucenie, wyciszenie, ban, role)
+ * Każda akcja trafia do dziennika moderacji, a pokój dostaje zdarzenie moderation;
+ * wyrzucony / zbanowany użytkownik dodatkowo kicked (notifications.emitModeration)
+ */
+
+const MODERATION_ERRORS = {
+  invalid: 'Nieprawidłowe dane akcji moderacji',
+  forbidden: 'Nie masz uprawnień do moderowania tego użytkownika',
+  not_found: 'Nie znaleziono użytkownika',
+  failed: 'Nie udało się wykonać akcji moderacji'
+};
+
+// zdarzenie -> akcja chatService; duration w sekundach
+const MODERATION_ACTIONS = {
+  'kick-user': (roomId, user, data) => chatService.kickUser(roomId, user, data.userId, data),
+  'mute-user': (roomId, user, data) => chatService.muteUser(roomId, user, data.userId, data),
+  'unmute-user': (roomId, user, data) => chatService.unmuteUser(roomId, user, data.userId),
+  'ban-user': (roomId, user, data) => chatService.banUser(roomId, user, data.userId, data),
+  'unban-user': (roomId, user, data) => chatService.unbanUser(roomId, user, data.userId),
+  'set-room-role': (roomId, user, data) => chatService.setRoomRole(roomId, user, data.userId, data.role)
+};
+
+const registerModerationHandlers = (io, socket) => {
+  const { user } = socket.data;
+
+  for (const [event, action] of Object.entries(MODERATION_ACTIONS)) {
+    socket.on(event, async (data = {}) => {
+      const { roomId } = data;
+
+      if (!socket.data.rooms.has(roomId)) {
+        socket.emit('error', { message: 'Nie jesteś w tym pokoju' });
+        return;
+      }
+
+      try {
+        const result = await action(roomId, user, data);
+        if (result.error) {
+          socket.emit('error', { message: MODERATION_ERRORS[result.error] });
+          return;
+        }
+
+        emitModeration(io, result.entry);
+      } catch (error) {
+        console.error(`Error handling ${event}:`, error);
+        socket.emit('error', { message: MODERATION_ERRORS.failed });
+      }
+    });
+  }
+};
+
+module.exports = registerModerationHandlers;
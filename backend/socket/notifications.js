@@ -0,0 +1,143 @@
+const chatService = require('../services/chatService');
+const { MAX_LENGTH } = require('../filters/maxLength');
+const webhookService = require('../services/webhookService');
+const bots = require('../bots');
+const { forceLeaveRoom } = require('./rooms');
+
+/**
+ * Powiadomienia kierowane do użytkownika, a nie do pokoju.
+ * Każdy socket dołącza do kanału user:{userId}, więc zdarzenie dociera do
+ * wszystkich kart użytkownika (także na innych instancjach - redis adapter),
+ * niezależnie od tego, w którym pokoju czatu jest.
+ */
+
+const userChannel = (userId) => `user:${userId}`;
+
+// mention - do każdego wspomnianego w wiadomości użytkownika
+const emitMentions = (io, message) => {
+  if (!message || !message.mentions) return;
+
+  const mention = chatService.buildMention(message);
+  for (const { userId } of message.mentions) {
+    io.to(userChannel(userId)).emit('mention', mention);
+  }
+};
+
+// direct-message - wiadomość w rozmowie prywatnej + licznik nieprzeczytanych odbiorcy
+const emitDirectMessage = async (io, message) => {
+  if (!message || !chatService.isDirectRoom(message.roomId)) return;
+
+  const recipients = chatService.getDirectParticipants(message.roomId)
+    .filter(userId => userId !== message.userId);
+
+  for (const userId of recipients) {
+    io.to(userChannel(userId)).emit('direct-message', {
+      roomId: message.roomId,
+      message,
+      unreadCount: await chatService.getDirectUnreadCount(userId, message.roomId)
+    });
+  }
+};
+
+// Rozgłoś zmianę statusu obecności (online / away / offline)
+const emitStatusChange = (io, change) => {
+  if (change) {
+    io.emit('user-status-changed', change);
+  }
+};
+
+// Akcja moderacji - pokój dostaje wpis dziennika, wyrzucony / zbanowany użytkownik
+// dostaje kicked i jego sockety (na wszystkich instancjach) opuszczają pokój tak jak
+// przy leave-room; wynik: Promise zakończenia wyjścia na tej instancji
+const emitModeration = (io, entry) => {
+  io.to(entry.roomId).emit('moderation', entry);
+
+  if (entry.action === 'kick' || entry.action === 'ban') {
+    const target = userChannel(entry.targetId);
+    io.to(target).emit('kicked', {
+      roomId: entry.roomId,
+      action: entry.action,
+      reason: entry.reason,
+      until: entry.until
+    });
+    return forceLeaveRoom(io, target, entry.roomId);
+  }
+  return Promise.resolve();
+};
+
+// rate-limited - tylko do socketu nadawcy; automatyczne wyciszenie widzi cały pokój
+const emitRateLimited = (io, socket, roomId, limited) => {
+  socket.emit('rate-limited', {
+    roomId,
+    retryAfter: limited.retryAfter,
+    message: limited.entry
+      ? `Zbyt wiele wiadomości - wyciszono Cię na ${Math.ceil(limited.retryAfter / 60)} min`
+      : `Zbyt wiele wiadomości - spróbuj ponownie za ${limited.retryAfter} s`
+  });
+
+  if (limited.entry) {
+    emitModeration(io, limited.entry);
+  }
+};
+
+// Powody odrzucenia przez filtry treści (filters/) i sprawdzenie załączników
+const REJECTION_MESSAGES = {
+  empty: 'Wiadomość jest pusta',
+  too_long: `Wiadomość jest za długa (najwyżej ${MAX_LENGTH} znaków)`,
+  links_blocked: 'Linki są w tym pokoju zablokowane',
+  profanity: 'Wiadomość zawiera niedozwolone słowa',
+  repeated: 'Nie wysyłaj w kółko tej samej wiadomości',
+  invalid_attachments: 'Nieprawidłowe albo już wysłane załączniki'
+};
+
+// message-rejected - tylko do socketu nadawcy
+const emitMessageRejected = (socket, roomId, rejection) => {
+  socket.emit('message-rejected', {
+    roomId,
+    filter: rejection.filter,
+    reason: rejection.reason,
+    message: REJECTION_MESSAGES[rejection.reason] || 'Wiadomość została odrzucona'
+  });
+};
+
+// Dlaczego zaplanowana wiadomość nie została wysłana (poza odrzuceniem przez filtry)
+const SCHEDULE_FAILURES = {
+  room_not_found: 'Pokój już nie istnieje',
+  forbidden: 'Nie masz już dostępu do tego pokoju',
+  muted: 'Jesteś wyciszony w tym pokoju',
+  banned: 'Masz bana w tym pokoju'
+};
+
+// scheduled-result - do autora zaplanowanej wiadomości (wszystkie jego karty):
+// { id, roomId, status: 'sent', messageId } albo { id, roomId, status: 'failed', reason, message }
+const emitScheduledResult = (io, scheduled, result) => {
+  const payload = { id: scheduled.id, roomId: scheduled.roomId, status: result.status };
+  if (result.status === 'sent') {
+    payload.messageId = result.messageId;
+  } else {
+    payload.reason = result.reason;
+    payload.message = SCHEDULE_FAILURES[result.reason] || REJECTION_MESSAGES[result.reason]
+      || 'Nie udało się wysłać zaplanowanej wiadomości';
+  }
+  io.to(userChannel(scheduled.userId)).emit('scheduled-result', payload);
+};
+
+// Wszystkie powiadomienia po zapisaniu nowej wiadomości; boty dostają ją w tle
+const notifyNewMessage = async (io, message) => {
+  emitMentions(io, message);
+  await emitDirectMessage(io, message);
+  await webhookService.publish('new-message', message.roomId, { message });
+  bots.dispatch('message', { roomId: message.roomId, message });
+};
+
+module.exports = {
+  userChannel,
+  emitStatusChange,
+  emitMentions,
+  emitDirectMessage,
+  emitModeration,
+  emitRateLimited,
+  emitMessageRejected,
+  emitScheduledResult,
+  notifyNewMessage
+};
@@ -0,0 +1,28 @@
+const chatService = require('../services/chatService');
+
+/**
+ * Socket.io - potwierdzenia odczytu
+ * Klient wysyła mark-read z ID ostatniej wiadomości widocznej na ekranie;
+ * gdy wskaźnik się przesunie, pokój dostaje read-receipt ("widziane przez").
+ */
+
+const registerReadHandlers = (io, socket) => {
+  const { user } = socket.data;
+
+  socket.on('mark-read', async (data = {}) => {
+    const { roomId, messageId } = data;
+
+    if (!socket.data.rooms.has(roomId) || !chatService.isMessageId(messageId)) return;
+
+    try {
+      const result = await chatService.markRead(roomId, user, messageId);
+      if (result.receipt) {
+        io.to(roomId).emit('read-receipt', result.receipt);
+      }
+    } catch (error) {
+      console.error('Error marking messages read:', error);
+    }
+  });
+};
+
+module.exports = registerReadHandlers;
@@ -0,0 +1,227 @@
+const chatService = require('../services/chatService');
+const webhookService = require('../services/webhookService');
+const commands = require('../commands');
+const bots = require('../bots');
+const { leaveSocketRoom } = require('./rooms');
+const {
+  notifyNewMessage, emitRateLimited, emitMessageRejected, emitStatusChange
+} = require('./notifications');
+
+/**
+ * Socket.io - pokoje czatu: dołączanie, wysyłanie wiadomości, starsze strony,
+ * wskaźnik pisania i wyjście. Socket pisze tylko w pokojach z socket.data.rooms -
+ * wyjście (także wymuszone wyrzuceniem / banem) usuwa z nich pokój (socket/rooms.js).
+ */
+
+// Powody odmowy dołączenia do pokoju (chatService.authorizeJoin)
+const JOIN_DENIED = {
+  banned: 'Masz bana w tym pokoju',
+  password_required: 'Ten pokój jest chroniony hasłem',
+  invalid_password: 'Nieprawidłowe hasło',
+  invite_required: 'To pokój prywatny - potrzebne zaproszenie',
+  invalid_invite: 'Zaproszenie jest nieważne albo wygasło',
+  forbidden: 'Brak dostępu do tego pokoju'
+};
+
+const registerRoomHandlers = (io, socket) => {
+  const { userId, username } = socket.data.user;
+
+  // Join room
+  socket.on('join-room', async (data) => {
+    const { roomId, password, inviteToken } = data;
+
+    try {
+      // Pokój prywatny / na hasło - członek wchodzi od razu, inni z hasłem albo zaproszeniem
+      const access = await chatService.authorizeJoin(roomId, socket.data.user, { password, inviteToken });
+      if (access.error) {
+        socket.emit('join-denied', {
+          roomId,
+          reason: access.error,
+          message: JOIN_DENIED[access.error],
+          until: access.until
+        });
+        return;
+      }
+
+      if (!socket.data.rooms.has(roomId)) {
+        // Join socket room
+        socket.join(roomId);
+        socket.data.rooms.add(roomId);
+
+        // Update Redis
+        const connections = await chatService.addRoomConnection(roomId, userId);
+        await chatService.joinRoom(userId, roomId, username);
+        emitStatusChange(io, await chatService.setUserOnline(userId));
+
+        // Notify room - tylko przy pierwszej karcie użytkownika w tym pokoju
+        if (connections === 1) {
+          socket.to(roomId).emit('user-joined', {
+            userId,
+            username,
+            message: `${username} dołączył do pokoju`
+          });
+          bots.dispatch('join', { roomId, user: { userId, username } });
+          await webhookService.publish('user-joined', roomId, { user: { userId, username } });
+        }
+      }
+
+      // Otwarcie rozmowy prywatnej = przeczytanie jej
+      if (chatService.isDirectRoom(roomId)) {
+        await chatService.markDirectRoomRead(userId, roomId);
+      }
+
+      // Send room info - z rolą użytkownika (kontrolki moderacji), poza cache pokoju
+      const roomInfo = await chatService.getRoomInfo(roomId);
+      socket.emit('room-info', roomInfo && {
+        ...roomInfo,
+        myRole: await chatService.getRoomRole(roomId, userId),
+        canModerate: await chatService.canModerate(roomId, socket.data.user),
+        expiresAt: await chatService.getRoomExpiry(roomId)
+      });
+
+      // Send recent messages
+      const messages = await chatService.getMessages(roomId, 50);
+      socket.emit('messages-history', messages);
+
+      // Kto dokąd doczytał - "widziane przez" pod ostatnią wiadomością
+      socket.emit('read-receipts', {
+        roomId,
+        receipts: await chatService.getReadReceipts(roomId)
+      });
+
+    } catch (error) {
+      console.error('Error joining room:', error);
+      socket.emit('error', { message: 'Nie udało się dołączyć do pokoju' });
+    }
+  });
+
+  // Send message
+  socket.on('send-message', async (data) => {
+    const { roomId, message, attachments, expiresIn } = data;
+
+    if (!socket.data.rooms.has(roomId)) {
+      socket.emit('error', { message: 'Nie jesteś w tym pokoju' });
+      return;
+    }
+
+    // Wiadomość znikająca - expiresIn w sekundach
+    if (expiresIn !== undefined && expiresIn !== null
+      && !chatService.isValidDuration(expiresIn, chatService.MESSAGE_EXPIRY_MIN, chatService.MESSAGE_EXPIRY_MAX)) {
+      socket.emit('error', { message: 'Nieprawidłowy czas zniknięcia wiadomości' });
+      return;
+    }
+
+    try {
+      // Wyciszony / zbanowany nie pisze
+      const restriction = await chatService.checkCanPost(roomId, userId);
+      if (restriction) {
+        socket.emit('error', {
+          message: restriction.error === 'muted' ? 'Jesteś wyciszony w tym pokoju' : 'Masz bana w tym pokoju'
+        });
+        return;
+      }
+
+      // Limit wiadomości (przesuwne okno w Redis) - nadawca dostaje rate-limited z retryAfter
+      const limited = await chatService.consumeMessageRate(roomId, socket.data.user);
+      if (limited) {
+        emitRateLimited(io, socket, roomId, limited);
+        return;
+      }
+
+      // Komenda czatu ("/nick ...") - wynik tylko dla wywołującego
+      if (commands.isCommand(message)) {
+        const result = await commands.executeCommand({ io, socket, user: socket.data.user, roomId }, message);
+        socket.emit('command-result', { roomId, ...result });
+        return;
+      }
+
+      // Save message to Redis
+      const messageObj = await chatService.sendMessage(roomId, userId, username, commands.unescapeText(message), {
+        attachments,
+        expiresIn
+      });
+
+      // Odrzucona przez filtry treści - informujemy tylko nadawcę
+      if (messageObj && messageObj.error) {
+        emitMessageRejected(socket, roomId, messageObj);
+        return;
+      }
+
+      if (messageObj) {
+        // Broadcast to room
+        io.to(roomId).emit('new-message', messageObj);
+        await notifyNewMessage(io, messageObj);
+
+        // Update user activity
+        emitStatusChange(io, await chatService.setUserOnline(userId));
+      }
+
+    } catch (error) {
+      console.error('Error sending message:', error);
+      socket.emit('error', { message: 'Nie udało się wysłać wiadomości' });
+    }
+  });
+
+  // Rozmowa prywatna otwarta w oknie - nowe wiadomości od razu przeczytane
+  socket.on('mark-dm-read', async (data = {}) => {
+    const { roomId } = data;
+    if (!socket.data.rooms.has(roomId) || !chatService.isDirectRoom(roomId)) return;
+
+    try {
+      await chatService.markDirectRoomRead(userId, roomId);
+    } catch (error) {
+      console.error('Error marking direct room read:', error);
+    }
+  });
+
+  // Load older messages - kursor to ID najstarszej wiadomości u klienta
+  socket.on('load-older-messages', async (data) => {
+    const { roomId, before } = data;
+    const limit = Math.min(Math.max(parseInt(data.limit) || 50, 1), 100);
+
+    if (!socket.data.rooms.has(roomId) || !chatService.isMessageId(before)) {
+      return;
+    }
+
+    try {
+      const messages = await chatService.getMessages(roomId, limit, before);
+      socket.emit('older-messages', {
+        roomId,
+        messages,
+        hasMore: messages.length === limit
+      });
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+      socket.emit('error', { message: 'Nie udało się pobrać starszych wiadomości' });
+    }
+  });
+
+  // Leave room
+  socket.on('leave-room', async (data) => {
+    try {
+      await leaveSocketRoom(io, socket, data.roomId);
+    } catch (error) {
+      console.error('Error leaving room:', error);
+    }
+  });
+
+  // Typing indicator
+  socket.on('typing-start', (data) => {
+    if (!socket.data.rooms.has(data.roomId)) return;
+
+    socket.to(data.roomId).emit('user-typing', {
+      userId,
+      username
+    });
+  });
+
+  socket.on('typing-stop', (data) => {
+    if (!socket.data.rooms.has(data.roomId)) return;
+
+    socket.to(data.roomId).emit('user-stopped-typing', {
+      userId
+    });
+  });
+};
+
+module.exports = registerRoomHandlers;
@@ -0,0 +1,130 @@
+jest.mock('../config/redis', () => require('../test/redisMock').mockRedisConfig());
+
+const chatService = require('../services/chatService');
+const webhookService = require('../services/webhookService');
+const bots = require('../bots');
+const registerRoomHandlers = require('./roomHandlers');
+const { FORCE_LEAVE_EVENT, registerForceLeave } = require('./rooms');
+const { emitModeration } = require('./notifications');
+
+const user = { userId: 'u1', username: 'ala', role: 'user' };
+
+// Socket z zapamiętanymi handlerami - trigger wywołuje zdarzenie od klienta
+const createSocket = () => {
+  const handlers = {};
+  return {
+    data: { user, rooms: new Set() },
+    emit: jest.fn(),
+    join: jest.fn(),
+    leave: jest.fn(),
+    to: jest.fn(() => ({ emit: jest.fn() })),
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    trigger: (event, data) => handlers[event](data)
+  };
+};
+
+// io z jedną instancją: io.local.in(kanał) zwraca sockety tej instancji
+const createIo = (sockets) => {
+  const roomEmits = [];
+  const serverHandlers = {};
+  return {
+    roomEmits,
+    serverHandlers,
+    emit: jest.fn(),
+    to: jest.fn((room) => ({ emit: (event, payload) => roomEmits.push({ room, event, payload }) })),
+    serverSideEmit: jest.fn(),
+    local: { in: jest.fn(() => ({ fetchSockets: async () => sockets })) },
+    on: (event, handler) => {
+      serverHandlers[event] = handler;
+    }
+  };
+};
+
+const kick = { id: '1-0', roomId: 'general', action: 'kick', actorId: 'mod', targetId: 'u1', reason: 'spam' };
+
+describe('room handlers - kick', () => {
+  let socket;
+  let io;
+
+  beforeEach(() => {
+    socket = createSocket();
+    socket.data.rooms.add('general');
+    io = createIo([socket]);
+    registerRoomHandlers(io, socket);
+
+    jest.spyOn(chatService, 'checkCanPost').mockResolvedValue(null);
+    jest.spyOn(chatService, 'consumeMessageRate').mockResolvedValue(null);
+    jest.spyOn(chatService, 'setUserOnline').mockResolvedValue(null);
+    jest.spyOn(chatService, 'sendMessage').mockImplementation(async (roomId, userId, username, message) => ({
+      id: '1700000000000-0', roomId, userId, username, message, timestamp: Date.now()
+    }));
+    jest.spyOn(chatService, 'removeRoomConnection').mockResolvedValue(0);
+    jest.spyOn(chatService, 'leaveRoom').mockResolvedValue(true);
+    jest.spyOn(webhookService, 'publish').mockResolvedValue(undefined);
+    jest.spyOn(bots, 'dispatch').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends messages while the socket is in the room', async () => {
+    await socket.trigger('send-message', { roomId: 'general', message: 'Cześć' });
+
+    expect(chatService.sendMessage).toHaveBeenCalledTimes(1);
+    expect(io.roomEmits).toContainEqual(expect.objectContaining({ room: 'general', event: 'new-message' }));
+  });
+
+  it('rejects send-message from a kicked socket', async () => {
+    await emitModeration(io, kick);
+    await socket.trigger('send-message', { roomId: 'general', message: 'nadal tu jestem' });
+
+    expect(chatService.sendMessage).not.toHaveBeenCalled();
+    expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Nie jesteś w tym pokoju' });
+  });
+
+  it('runs the leave-room path for the kicked user', async () => {
+    await emitModeration(io, kick);
+
+    expect(socket.data.rooms.has('general')).toBe(false);
+    expect(socket.leave).toHaveBeenCalledWith('general');
+    expect(chatService.removeRoomConnection).toHaveBeenCalledWith('general', 'u1');
+    expect(chatService.leaveRoom).toHaveBeenCalledWith('u1', 'general');
+    expect(io.roomEmits).toContainEqual(expect.objectContaining({ room: 'general', event: 'user-left' }));
+    expect(io.roomEmits).toContainEqual(expect.objectContaining({ room: 'user:u1', event: 'kicked' }));
+  });
+
+  it('asks the other instances to remove their sockets', async () => {
+    await emitModeration(io, { ...kick, action: 'ban' });
+
+    expect(io.serverSideEmit).toHaveBeenCalledWith(FORCE_LEAVE_EVENT, { channel: 'user:u1', roomId: 'general' });
+  });
+
+  it('removes local sockets when another instance applies the kick', async () => {
+    registerForceLeave(io);
+    io.serverHandlers[FORCE_LEAVE_EVENT]({ channel: 'user:u1', roomId: 'general' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(socket.data.rooms.has('general')).toBe(false);
+    await socket.trigger('typing-start', { roomId: 'general' });
+    expect(socket.to).not.toHaveBeenCalled();
+  });
+
+  it('keeps the user in the room while another of their tabs stays there', async () => {
+    chatService.removeRoomConnection.mockResolvedValue(1);
+
+    await emitModeration(io, kick);
+
+    expect(chatService.leaveRoom).not.toHaveBeenCalled();
+    expect(io.roomEmits).not.toContainEqual(expect.objectContaining({ event: 'user-left' }));
+  });
+
+  it('ignores moderation actions that do not remove the user', async () => {
+    await emitModeration(io, { ...kick, action: 'mute' });
+
+    expect(socket.data.rooms.has('general')).toBe(true);
+    expect(io.serverSideEmit).not.toHaveBeenCalled();
+  });
+});
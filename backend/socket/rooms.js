@@ -0,0 +1,71 @@
+const chatService = require('../services/chatService');
+const webhookService = require('../services/webhookService');
+const bots = require('../bots');
+
+/**
+ * Członkostwo socketu w pokoju czatu.
+ * socket.data.rooms to pokoje, do których dołączył ten konkretny socket - sprawdzają go
+ * wszystkie handlery (wysyłanie, reakcje, pisanie...), więc wyjście z pokoju musi
+ * usunąć z niego roomId, a nie tylko socket.leave.
+ * Wyrzucenie / ban dotyczy socketów na wszystkich instancjach: zdarzenie
+ * FORCE_LEAVE_EVENT (io.serverSideEmit przez redis adapter) każda instancja
+ * obsługuje dla swoich socketów kanału użytkownika (notifications.userChannel).
+ */
+
+const FORCE_LEAVE_EVENT = 'force-leave-room';
+
+// Opuszczenie pokoju przez socket - użytkownik znika z pokoju
+// dopiero gdy zamknie ostatnią kartę, która w nim była
+const leaveSocketRoom = async (io, socket, roomId) => {
+  if (!socket.data.rooms.has(roomId)) return;
+
+  const { userId, username } = socket.data.user;
+  socket.data.rooms.delete(roomId);
+  socket.leave(roomId);
+
+  const remaining = await chatService.removeRoomConnection(roomId, userId);
+  if (remaining === 0) {
+    await chatService.leaveRoom(userId, roomId);
+
+    io.to(roomId).emit('user-left', {
+      userId,
+      username,
+      message: `${username} opuścił pokój`
+    });
+    bots.dispatch('leave', { roomId, user: { userId, username } });
+    await webhookService.publish('user-left', roomId, { user: { userId, username } });
+  }
+};
+
+// Sockety kanału (user:{userId}) na tej instancji opuszczają pokój
+const leaveLocalSockets = async (io, channel, roomId) => {
+  const sockets = await io.local.in(channel).fetchSockets();
+  for (const socket of sockets) {
+    await leaveSocketRoom(io, socket, roomId);
+  }
+};
+
+// Wyrzuć użytkownika z pokoju na wszystkich instancjach
+const forceLeaveRoom = async (io, channel, roomId) => {
+  try {
+    io.serverSideEmit(FORCE_LEAVE_EVENT, { channel, roomId });
+    await leaveLocalSockets(io, channel, roomId);
+  } catch (error) {
+    console.error('Error forcing room leave:', error);
+  }
+};
+
+// Wyrzucenia zlecone przez inne instancje
+const registerForceLeave = (io) => {
+  io.on(FORCE_LEAVE_EVENT, ({ channel, roomId } = {}) => {
+    leaveLocalSockets(io, channel, roomId)
+      .catch((error) => console.error('Error forcing room leave:', error));
+  });
+};
+
+module.exports = {
+  FORCE_LEAVE_EVENT,
+  leaveSocketRoom,
+  forceLeaveRoom,
+  registerForceLeave
+};
@@ -0,0 +1,45 @@
+const RedisMock = require('ioredis-mock');
+
+/**
+ * Redis w pamięci (ioredis-mock) w miejscu config/redis - testy uruchamiają
+ * prawdziwe skrypty Lua serwisów bez serwera Redis:
+ *
+ *   jest.mock('../config/redis', () => require('../test/redisMock').mockRedisConfig());
+ *   const { redis } = require('../test/redisMock');
+ *
+ * Klient obsługuje tylko eval (redisService.runScript) - dane do testu
+ * wpisuje się i sprawdza bezpośrednio przez `redis` (API ioredis).
+ */
+
+// Lua w ioredis-mock (fengari) ma 32-bitowe liczby całkowite, więc TIME w ms
+// by się przepełnił - sekundy jako float liczą się tak jak w Lua 5.1 Redisa
+const TIME_SHIM = `
+local call = redis.call
+redis.call = function(command, ...)
+  if command == 'TIME' then
+    local time = call('TIME')
+    return { time[1] .. '.0', time[2] }
+  end
+  return call(command, ...)
+end
+`;
+
+const redis = new RedisMock();
+
+const client = {
+  async eval(script, { keys = [], arguments: args = [] } = {}) {
+    return await redis.eval(TIME_SHIM + script, keys.length, ...keys, ...args);
+  },
+  on() {}
+};
+
+const mockRedisConfig = () => ({
+  redisClient: client,
+  cacheClient: client,
+  pubSubClient: client,
+  adapterPubClient: client,
+  adapterSubClient: client,
+  connectRedis: async () => {}
+});
+
+module.exports = { redis, mockRedisConfig };
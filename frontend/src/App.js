@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import styled from 'styled-components';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
+import axios from 'axios';
 
 import ChatRoom from './components/ChatRoom';
 import RoomList from './components/RoomList';
@@ -10,6 +11,7 @@ import CacheDemo from './components/CacheDemo';
 import Navigation from './components/Navigation';
 
 import { connectSocket, disconnectSocket } from './services/socketService';
+import { getToken, logout } from './services/authService';
 
 const AppContainer = styled.div`
   min-height: 100vh;
@@ -80,7 +82,7 @@ const FeatureDescription = styled.p`
 function App() {
   const [user, setUser] = useState(() => {
     const savedUser = localStorage.getItem('chatUser');
-    return savedUser ? JSON.parse(savedUser) : null;
+    return savedUser && getToken() ? JSON.parse(savedUser) : null;
   });
 
   const [currentRoom, setCurrentRoom] = useState(null);
@@ -95,16 +97,34 @@ function App() {
     };
   }, [user]);
 
-  const handleLogin = (userData) => {
-    setUser(userData);
-    localStorage.setItem('chatUser', JSON.stringify(userData));
-  };
-
-  const handleLogout = () => {
+  const handleLogout = useCallback(() => {
     setUser(null);
     setCurrentRoom(null);
     localStorage.removeItem('chatUser');
+    logout();
     disconnectSocket();
+  }, []);
+
+  // Token wygasł lub został odrzucony - wróć do ekranu logowania
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401 && !error.config?.url?.startsWith('/api/auth')) {
+          handleLogout();
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, [handleLogout]);
+
+  const handleLogin = (userData) => {
+    setUser(userData);
+    localStorage.setItem('chatUser', JSON.stringify(userData));
   };
 
   const handleJoinRoom = (room) => {
@@ -132,8 +152,10 @@ function App() {
                 <UserAuth onLogin={handleLogin} />
               ) : currentRoom ? (
                 <ChatRoom 
+                  key={currentRoom.id}
                   user={user} 
                   room={currentRoom} 
+                  onJoinRoom={handleJoinRoom}
                   onLeaveRoom={handleLeaveRoom}
                 />
               ) : (
@@ -1,10 +1,25 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import styled from 'styled-components';
 import toast from 'react-hot-toast';
+import ThreadPanel from './ThreadPanel';
+import SearchPanel from './SearchPanel';
+import MessageAttachments, { formatSize } from './MessageAttachments';
+import Markdown from './Markdown';
 import {
   joinRoom,
   leaveRoom,
   sendMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markRead,
+  markDirectRead,
+  sendReply,
+  loadThread,
+  kickUser,
+  muteUser,
+  banUser,
+  loadOlderMessages,
   startTyping,
   stopTyping,
   onNewMessage,
@@ -12,9 +27,39 @@ import {
   onUserLeft,
   onRoomInfo,
   onMessagesHistory,
+  onOlderMessages,
+  onMessageUpdated,
+  onMessageDeleted,
+  onReactionUpdated,
+  onMention,
+  onDirectMessage,
+  onReadReceipts,
+  onReadReceipt,
+  onThreadReply,
+  onThreadHistory,
+  onJoinDenied,
+  onModeration,
+  onKicked,
+  offKicked,
+  onRateLimited,
+  onMessageRejected,
+  onCommandResult,
+  onScheduledResult,
+  offScheduledResult,
+  onRoomDeleted,
+  offRoomDeleted,
+  onRoomNotice,
+  onRoomInvite,
   onUserTyping,
   onUserStoppedTyping,
   removeAllListeners,
+  createRoomInvite,
+  fetchCommands,
+  uploadAttachments,
+  fetchScheduledMessages,
+  scheduleMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
   updateUserScore
 } from '../services/socketService';
 
@@ -63,6 +108,19 @@ const OnlineUsers = styled.div`
   }
 `;
 
+const ChatBody = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+`;
+
+const ChatMain = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  min-width: 0;
+`;
+
 const MessagesContainer = styled.div`
   flex: 1;
   overflow-y: auto;
@@ -75,16 +133,34 @@ const Message = styled.div`
   display: flex;
   flex-direction: column;
   align-items: ${props => props.isOwn ? 'flex-end' : 'flex-start'};
+  border-radius: 10px;
+  transition: background 0.5s ease;
+  background: ${props => props.highlighted ? 'rgba(245, 166, 35, 0.2)' : 'transparent'};
+`;
+
+const HeaderButton = styled.button`
+  background: rgba(255, 255, 255, 0.2);
+  color: white;
+  border: none;
+  border-radius: 15px;
+  padding: 5px 12px;
+  margin-top: 5px;
+  cursor: pointer;
+
+  &:hover {
+    background: rgba(255, 255, 255, 0.3);
+  }
 `;
 
 const MessageBubble = styled.div`
-  background: ${props => props.isOwn ? '#667eea' : 'white'};
+  background: ${props => props.isOwn ? '#667eea' : props.mentionsMe ? '#fff8e1' : 'white'};
   color: ${props => props.isOwn ? 'white' : '#333'};
   padding: 12px 16px;
   border-radius: 18px;
   max-width: 70%;
   word-wrap: break-word;
   box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+  border-left: ${props => props.mentionsMe ? '3px solid #f5a623' : 'none'};
   
   ${props => props.isOwn ? 
     'border-bottom-right-radius: 4px;' : 
@@ -100,6 +176,175 @@ const MessageMeta = styled.div`
   gap: 10px;
 `;
 
+const MentionTag = styled.span`
+  font-weight: 600;
+  border-radius: 4px;
+  padding: 0 2px;
+  background: ${props => props.isMe ? 'rgba(245, 166, 35, 0.35)' : 'rgba(102, 126, 234, 0.2)'};
+`;
+
+const SeenBy = styled.div`
+  font-size: 0.75rem;
+  color: #888;
+  margin: 3px 10px 0 10px;
+`;
+
+const BotBadge = styled.span`
+  background: #667eea;
+  color: white;
+  border-radius: 4px;
+  padding: 0 5px;
+  font-size: 0.7rem;
+  font-weight: 600;
+`;
+
+const IntegrationAvatar = styled.img`
+  width: 18px;
+  height: 18px;
+  border-radius: 4px;
+  object-fit: cover;
+  vertical-align: middle;
+`;
+
+// Karty z webhooków przychodzących (attachments w stylu Slacka)
+const MessageCard = styled.div`
+  margin-top: 6px;
+  padding: 6px 10px;
+  border-left: 4px solid ${props => props.color || '#667eea'};
+  background: rgba(0,0,0,0.03);
+  border-radius: 4px;
+  font-size: 0.9rem;
+
+  a, strong {
+    display: block;
+    font-weight: 600;
+    color: #333;
+  }
+
+  p {
+    margin: 4px 0 0;
+    white-space: pre-wrap;
+  }
+`;
+
+const CardFields = styled.dl`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 4px 12px;
+  margin: 6px 0 0;
+
+  div {
+    grid-column: span 2;
+  }
+
+  div.short {
+    grid-column: span 1;
+  }
+
+  dt {
+    font-weight: 600;
+    font-size: 0.8rem;
+  }
+
+  dd {
+    margin: 0;
+  }
+`;
+
+const ActionText = styled.span`
+  font-style: italic;
+`;
+
+const DeletedText = styled.span`
+  font-style: italic;
+  opacity: 0.7;
+`;
+
+const MessageAction = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  color: #667eea;
+  cursor: pointer;
+  font-size: 0.8rem;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+const ReactionBar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 5px;
+  margin: 5px 6px 0 6px;
+  position: relative;
+`;
+
+const ReactionChip = styled.button`
+  background: ${props => props.active ? 'rgba(102, 126, 234, 0.15)' : 'white'};
+  border: 1px solid ${props => props.active ? '#667eea' : '#e1e5e9'};
+  border-radius: 12px;
+  padding: 2px 8px;
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:hover {
+    border-color: #667eea;
+  }
+`;
+
+const ReactionPicker = styled.div`
+  display: flex;
+  gap: 4px;
+  background: white;
+  border: 1px solid #e1e5e9;
+  border-radius: 12px;
+  padding: 2px 6px;
+  box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+
+  button {
+    background: none;
+    border: none;
+    cursor: pointer;
+    font-size: 1rem;
+    padding: 2px;
+  }
+`;
+
+const EditForm = styled.form`
+  display: flex;
+  gap: 8px;
+  max-width: 70%;
+  width: 100%;
+
+  input {
+    flex: 1;
+    padding: 8px 12px;
+    border: 2px solid #667eea;
+    border-radius: 18px;
+    outline: none;
+  }
+`;
+
+const LoadOlderButton = styled.button`
+  display: block;
+  margin: 0 auto 15px auto;
+  background: white;
+  color: #667eea;
+  border: 1px solid #667eea;
+  border-radius: 15px;
+  padding: 6px 16px;
+  cursor: pointer;
+  font-size: 0.85rem;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
 const SystemMessage = styled.div`
   text-align: center;
   color: #666;
@@ -117,29 +362,203 @@ const TypingIndicator = styled.div`
 `;
 
 const MessageInputContainer = styled.div`
+  position: relative;
   padding: 20px;
   border-top: 1px solid #eee;
   background: white;
 `;
 
+const CommandSuggestions = styled.ul`
+  position: absolute;
+  bottom: 100%;
+  left: 20px;
+  right: 20px;
+  margin: 0;
+  padding: 5px 0;
+  list-style: none;
+  background: white;
+  border: 1px solid #e1e5e9;
+  border-radius: 10px;
+  box-shadow: 0 -4px 12px rgba(0,0,0,0.1);
+  max-height: 220px;
+  overflow-y: auto;
+
+  li {
+    padding: 6px 15px;
+    cursor: pointer;
+    font-size: 0.9rem;
+  }
+
+  li:hover, li.active {
+    background: rgba(102, 126, 234, 0.1);
+  }
+
+  code {
+    color: #667eea;
+    margin-right: 8px;
+  }
+
+  span {
+    color: #666;
+  }
+`;
+
+const PendingAttachments = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  margin-bottom: 10px;
+
+  span {
+    background: rgba(102, 126, 234, 0.1);
+    border-radius: 12px;
+    padding: 4px 10px;
+    font-size: 0.85rem;
+  }
+
+  button {
+    background: none;
+    border: none;
+    cursor: pointer;
+    margin-left: 4px;
+  }
+`;
+
+const AttachButton = styled.button`
+  background: none;
+  border: 2px solid #e1e5e9;
+  border-radius: 50%;
+  width: 46px;
+  cursor: pointer;
+  font-size: 1.1rem;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: wait;
+  }
+`;
+
 const MessageInputForm = styled.form`
   display: flex;
   gap: 10px;
 `;
 
-const MessageInput = styled.input`
+const MessageInput = styled.textarea`
   flex: 1;
   padding: 12px 16px;
   border: 2px solid #e1e5e9;
   border-radius: 25px;
   outline: none;
   font-size: 1rem;
+  font-family: inherit;
+  resize: none;
   
   &:focus {
     border-color: #667eea;
   }
 `;
 
+const ToggleButton = styled.button`
+  background: ${props => props.active ? 'rgba(102, 126, 234, 0.15)' : 'none'};
+  border: 2px solid ${props => props.active ? '#667eea' : '#e1e5e9'};
+  border-radius: 25px;
+  padding: 0 12px;
+  cursor: pointer;
+  font-size: 0.9rem;
+`;
+
+const MessagePreview = styled.div`
+  margin-bottom: 10px;
+  padding: 10px 16px;
+  border: 1px dashed #c5cae9;
+  border-radius: 12px;
+  background: #f8f9fa;
+  color: #333;
+  max-height: 200px;
+  overflow-y: auto;
+  word-wrap: break-word;
+`;
+
+const SchedulePanel = styled.div`
+  margin-bottom: 10px;
+  padding: 10px 16px;
+  border: 1px solid #e1e5e9;
+  border-radius: 12px;
+  background: #f8f9fa;
+  font-size: 0.9rem;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+  }
+
+  input {
+    padding: 4px 8px;
+    border: 1px solid #e1e5e9;
+    border-radius: 6px;
+  }
+
+  ul {
+    list-style: none;
+    margin: 10px 0 0 0;
+    padding: 0;
+    max-height: 160px;
+    overflow-y: auto;
+  }
+
+  li {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 4px 0;
+    border-top: 1px solid #eee;
+  }
+
+  li span {
+    flex: 1;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  time {
+    color: #667eea;
+    font-weight: 600;
+    white-space: nowrap;
+  }
+
+  li button {
+    background: none;
+    border: none;
+    cursor: pointer;
+  }
+`;
+
+const ScheduleSubmit = styled.button`
+  margin-left: auto;
+  padding: 4px 12px;
+  border: none;
+  border-radius: 12px;
+  background: #667eea;
+  color: white;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const ExpirySelect = styled.select`
+  border: 2px solid #e1e5e9;
+  border-radius: 25px;
+  padding: 0 10px;
+  background: white;
+  font-size: 0.85rem;
+  cursor: pointer;
+`;
+
 const SendButton = styled.button`
   background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
   color: white;
@@ -229,7 +648,106 @@ const ErrorContainer = styled.div`
   }
 `;
 
-const ChatRoom = ({ user, room, onLeaveRoom }) => {
+const PasswordForm = styled.form`
+  display: flex;
+  gap: 10px;
+  margin-top: 10px;
+
+  input {
+    padding: 10px 14px;
+    border: 2px solid #e1e5e9;
+    border-radius: 8px;
+    outline: none;
+
+    &:focus {
+      border-color: #667eea;
+    }
+  }
+
+  button {
+    margin-top: 0;
+  }
+`;
+
+const HISTORY_PAGE_SIZE = 50;
+const MAX_ATTACHMENTS = 5;
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+const MARK_READ_DELAY = 500;
+
+const isStreamId = (id) => /^\d+-\d+$/.test(id);
+
+// Porównanie ID strumienia (<ms>-<seq>) - ujemne gdy a jest starsze
+const compareMessageIds = (a, b) => {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+};
+
+const formatUntil = (until) => (
+  until ? new Date(until).toLocaleString('pl-PL', { dateStyle: 'short', timeStyle: 'short' }) : null
+);
+
+// Wartość <input type="datetime-local"> (czas lokalny); domyślny termin planowania - jutro 9:00
+const toLocalInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const defaultScheduleTime = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return toLocalInputValue(date);
+};
+
+const bySendAt = (a, b) => a.sendAt - b.sendAt;
+
+// Wiadomość znikająca - expiresIn (s) wysyłany z wiadomością
+const MESSAGE_EXPIRY_OPTIONS = [
+  { value: 0, label: 'Nie znika' },
+  { value: 60, label: '⏳ 1 min' },
+  { value: 10 * 60, label: '⏳ 10 min' },
+  { value: 60 * 60, label: '⏳ 1 h' },
+  { value: 24 * 60 * 60, label: '⏳ 24 h' },
+  { value: 7 * 24 * 60 * 60, label: '⏳ 7 dni' }
+];
+
+// Pozostały czas: "2 d 5 h", "3 h 12 min", "4:05"
+const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+
+  if (days > 0) return `${days} d ${hours} h`;
+  if (hours > 0) return `${hours} h ${minutes} min`;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Wpis dziennika moderacji -> komunikat systemowy w czacie
+const describeModeration = (entry) => {
+  const { actorUsername: actor, targetUsername: target } = entry;
+  const reason = entry.reason ? ` (${entry.reason})` : '';
+  const until = formatUntil(entry.until);
+
+  switch (entry.action) {
+    case 'kick': return `👢 ${actor} wyrzucił(a) ${target}${reason}`;
+    case 'mute': return `🔇 ${actor} wyciszył(a) ${target} do ${until}${reason}`;
+    case 'unmute': return `🔊 ${actor} przywrócił(a) głos ${target}`;
+    case 'ban': return `⛔ ${actor} zbanował(a) ${target}${until ? ` do ${until}` : ' na stałe'}${reason}`;
+    case 'unban': return `✅ ${actor} zdjął/zdjęła bana ${target}`;
+    case 'role': return entry.role === 'moderator'
+      ? `⭐ ${target} jest teraz moderatorem (${actor})`
+      : `${target} nie jest już moderatorem (${actor})`;
+    default: return `${actor}: ${entry.action} ${target}`;
+  }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const ChatRoom = ({ user, room, onJoinRoom, onLeaveRoom }) => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [roomInfo, setRoomInfo] = useState(room || null);
@@ -237,11 +755,58 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
   const [isTyping, setIsTyping] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const skipScrollRef = useRef(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [thread, setThread] = useState(null);
+  const [pickerFor, setPickerFor] = useState(null);
+  const [receipts, setReceipts] = useState({});
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [joinDenied, setJoinDenied] = useState(null);
+  const [roomPassword, setRoomPassword] = useState('');
+  const [cooldown, setCooldown] = useState(0);
+  const [commands, setCommands] = useState([]);
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [scheduled, setScheduled] = useState([]);
+  const [scheduleOpen, setScheduleOpen] = useState(false);
+  const [scheduleAt, setScheduleAt] = useState(defaultScheduleTime);
+  const [messageExpiry, setMessageExpiry] = useState(0);
+  const [now, setNow] = useState(Date.now);
+  const lastSentRef = useRef('');
+  const lastAttachmentsRef = useRef([]);
+  const fileInputRef = useRef(null);
+  const readObserverRef = useRef(null);
+  const lastReadRef = useRef(null);
+  const pendingReadRef = useRef(null);
+  const readTimeoutRef = useRef(null);
   const typingTimeoutRef = useRef(null);
 
   const hasValidData = user && room;
   useEffect(() => {
+    // Po doładowaniu starszych wiadomości zostań w tym samym miejscu listy
+    if (scrollAnchorRef.current !== null && messagesContainerRef.current) {
+      const container = messagesContainerRef.current;
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+      return;
+    }
+
+    // Edycja/usunięcie zmienia wiadomość w miejscu - bez przewijania
+    if (skipScrollRef.current) {
+      skipScrollRef.current = false;
+      return;
+    }
+
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
@@ -267,15 +832,36 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
       setRoomInfo(defaultRoomInfo);
 
       joinRoom({
-        roomId: defaultRoomInfo.id,
-        userId: user.id,
-        username: user.username
+        roomId: defaultRoomInfo.id
       });
 
+      // Wejście z wyników wyszukiwania - po załadowaniu przewiń do trafienia
+      if (room.jumpTo) {
+        setJumpTarget(room.jumpTo);
+      }
+
       // Set up event listeners
+      // Pokój prywatny / na hasło - serwer nie wpuścił (brak hasła, złe hasło, brak zaproszenia)
+      onJoinDenied((data) => {
+        if (data && data.roomId === defaultRoomInfo.id) {
+          setJoinDenied(data);
+          setLoading(false);
+        }
+      });
+
       onNewMessage((message) => {
         if (message && message.id) {
           setMessages(prev => [...prev, message]);
+          // Pokój znikający - każda wiadomość przesuwa termin usunięcia
+          setRoomInfo(prev => (
+            prev && Number(prev.inactivityTtl) > 0
+              ? { ...prev, expiresAt: Date.now() + Number(prev.inactivityTtl) * 1000 }
+              : prev
+          ));
+          // Rozmowa prywatna jest otwarta - wiadomość od razu przeczytana
+          if (defaultRoomInfo.type === 'dm' && message.userId !== user.id) {
+            markDirectRead({ roomId: defaultRoomInfo.id });
+          }
         }
       });
 
@@ -315,9 +901,193 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
       onMessagesHistory((history) => {
         if (Array.isArray(history)) {
           setMessages(history);
+          setHasMore(history.length >= HISTORY_PAGE_SIZE);
+        }
+      });
+
+      onMessageUpdated((updated) => {
+        if (updated && updated.id) {
+          skipScrollRef.current = true;
+          setMessages(prev => prev.map(m => (m.id === updated.id ? { ...m, ...updated } : m)));
+          setThread(prev => (
+            prev && prev.parentId === updated.id ? { ...prev, parent: { ...prev.parent, ...updated } } : prev
+          ));
         }
       });
 
+      onMessageDeleted((data) => {
+        // Wygasła wiadomość znikająca - usunięta na stałe, bez śladu w czacie
+        if (data && data.expired) {
+          skipScrollRef.current = true;
+          setMessages(prev => prev.filter(m => m.id !== data.messageId));
+          setThread(prev => (prev && prev.parentId === data.messageId ? null : prev));
+        } else if (data && data.messageId) {
+          skipScrollRef.current = true;
+          const markDeleted = (m) => ({
+            ...m, message: '', deleted: true, deletedAt: data.deletedAt, deletedBy: data.deletedBy
+          });
+          setMessages(prev => prev.map(m => (m.id === data.messageId ? markDeleted(m) : m)));
+          setThread(prev => (
+            prev && prev.parentId === data.messageId ? { ...prev, parent: markDeleted(prev.parent) } : prev
+          ));
+        }
+      });
+
+      onReactionUpdated((data) => {
+        if (data && data.messageId && Array.isArray(data.reactions)) {
+          skipScrollRef.current = true;
+          setMessages(prev => prev.map(m => (
+            m.id === data.messageId ? { ...m, reactions: data.reactions } : m
+          )));
+        }
+      });
+
+      // Wzmianka z innego pokoju - w bieżącym widać ją od razu na liście
+      onMention((mention) => {
+        if (mention && mention.roomId !== defaultRoomInfo.id) {
+          toast(`📣 ${mention.fromUsername} wspomniał(a) Cię w #${mention.roomId}: ${mention.excerpt}`);
+        }
+      });
+
+      onDirectMessage((data) => {
+        if (data && data.roomId !== defaultRoomInfo.id) {
+          toast(`✉️ ${data.message.username}: ${data.message.message}`);
+        }
+      });
+
+      // Odpowiedź w wątku - licznik przy wiadomości + panel, jeśli ten wątek jest otwarty
+      onThreadReply((data) => {
+        if (data && data.parentId && data.message) {
+          skipScrollRef.current = true;
+          setMessages(prev => prev.map(m => (
+            m.id === data.parentId ? { ...m, replyCount: data.replyCount } : m
+          )));
+          setThread(prev => {
+            if (!prev || prev.parentId !== data.parentId) return prev;
+            if (prev.replies.some(r => r.id === data.message.id)) return prev;
+            return { ...prev, replies: [...prev.replies, data.message] };
+          });
+        }
+      });
+
+      onThreadHistory((data) => {
+        if (data && data.parentId && Array.isArray(data.replies)) {
+          setThread(prev => {
+            if (!prev || prev.parentId !== data.parentId) return prev;
+            return {
+              ...prev,
+              parent: data.parent,
+              replies: data.before ? [...data.replies, ...prev.replies] : data.replies,
+              hasMore: data.hasMore
+            };
+          });
+        }
+      });
+
+      // Za szybko - odrzuconą wiadomość oddajemy do pola, wysyłanie wstrzymane na retryAfter s
+      onRateLimited((data) => {
+        if (!data || data.roomId !== defaultRoomInfo.id) return;
+
+        toast.error(data.message);
+        setCooldown(data.retryAfter);
+        setNewMessage(prev => prev || lastSentRef.current);
+        setPendingAttachments(prev => (prev.length > 0 ? prev : lastAttachmentsRef.current));
+      });
+
+      // Filtry treści odrzuciły wiadomość - komunikat i tekst z powrotem w polu
+      onMessageRejected((data) => {
+        if (!data || data.roomId !== defaultRoomInfo.id) return;
+
+        toast.error(data.message);
+        setNewMessage(prev => prev || lastSentRef.current);
+        // Odrzucone przed przejęciem plików - można je wysłać ponownie
+        if (data.reason !== 'invalid_attachments') {
+          setPendingAttachments(prev => (prev.length > 0 ? prev : lastAttachmentsRef.current));
+        }
+      });
+
+      // Wynik komendy - odpowiedź jako komunikat tylko u nas, błąd jako toast
+      onCommandResult((data) => {
+        if (!data || data.roomId !== defaultRoomInfo.id) return;
+
+        if (data.error) {
+          toast.error(data.error);
+          setNewMessage(prev => prev || lastSentRef.current);
+        } else if (data.reply) {
+          setMessages(prev => [...prev, {
+            id: `system_${Date.now()}`,
+            type: 'system',
+            message: data.reply,
+            timestamp: Date.now()
+          }]);
+        }
+      });
+
+      onRoomNotice((data) => {
+        if (!data || data.roomId !== defaultRoomInfo.id) return;
+
+        setMessages(prev => [...prev, {
+          id: `system_${data.timestamp}`,
+          type: 'system',
+          message: data.message,
+          timestamp: data.timestamp
+        }]);
+      });
+
+      onRoomInvite((data) => {
+        if (data && data.roomId !== defaultRoomInfo.id) {
+          toast(`📨 ${data.fromUsername} zaprasza Cię do #${data.roomName}`);
+        }
+      });
+
+      onModeration((entry) => {
+        if (!entry || entry.roomId !== defaultRoomInfo.id) return;
+
+        setMessages(prev => [...prev, {
+          id: `system_${entry.id || Date.now()}`,
+          type: 'system',
+          message: describeModeration(entry),
+          timestamp: entry.timestamp
+        }]);
+
+        if (entry.targetId !== user.id) return;
+        if (entry.action === 'mute') {
+          toast.error(`Zostałeś wyciszony do ${formatUntil(entry.until)}`);
+        } else if (entry.action === 'role') {
+          setRoomInfo(prev => ({
+            ...prev,
+            myRole: entry.role,
+            canModerate: entry.role === 'moderator' || user.role === 'admin'
+          }));
+        }
+      });
+
+      onReadReceipts((data) => {
+        if (data && Array.isArray(data.receipts)) {
+          setReceipts(Object.fromEntries(data.receipts.map(r => [r.userId, r])));
+        }
+      });
+
+      onReadReceipt((receipt) => {
+        if (receipt && receipt.userId) {
+          setReceipts(prev => ({ ...prev, [receipt.userId]: receipt }));
+        }
+      });
+
+      onOlderMessages((data) => {
+        if (data && Array.isArray(data.messages)) {
+          if (messagesContainerRef.current) {
+            scrollAnchorRef.current = messagesContainerRef.current.scrollHeight;
+          }
+          setMessages(prev => {
+            const known = new Set(prev.map(m => m.id));
+            return [...data.messages.filter(m => !known.has(m.id)), ...prev];
+          });
+          setHasMore(data.hasMore);
+        }
+        setLoadingOlder(false);
+      });
+
       onUserTyping((data) => {
         if (data && data.userId && data.userId !== user.id) {
           setTypingUsers(prev => {
@@ -361,9 +1131,7 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
       try {
         if (room && user) {
           leaveRoom({
-            roomId: room.id || 'unknown',
-            userId: user.id,
-            username: user.username
+            roomId: room.id || 'unknown'
           });
         }
         removeAllListeners();
@@ -372,35 +1140,458 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
       }
     };  }, [hasValidData, room, user]);
 
+  useEffect(() => {
+    if (cooldown <= 0) return;
+
+    const timeout = setTimeout(() => setCooldown(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timeout);
+  }, [cooldown]);
+
+  // Komendy dostępne w pokoju (podpowiedzi po wpisaniu "/") - zależą od roli
+  const canModerateRoom = Boolean(roomInfo && roomInfo.canModerate);
+  useEffect(() => {
+    if (!room) return;
+
+    let cancelled = false;
+    fetchCommands(room.id)
+      .then(list => !cancelled && setCommands(list))
+      .catch(err => console.error('Error fetching commands:', err));
+    return () => { cancelled = true; };
+  }, [room, canModerateRoom]);
+
+  // Nasze zaplanowane wiadomości w pokoju; wysłana albo odrzucona znika z listy
+  useEffect(() => {
+    if (!room) return;
+
+    let cancelled = false;
+    fetchScheduledMessages(room.id)
+      .then(list => !cancelled && setScheduled(list))
+      .catch(err => console.error('Error fetching scheduled messages:', err));
+
+    onScheduledResult((data) => {
+      if (!data) return;
+
+      setScheduled(prev => prev.filter(item => item.id !== data.id));
+      if (data.status === 'failed') {
+        toast.error(`⏰ Zaplanowana wiadomość w #${data.roomId} nie została wysłana: ${data.message}`);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      offScheduledResult();
+    };
+  }, [room]);
+
+  // Odliczanie do zniknięcia wiadomości / pokoju - zegar tyka tylko, gdy jest co odliczać
+  const hasCountdown = Boolean(roomInfo && roomInfo.expiresAt) || messages.some(m => m && m.expiresAt);
+  useEffect(() => {
+    if (!hasCountdown) return;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasCountdown]);
+
+  // Pokój znikający usunięty po bezczynności - wracamy do listy
+  useEffect(() => {
+    if (!room) return;
+
+    onRoomDeleted((data) => {
+      if (!data || data.roomId !== room.id) return;
+
+      toast.error('Pokój zniknął po okresie bezczynności');
+      onLeaveRoom();
+    });
+
+    return () => offRoomDeleted();
+  }, [room, onLeaveRoom]);
+
+  // Wyrzucenie / ban - serwer już odłączył nas od pokoju, wracamy do listy
+  useEffect(() => {
+    if (!room) return;
+
+    onKicked((data) => {
+      if (!data || data.roomId !== room.id) return;
+
+      const until = formatUntil(data.until);
+      toast.error(data.action === 'ban'
+        ? `Zostałeś zbanowany w tym pokoju${until ? ` do ${until}` : ''}`
+        : 'Zostałeś wyrzucony z pokoju');
+      onLeaveRoom();
+    });
+
+    return () => offKicked();
+  }, [room, onLeaveRoom]);
+
+  // Odczyt: obserwujemy dymki wiadomości; najnowsza widoczna wiadomość przesuwa
+  // wskaźnik odczytu (mark-read wysyłany z opóźnieniem, żeby nie słać go przy każdym pikselu)
+  const flushRead = useCallback(() => {
+    readTimeoutRef.current = null;
+    const messageId = pendingReadRef.current;
+    if (!messageId || !room || document.hidden) return;
+
+    if (!lastReadRef.current || compareMessageIds(messageId, lastReadRef.current) > 0) {
+      lastReadRef.current = messageId;
+      markRead({ roomId: room.id, messageId });
+    }
+  }, [room]);
+
+  const observeMessage = useCallback((element) => {
+    if (!element || typeof IntersectionObserver === 'undefined') return;
+
+    if (!readObserverRef.current) {
+      readObserverRef.current = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          const { messageId } = entry.target.dataset;
+          if (!entry.isIntersecting || !isStreamId(messageId)) return;
+
+          if (!pendingReadRef.current || compareMessageIds(messageId, pendingReadRef.current) > 0) {
+            pendingReadRef.current = messageId;
+          }
+        });
+
+        if (pendingReadRef.current && !readTimeoutRef.current) {
+          readTimeoutRef.current = setTimeout(flushRead, MARK_READ_DELAY);
+        }
+      }, { threshold: 0.6 });
+    }
+    readObserverRef.current.observe(element);
+  }, [flushRead]);
+
+  useEffect(() => {
+    // Wiadomości zobaczone w ukrytej karcie oznaczamy po powrocie do niej
+    const handleVisibility = () => {
+      if (!document.hidden && pendingReadRef.current) flushRead();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      if (readObserverRef.current) readObserverRef.current.disconnect();
+      if (readTimeoutRef.current) clearTimeout(readTimeoutRef.current);
+      readObserverRef.current = null;
+      readTimeoutRef.current = null;
+      pendingReadRef.current = null;
+      lastReadRef.current = null;
+    };
+  }, [flushRead]);
+
+  const handleLoadOlder = () => {
+    // Kursor = ID najstarszej wiadomości ze strumienia (pomijamy systemowe)
+    const oldest = messages.find(m => m && isStreamId(m.id));
+    if (!oldest || !roomInfo) return;
+
+    setLoadingOlder(true);
+    loadOlderMessages({
+      roomId: roomInfo.id,
+      before: oldest.id,
+      limit: HISTORY_PAGE_SIZE
+    });
+  };
+
+  // Rola w pokoju przychodzi z room-info (myRole / canModerate)
+  const isModerator = user && (user.role === 'admin' || (roomInfo && roomInfo.canModerate));
+
+  const startEditing = (message) => {
+    setEditingId(message.id);
+    setEditText(message.message);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditText('');
+  };
+
+  const handleEditSubmit = (e, message) => {
+    e.preventDefault();
+    const text = editText.trim();
+    if (text && text !== message.message) {
+      editMessage({ roomId: roomInfo.id, messageId: message.id, message: text });
+    }
+    cancelEditing();
+  };
+
+  const handleDeleteMessage = (message) => {
+    if (window.confirm('Usunąć tę wiadomość?')) {
+      deleteMessage({ roomId: roomInfo.id, messageId: message.id });
+    }
+  };
+
+  // Moderacja autora wiadomości - czas w minutach / godzinach, serwer liczy w sekundach
+  const handleKickUser = (message) => {
+    if (window.confirm(`Wyrzucić ${message.username} z pokoju?`)) {
+      kickUser({ roomId: roomInfo.id, userId: message.userId });
+    }
+  };
+
+  const handleMuteUser = (message) => {
+    const minutes = window.prompt(`Na ile minut wyciszyć ${message.username}?`, '10');
+    if (!minutes || !(parseInt(minutes) > 0)) return;
+
+    muteUser({ roomId: roomInfo.id, userId: message.userId, duration: parseInt(minutes) * 60 });
+  };
+
+  const handleBanUser = (message) => {
+    const hours = window.prompt(`Ban dla ${message.username} - na ile godzin? (0 = na stałe)`, '24');
+    if (hours === null || !(parseInt(hours) >= 0)) return;
+
+    const duration = parseInt(hours) * 60 * 60;
+    banUser({ roomId: roomInfo.id, userId: message.userId, ...(duration > 0 && { duration }) });
+  };
+
+  // Treść w Markdown z wyróżnionymi @wzmiankami (tylko rozpoznanymi przez serwer)
+  const renderMessageText = (message) => {
+    // "/me macha" -> "* ala macha"
+    if (message.type === 'action') {
+      return <ActionText>* {message.displayName || message.username} {message.message}</ActionText>;
+    }
+    if (!message.mentions || message.mentions.length === 0) return <Markdown text={message.message} />;
+
+    const byName = new Map(message.mentions.map(m => [m.username.toLowerCase(), m]));
+    const pattern = new RegExp(`(@(?:${message.mentions.map(m => escapeRegExp(m.username)).join('|')}))`, 'gi');
+
+    const renderMentions = (text) => text.split(pattern).map((part, i) => {
+      const mention = part.startsWith('@') && byName.get(part.slice(1).toLowerCase());
+      return mention
+        ? <MentionTag key={i} isMe={mention.userId === user.id}>{part}</MentionTag>
+        : part;
+    });
+    return <Markdown text={message.message} renderText={renderMentions} />;
+  };
+
+  const handleToggleReaction = (message, emoji) => {
+    toggleReaction({ roomId: roomInfo.id, messageId: message.id, emoji });
+    setPickerFor(null);
+  };
+
+  const openThread = (message) => {
+    setThread({ parentId: message.id, parent: message, replies: [], hasMore: false });
+    loadThread({ roomId: roomInfo.id, parentId: message.id });
+  };
+
+  const handleSendReply = (text) => {
+    if (!thread || !roomInfo) return;
+    lastSentRef.current = ''; // Odrzucona odpowiedź nie wraca do głównego pola
+    sendReply({ roomId: roomInfo.id, parentId: thread.parentId, message: text });
+  };
+
+  const handleLoadOlderReplies = () => {
+    if (!thread || thread.replies.length === 0) return;
+    loadThread({ roomId: roomInfo.id, parentId: thread.parentId, before: thread.replies[0].id });
+  };
+
+  // Skok do wiadomości z wyszukiwania: doładowuj starsze strony aż pojawi się na liście
+  useEffect(() => {
+    if (!jumpTarget || loading || loadingOlder) return;
+
+    const targetId = jumpTarget.parentId || jumpTarget.messageId;
+    const target = messages.find(m => m && m.id === targetId);
+    const element = messagesContainerRef.current
+      && messagesContainerRef.current.querySelector(`[data-message-id="${targetId}"]`);
+
+    if (target && element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedId(targetId);
+      setJumpTarget(null);
+
+      if (jumpTarget.parentId) {
+        setSearchOpen(false);
+        setThread({ parentId: target.id, parent: target, replies: [], hasMore: false });
+        loadThread({ roomId: room.id, parentId: target.id });
+      }
+      return;
+    }
+
+    const oldest = messages.find(m => m && isStreamId(m.id));
+    if (hasMore && oldest) {
+      setLoadingOlder(true);
+      loadOlderMessages({ roomId: room.id, before: oldest.id, limit: HISTORY_PAGE_SIZE });
+    } else {
+      toast('Tej wiadomości nie ma już w historii pokoju');
+      setJumpTarget(null);
+    }
+  }, [jumpTarget, messages, loading, loadingOlder, hasMore, room]);
+
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timeout = setTimeout(() => setHighlightedId(null), 2500);
+    return () => clearTimeout(timeout);
+  }, [highlightedId]);
+
+  const handleSearchSelect = (result) => {
+    const jumpTo = { messageId: result.messageId, parentId: result.parentId || null };
+
+    if (result.roomId === roomInfo.id) {
+      setJumpTarget(jumpTo);
+      return;
+    }
+
+    onJoinRoom({
+      id: result.roomId,
+      name: result.roomName,
+      ...(result.roomId.startsWith('dm:') ? { type: 'dm' } : {}),
+      jumpTo
+    });
+  };
+
+  // Ponowna próba wejścia z hasłem - serwer doda nas do członków pokoju
+  const handleSubmitPassword = (e) => {
+    e.preventDefault();
+    if (!roomPassword) return;
+
+    setJoinDenied(null);
+    joinRoom({ roomId: room.id, password: roomPassword });
+    setRoomPassword('');
+  };
+
+  const handleCreateInvite = async () => {
+    try {
+      const invite = await createRoomInvite(room.id);
+      if (navigator.clipboard) {
+        await navigator.clipboard.writeText(invite.token).catch(() => {});
+      }
+      toast.success(`Kod zaproszenia (skopiowany): ${invite.token}`, { duration: 8000 });
+    } catch (err) {
+      toast.error('Nie udało się utworzyć zaproszenia');
+    }
+  };
+
+  // Pliki idą na serwer od razu po wybraniu; wiadomość niesie tylko ich ID
+  const handleSelectFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0 || !roomInfo) return;
+
+    if (pendingAttachments.length + files.length > MAX_ATTACHMENTS) {
+      toast.error(`Najwyżej ${MAX_ATTACHMENTS} plików w jednej wiadomości`);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const uploaded = await uploadAttachments(roomInfo.id, files);
+      setPendingAttachments(prev => [...prev, ...uploaded]);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Nie udało się przesłać plików');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const canSend = (newMessage.trim() || pendingAttachments.length > 0) && !uploading && cooldown <= 0;
+
+  // Treść z pola wysyła serwer w wybranym terminie (także gdy nie będziemy online)
+  const handleScheduleMessage = async () => {
+    const text = newMessage.trim();
+    const sendAt = new Date(scheduleAt);
+    if (!text || !roomInfo) return;
+
+    if (pendingAttachments.length > 0) {
+      toast.error('Wiadomości z załącznikami nie można zaplanować');
+      return;
+    }
+    if (!(sendAt.getTime() > Date.now())) {
+      toast.error('Wybierz termin w przyszłości');
+      return;
+    }
+
+    try {
+      const item = await scheduleMessage(roomInfo.id, text, sendAt);
+      setScheduled(prev => [...prev, item].sort(bySendAt));
+      setNewMessage('');
+      toast.success(`⏰ Wiadomość zaplanowana na ${formatUntil(item.sendAt)}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Nie udało się zaplanować wiadomości');
+    }
+  };
+
+  const applyScheduledUpdate = async (item, updates) => {
+    try {
+      const updated = await updateScheduledMessage(item.id, updates);
+      setScheduled(prev => prev.map(s => (s.id === item.id ? updated : s)).sort(bySendAt));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Nie udało się zmienić zaplanowanej wiadomości');
+    }
+  };
+
+  const handleEditScheduled = (item) => {
+    const text = window.prompt('Treść zaplanowanej wiadomości', item.message);
+    if (text === null || !text.trim() || text.trim() === item.message) return;
+    applyScheduledUpdate(item, { message: text.trim() });
+  };
+
+  const handleCancelScheduled = async (item) => {
+    try {
+      await cancelScheduledMessage(item.id);
+      setScheduled(prev => prev.filter(s => s.id !== item.id));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Nie udało się anulować zaplanowanej wiadomości');
+    }
+  };
+
   const handleSendMessage = (e) => {
     e.preventDefault();
-    if (newMessage.trim() && roomInfo && user) {
+    if (canSend && roomInfo && user) {
       try {
+        lastSentRef.current = newMessage.trim();
+        lastAttachmentsRef.current = pendingAttachments;
         sendMessage({
           roomId: roomInfo.id,
-          userId: user.id,
-          username: user.username,
-          message: newMessage.trim()        });
+          message: newMessage.trim(),
+          ...(pendingAttachments.length > 0 && { attachments: pendingAttachments.map(a => a.id) }),
+          ...(messageExpiry > 0 && { expiresIn: messageExpiry })
+        });
         updateUserScore(user.id, '+1', user.username);
       } catch (err) {
         console.error('Error sending message:', err);
         toast.error('Błąd wysyłania wiadomości');
       }
       setNewMessage('');
+      setPendingAttachments([]);
       handleStopTyping();
     }
   };
 
+  // Podpowiedzi komend, dopóki wpisywana jest sama nazwa ("/ni")
+  const commandQuery = /^\/[^\s/]*$/.test(newMessage) ? newMessage.slice(1).toLowerCase() : null;
+  const commandSuggestions = commandQuery === null
+    ? []
+    : commands.filter(command => command.name.startsWith(commandQuery));
+
+  const completeCommand = (command) => {
+    setNewMessage(`/${command.name} `);
+    setSuggestionIndex(0);
+  };
+
+  const handleInputKeyDown = (e) => {
+    // Enter wysyła, Shift+Enter - nowa linia (bloki kodu, cytaty)
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      handleSendMessage(e);
+      return;
+    }
+    if (commandSuggestions.length === 0) return;
+
+    const index = Math.min(suggestionIndex, commandSuggestions.length - 1);
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      completeCommand(commandSuggestions[index]);
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSuggestionIndex((index + step + commandSuggestions.length) % commandSuggestions.length);
+    }
+  };
+
   const handleTyping = (e) => {
     setNewMessage(e.target.value);
+    setSuggestionIndex(0);
     
     if (!isTyping && e.target.value.trim() && roomInfo && user) {
       setIsTyping(true);
       try {
         startTyping({
-          roomId: roomInfo.id,
-          userId: user.id,
-          username: user.username
+          roomId: roomInfo.id
         });
       } catch (err) {
         console.error('Error starting typing:', err);      }
@@ -420,9 +1611,7 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
       setIsTyping(false);
       try {
         stopTyping({
-          roomId: roomInfo.id,
-          userId: user.id,
-          username: user.username
+          roomId: roomInfo.id
         });
       } catch (err) {
         console.error('Error stopping typing:', err);
@@ -475,6 +1664,31 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
     );
   }
 
+  if (joinDenied) {
+    const needsPassword = ['password_required', 'invalid_password'].includes(joinDenied.reason);
+    return (
+      <ErrorContainer>
+        <h2>{needsPassword ? '🔑' : '🔒'} #{room.name || room.id}</h2>
+        <p>{joinDenied.message}</p>
+        {needsPassword && (
+          <PasswordForm onSubmit={handleSubmitPassword}>
+            <input
+              type="password"
+              value={roomPassword}
+              onChange={(e) => setRoomPassword(e.target.value)}
+              placeholder="Hasło pokoju..."
+              autoFocus
+            />
+            <button type="submit" disabled={!roomPassword}>Wejdź</button>
+          </PasswordForm>
+        )}
+        <button onClick={onLeaveRoom}>
+          Powrót do listy pokoi
+        </button>
+      </ErrorContainer>
+    );
+  }
+
   if (loading) {
     return (
       <LoadingContainer>
@@ -496,6 +1710,14 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
     );
   }
 
+  // "Widziane przez" - pod ostatnią zapisaną wiadomością, bez jej autora
+  const lastStored = [...messages].reverse().find(m => m && isStreamId(m.id) && !m.deleted);
+  const seenBy = lastStored
+    ? Object.values(receipts)
+      .filter(r => r.userId !== lastStored.userId && compareMessageIds(r.messageId, lastStored.id) >= 0)
+      .map(r => r.username)
+    : [];
+
   const currentRoomInfo = roomInfo || {
     id: room?.id || 'unknown',
     name: room?.name || room?.id || 'Unknown Room',
@@ -507,21 +1729,39 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
     <ChatContainer>
       <ChatHeader>
         <RoomInfo>
-          <h2>#{currentRoomInfo.name}</h2>
+          <h2>
+            {currentRoomInfo.type === 'dm'
+              ? `✉️ ${currentRoomInfo.otherUser ? currentRoomInfo.otherUser.username : currentRoomInfo.name}`
+              : `#${currentRoomInfo.name}`}
+          </h2>
           <p>
             {currentRoomInfo.messageCount || messages.length} wiadomości • {' '}
             {currentRoomInfo.userCount || 1} użytkowników
           </p>
+          {currentRoomInfo.topic && <p title="Temat pokoju">📌 {currentRoomInfo.topic}</p>}
+          {currentRoomInfo.expiresAt && (
+            <p title="Pokój znikający - każda wiadomość przesuwa termin">
+              ⏳ Pokój zniknie za {formatCountdown(currentRoomInfo.expiresAt - now)} bez nowych wiadomości
+            </p>
+          )}
         </RoomInfo>
         <OnlineUsers>
           <span>Pokój ID: {currentRoomInfo.id}</span>
+          {currentRoomInfo.type !== 'dm' && (
+            <HeaderButton onClick={handleCreateInvite} title="Utwórz zaproszenie (ważne 24 h)">
+              ➕ Zaproś
+            </HeaderButton>
+          )}
+          <HeaderButton onClick={() => setSearchOpen(open => !open)}>
+            🔍 Szukaj
+          </HeaderButton>
         </OnlineUsers>
       </ChatHeader>
 
       <RedisInfo>
         <h4>🔧 Redis Operations w tym komponencie:</h4>
         <ul>
-          <li><code>LIST</code> - Wiadomości jako kolejka FIFO: <code>LPUSH chat:room:{currentRoomInfo.id}:messages</code></li>
+          <li><code>STREAM</code> - Wiadomości z kursorem: <code>XADD chat:room:{currentRoomInfo.id}:stream</code>, <code>XREVRANGE</code></li>
           <li><code>SET</code> - Użytkownicy online: <code>SADD chat:room:{currentRoomInfo.id}:users {user.id}</code></li>
           <li><code>HASH</code> - Metadane pokoju: <code>HGETALL chat:room:{currentRoomInfo.id}</code></li>
           <li><code>STRING</code> - Liczniki: <code>INCR chat:room:{currentRoomInfo.id}:message_count</code></li>
@@ -529,60 +1769,305 @@ const ChatRoom = ({ user, room, onLeaveRoom }) => {
         </ul>
       </RedisInfo>
 
-      <MessagesContainer>
-        {messages.map((message) => {
-          if (!message || !message.id) return null;
+      <ChatBody>
+        <ChatMain>
+          <MessagesContainer ref={messagesContainerRef}>
+            {hasMore && (
+              <LoadOlderButton onClick={handleLoadOlder} disabled={loadingOlder}>
+                {loadingOlder ? 'Ładowanie...' : 'Wczytaj starsze wiadomości'}
+              </LoadOlderButton>
+            )}
 
-          if (message.type === 'system') {
-            return (
-              <SystemMessage key={message.id}>
-                {message.message}
-              </SystemMessage>
-            );
-          }
+            {messages.map((message) => {
+              if (!message || !message.id) return null;
+              // Wygasła - reaper zaraz ją usunie, nie czekamy na message-deleted
+              if (message.expiresAt && message.expiresAt <= now) return null;
+
+              if (message.type === 'system') {
+                return (
+                  <SystemMessage key={message.id}>
+                    {message.message}
+                  </SystemMessage>
+                );
+              }
 
-          const isOwn = message.userId === user.id;
+              const isOwn = message.userId === user.id;
+              const isStored = isStreamId(message.id);
+              const canEdit = isStored && isOwn && !message.deleted;
+              const canDelete = isStored && (isOwn || isModerator) && !message.deleted;
+          const mentionsMe = !message.deleted && (message.mentions || []).some(m => m.userId === user.id);
           
-          return (
-            <Message key={message.id} isOwn={isOwn}>
-              <MessageBubble isOwn={isOwn}>
-                {message.message}
-              </MessageBubble>
-              <MessageMeta>
-                <span>{message.username || 'Unknown User'}</span>
-                <span>{formatTime(message.timestamp)}</span>
-                <span>{formatDate(message.timestamp)}</span>
-              </MessageMeta>
-            </Message>
-          );
-        })}
+              return (
+                <Message
+                  key={message.id}
+                  isOwn={isOwn}
+                  highlighted={highlightedId === message.id}
+                  ref={isStored ? observeMessage : undefined}
+                  data-message-id={message.id}
+                >
+                  {editingId === message.id ? (
+                    <EditForm onSubmit={(e) => handleEditSubmit(e, message)}>
+                      <input
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Escape' && cancelEditing()}
+                        maxLength={500}
+                        autoFocus
+                      />
+                      <MessageAction type="submit">Zapisz</MessageAction>
+                      <MessageAction type="button" onClick={cancelEditing}>Anuluj</MessageAction>
+                    </EditForm>
+                  ) : (message.message || message.deleted || !message.attachments) && (
+                    <MessageBubble isOwn={isOwn} mentionsMe={mentionsMe}>
+                      {message.deleted ? <DeletedText>🗑️ Wiadomość usunięta</DeletedText> : renderMessageText(message)}
+                    </MessageBubble>
+                  )}
+                  {!message.deleted && message.attachments && message.attachments.length > 0 && (
+                    <MessageAttachments attachments={message.attachments} />
+                  )}
+                  {!message.deleted && editingId !== message.id && (message.cards || []).map((card, i) => (
+                    <MessageCard key={i} color={card.color}>
+                      {card.title && (card.url
+                        ? <a href={card.url} target="_blank" rel="noopener noreferrer">{card.title}</a>
+                        : <strong>{card.title}</strong>)}
+                      {card.text && <p>{card.text}</p>}
+                      {card.fields && card.fields.length > 0 && (
+                        <CardFields>
+                          {card.fields.map((field, j) => (
+                            <div key={j} className={field.short ? 'short' : undefined}>
+                              <dt>{field.title}</dt>
+                              <dd>{field.value}</dd>
+                            </div>
+                          ))}
+                        </CardFields>
+                      )}
+                    </MessageCard>
+                  ))}
+                  {isStored && !message.deleted && (
+                    <ReactionBar>
+                      {(message.reactions || []).map(reaction => (
+                        <ReactionChip
+                          key={reaction.emoji}
+                          active={reaction.userIds.includes(user.id)}
+                          title={reaction.usernames.join(', ')}
+                          onClick={() => handleToggleReaction(message, reaction.emoji)}
+                        >
+                          {reaction.emoji} {reaction.userIds.length}
+                        </ReactionChip>
+                      ))}
+                      {pickerFor === message.id ? (
+                        <ReactionPicker>
+                          {REACTION_EMOJIS.map(emoji => (
+                            <button key={emoji} onClick={() => handleToggleReaction(message, emoji)}>
+                              {emoji}
+                            </button>
+                          ))}
+                          <button onClick={() => setPickerFor(null)} title="Zamknij">✕</button>
+                        </ReactionPicker>
+                      ) : (
+                        <ReactionChip title="Dodaj reakcję" onClick={() => setPickerFor(message.id)}>
+                          😊+
+                        </ReactionChip>
+                      )}
+                    </ReactionBar>
+                  )}
+                  <MessageMeta>
+                    {message.integration && message.integration.avatar && (
+                      <IntegrationAvatar src={message.integration.avatar} alt="" />
+                    )}
+                    <span title={message.displayName ? message.username : undefined}>
+                      {message.displayName || message.username || 'Unknown User'}
+                    </span>
+                    {message.bot && <BotBadge title="Wiadomość bota">BOT</BotBadge>}
+                    {message.integration && <BotBadge title="Wiadomość z integracji (webhook)">APP</BotBadge>}
+                    <span>{formatTime(message.timestamp)}</span>
+                    <span>{formatDate(message.timestamp)}</span>
+                    {message.expiresAt && (
+                      <span title="Wiadomość znikająca">⏳ {formatCountdown(message.expiresAt - now)}</span>
+                    )}
+                    {message.editedAt && !message.deleted && (
+                      <span title={`Edytowano ${formatTime(message.editedAt)}`}>(edytowano)</span>
+                    )}
+                    {isModerator && message.flags && !message.deleted && (
+                      <span title={`Oznaczone przez filtr: ${message.flags.map(f => f.reason).join(', ')}`}>⚑</span>
+                    )}
+                    {canEdit && editingId !== message.id && (
+                      <MessageAction onClick={() => startEditing(message)}>Edytuj</MessageAction>
+                    )}
+                    {canDelete && (
+                      <MessageAction onClick={() => handleDeleteMessage(message)}>Usuń</MessageAction>
+                    )}
+                    {isModerator && !isOwn && !message.bot && !message.integration && message.userId && message.userId !== 'system' && currentRoomInfo.type !== 'dm' && (
+                      <>
+                        <MessageAction onClick={() => handleKickUser(message)} title="Wyrzuć z pokoju">👢</MessageAction>
+                        <MessageAction onClick={() => handleMuteUser(message)} title="Wycisz">🔇</MessageAction>
+                        <MessageAction onClick={() => handleBanUser(message)} title="Zbanuj">⛔</MessageAction>
+                      </>
+                    )}
+                    {isStored && (message.replyCount > 0 || !message.deleted) && (
+                      <MessageAction onClick={() => openThread(message)}>
+                        {message.replyCount > 0 ? `💬 ${message.replyCount} odp.` : 'Odpowiedz'}
+                      </MessageAction>
+                    )}
+                  </MessageMeta>
+                  {message === lastStored && seenBy.length > 0 && (
+                    <SeenBy>👁 Widziane przez: {seenBy.join(', ')}</SeenBy>
+                  )}
+                </Message>
+              );
+            })}
         
-        <TypingIndicator>
-          {typingUsers.length > 0 && (
-            <span>
-              {typingUsers.map(u => u.username).join(', ')} 
-              {typingUsers.length === 1 ? ' pisze...' : ' piszą...'}
-            </span>
-          )}
-        </TypingIndicator>
+            <TypingIndicator>
+              {typingUsers.length > 0 && (
+                <span>
+                  {typingUsers.map(u => u.username).join(', ')} 
+                  {typingUsers.length === 1 ? ' pisze...' : ' piszą...'}
+                </span>
+              )}
+            </TypingIndicator>
         
-        <div ref={messagesEndRef} />
-      </MessagesContainer>
-
-      <MessageInputContainer>
-        <MessageInputForm onSubmit={handleSendMessage}>
-          <MessageInput
-            type="text"
-            value={newMessage}
-            onChange={handleTyping}
-            placeholder="Napisz wiadomość..."
-            maxLength={500}
+            <div ref={messagesEndRef} />
+          </MessagesContainer>
+
+          <MessageInputContainer>
+            {commandSuggestions.length > 0 && (
+              <CommandSuggestions>
+                {commandSuggestions.map((command, i) => (
+                  <li
+                    key={command.name}
+                    className={i === Math.min(suggestionIndex, commandSuggestions.length - 1) ? 'active' : undefined}
+                    onMouseDown={(e) => { e.preventDefault(); completeCommand(command); }}
+                  >
+                    <code>{command.usage}</code>
+                    <span>{command.description}</span>
+                  </li>
+                ))}
+              </CommandSuggestions>
+            )}
+            {pendingAttachments.length > 0 && (
+              <PendingAttachments>
+                {pendingAttachments.map(attachment => (
+                  <span key={attachment.id}>
+                    📎 {attachment.name} ({formatSize(attachment.size)})
+                    <button
+                      type="button"
+                      title="Usuń z wiadomości"
+                      onClick={() => setPendingAttachments(prev => prev.filter(a => a.id !== attachment.id))}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </PendingAttachments>
+            )}
+            {showPreview && newMessage.trim() && (
+              <MessagePreview>
+                <Markdown text={newMessage.trim()} />
+              </MessagePreview>
+            )}
+            {scheduleOpen && (
+              <SchedulePanel>
+                <label>
+                  ⏰ Wyślij
+                  <input
+                    type="datetime-local"
+                    value={scheduleAt}
+                    min={toLocalInputValue(new Date())}
+                    onChange={(e) => setScheduleAt(e.target.value)}
+                  />
+                  <ScheduleSubmit type="button" onClick={handleScheduleMessage} disabled={!newMessage.trim()}>
+                    Zaplanuj
+                  </ScheduleSubmit>
+                </label>
+                {scheduled.length > 0 && (
+                  <ul>
+                    {scheduled.map(item => (
+                      <li key={item.id}>
+                        <time>{formatUntil(item.sendAt)}</time>
+                        <span title={item.message}>{item.message}</span>
+                        <button type="button" title="Edytuj treść" onClick={() => handleEditScheduled(item)}>✏️</button>
+                        <button
+                          type="button"
+                          title="Przenieś na wybrany termin"
+                          onClick={() => applyScheduledUpdate(item, { sendAt: new Date(scheduleAt) })}
+                        >
+                          🕒
+                        </button>
+                        <button type="button" title="Anuluj" onClick={() => handleCancelScheduled(item)}>✕</button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </SchedulePanel>
+            )}
+            <MessageInputForm onSubmit={handleSendMessage}>
+              <input type="file" multiple hidden ref={fileInputRef} onChange={handleSelectFiles} />
+              <AttachButton
+                type="button"
+                onClick={() => fileInputRef.current && fileInputRef.current.click()}
+                disabled={uploading || pendingAttachments.length >= MAX_ATTACHMENTS}
+                title="Dołącz pliki"
+              >
+                {uploading ? '⏳' : '📎'}
+              </AttachButton>
+              <MessageInput
+                rows={Math.min(newMessage.split('\n').length, 6)}
+                value={newMessage}
+                onChange={handleTyping}
+                onKeyDown={handleInputKeyDown}
+                placeholder="Napisz wiadomość albo /komendę (/help)... **pogrubienie**, *kursywa*, `kod`"
+                maxLength={500}
+              />
+              <ToggleButton
+                type="button"
+                active={showPreview}
+                onClick={() => setShowPreview(prev => !prev)}
+                title="Podgląd formatowania Markdown"
+              >
+                👁 Podgląd
+              </ToggleButton>
+              <ExpirySelect
+                value={messageExpiry}
+                onChange={(e) => setMessageExpiry(Number(e.target.value))}
+                title="Wiadomość znikająca - usuwana po wybranym czasie"
+              >
+                {MESSAGE_EXPIRY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </ExpirySelect>
+              <ToggleButton
+                type="button"
+                active={scheduleOpen}
+                onClick={() => setScheduleOpen(prev => !prev)}
+                title="Zaplanuj wysłanie wiadomości"
+              >
+                ⏰{scheduled.length > 0 ? ` ${scheduled.length}` : ''}
+              </ToggleButton>
+              <SendButton type="submit" disabled={!canSend}>
+                {cooldown > 0 ? `Poczekaj ${cooldown}s` : 'Wyślij'}
+              </SendButton>
+            </MessageInputForm>
+          </MessageInputContainer>
+        </ChatMain>
+
+        {searchOpen && (
+          <SearchPanel
+            currentRoomId={currentRoomInfo.id}
+            onSelect={handleSearchSelect}
+            onClose={() => setSearchOpen(false)}
+          />
+        )}
+
+        {!searchOpen && thread && (
+          <ThreadPanel
+            user={user}
+            thread={thread}
+            onSendReply={handleSendReply}
+            onLoadOlder={handleLoadOlderReplies}
+            onClose={() => setThread(null)}
           />
-          <SendButton type="submit" disabled={!newMessage.trim()}>
-            Wyślij
-          </SendButton>
-        </MessageInputForm>
-      </MessageInputContainer>
+        )}
+      </ChatBody>
     </ChatContainer>
   );
 };
@@ -0,0 +1,287 @@
+import React from 'react';
+import styled from 'styled-components';
+
+// Podzbiór Markdown wiadomości: **pogrubienie**, *kursywa*, `kod`, bloki ``` z podświetlaniem,
+// [linki](https://...), cytaty "> ". Tekst zamieniany jest na elementy React (bez innerHTML),
+// więc HTML w treści zawsze jest tylko tekstem; linki wyłącznie http(s) i mailto.
+
+const CodeBlock = styled.div`
+  margin: 6px 0;
+  border-radius: 8px;
+  overflow: hidden;
+  background: #2d2d3a;
+  color: #f8f8f2;
+  text-align: left;
+
+  pre {
+    margin: 0;
+    padding: 10px 12px;
+    overflow-x: auto;
+    font-family: 'Courier New', monospace;
+    font-size: 0.85rem;
+    white-space: pre;
+  }
+
+  .md-keyword { color: #c792ea; }
+  .md-string { color: #c3e88d; }
+  .md-number { color: #f78c6c; }
+  .md-comment { color: #7f848e; font-style: italic; }
+`;
+
+const CodeLanguage = styled.div`
+  padding: 3px 12px;
+  font-size: 0.7rem;
+  text-transform: uppercase;
+  background: rgba(255, 255, 255, 0.08);
+  color: #aab;
+`;
+
+const InlineCode = styled.code`
+  background: rgba(0, 0, 0, 0.08);
+  border-radius: 4px;
+  padding: 1px 4px;
+  font-family: 'Courier New', monospace;
+  font-size: 0.9em;
+`;
+
+const Quote = styled.blockquote`
+  margin: 4px 0;
+  padding: 2px 0 2px 10px;
+  border-left: 3px solid currentColor;
+  opacity: 0.85;
+`;
+
+const Link = styled.a`
+  color: inherit;
+  text-decoration: underline;
+`;
+
+const SAFE_URL = /^(?:https?:\/\/|mailto:)/i;
+const FENCE = /^```([\w+#-]*)\s*$/;
+
+// ======= PODŚWIETLANIE KODU =======
+
+const C_COMMENT = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+const HASH_COMMENT = '#[^\\n]*';
+
+const SYNTAXES = {
+  js: {
+    comment: C_COMMENT,
+    keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield'
+  },
+  c: {
+    comment: C_COMMENT,
+    keywords: 'abstract bool break case catch char class const continue default delete do double else enum extends false final float fn for func go if impl import int interface let long match mut namespace new null package private protected pub public return self short static struct super switch this throw true try type typedef unsigned use using var virtual void while'
+  },
+  python: {
+    comment: HASH_COMMENT,
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+  },
+  sh: {
+    comment: HASH_COMMENT,
+    keywords: 'case do done echo elif else esac exit export fi for function if in local return then while'
+  },
+  sql: {
+    comment: '--[^\\n]*',
+    keywords: 'alter and as asc by create delete desc distinct drop from group having in index inner insert into is join key left limit not null on or order primary right select set table union update values where',
+    ignoreCase: true
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'js', javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', json: 'js',
+  c: 'c', cpp: 'c', 'c++': 'c', cs: 'c', 'c#': 'c', java: 'c', go: 'c', rust: 'c', php: 'c',
+  py: 'python', python: 'python',
+  sh: 'sh', bash: 'sh', shell: 'sh',
+  sql: 'sql'
+};
+
+const compileSyntax = ({ comment, keywords, ignoreCase }) => ({
+  pattern: new RegExp(
+    `(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+    'g'
+  ),
+  keywords: new Set(keywords.split(' ').map(word => (ignoreCase ? word.toLowerCase() : word))),
+  ignoreCase
+});
+
+const COMPILED = Object.fromEntries(
+  Object.entries(SYNTAXES).map(([name, syntax]) => [name, compileSyntax(syntax)])
+);
+
+const highlightCode = (code, language) => {
+  const syntax = COMPILED[LANGUAGE_ALIASES[language.toLowerCase()]];
+  if (!syntax) return code;
+
+  const parts = [];
+  let last = 0;
+  let match;
+  syntax.pattern.lastIndex = 0;
+  while ((match = syntax.pattern.exec(code)) !== null) {
+    const [token, comment, string, number, word] = match;
+    let className = null;
+    if (comment) className = 'md-comment';
+    else if (string) className = 'md-string';
+    else if (number) className = 'md-number';
+    else if (word && syntax.keywords.has(syntax.ignoreCase ? word.toLowerCase() : word)) className = 'md-keyword';
+    if (!className) continue;
+
+    if (match.index > last) parts.push(code.slice(last, match.index));
+    parts.push(<span key={match.index} className={className}>{token}</span>);
+    last = match.index + token.length;
+  }
+  if (last < code.length) parts.push(code.slice(last));
+  return parts;
+};
+
+// ======= BLOKI =======
+
+// Tekst -> bloki: { type: 'code', language, code } | { type: 'quote' | 'text', lines }
+const parseBlocks = (text) => {
+  const blocks = [];
+  let code = null;
+
+  const pushLine = (type, line) => {
+    const previous = blocks[blocks.length - 1];
+    if (previous && previous.type === type) previous.lines.push(line);
+    else blocks.push({ type, lines: [line] });
+  };
+
+  for (const line of text.split('\n')) {
+    if (code) {
+      if (/^```\s*$/.test(line)) {
+        blocks.push({ type: 'code', language: code.language, code: code.lines.join('\n') });
+        code = null;
+      } else {
+        code.lines.push(line);
+      }
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      code = { language: fence[1], lines: [] };
+    } else if (/^>\s?/.test(line)) {
+      pushLine('quote', line.replace(/^>\s?/, ''));
+    } else {
+      pushLine('text', line);
+    }
+  }
+  // Niezamknięty blok (np. podgląd w trakcie pisania) - do końca tekstu
+  if (code) blocks.push({ type: 'code', language: code.language, code: code.lines.join('\n') });
+
+  return blocks;
+};
+
+// ======= INLINE =======
+
+const INLINE = new RegExp([
+  '\\\\([\\\\`*_[\\]()>#~-])', // \* itd. - znak dosłownie
+  '`([^`\\n]+)`',
+  '\\*\\*(\\S(?:[\\s\\S]*?\\S)?)\\*\\*',
+  '__(\\S(?:[\\s\\S]*?\\S)?)__',
+  // Kursywa może zawierać pogrubienie: *tekst **gruby***
+  '\\*(?!\\s)((?:[^*]|\\*\\*[^*\\n]+?\\*\\*)+?)(?<!\\s)\\*',
+  '_(?!\\s)((?:[^_]|__[^_\\n]+?__)+?)(?<!\\s)_',
+  '\\[([^\\]\\n]+)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))*)\\)',
+  '(https?:\\/\\/[^\\s<>"]*[^\\s<>.,:;"\')\\]!?])'
+].join('|'), 'g');
+
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}_]/u.test(char);
+
+// _kursywa_ i __pogrubienie__ tylko na granicy słów (snake_case_name zostaje tekstem)
+const atWordBoundary = (text, start, end) => !isWordChar(text[start - 1]) && !isWordChar(text[end]);
+
+const renderInline = (text, renderText, { links = true, depth = 0 } = {}) => {
+  const parts = [];
+  let plain = '';
+  let last = 0;
+  let match;
+
+  const flushPlain = () => {
+    if (plain) parts.push(<React.Fragment key={`t${parts.length}`}>{renderText(plain)}</React.Fragment>);
+    plain = '';
+  };
+  const nested = (inner) => (depth < 4 ? renderInline(inner, renderText, { links, depth: depth + 1 }) : inner);
+
+  const pattern = new RegExp(INLINE.source, 'g');
+  while ((match = pattern.exec(text)) !== null) {
+    const [token, escaped, code, bold, boldUnderscore, italic, italicUnderscore, label, url, autolink] = match;
+    const start = match.index;
+    const end = start + token.length;
+    let element = null;
+
+    if (escaped) {
+      plain += text.slice(last, start) + escaped;
+      last = end;
+      continue;
+    } else if (code) {
+      element = <InlineCode>{code}</InlineCode>;
+    } else if (bold) {
+      element = <strong>{nested(bold)}</strong>;
+    } else if (boldUnderscore && atWordBoundary(text, start, end)) {
+      element = <strong>{nested(boldUnderscore)}</strong>;
+    } else if (italic) {
+      element = <em>{nested(italic)}</em>;
+    } else if (italicUnderscore && atWordBoundary(text, start, end)) {
+      element = <em>{nested(italicUnderscore)}</em>;
+    } else if (label && links && SAFE_URL.test(url)) {
+      element = (
+        <Link href={url} target="_blank" rel="noopener noreferrer nofollow">
+          {renderInline(label, renderText, { links: false, depth: depth + 1 })}
+        </Link>
+      );
+    } else if (autolink && links) {
+      element = <Link href={autolink} target="_blank" rel="noopener noreferrer nofollow">{autolink}</Link>;
+    }
+
+    if (!element) {
+      // Nie pasuje w tym miejscu - pierwszy znak jako tekst, szukaj dalej
+      pattern.lastIndex = start + 1;
+      continue;
+    }
+
+    plain += text.slice(last, start);
+    flushPlain();
+    parts.push(<React.Fragment key={start}>{element}</React.Fragment>);
+    last = end;
+  }
+
+  plain += text.slice(last);
+  flushPlain();
+  return parts;
+};
+
+const renderLines = (lines, renderText) => lines.map((line, i) => (
+  <React.Fragment key={i}>
+    {i > 0 && <br />}
+    {renderInline(line, renderText)}
+  </React.Fragment>
+));
+
+const plainText = (text) => text;
+
+/**
+ * Treść wiadomości w Markdown.
+ * renderText - opcjonalnie: jak pokazać zwykły tekst (np. wyróżnienie @wzmianek)
+ */
+const Markdown = ({ text, renderText = plainText }) => (
+  <>
+    {parseBlocks(text || '').map((block, i) => {
+      if (block.type === 'code') {
+        return (
+          <CodeBlock key={i}>
+            {block.language && <CodeLanguage>{block.language}</CodeLanguage>}
+            <pre><code>{highlightCode(block.code, block.language)}</code></pre>
+          </CodeBlock>
+        );
+      }
+      if (block.type === 'quote') {
+        return <Quote key={i}>{renderLines(block.lines, renderText)}</Quote>;
+      }
+      return <React.Fragment key={i}>{renderLines(block.lines, renderText)}</React.Fragment>;
+    })}
+  </>
+);
+
+export default Markdown;
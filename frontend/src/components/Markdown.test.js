@@ -0,0 +1,163 @@
+// toHtml zwraca zwykły string HTML, nie wynik render() z @testing-library
+/* eslint-disable testing-library/render-result-naming-convention */
+import React from 'react';
+import ReactDOMServer from 'react-dom/server';
+import Markdown from './Markdown';
+
+const toHtml = (text, props = {}) => ReactDOMServer.renderToStaticMarkup(<Markdown text={text} {...props} />);
+
+// Atrybuty href wszystkich linków w wyniku
+const hrefs = (html) => [...html.matchAll(/<a [^>]*href="([^"]*)"/g)].map(match => match[1]);
+
+describe('Markdown - linki', () => {
+  it('renders http(s) and mailto links in a new tab without referrer', () => {
+    const html = toHtml('[strona](https://example.com/a) i [mail](mailto:ala@example.com)');
+
+    expect(hrefs(html)).toEqual(['https://example.com/a', 'mailto:ala@example.com']);
+    expect(html).toContain('target="_blank"');
+    expect(html).toContain('rel="noopener noreferrer nofollow"');
+  });
+
+  it.each([
+    ['javascript', 'alert(1)'],
+    ['JaVaScRiPt', 'alert(1)'],
+    ['data', 'text/html,<script>alert(1)</script>'],
+    ['DATA', 'text/html;base64,PHNjcmlwdD4='],
+    ['vbscript', 'msgbox(1)'],
+    ['', '//evil.example.com']
+  ])('keeps [label](%s:%s) as plain text', (scheme, rest) => {
+    const html = toHtml(`[kliknij](${scheme ? `${scheme}:` : ''}${rest})`);
+
+    expect(hrefs(html)).toEqual([]);
+    expect(html).toContain('kliknij');
+  });
+
+  it('accepts mixed-case safe schemes', () => {
+    expect(hrefs(toHtml('[a](HTTPS://Example.com) [b](MailTo:ala@example.com)')))
+      .toEqual(['HTTPS://Example.com', 'MailTo:ala@example.com']);
+  });
+
+  it('autolinks bare URLs without trailing punctuation', () => {
+    const html = toHtml('Zobacz https://example.com/path.');
+
+    expect(hrefs(html)).toEqual(['https://example.com/path']);
+    expect(html).toMatch(/<\/a>\.$/);
+  });
+
+  it('does not nest links inside a link label', () => {
+    const html = toHtml('[https://inna.example](https://example.com)');
+
+    expect(hrefs(html)).toEqual(['https://example.com']);
+  });
+
+  it('does not link inside inline code', () => {
+    const html = toHtml('`[a](https://example.com)`');
+
+    expect(hrefs(html)).toEqual([]);
+    expect(html).toContain('<code');
+  });
+});
+
+describe('Markdown - HTML w treści', () => {
+  it.each([
+    '<img src=x onerror=alert(1)>',
+    '<script>alert(1)</script>',
+    '<a href="vbscript:msgbox(1)">x</a>'
+  ])('escapes %s as text', (text) => {
+    const html = toHtml(text);
+
+    expect(html).not.toMatch(/<(img|script)\b/);
+    expect(hrefs(html)).toEqual([]);
+    expect(html).toContain('&lt;');
+  });
+
+  it('autolinks a URL inside raw HTML without the closing quote', () => {
+    const html = toHtml('<iframe src="https://example.com"></iframe>');
+
+    expect(html).not.toMatch(/<iframe\b/);
+    expect(hrefs(html)).toEqual(['https://example.com']);
+  });
+
+  it('escapes HTML inside code blocks', () => {
+    const html = toHtml('```html\n<b onclick="x()">hi</b>\n```');
+
+    expect(html).not.toContain('<b ');
+    expect(html).toContain('&lt;b');
+  });
+});
+
+describe('Markdown - wyróżnienia', () => {
+  it('renders bold and italic', () => {
+    expect(toHtml('**gruby** i *pochyły*')).toBe('<strong>gruby</strong> i <em>pochyły</em>');
+  });
+
+  it('renders nested emphasis', () => {
+    expect(toHtml('**gruby *i pochyły* tekst**'))
+      .toBe('<strong>gruby <em>i pochyły</em> tekst</strong>');
+    expect(toHtml('*pochyły **i gruby***')).toContain('<strong>i gruby</strong>');
+  });
+
+  it('leaves snake_case words alone', () => {
+    expect(toHtml('zmienna snake_case_name')).toBe('zmienna snake_case_name');
+  });
+
+  it('honours backslash escapes', () => {
+    expect(toHtml('\\*nie kursywa\\*')).toBe('*nie kursywa*');
+  });
+
+  it('keeps unmatched markers as text', () => {
+    expect(toHtml('2 * 3 = 6, **niedomknięte')).toBe('2 * 3 = 6, **niedomknięte');
+  });
+
+  it('renders text masked by the profanity filter unchanged', () => {
+    expect(toHtml('k•••• mać c•••')).toBe('k•••• mać c•••');
+    expect(toHtml('**k••••** i *c•••*')).toBe('<strong>k••••</strong> i <em>c•••</em>');
+  });
+
+  it('keeps escaped asterisks as text', () => {
+    expect(toHtml('k\\*\\*\\*\\* mać c\\*\\*\\*')).toBe('k**** mać c***');
+  });
+
+  it('passes plain text through renderText', () => {
+    const renderText = (text) => text.toUpperCase();
+
+    expect(toHtml('ala **ma** kota', { renderText })).toBe('ALA <strong>MA</strong> KOTA');
+  });
+});
+
+describe('Markdown - bloki', () => {
+  it('highlights a fenced code block', () => {
+    const html = toHtml('```js\nconst a = "x"; // komentarz\n```');
+
+    expect(html).toContain('<span class="md-keyword">const</span>');
+    expect(html).toContain('<span class="md-string">&quot;x&quot;</span>');
+    expect(html).toContain('<span class="md-comment">// komentarz</span>');
+  });
+
+  it('does not apply inline formatting inside code blocks', () => {
+    const html = toHtml('```\n**nie gruby** [a](https://example.com)\n```');
+
+    expect(html).not.toContain('<strong>');
+    expect(hrefs(html)).toEqual([]);
+  });
+
+  it('renders an unclosed fence as code to the end of the text', () => {
+    const html = toHtml('przed\n```python\ndef f():\n    return **x**');
+
+    expect(html).toContain('przed');
+    expect(html).toContain('<span class="md-keyword">def</span>');
+    expect(html).toContain('return</span> **x**');
+    expect(html).not.toContain('<strong>');
+  });
+
+  it('renders quotes and line breaks', () => {
+    const html = toHtml('> cytat\ntekst\ndalej');
+
+    expect(html).toMatch(/<blockquote[^>]*>cytat<\/blockquote>tekst<br\/>dalej$/);
+  });
+
+  it('renders empty text as nothing', () => {
+    expect(toHtml('')).toBe('');
+    expect(toHtml(undefined)).toBe('');
+  });
+});
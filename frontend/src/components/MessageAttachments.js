@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { fetchAttachment } from '../services/socketService';
+
+const AttachmentList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-top: 6px;
+`;
+
+const Thumbnail = styled.button`
+  padding: 0;
+  border: 1px solid #e1e5e9;
+  border-radius: 8px;
+  overflow: hidden;
+  background: #f8f9fa;
+  cursor: zoom-in;
+  min-width: 80px;
+  min-height: 60px;
+
+  img {
+    display: block;
+    max-width: 240px;
+    max-height: 240px;
+  }
+`;
+
+const FileChip = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 6px 12px;
+  border: 1px solid #e1e5e9;
+  border-radius: 8px;
+  background: white;
+  color: #333;
+  cursor: pointer;
+  font-size: 0.85rem;
+
+  small {
+    color: #666;
+  }
+`;
+
+export const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Pełny plik: obraz w nowej karcie, reszta jako pobranie pod oryginalną nazwą
+const openAttachment = async (attachment) => {
+  try {
+    const url = URL.createObjectURL(await fetchAttachment(attachment.id));
+    if (attachment.thumbnail) {
+      window.open(url, '_blank', 'noopener');
+    } else {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    toast.error('Nie udało się pobrać pliku');
+  }
+};
+
+const ImagePreview = ({ attachment }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    fetchAttachment(attachment.id, { thumbnail: true })
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setSrc(url);
+      })
+      .catch(err => console.error('Error loading thumbnail:', err));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment.id]);
+
+  return (
+    <Thumbnail onClick={() => openAttachment(attachment)} title={`${attachment.name} (${formatSize(attachment.size)})`}>
+      {src ? <img src={src} alt={attachment.name} /> : <span>🖼️</span>}
+    </Thumbnail>
+  );
+};
+
+const MessageAttachments = ({ attachments }) => (
+  <AttachmentList>
+    {attachments.map(attachment => (attachment.thumbnail
+      ? <ImagePreview key={attachment.id} attachment={attachment} />
+      : (
+        <FileChip key={attachment.id} onClick={() => openAttachment(attachment)} title="Pobierz">
+          📄 {attachment.name} <small>{formatSize(attachment.size)}</small>
+        </FileChip>
+      )))}
+  </AttachmentList>
+);
+
+export default MessageAttachments;
@@ -122,7 +122,7 @@ const Navigation = ({ user, onLogout, currentRoom, onLeaveRoom }) => {
     <NavContainer>
       <Logo>
         💬 Redis Chat
-        {currentRoom && <span> - #{currentRoom.name}</span>}
+        {currentRoom && <span> - {currentRoom.type === 'dm' ? '✉️ ' : '#'}{currentRoom.name}</span>}
       </Logo>
       
       <NavLinks>
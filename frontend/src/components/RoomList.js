@@ -2,7 +2,22 @@ import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import { fetchLeaderboard } from '../services/socketService';
+import {
+  connectSocket,
+  fetchLeaderboard,
+  fetchOnlineUsers,
+  fetchMentions,
+  markMentionsRead,
+  fetchDirectConversations,
+  openDirectConversation,
+  acceptInvite,
+  onUserStatusChanged,
+  offUserStatusChanged,
+  onMention,
+  offMention,
+  onDirectMessage,
+  offDirectMessage
+} from '../services/socketService';
 
 const RoomListContainer = styled.div`
   max-width: 800px;
@@ -111,6 +126,19 @@ const Input = styled.input`
   }
 `;
 
+const Select = styled.select`
+  padding: 10px;
+  border: 1px solid #ddd;
+  border-radius: 5px;
+  font-size: 1rem;
+  background: white;
+  
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
 const Button = styled.button`
   background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
   color: white;
@@ -130,12 +158,43 @@ const Button = styled.button`
   }
 `;
 
+// Pokój znikający: ttl = sekundy bez wiadomości, po których serwer usuwa pokój
+const ROOM_TTL_OPTIONS = [
+  { value: 0, label: 'Stały' },
+  { value: 60 * 60, label: '⏳ Znika po 1 h ciszy' },
+  { value: 24 * 60 * 60, label: '⏳ Znika po 24 h ciszy' },
+  { value: 7 * 24 * 60 * 60, label: '⏳ Znika po 7 dniach ciszy' }
+];
+
+const STATUS_COLORS = {
+  online: '#2ecc71',
+  away: '#f1c40f',
+  offline: '#bbb'
+};
+
+const StatusDot = styled.span`
+  display: inline-block;
+  width: 10px;
+  height: 10px;
+  border-radius: 50%;
+  margin-right: 8px;
+  background: ${props => STATUS_COLORS[props.status] || STATUS_COLORS.offline};
+`;
+
 const RoomList = ({ user, onJoinRoom }) => {
   const [rooms, setRooms] = useState([]);
   const [loading, setLoading] = useState(true);
   const [newRoomName, setNewRoomName] = useState('');
   const [creating, setCreating] = useState(false);
+  const [newRoomVisibility, setNewRoomVisibility] = useState('public');
+  const [newRoomPassword, setNewRoomPassword] = useState('');
+  const [newRoomTtl, setNewRoomTtl] = useState(0);
+  const [inviteToken, setInviteToken] = useState('');
   const [leaderboard, setLeaderboard] = useState([]);
+  const [onlineUsers, setOnlineUsers] = useState([]);
+  const [mentions, setMentions] = useState([]);
+  const [unreadMentions, setUnreadMentions] = useState(0);
+  const [conversations, setConversations] = useState([]);
 
   useEffect(() => {    fetchRooms();
     const interval = setInterval(fetchRooms, 5000);
@@ -153,6 +212,126 @@ const RoomList = ({ user, onJoinRoom }) => {
     return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    const getOnlineUsers = async () => {
+      try {
+        setOnlineUsers(await fetchOnlineUsers());
+      } catch {}
+    };
+    getOnlineUsers();
+    const interval = setInterval(getOnlineUsers, 30000);
+
+    // Zmiany statusu na żywo (heartbeat / sweeper na serwerze)
+    connectSocket();
+    onUserStatusChanged((change) => {
+      setOnlineUsers(prev => {
+        const others = prev.filter(u => u.userId !== change.userId);
+        if (change.status === 'offline') return others;
+        const existing = prev.find(u => u.userId === change.userId);
+        return [...others, { ...existing, ...change }];
+      });
+    });
+
+    return () => {
+      clearInterval(interval);
+      offUserStatusChanged();
+    };
+  }, []);
+
+  // Skrzynka wzmianek - nowe przychodzą na żywo przez kanał użytkownika
+  useEffect(() => {
+    if (!user) return;
+
+    const getMentions = async () => {
+      try {
+        const data = await fetchMentions(user.id);
+        setMentions(data.mentions);
+        setUnreadMentions(data.unreadCount);
+      } catch {}
+    };
+    getMentions();
+
+    connectSocket();
+    onMention((mention) => {
+      toast(`📣 ${mention.fromUsername} wspomniał(a) Cię w #${mention.roomId}`);
+      setMentions(prev => [{ ...mention, read: false }, ...prev.filter(m => m.id !== mention.id)]);
+      setUnreadMentions(prev => prev + 1);
+    });
+
+    return () => {
+      offMention();
+    };
+  }, [user]);
+
+  // Rozmowy prywatne - nowa wiadomość przesuwa rozmowę na górę listy
+  useEffect(() => {
+    if (!user) return;
+
+    const getConversations = async () => {
+      try {
+        setConversations(await fetchDirectConversations());
+      } catch {}
+    };
+    getConversations();
+
+    connectSocket();
+    onDirectMessage((data) => {
+      toast(`✉️ ${data.message.username}: ${data.message.message}`);
+      setConversations(prev => {
+        const existing = prev.find(c => c.id === data.roomId);
+        if (!existing) {
+          getConversations();
+          return prev;
+        }
+        const updated = { ...existing, unreadCount: data.unreadCount, lastActivity: data.message.timestamp };
+        return [updated, ...prev.filter(c => c.id !== data.roomId)];
+      });
+    });
+
+    return () => {
+      offDirectMessage();
+    };
+  }, [user]);
+
+  const toDirectRoom = (conversation) => ({
+    ...conversation,
+    name: conversation.otherUser.username
+  });
+
+  const handleOpenDirect = async (otherUserId) => {
+    try {
+      const conversation = await openDirectConversation(otherUserId);
+      onJoinRoom(toDirectRoom(conversation));
+    } catch {
+      toast.error('Nie udało się otworzyć rozmowy');
+    }
+  };
+
+  const handleMarkMentionsRead = async () => {
+    try {
+      await markMentionsRead(user.id);
+      setMentions(prev => prev.map(m => ({ ...m, read: true })));
+      setUnreadMentions(0);
+    } catch {
+      toast.error('Nie udało się oznaczyć wzmianek');
+    }
+  };
+
+  const handleOpenMention = (mention) => {
+    const conversation = conversations.find(c => c.id === mention.roomId);
+    if (conversation) {
+      onJoinRoom(toDirectRoom(conversation));
+      return;
+    }
+    const room = rooms.find(r => r.id === mention.roomId) || { id: mention.roomId, name: mention.roomId };
+    handleJoinRoom(room);
+  };
+
+  const formatLastSeen = (timestamp) => {
+    if (!timestamp) return '';
+    return new Date(timestamp).toLocaleTimeString('pl-PL', { hour: '2-digit', minute: '2-digit' });
+  };
+
   const fetchRooms = async () => {
     try {
       const response = await axios.get('/api/chat/rooms');
@@ -179,16 +358,24 @@ const RoomList = ({ user, onJoinRoom }) => {
       const newRoomPayload = {
         roomId,
         name: newRoomName.trim(),
-        createdBy: user.id
+        visibility: newRoomVisibility,
+        ...(newRoomVisibility === 'password' && { password: newRoomPassword }),
+        ...(newRoomTtl > 0 && { ttl: newRoomTtl })
       };
       try {
         const response = await axios.post('/api/chat/rooms', newRoomPayload);
         await fetchRooms();
       } catch (apiError) {
+        // Serwer odrzucił pokój (np. już istnieje, za krótkie hasło) - nie dodawaj lokalnie
+        if (apiError.response) {
+          toast.error(apiError.response.data.error || 'Nie udało się stworzyć pokoju');
+          return;
+        }
         // Fallback - add locally
         setRooms(prev => [...prev, { id: roomId, name: newRoomName.trim(), userCount: 0, messageCount: 0, createdBy: user.id }]);
       }
-      setNewRoomName('');      toast.success('Stworzono pokój: ' + newRoomName.trim());
+      setNewRoomName('');
+      setNewRoomPassword('');      toast.success('Stworzono pokój: ' + newRoomName.trim());
     } catch (error) {
       toast.error('Nie udało się stworzyć pokoju. Spróbuj ponownie.');
     } finally {
@@ -201,6 +388,22 @@ const RoomList = ({ user, onJoinRoom }) => {
     toast.success(`Dołączam do ${room.name}...`);
   };
 
+  // Zaproszenie czyni nas członkiem pokoju - potem zwykłe dołączenie
+  const handleAcceptInvite = async (e) => {
+    e.preventDefault();
+    const token = inviteToken.trim();
+    if (!token) return;
+
+    try {
+      const room = await acceptInvite(token);
+      setInviteToken('');
+      await fetchRooms();
+      handleJoinRoom(room);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Nie udało się przyjąć zaproszenia');
+    }
+  };
+
   if (loading) {
     return (
       <RoomListContainer>
@@ -225,6 +428,79 @@ const RoomList = ({ user, onJoinRoom }) => {
         </ol>
       </div>
 
+      <div style={{background:'#fff',borderRadius:10,padding:20,marginBottom:30,boxShadow:'0 2px 8px rgba(0,0,0,0.08)'}}>
+        <h2 style={{color:'#667eea',marginBottom:10,fontSize:'1.3rem'}}>🟢 Użytkownicy online ({onlineUsers.length})</h2>
+        <ul style={{margin:0,paddingLeft:0,listStyle:'none'}}>
+          {onlineUsers.map((entry) => (
+            <li key={entry.userId} style={{marginBottom:4}}>
+              <StatusDot status={entry.status} />
+              <span style={{fontWeight:600}}>{entry.username}</span>{' '}
+              <span style={{color:'#888'}}>
+                {entry.status === 'away' ? `(zaraz wracam, ostatnio ${formatLastSeen(entry.lastSeen)})` : '(online)'}
+              </span>
+              {entry.userId !== user.id && (
+                <button
+                  onClick={() => handleOpenDirect(entry.userId)}
+                  title="Wiadomość prywatna"
+                  style={{marginLeft:8,background:'none',border:'none',cursor:'pointer'}}
+                >
+                  ✉️
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div style={{background:'#fff',borderRadius:10,padding:20,marginBottom:30,boxShadow:'0 2px 8px rgba(0,0,0,0.08)'}}>
+        <h2 style={{color:'#667eea',marginBottom:10,fontSize:'1.3rem'}}>✉️ Wiadomości prywatne</h2>
+        {conversations.length === 0 && (
+          <p style={{margin:0,color:'#888'}}>Brak rozmów - kliknij ✉️ przy użytkowniku online</p>
+        )}
+        <ul style={{margin:0,paddingLeft:0,listStyle:'none'}}>
+          {conversations.map((conversation) => (
+            <li
+              key={conversation.id}
+              onClick={() => onJoinRoom(toDirectRoom(conversation))}
+              style={{marginBottom:6,cursor:'pointer',fontWeight:conversation.unreadCount > 0 ? 600 : 400}}
+            >
+              {conversation.otherUser.username}{' '}
+              {conversation.unreadCount > 0 && (
+                <span style={{background:'#667eea',color:'#fff',borderRadius:10,padding:'0 8px',fontSize:'0.8rem'}}>
+                  {conversation.unreadCount}
+                </span>
+              )}{' '}
+              <span style={{color:'#888'}}>{formatLastSeen(conversation.lastActivity)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div style={{background:'#fff',borderRadius:10,padding:20,marginBottom:30,boxShadow:'0 2px 8px rgba(0,0,0,0.08)'}}>
+        <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:10}}>
+          <h2 style={{color:'#667eea',margin:0,fontSize:'1.3rem'}}>📣 Wzmianki ({unreadMentions} nowych)</h2>
+          {unreadMentions > 0 && (
+            <button onClick={handleMarkMentionsRead} style={{background:'none',border:'none',color:'#667eea',cursor:'pointer'}}>
+              Oznacz jako przeczytane
+            </button>
+          )}
+        </div>
+        {mentions.length === 0 && <p style={{margin:0,color:'#888'}}>Nikt Cię jeszcze nie wspomniał</p>}
+        <ul style={{margin:0,paddingLeft:0,listStyle:'none'}}>
+          {mentions.slice(0, 10).map((mention) => (
+            <li
+              key={mention.id}
+              onClick={() => handleOpenMention(mention)}
+              style={{marginBottom:6,cursor:'pointer',fontWeight:mention.read ? 400 : 600}}
+            >
+              <span style={{color:'#667eea'}}>#{mention.roomId}</span>{' '}
+              {mention.fromUsername}: <span style={{color:'#555'}}>{mention.excerpt}</span>{' '}
+              <span style={{color:'#888'}}>({formatLastSeen(mention.timestamp)})</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
       <CreateRoomCard>
         <CreateRoomTitle>Stwórz nowy pokój</CreateRoomTitle>
         <CreateRoomForm onSubmit={handleCreateRoom}>
@@ -235,18 +511,75 @@ const RoomList = ({ user, onJoinRoom }) => {
             placeholder="Nazwa pokoju..."
             maxLength={30}
             disabled={creating}
-          />          <Button type="submit" disabled={creating || !newRoomName.trim()}>
+          />
+          <Select
+            value={newRoomVisibility}
+            onChange={(e) => setNewRoomVisibility(e.target.value)}
+            disabled={creating}
+          >
+            <option value="public">Publiczny</option>
+            <option value="private">🔒 Prywatny (zaproszenia)</option>
+            <option value="password">🔑 Na hasło</option>
+          </Select>
+          <Select
+            value={newRoomTtl}
+            onChange={(e) => setNewRoomTtl(Number(e.target.value))}
+            disabled={creating}
+            title="Pokój znikający - usuwany po czasie bez wiadomości"
+          >
+            {ROOM_TTL_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </Select>
+          {newRoomVisibility === 'password' && (
+            <Input
+              type="password"
+              value={newRoomPassword}
+              onChange={(e) => setNewRoomPassword(e.target.value)}
+              placeholder="Hasło (min. 4 znaki)..."
+              disabled={creating}
+            />
+          )}
+          <Button
+            type="submit"
+            disabled={creating || !newRoomName.trim() || (newRoomVisibility === 'password' && newRoomPassword.length < 4)}
+          >
             {creating ? 'Tworzenie...' : 'Stwórz'}
           </Button>
         </CreateRoomForm>
       </CreateRoomCard>
 
+      <CreateRoomCard>
+        <CreateRoomTitle>Mam zaproszenie</CreateRoomTitle>
+        <CreateRoomForm onSubmit={handleAcceptInvite}>
+          <Input
+            type="text"
+            value={inviteToken}
+            onChange={(e) => setInviteToken(e.target.value)}
+            placeholder="Kod zaproszenia..."
+          />
+          <Button type="submit" disabled={!inviteToken.trim()}>
+            Dołącz
+          </Button>
+        </CreateRoomForm>
+      </CreateRoomCard>
+
       <RoomsGrid>
         {rooms.map((room) => (
           <RoomCard key={room.id} onClick={() => handleJoinRoom(room)}>
-            <RoomName>#{room.name}</RoomName>
+            <RoomName>
+              #{room.name}{' '}
+              {room.visibility === 'private' && <span title="Pokój prywatny">🔒</span>}
+              {room.visibility === 'password' && <span title="Pokój na hasło">🔑</span>}
+              {Number(room.inactivityTtl) > 0 && <span title="Pokój znika po bezczynności">⏳</span>}
+            </RoomName>
             <RoomStats>
               <span>💬 {room.messageCount || 0} wiadomości</span>
+              {room.unreadCount > 0 && (
+                <span style={{color:'#667eea',fontWeight:600}}>
+                  🔵 {room.unreadCount > 99 ? '99+' : room.unreadCount} nowych
+                </span>
+              )}
             </RoomStats>
             <RoomDescription>
               {room.id === 'general' && 'Główny pokój dla wszystkich'}
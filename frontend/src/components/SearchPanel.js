@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import toast from 'react-hot-toast';
+import { searchMessages } from '../services/socketService';
+
+const PanelContainer = styled.div`
+  width: 340px;
+  display: flex;
+  flex-direction: column;
+  border-left: 1px solid #eee;
+  background: white;
+`;
+
+const PanelHeader = styled.div`
+  padding: 15px 20px;
+  border-bottom: 1px solid #eee;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+
+  h3 {
+    margin: 0;
+    font-size: 1.1rem;
+    color: #333;
+  }
+
+  button {
+    background: none;
+    border: none;
+    font-size: 1.2rem;
+    cursor: pointer;
+    color: #666;
+  }
+`;
+
+const SearchForm = styled.form`
+  padding: 15px 20px;
+  border-bottom: 1px solid #eee;
+
+  input[type="text"] {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 10px 14px;
+    border: 2px solid #e1e5e9;
+    border-radius: 20px;
+    outline: none;
+
+    &:focus {
+      border-color: #667eea;
+    }
+  }
+
+  label {
+    display: block;
+    margin-top: 8px;
+    font-size: 0.85rem;
+    color: #666;
+  }
+`;
+
+const Results = styled.div`
+  flex: 1;
+  overflow-y: auto;
+  padding: 10px 20px;
+  background: #f8f9fa;
+`;
+
+const ResultItem = styled.div`
+  background: white;
+  border-radius: 10px;
+  padding: 10px 12px;
+  margin-bottom: 10px;
+  cursor: pointer;
+  box-shadow: 0 2px 8px rgba(0,0,0,0.06);
+
+  &:hover {
+    box-shadow: 0 2px 8px rgba(102, 126, 234, 0.3);
+  }
+
+  mark {
+    background: rgba(245, 166, 35, 0.35);
+    border-radius: 3px;
+    padding: 0 1px;
+  }
+`;
+
+const ResultMeta = styled.div`
+  font-size: 0.75rem;
+  color: #888;
+  margin-bottom: 4px;
+`;
+
+// Tekst z wyróżnionymi zakresami [start, end) z serwera - bez HTML z zewnątrz
+const renderHighlighted = (text, ranges) => {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach((range, i) => {
+    if (range.start > position) parts.push(text.slice(position, range.start));
+    parts.push(<mark key={i}>{text.slice(range.start, range.end)}</mark>);
+    position = range.end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return parts;
+};
+
+const SearchPanel = ({ currentRoomId, onSelect, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [onlyThisRoom, setOnlyThisRoom] = useState(false);
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setSearching(true);
+    try {
+      const data = await searchMessages({
+        q: query.trim(),
+        roomId: onlyThisRoom ? currentRoomId : undefined
+      });
+      setResults(data.results);
+    } catch (err) {
+      toast.error('Nie udało się wyszukać wiadomości');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <PanelContainer>
+      <PanelHeader>
+        <h3>🔍 Szukaj</h3>
+        <button onClick={onClose} title="Zamknij wyszukiwanie">✕</button>
+      </PanelHeader>
+
+      <SearchForm onSubmit={handleSearch}>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={searching ? 'Szukam...' : 'Szukaj w wiadomościach...'}
+          autoFocus
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={onlyThisRoom}
+            onChange={(e) => setOnlyThisRoom(e.target.checked)}
+          />{' '}
+          Tylko ten pokój
+        </label>
+      </SearchForm>
+
+      <Results>
+        {results && results.length === 0 && <p>Brak wyników</p>}
+        {(results || []).map((result) => (
+          <ResultItem key={`${result.roomId}:${result.parentId || ''}:${result.messageId}`} onClick={() => onSelect(result)}>
+            <ResultMeta>
+              #{result.roomName} • {result.username} • {new Date(result.timestamp).toLocaleString('pl-PL')}
+              {result.parentId && ' • w wątku'}
+            </ResultMeta>
+            {renderHighlighted(result.message, result.highlights)}
+          </ResultItem>
+        ))}
+      </Results>
+    </PanelContainer>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import Markdown from './Markdown';
+
+const PanelContainer = styled.div`
+  width: 340px;
+  display: flex;
+  flex-direction: column;
+  border-left: 1px solid #eee;
+  background: white;
+`;
+
+const PanelHeader = styled.div`
+  padding: 15px 20px;
+  border-bottom: 1px solid #eee;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+
+  h3 {
+    margin: 0;
+    font-size: 1.1rem;
+    color: #333;
+  }
+
+  button {
+    background: none;
+    border: none;
+    font-size: 1.2rem;
+    cursor: pointer;
+    color: #666;
+  }
+`;
+
+const PanelBody = styled.div`
+  flex: 1;
+  overflow-y: auto;
+  padding: 15px 20px;
+  background: #f8f9fa;
+`;
+
+const ThreadMessage = styled.div`
+  margin-bottom: 12px;
+  padding-bottom: ${props => props.isParent ? '12px' : '0'};
+  border-bottom: ${props => props.isParent ? '1px solid #e1e5e9' : 'none'};
+`;
+
+const ThreadBubble = styled.div`
+  background: ${props => props.isOwn ? '#667eea' : 'white'};
+  color: ${props => props.isOwn ? 'white' : '#333'};
+  padding: 10px 14px;
+  border-radius: 14px;
+  word-wrap: break-word;
+  box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+`;
+
+const ThreadMeta = styled.div`
+  font-size: 0.8rem;
+  opacity: 0.6;
+  margin: 4px 8px 0 8px;
+  display: flex;
+  gap: 10px;
+`;
+
+const LoadOlderLink = styled.button`
+  display: block;
+  margin: 0 auto 12px auto;
+  background: none;
+  border: none;
+  color: #667eea;
+  cursor: pointer;
+  font-size: 0.85rem;
+`;
+
+const ReplyForm = styled.form`
+  display: flex;
+  gap: 8px;
+  padding: 15px 20px;
+  border-top: 1px solid #eee;
+
+  input {
+    flex: 1;
+    padding: 10px 14px;
+    border: 2px solid #e1e5e9;
+    border-radius: 20px;
+    outline: none;
+
+    &:focus {
+      border-color: #667eea;
+    }
+  }
+
+  button {
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
+    border: none;
+    padding: 10px 16px;
+    border-radius: 20px;
+    cursor: pointer;
+    font-weight: 600;
+
+    &:disabled {
+      opacity: 0.6;
+      cursor: not-allowed;
+    }
+  }
+`;
+
+const formatTime = (timestamp) => {
+  try {
+    return new Date(timestamp).toLocaleTimeString('pl-PL', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  } catch (err) {
+    return '';
+  }
+};
+
+// Panel wątku - stan (parent, replies) trzyma ChatRoom, tu tylko widok i pole odpowiedzi
+const ThreadPanel = ({ user, thread, onSendReply, onLoadOlder, onClose }) => {
+  const [replyText, setReplyText] = useState('');
+  const endRef = useRef(null);
+  const replyCount = thread.replies.length;
+
+  useEffect(() => {
+    if (endRef.current) {
+      endRef.current.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [replyCount]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = replyText.trim();
+    if (!text) return;
+
+    onSendReply(text);
+    setReplyText('');
+  };
+
+  const { parent } = thread;
+
+  return (
+    <PanelContainer>
+      <PanelHeader>
+        <h3>💬 Wątek</h3>
+        <button onClick={onClose} title="Zamknij wątek">✕</button>
+      </PanelHeader>
+
+      <PanelBody>
+        {parent ? (
+          <ThreadMessage isParent>
+            <ThreadBubble isOwn={parent.userId === user.id}>
+              {parent.deleted ? <em>🗑️ Wiadomość usunięta</em> : <Markdown text={parent.message} />}
+            </ThreadBubble>
+            <ThreadMeta>
+              <span>{parent.username}</span>
+              <span>{formatTime(parent.timestamp)}</span>
+            </ThreadMeta>
+          </ThreadMessage>
+        ) : (
+          <p>Ładowanie wątku...</p>
+        )}
+
+        {thread.hasMore && (
+          <LoadOlderLink onClick={onLoadOlder}>Wczytaj starsze odpowiedzi</LoadOlderLink>
+        )}
+
+        {thread.replies.map((reply) => (
+          <ThreadMessage key={reply.id}>
+            <ThreadBubble isOwn={reply.userId === user.id}>
+              <Markdown text={reply.message} />
+            </ThreadBubble>
+            <ThreadMeta>
+              <span>{reply.username}</span>
+              <span>{formatTime(reply.timestamp)}</span>
+            </ThreadMeta>
+          </ThreadMessage>
+        ))}
+
+        <div ref={endRef} />
+      </PanelBody>
+
+      <ReplyForm onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={replyText}
+          onChange={(e) => setReplyText(e.target.value)}
+          placeholder="Odpowiedz w wątku..."
+          maxLength={500}
+          disabled={!parent || parent.deleted}
+        />
+        <button type="submit" disabled={!replyText.trim() || !parent || parent.deleted}>
+          Wyślij
+        </button>
+      </ReplyForm>
+    </PanelContainer>
+  );
+};
+
+export default ThreadPanel;
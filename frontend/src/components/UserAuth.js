@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import styled from 'styled-components';
 import toast from 'react-hot-toast';
+import { login, register, getErrorMessage } from '../services/authService';
 
 const AuthContainer = styled.div`
   display: flex;
@@ -81,53 +82,72 @@ const AuthButton = styled.button`
   }
 `;
 
+const ModeSwitch = styled.button`
+  background: none;
+  border: none;
+  color: #667eea;
+  cursor: pointer;
+  font-size: 0.95rem;
+  text-decoration: underline;
+`;
+
 const UserAuth = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
 
+  const isRegister = mode === 'register';
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-      if (!username.trim()) {
+    if (!username.trim()) {
       toast.error('Proszę podać nazwę użytkownika');
       return;
     }
     
-    if (username.length < 2) {
+    if (username.trim().length < 2) {
       toast.error('Nazwa użytkownika musi mieć co najmniej 2 znaki');
       return;
     }
+
+    if (isRegister && password.length < 6) {
+      toast.error('Hasło musi mieć co najmniej 6 znaków');
+      return;
+    }
     
     setLoading(true);
     
     try {
-      const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const authenticate = isRegister ? register : login;
+      const user = await authenticate(username.trim(), password);
       const userData = {
-        id: userId,
-        username: username.trim(),        joinedAt: Date.now()
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        joinedAt: Date.now()
       };
-
-      await fetch('/api/chat/demo/session', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userId, sessionData: userData })
-      });
       
       onLogin(userData);
       toast.success(`Witaj, ${userData.username}!`);
       
     } catch (error) {
-      toast.error('Logowanie nie powiodło się. Spróbuj ponownie.');
+      toast.error(getErrorMessage(
+        error,
+        isRegister ? 'Rejestracja nie powiodła się. Spróbuj ponownie.' : 'Logowanie nie powiodło się. Spróbuj ponownie.'
+      ));
     } finally {
       setLoading(false);
     }
   };
 
-  return (    <AuthContainer>
+  return (
+    <AuthContainer>
       <AuthCard>
-        <AuthTitle>Dołącz do Redis Chat</AuthTitle>
+        <AuthTitle>{isRegister ? 'Załóż konto w Redis Chat' : 'Dołącz do Redis Chat'}</AuthTitle>
         <AuthForm onSubmit={handleSubmit}>
           <InputGroup>
-            <Label>Wybierz swoją nazwę użytkownika:</Label>
+            <Label>Nazwa użytkownika:</Label>
             <Input
               type="text"
               value={username}
@@ -135,17 +155,40 @@ const UserAuth = ({ onLogin }) => {
               placeholder="Podaj nazwę użytkownika..."
               maxLength={20}
               disabled={loading}
+              autoComplete="username"
               autoFocus
             />
           </InputGroup>
+
+          <InputGroup>
+            <Label>Hasło:</Label>
+            <Input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Podaj hasło..."
+              disabled={loading}
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+            />
+          </InputGroup>
           
-          <AuthButton type="submit" disabled={loading || !username.trim()}>
-            {loading ? 'Dołączanie...' : 'Dołącz do czatu'}
+          <AuthButton type="submit" disabled={loading || !username.trim() || !password}>
+            {loading
+              ? (isRegister ? 'Rejestracja...' : 'Logowanie...')
+              : (isRegister ? 'Zarejestruj się' : 'Zaloguj się')}
           </AuthButton>
+
+          <ModeSwitch
+            type="button"
+            onClick={() => setMode(isRegister ? 'login' : 'register')}
+            disabled={loading}
+          >
+            {isRegister ? 'Masz już konto? Zaloguj się' : 'Nie masz konta? Zarejestruj się'}
+          </ModeSwitch>
         </AuthForm>
       </AuthCard>
     </AuthContainer>
   );
 };
 
-export default UserAuth;
+export default UserAuth;
\ No newline at end of file
@@ -0,0 +1,38 @@
+import axios from 'axios';
+
+const TOKEN_KEY = 'chatToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+// Ustawia token dla wszystkich zapytań axios (nagłówek Authorization)
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+};
+
+const authenticate = async (endpoint, username, password) => {
+  const response = await axios.post(`/api/auth/${endpoint}`, { username, password });
+  const { token, user } = response.data.data;
+  setAuthToken(token);
+  return user;
+};
+
+export const register = (username, password) => authenticate('register', username, password);
+
+export const login = (username, password) => authenticate('login', username, password);
+
+export const logout = () => {
+  setAuthToken(null);
+};
+
+export const getErrorMessage = (error, fallback) => {
+  return error.response?.data?.error || fallback;
+};
+
+// Przywróć token po odświeżeniu strony
+setAuthToken(getToken());
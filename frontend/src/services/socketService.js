@@ -1,30 +1,64 @@
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
 import axios from 'axios';
+import { getToken } from './authService';
 
 let socket = null;
+let heartbeatTimer = null;
+
+const HEARTBEAT_INTERVAL = 20000;
+
+// Heartbeat - serwer uznaje użytkownika za offline po 60s bez heartbeatu,
+// a za "away" gdy żadna karta nie była aktywna przez 5 minut
+const sendHeartbeat = () => {
+  if (socket && socket.connected) {
+    socket.emit('heartbeat', { active: !document.hidden });
+  }
+};
+
+const startHeartbeat = () => {
+  stopHeartbeat();
+  sendHeartbeat();
+  heartbeatTimer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+  document.addEventListener('visibilitychange', sendHeartbeat);
+};
+
+const stopHeartbeat = () => {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  document.removeEventListener('visibilitychange', sendHeartbeat);
+};
 
 export const connectSocket = () => {
   if (!socket) {
     socket = io(process.env.REACT_APP_SERVER_URL || 'http://localhost:5000', {
       transports: ['websocket', 'polling'],
       timeout: 20000,
-      forceNew: true
+      forceNew: true,
+      auth: { token: getToken() }
     });
 
     socket.on('connect', () => {
       console.log('Connected to server');
       toast.success('Połączono z serwerem');
+      startHeartbeat();
     });
 
     socket.on('disconnect', () => {
       console.log('Disconnected from server');
+      stopHeartbeat();
       toast.error('Rozłączono z serwerem');
     });
 
     socket.on('connect_error', (error) => {
       console.error('Connection error:', error);
-      toast.error('Błąd połączenia z serwerem');
+      if (error.message === 'Unauthorized') {
+        toast.error('Sesja wygasła - zaloguj się ponownie');
+      } else {
+        toast.error('Błąd połączenia z serwerem');
+      }
     });
 
     socket.on('error', (error) => {
@@ -55,6 +89,7 @@ export const connectSocket = () => {
 };
 
 export const disconnectSocket = () => {
+  stopHeartbeat();
   if (socket) {
     socket.disconnect();
     socket = null;
@@ -93,6 +128,81 @@ export const sendMessage = (messageData) => {
   }
 };
 
+export const editMessage = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('edit-message', data);
+  } else {
+    toast.error('Brak połączenia - nie można edytować wiadomości');
+  }
+};
+
+export const deleteMessage = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('delete-message', data);
+  } else {
+    toast.error('Brak połączenia - nie można usunąć wiadomości');
+  }
+};
+
+export const toggleReaction = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('toggle-reaction', data);
+  } else {
+    toast.error('Brak połączenia - nie można dodać reakcji');
+  }
+};
+
+export const markRead = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('mark-read', data);
+  }
+};
+
+export const markDirectRead = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('mark-dm-read', data);
+  }
+};
+
+export const sendReply = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('send-reply', data);
+  } else {
+    toast.error('Brak połączenia - nie można wysłać odpowiedzi');
+  }
+};
+
+export const loadThread = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('load-thread', data);
+  }
+};
+
+// Moderacja: { roomId, userId, duration? (s), reason? }
+export const kickUser = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('kick-user', data);
+  }
+};
+
+export const muteUser = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('mute-user', data);
+  }
+};
+
+export const banUser = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('ban-user', data);
+  }
+};
+
+export const loadOlderMessages = (data) => {
+  if (socket && socket.connected) {
+    socket.emit('load-older-messages', data);
+  }
+};
+
 export const startTyping = (typingData) => {
   if (socket && socket.connected) {
     socket.emit('typing-start', typingData);
@@ -140,6 +250,157 @@ export const onMessagesHistory = (callback) => {
   }
 };
 
+export const onMessageUpdated = (callback) => {
+  if (socket) {
+    socket.off('message-updated');
+    socket.on('message-updated', callback);
+  }
+};
+
+export const onMessageDeleted = (callback) => {
+  if (socket) {
+    socket.off('message-deleted');
+    socket.on('message-deleted', callback);
+  }
+};
+
+export const onReactionUpdated = (callback) => {
+  if (socket) {
+    socket.off('reaction-updated');
+    socket.on('reaction-updated', callback);
+  }
+};
+
+export const onMention = (callback) => {
+  if (socket) {
+    socket.off('mention');
+    socket.on('mention', callback);
+  }
+};
+
+export const onDirectMessage = (callback) => {
+  if (socket) {
+    socket.off('direct-message');
+    socket.on('direct-message', callback);
+  }
+};
+
+export const onReadReceipts = (callback) => {
+  if (socket) {
+    socket.off('read-receipts');
+    socket.on('read-receipts', callback);
+  }
+};
+
+export const onReadReceipt = (callback) => {
+  if (socket) {
+    socket.off('read-receipt');
+    socket.on('read-receipt', callback);
+  }
+};
+
+export const onThreadReply = (callback) => {
+  if (socket) {
+    socket.off('thread-reply');
+    socket.on('thread-reply', callback);
+  }
+};
+
+export const onThreadHistory = (callback) => {
+  if (socket) {
+    socket.off('thread-history');
+    socket.on('thread-history', callback);
+  }
+};
+
+// Wpis dziennika moderacji pokoju (kick / mute / unmute / ban / unban / role)
+export const onModeration = (callback) => {
+  if (socket) {
+    socket.off('moderation');
+    socket.on('moderation', callback);
+  }
+};
+
+// Wyrzucenie / ban bieżącego użytkownika: { roomId, action, reason, until }
+export const onKicked = (callback) => {
+  if (socket) {
+    socket.off('kicked');
+    socket.on('kicked', callback);
+  }
+};
+
+// Limit wiadomości: { roomId, retryAfter (s), message }
+export const onRateLimited = (callback) => {
+  if (socket) {
+    socket.off('rate-limited');
+    socket.on('rate-limited', callback);
+  }
+};
+
+// Wiadomość odrzucona przez filtry treści: { roomId, filter, reason, message }
+export const onMessageRejected = (callback) => {
+  if (socket) {
+    socket.off('message-rejected');
+    socket.on('message-rejected', callback);
+  }
+};
+
+// Wynik komendy (/help, /nick...) - tylko dla wywołującego: { roomId, command, reply?, error? }
+export const onCommandResult = (callback) => {
+  if (socket) {
+    socket.off('command-result');
+    socket.on('command-result', callback);
+  }
+};
+
+// Zaplanowana wiadomość wysłana albo odrzucona - tylko do autora:
+// { id, roomId, status: 'sent', messageId } | { id, roomId, status: 'failed', reason, message }
+export const onScheduledResult = (callback) => {
+  if (socket) {
+    socket.off('scheduled-result');
+    socket.on('scheduled-result', callback);
+  }
+};
+
+// Pokój znikający usunięty po bezczynności: { roomId, reason: 'expired' }
+export const onRoomDeleted = (callback) => {
+  if (socket) {
+    socket.off('room-deleted');
+    socket.on('room-deleted', callback);
+  }
+};
+
+// Komunikat dla pokoju (zmiana pseudonimu, tematu): { roomId, message, timestamp }
+export const onRoomNotice = (callback) => {
+  if (socket) {
+    socket.off('room-notice');
+    socket.on('room-notice', callback);
+  }
+};
+
+// Zaproszenie przez /invite: { roomId, roomName, fromUserId, fromUsername }
+export const onRoomInvite = (callback) => {
+  if (socket) {
+    socket.off('room-invite');
+    socket.on('room-invite', callback);
+  }
+};
+
+// Odmowa wejścia do pokoju prywatnego / na hasło: { roomId, reason, message }
+export const onJoinDenied = (callback) => {
+  if (socket) {
+    socket.off('join-denied');
+    socket.on('join-denied', callback);
+  }
+};
+
+export const onOlderMessages = (callback) => {
+  if (socket) {
+    socket.off('older-messages');
+    socket.on('older-messages', callback);
+  }
+};
+
 export const onUserTyping = (callback) => {
   if (socket) {
     socket.off('user-typing');
@@ -154,6 +415,13 @@ export const onUserStoppedTyping = (callback) => {
   }
 };
 
+export const onUserStatusChanged = (callback) => {
+  if (socket) {
+    socket.off('user-status-changed');
+    socket.on('user-status-changed', callback);
+  }
+};
+
 // Remove specific event listeners
 export const offNewMessage = () => {
   if (socket) {
@@ -185,6 +453,126 @@ export const offMessagesHistory = () => {
   }
 };
 
+export const offMessageUpdated = () => {
+  if (socket) {
+    socket.off('message-updated');
+  }
+};
+
+export const offMessageDeleted = () => {
+  if (socket) {
+    socket.off('message-deleted');
+  }
+};
+
+export const offReactionUpdated = () => {
+  if (socket) {
+    socket.off('reaction-updated');
+  }
+};
+
+export const offMention = () => {
+  if (socket) {
+    socket.off('mention');
+  }
+};
+
+export const offDirectMessage = () => {
+  if (socket) {
+    socket.off('direct-message');
+  }
+};
+
+export const offReadReceipts = () => {
+  if (socket) {
+    socket.off('read-receipts');
+  }
+};
+
+export const offReadReceipt = () => {
+  if (socket) {
+    socket.off('read-receipt');
+  }
+};
+
+export const offThreadReply = () => {
+  if (socket) {
+    socket.off('thread-reply');
+  }
+};
+
+export const offThreadHistory = () => {
+  if (socket) {
+    socket.off('thread-history');
+  }
+};
+
+export const offModeration = () => {
+  if (socket) {
+    socket.off('moderation');
+  }
+};
+
+export const offKicked = () => {
+  if (socket) {
+    socket.off('kicked');
+  }
+};
+
+export const offRateLimited = () => {
+  if (socket) {
+    socket.off('rate-limited');
+  }
+};
+
+export const offMessageRejected = () => {
+  if (socket) {
+    socket.off('message-rejected');
+  }
+};
+
+export const offCommandResult = () => {
+  if (socket) {
+    socket.off('command-result');
+  }
+};
+
+export const offScheduledResult = () => {
+  if (socket) {
+    socket.off('scheduled-result');
+  }
+};
+
+export const offRoomDeleted = () => {
+  if (socket) {
+    socket.off('room-deleted');
+  }
+};
+
+export const offRoomNotice = () => {
+  if (socket) {
+    socket.off('room-notice');
+  }
+};
+
+export const offRoomInvite = () => {
+  if (socket) {
+    socket.off('room-invite');
+  }
+};
+
+export const offJoinDenied = () => {
+  if (socket) {
+    socket.off('join-denied');
+  }
+};
+
+export const offOlderMessages = () => {
+  if (socket) {
+    socket.off('older-messages');
+  }
+};
+
 export const offUserTyping = () => {
   if (socket) {
     socket.off('user-typing');
@@ -197,6 +585,12 @@ export const offUserStoppedTyping = () => {
   }
 };
 
+export const offUserStatusChanged = () => {
+  if (socket) {
+    socket.off('user-status-changed');
+  }
+};
+
 export const removeAllListeners = () => {
   if (socket) {
     socket.removeAllListeners();
@@ -317,6 +711,96 @@ export const fetchLeaderboard = async (limit = 10) => {
   return response.data.data;
 };
 
+export const fetchOnlineUsers = async () => {
+  const response = await axios.get('/api/chat/users/online');
+  return response.data.data;
+};
+
+export const fetchMentions = async (userId) => {
+  const response = await axios.get(`/api/chat/users/${userId}/mentions`);
+  return { mentions: response.data.data, unreadCount: response.data.unreadCount };
+};
+
+export const markMentionsRead = async (userId) => {
+  await axios.post(`/api/chat/users/${userId}/mentions/read`);
+};
+
+export const fetchDirectConversations = async () => {
+  const response = await axios.get('/api/chat/dm');
+  return response.data.data;
+};
+
+export const openDirectConversation = async (userId) => {
+  const response = await axios.post('/api/chat/dm', { userId });
+  return response.data.data;
+};
+
+// params: { q, roomId?, userId?, from?, to?, limit? }
+export const searchMessages = async (params) => {
+  const response = await axios.get('/api/chat/search', { params });
+  return { results: response.data.data, total: response.data.total, terms: response.data.terms };
+};
+
+// options: { expiresIn? (s), maxUses? }
+export const createRoomInvite = async (roomId, options = {}) => {
+  const response = await axios.post(`/api/chat/rooms/${roomId}/invites`, options);
+  return response.data.data;
+};
+
+// Zwraca pokój, do którego prowadzi zaproszenie (użytkownik jest już jego członkiem)
+export const acceptInvite = async (token) => {
+  const response = await axios.post(`/api/chat/invites/${token}/accept`);
+  return response.data.data;
+};
+
+// Komendy dostępne w pokoju: [{ name, usage, description, permission }]
+export const fetchCommands = async (roomId) => {
+  const response = await axios.get(`/api/chat/rooms/${roomId}/commands`);
+  return response.data.data;
+};
+
+// Przesłanie plików (multipart) - zwraca metadane z ID do wysłania w send-message { attachments }
+export const uploadAttachments = async (roomId, files) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('files', file));
+  const response = await axios.post(`/api/chat/rooms/${roomId}/attachments`, formData);
+  return response.data.data;
+};
+
+// Zaplanowane wiadomości użytkownika w pokoju (od najbliższej): [{ id, roomId, message, sendAt }]
+export const fetchScheduledMessages = async (roomId) => {
+  const response = await axios.get(`/api/chat/rooms/${roomId}/scheduled`);
+  return response.data.data;
+};
+
+// sendAt - Date albo ms; wysyłkę zrobi serwer (także gdy użytkownik będzie offline)
+export const scheduleMessage = async (roomId, message, sendAt) => {
+  const response = await axios.post(`/api/chat/rooms/${roomId}/scheduled`, {
+    message,
+    sendAt: new Date(sendAt).toISOString()
+  });
+  return response.data.data;
+};
+
+// updates: { message?, sendAt? }
+export const updateScheduledMessage = async (scheduledId, updates) => {
+  const body = { ...updates };
+  if (body.sendAt !== undefined) body.sendAt = new Date(body.sendAt).toISOString();
+  const response = await axios.patch(`/api/chat/scheduled/${scheduledId}`, body);
+  return response.data.data;
+};
+
+export const cancelScheduledMessage = async (scheduledId) => {
+  await axios.delete(`/api/chat/scheduled/${scheduledId}`);
+};
+
+// Plik / miniatura jako Blob - pobranie z nagłówkiem Authorization (img src go nie wyśle)
+export const fetchAttachment = async (attachmentId, { thumbnail = false } = {}) => {
+  const url = `/api/chat/attachments/${attachmentId}${thumbnail ? '/thumbnail' : ''}`;
+  const response = await axios.get(url, { responseType: 'blob' });
+  return response.data;
+};
+
 export const updateUserScore = async (userId, score, username) => {
   if (score === '+1') {
     await axios.post('/api/chat/leaderboard', { userId, score: '+1', username });
@@ -368,6 +852,17 @@ export default {
   joinRoom,
   leaveRoom,
   sendMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markRead,
+  markDirectRead,
+  sendReply,
+  loadThread,
+  kickUser,
+  muteUser,
+  banUser,
+  loadOlderMessages,
   startTyping,
   stopTyping,
   onNewMessage,
@@ -375,13 +870,49 @@ export default {
   onUserLeft,
   onRoomInfo,
   onMessagesHistory,
+  onOlderMessages,
+  onMessageUpdated,
+  onMessageDeleted,
+  onReactionUpdated,
+  onMention,
+  onDirectMessage,
+  onReadReceipts,
+  onReadReceipt,
+  onThreadReply,
+  onThreadHistory,
+  onJoinDenied,
+  onModeration,
+  onKicked,
+  onRateLimited,
+  onMessageRejected,
+  onCommandResult,
+  onScheduledResult,
+  onRoomDeleted,
+  onRoomNotice,
+  onRoomInvite,
   onUserTyping,
   onUserStoppedTyping,
+  onUserStatusChanged,
   removeAllListeners,
   getConnectionState,
   getSocketInfo,
   sendMessageWithRetry,
   joinRoomWithRetry,
   fetchLeaderboard,
+  fetchOnlineUsers,
+  fetchMentions,
+  markMentionsRead,
+  fetchDirectConversations,
+  openDirectConversation,
+  searchMessages,
+  createRoomInvite,
+  acceptInvite,
+  fetchCommands,
+  uploadAttachments,
+  fetchAttachment,
+  fetchScheduledMessages,
+  scheduleMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
   updateUserScore
 };
\ No newline at end of file